@@ -1,27 +1,83 @@
 #!/usr/bin/env node
 
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
-const { exec } = require('child_process');
+const { EventEmitter } = require('events');
+const {
+    scanServer,
+    loadScanRecording,
+    evaluateDataset,
+    watchServer,
+    parseInterval,
+    createConfig,
+    appendScanHistory,
+    readScanHistory,
+    buildHistoryTrend,
+    readServerList,
+    scanServers,
+    buildComparison,
+    crawlServers,
+    REPORT_FORMATS,
+    writeReports,
+    sendAlerts,
+    createAlertDeduper,
+    startMetricsExporter,
+    startApiServer,
+    loadProfile,
+    compilePlayerLists,
+    resolveConfig,
+    maskConfig,
+    describeApiKeyProblem,
+    EXIT_CODES,
+    getExitCode
+} = require('./index');
 
-// Configuration
-const CONFIG = {
-    API_KEY: "steam_api_key_here",
-    STEAM_API_URL: "http://api.steampowered.com/ISteamUser/GetPlayerSummaries/v0002/",
-    FIVEM_API_URL: "https://servers-frontend.fivem.net/api/servers/single/",
-    REQUEST_TIMEOUT: 10000,
-    RATE_LIMIT_DELAY: 100, // ms between Steam API calls
-    MAX_RETRIES: 3
-};
+// Effective configuration: lib/config.js defaults, then --config, environment variables and flags
+const CONFIG = {};
+// Where each setting of CONFIG came from, shown by `config check`
+let configSources = {};
+
+// Subcommands accepted in place of a cfxcode
+const COMMANDS = ['evaluate', 'history', 'crawl', 'metrics', 'serve', 'config'];
+
+// Default --port of the long-running commands
+const DEFAULT_PORTS = { metrics: 9477, serve: 9478 };
 
 // Parse command line arguments with enhanced options
 const args = process.argv.slice(2);
 let options = {
     cfxcode: null,
+    cfxcodes: [],
+    command: null,
+    commandArgs: [],
     verbose: false,
     output: null,
+    formats: [],
     config: null,
+    record: null,
+    replay: null,
+    labels: null,
+    watch: null,
+    history: true,
+    alerts: true,
+    cache: true,
+    refresh: false,
+    since: null,
+    until: null,
+    bucket: 'day',
+    servers: null,
+    outputDir: null,
+    concurrency: 2,
+    top: 20,
+    tags: [],
+    locale: null,
+    steam: false,
+    failOnBotPercentage: null,
+    failOnBorderline: false,
+    interval: '5m',
+    port: null,
+    host: null,
+    profile: null,
     help: false
 };
 
@@ -41,234 +97,283 @@ for (let i = 0; i < args.length; i++) {
         case '--output':
             options.output = args[++i];
             break;
+        case '-f':
+        case '--format':
+            options.formats.push(...(args[++i] || '').split(',').map(format => format.trim().toLowerCase()).filter(Boolean));
+            break;
         case '-c':
         case '--config':
             options.config = args[++i];
             break;
+        case '--record':
+            options.record = args[++i];
+            break;
+        case '--replay':
+            options.replay = args[++i];
+            break;
+        case '--labels':
+            options.labels = args[++i];
+            break;
+        case '-w':
+        case '--watch':
+            options.watch = args[++i];
+            break;
+        case '--no-history':
+            options.history = false;
+            break;
+        case '--no-alerts':
+            options.alerts = false;
+            break;
+        case '--no-cache':
+            options.cache = false;
+            break;
+        case '--refresh':
+            options.refresh = true;
+            break;
+        case '--since':
+            options.since = args[++i];
+            break;
+        case '--until':
+            options.until = args[++i];
+            break;
+        case '--bucket':
+            options.bucket = args[++i];
+            break;
+        case '--servers':
+            options.servers = args[++i];
+            break;
+        case '--output-dir':
+            options.outputDir = args[++i];
+            break;
+        case '--concurrency':
+            options.concurrency = parseInt(args[++i], 10);
+            break;
+        case '--top':
+            options.top = parseInt(args[++i], 10);
+            break;
+        case '--tags':
+            options.tags = (args[++i] || '').split(',').map(tag => tag.trim()).filter(Boolean);
+            break;
+        case '--locale':
+            options.locale = args[++i];
+            break;
+        case '--steam':
+            options.steam = true;
+            break;
+        case '--fail-on-bot-percentage':
+            options.failOnBotPercentage = parseFloat(args[++i]);
+            break;
+        case '--fail-on-borderline':
+            options.failOnBorderline = true;
+            break;
+        case '--interval':
+            options.interval = args[++i];
+            break;
+        case '--port':
+            options.port = parseInt(args[++i], 10);
+            break;
+        case '--host':
+            options.host = args[++i];
+            break;
+        case '--profile':
+            options.profile = args[++i];
+            break;
         default:
-            if (!arg.startsWith('-') && !options.cfxcode) {
-                options.cfxcode = arg;
+            if (arg.startsWith('-')) {
+                break;
+            }
+            if (options.command) {
+                options.commandArgs.push(arg);
+            } else if (options.cfxcodes.length === 0 && COMMANDS.includes(arg)) {
+                options.command = arg;
+            } else {
+                options.cfxcodes.push(arg);
             }
             break;
     }
 }
 
+if (options.servers) {
+    try {
+        options.cfxcodes.push(...readServerList(options.servers));
+    } catch (error) {
+        console.error(`Error reading server list: ${error.message}`);
+        process.exit(EXIT_CODES.INVALID_INPUT);
+    }
+}
+options.cfxcodes = [...new Set(options.cfxcodes)];
+options.formats = [...new Set(options.formats)];
+options.cfxcode = options.cfxcodes[0] || null;
+
+// metrics takes its cfxcodes as command arguments, --servers adds to them
+if (options.command === 'metrics') {
+    options.commandArgs = [...new Set([...options.commandArgs, ...options.cfxcodes])];
+}
+
 // Show help if requested or no cfxcode provided
-if (options.help || !options.cfxcode) {
+const missingTarget = options.command
+    ? !['crawl', 'serve'].includes(options.command) && options.commandArgs.length === 0
+    : !options.cfxcode && !options.replay;
+if (options.help || missingTarget) {
     console.log(`
 FiveM Bot Detection Tool v3.0
 =============================
 
 Usage: node fivem-bot-detection.js <cfxcode> [options]
+       node fivem-bot-detection.js <cfxcode> <cfxcode>... [--servers <file>] [options]
+       node fivem-bot-detection.js evaluate <dataset-dir> [--labels <file>] [options]
+       node fivem-bot-detection.js history <cfxcode> [--since <date>] [--bucket day|week|scan]
+       node fivem-bot-detection.js crawl [--top <n>] [--tags <list>] [--locale <code>] [--steam]
+       node fivem-bot-detection.js metrics <cfxcode>... [--port <n>] [--interval <interval>]
+       node fivem-bot-detection.js serve [--port <n>] [--host <address>]
+       node fivem-bot-detection.js config check [--config <file>]
 
 Arguments:
-  <cfxcode>              FiveM server CFX code to check
+  <cfxcode>              FiveM server CFX code to check (several may be given)
+
+Commands:
+  evaluate <dataset-dir> Measure precision/recall against a labeled dataset
+  history <cfxcode>      Show how a server's scans changed over time
+  crawl                  Rank the most populated public servers by suspected bot share
+  metrics <cfxcode>...   Re-scan servers on a timer and serve Prometheus metrics on /metrics
+  serve                  Start an HTTP API that runs scans on demand
+  config check           Validate the configuration and print it with secrets masked
 
 Options:
   -h, --help            Show this help message
   -v, --verbose         Enable verbose logging
   -o, --output <file>   Save results to file (JSON format)
+  -f, --format <list>   Report formats for a scan: json, html, md, csv (comma-separated)
   -c, --config <file>   Use custom configuration file
+  --profile <name|file> Detection profile: conservative (default), balanced, aggressive or a JSON file
+  --record <dir>        Save the server payload and Steam responses to <dir>
+  --replay <dir>        Re-run a recorded scan from <dir> without network access
+  --labels <file>       Labels file for evaluate (default: <dataset-dir>/labels.json)
+  -w, --watch <interval> Re-poll the server every <interval> (e.g. 60s, 5m) and track sessions
+  --servers <file>      Also scan the cfxcodes listed in <file>, one per line
+  --output-dir <dir>    Several servers: save each server's results to <dir>/<cfxcode>.json
+  --concurrency <n>     Several servers: scans to run at once (default: 2)
+  --no-history          Do not append this scan to the history store
+  --no-alerts           Do not post to the webhooks configured in WEBHOOKS
+  --no-cache            Do not read or write the Steam profile cache
+  --refresh             Look up every Steam profile again and refresh the cache with the results
+  --fail-on-bot-percentage <n>
+                        Exit with code 1 only when more than <n>% of players are potential bots
+                        (default: any potential bot)
+  --fail-on-borderline  Also exit with code 1 when there are borderline cases
+  --since <date>        history: only scans on or after <date>
+  --until <date>        history: only scans on or before <date>
+  --bucket <period>     history: group scans by day (default), week or scan
+  --top <n>             crawl: number of servers to scan, most players first (default: 20)
+  --tags <list>         crawl: only servers with any of these comma-separated tags
+  --locale <code>       crawl: only servers whose locale starts with <code> (e.g. en, de-DE)
+  --steam               crawl: also look up Steam profiles (skipped by default)
+  --interval <interval> metrics: time between scans of each server (default: 5m)
+  --port <n>            metrics, serve: port to listen on (default: 9477, 9478)
+  --host <address>      metrics, serve: address to listen on (default: all interfaces, localhost)
 
 Examples:
   node fivem-bot-detection.js abc123
   node fivem-bot-detection.js abc123 --verbose --output results.json
   node fivem-bot-detection.js abc123 --config myconfig.json
+  node fivem-bot-detection.js abc123 --profile balanced
+  node fivem-bot-detection.js abc123 --output reports/abc123 --format html,csv
+  node fivem-bot-detection.js abc123 --record scans/abc123-2025-01-20
+  node fivem-bot-detection.js --replay scans/abc123-2025-01-20
+  node fivem-bot-detection.js evaluate datasets/january --output evaluation.json
+  node fivem-bot-detection.js abc123 --watch 5m --output watch-summary.json
+  node fivem-bot-detection.js history abc123 --since 2025-01-01 --bucket week
+  node fivem-bot-detection.js abc123 def456 --servers servers.txt --output-dir scans/
+  node fivem-bot-detection.js metrics abc123 def456 --interval 10m --port 9477
+  node fivem-bot-detection.js serve --port 9478
+  node fivem-bot-detection.js crawl --top 50 --tags roleplay --locale en --output leaderboard.json
+
+Exit codes:
+  0  Clean: no potential bots above the thresholds
+  1  Potential bots (or borderline cases) above the --fail-on-* thresholds
+  2  Invalid input: bad arguments, configuration, dataset or history file
+  3  API or partial errors: the server or some Steam lookups could not be checked
 
 Configuration:
-  Create a config.json file to customize API keys and settings:
+  Settings are layered: lib/config.js defaults, then the --config file, then environment
+  variables, then command line flags. A config.json file may use camelCase or UPPER_CASE keys:
   {
     "apiKey": "your_steam_api_key",
     "requestTimeout": 10000,
     "rateLimitDelay": 100
   }
+  Environment: STEAM_API_KEY, or FIVEM_BOT_<SETTING> for any setting (e.g. FIVEM_BOT_MAX_RETRIES=5)
 `);
-    process.exit(options.help ? 0 : 1);
+    process.exit(options.help ? EXIT_CODES.CLEAN : EXIT_CODES.INVALID_INPUT);
 }
 
-// Load configuration file if specified
-if (options.config && fs.existsSync(options.config)) {
-    try {
-        const configData = JSON.parse(fs.readFileSync(options.config, 'utf8'));
-        Object.assign(CONFIG, configData);
-        if (options.verbose) console.log(`Loaded configuration from ${options.config}`);
-    } catch (error) {
-        console.error(`Error loading config file: ${error.message}`);
-        process.exit(1);
-    }
+// Resolve the configuration layers; --profile and --no-cache (for every kind of scan) are flag overrides
+const flagOverrides = {};
+if (options.profile) {
+    flagOverrides.DETECTION_PROFILE = options.profile;
+}
+if (!options.cache) {
+    flagOverrides.STEAM_CACHE_FILE = null;
+}
+try {
+    const resolved = resolveConfig({ file: options.config, env: process.env, overrides: flagOverrides });
+    Object.assign(CONFIG, resolved.config);
+    configSources = resolved.sources;
+    if (options.verbose && options.config) console.log(`Loaded configuration from ${options.config}`);
+} catch (error) {
+    console.error(`Error loading configuration: ${error.message}`);
+    process.exit(EXIT_CODES.INVALID_INPUT);
 }
 
-const cfxcode = options.cfxcode;
-let botscore = 0;
-let totalPlayers = 0;
-let checkedPlayers = 0;
-let startTime = Date.now();
+// The detection profile and the player lists are checked here too
+let detectionProfile;
+try {
+    detectionProfile = loadProfile(CONFIG.DETECTION_PROFILE);
+    CONFIG.DETECTION_PROFILE = detectionProfile;
+    if (options.verbose) console.log(`Using detection profile ${detectionProfile.name}`);
+    compilePlayerLists(createConfig(CONFIG));
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(EXIT_CODES.INVALID_INPUT);
+}
 
-/**
- * Convert hex Steam ID to Steam64 ID
- * @param {string} hexId - The hex Steam ID
- * @returns {number} - The Steam64 ID
- */
-function hexToSteam64(hexId) {
-    return parseInt(hexId, 16);
+const unknownFormats = options.formats.filter(format => !REPORT_FORMATS.includes(format));
+if (unknownFormats.length > 0) {
+    console.error(`Error: unknown format ${unknownFormats.join(', ')} (expected ${REPORT_FORMATS.join(', ')})`);
+    process.exit(EXIT_CODES.INVALID_INPUT);
 }
 
-/**
- * Sleep function for rate limiting
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
- */
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+if (Number.isNaN(options.failOnBotPercentage) || options.failOnBotPercentage < 0) {
+    console.error('Error: --fail-on-bot-percentage takes a number of 0 or more');
+    process.exit(EXIT_CODES.INVALID_INPUT);
 }
 
-/**
- * Get Steam profile information with retry logic and timeout
- * @param {number} steam64Id - The Steam64 ID
- * @param {string} apiKey - The Steam API key
- * @param {number} retryCount - Current retry attempt
- * @returns {Promise<Object|false>} - Player data or false if not found
- */
-function getSteamProfile(steam64Id, apiKey, retryCount = 0) {
-    return new Promise((resolve) => {
-        const url = `${CONFIG.STEAM_API_URL}?key=${apiKey}&steamids=${steam64Id}`;
-        
-        if (options.verbose) {
-            console.log(`Checking Steam profile for ${steam64Id} (attempt ${retryCount + 1})`);
-        }
-        
-        const request = https.get(url, (res) => {
-            let data = '';
-            
-            res.on('data', (chunk) => {
-                data += chunk;
-            });
-            
-            res.on('end', () => {
-                try {
-                    const jsonData = JSON.parse(data);
-                    
-                    // Check for API errors
-                    if (jsonData.response && jsonData.response.error) {
-                        if (options.verbose) {
-                            console.log(`Steam API error: ${jsonData.response.error.errorDesc}`);
-                        }
-                        resolve(false);
-                        return;
-                    }
-                    
-                    const players = jsonData.response.players;
-                    if (players && players.length > 0) {
-                        const player = players[0];
-                        const profileData = {
-                            personaname: player.personaname,
-                            profileurl: player.profileurl,
-                            avatar: player.avatar,
-                            avatarmedium: player.avatarmedium,
-                            avatarfull: player.avatarfull,
-                            personastate: player.personastate,
-                            communityvisibilitystate: player.communityvisibilitystate,
-                            lastlogoff: player.lastlogoff,
-                            timecreated: player.timecreated,
-                            realname: player.realname,
-                            loccountrycode: player.loccountrycode,
-                            locstatecode: player.locstatecode,
-                            loccityid: player.loccityid,
-                            gameid: player.gameid,
-                            gameextrainfo: player.gameextrainfo,
-                            gameserverip: player.gameserverip,
-                            gameserverport: player.gameserverport,
-                            gameid: player.gameid
-                        };
-                        
-                        // Analyze profile for bot indicators
-                        profileData.botIndicators = analyzeSteamProfileForBots(profileData);
-                        resolve(profileData);
-                    } else {
-                        resolve(false);
-                    }
-                } catch (error) {
-                    if (options.verbose) {
-                        console.log(`JSON parse error for ${steam64Id}: ${error.message}`);
-                    }
-                    resolve(false);
-                }
-            });
-        });
-        
-        request.on('error', (error) => {
-            if (options.verbose) {
-                console.log(`Request error for ${steam64Id}: ${error.message}`);
-            }
-            resolve(false);
-        });
-        
-        // Set timeout
-        request.setTimeout(CONFIG.REQUEST_TIMEOUT, () => {
-            request.destroy();
-            if (retryCount < CONFIG.MAX_RETRIES) {
-                if (options.verbose) {
-                    console.log(`Timeout for ${steam64Id}, retrying... (${retryCount + 1}/${CONFIG.MAX_RETRIES})`);
-                }
-                setTimeout(() => {
-                    getSteamProfile(steam64Id, apiKey, retryCount + 1).then(resolve);
-                }, 1000 * (retryCount + 1)); // Exponential backoff
-            } else {
-                if (options.verbose) {
-                    console.log(`Max retries reached for ${steam64Id}`);
-                }
-                resolve(false);
-            }
-        });
-    });
+if (options.record && options.replay) {
+    console.error('Error: --record and --replay cannot be used together');
+    process.exit(EXIT_CODES.INVALID_INPUT);
 }
 
-/**
- * Download FiveM server data using curl with better error handling
- * @param {string} cfxcode - The CFX code
- * @returns {Promise<Object>} - Server data object
- */
-function downloadServerData(cfxcode) {
-    return new Promise((resolve, reject) => {
-        const url = `${CONFIG.FIVEM_API_URL}${cfxcode}`;
-        const curlCommand = `curl -X GET "${url}" -o response.json --connect-timeout 10 --max-time 30`;
-        
-        if (options.verbose) {
-            console.log(`Downloading server data from: ${url}`);
-        }
-        
-        exec(curlCommand, (error, stdout, stderr) => {
-            if (error) {
-                console.error(`Error executing curl: ${error.message}`);
-                reject(new Error(`Failed to download server data: ${error.message}`));
-                return;
-            }
-            
-            if (stderr && options.verbose) {
-                console.log(`Curl stderr: ${stderr}`);
-            }
-            
-            // Check if response file exists and is valid
-            if (!fs.existsSync('response.json')) {
-                reject(new Error('Response file not created'));
-                return;
-            }
-            
-            try {
-                const data = JSON.parse(fs.readFileSync('response.json', 'utf8'));
-                
-                // Validate response structure
-                if (!data.Data || !data.Data.players) {
-                    reject(new Error('Invalid server data structure'));
-                    return;
-                }
-                
-                resolve(data);
-            } catch (parseError) {
-                reject(new Error(`Failed to parse server data: ${parseError.message}`));
-            }
-        });
-    });
+if (options.cfxcodes.length > 1 && (options.watch || options.record || options.replay)) {
+    console.error('Error: --watch, --record and --replay take a single cfxcode');
+    process.exit(EXIT_CODES.INVALID_INPUT);
+}
+
+if (options.watch && (options.record || options.replay)) {
+    console.error('Error: --watch cannot be combined with --record or --replay');
+    process.exit(EXIT_CODES.INVALID_INPUT);
+}
+
+// Load the recording up front so a replay can take its cfxcode from it
+let recording = null;
+if (options.replay) {
+    try {
+        recording = loadScanRecording(options.replay);
+        options.cfxcode = options.cfxcode || recording.manifest.cfxcode;
+        if (options.verbose) console.log(`Loaded recording from ${options.replay}`);
+    } catch (error) {
+        console.error(`Error loading recording: ${error.message}`);
+        process.exit(EXIT_CODES.INVALID_INPUT);
+    }
 }
 
 /**
@@ -305,1166 +410,921 @@ function saveResults(results, filename) {
 }
 
 /**
- * Format timestamp
- * @param {number} timestamp - Unix timestamp
- * @returns {string} - Formatted date string
+ * Save a server's results in every --format (JSON when none was given)
+ * @param {Object} results - Results object to save
+ * @param {string} filename - Output filename; its extension is replaced when several formats are written
  */
-function formatTimestamp(timestamp) {
-    if (!timestamp) return 'Unknown';
-    return new Date(timestamp * 1000).toLocaleString();
+function saveReports(results, filename) {
+    try {
+        writeReports(results, filename, options.formats.length > 0 ? options.formats : ['json'])
+            .forEach(outputPath => console.log(`\nResults saved to: ${outputPath}`));
+    } catch (error) {
+        console.error(`Error saving results: ${error.message}`);
+    }
 }
 
 /**
- * Analyze server context to determine appropriate bot detection thresholds
- * @param {Object} serverInfo - Server information from FiveM API
- * @param {Array} players - Array of players
- * @returns {Object} - Server context analysis
+ * Output file for one server in --output-dir
+ * @param {string} cfxcode - The CFX code
+ * @returns {string} - <output-dir>/<cfxcode>.<format>
  */
-function analyzeServerContext(serverInfo, players) {
-    const context = {
-        isDevelopmentServer: false,
-        isLowPopulation: false,
-        isTestServer: false,
-        isRoleplayServer: false,
-        isFreeroamServer: false,
-        hasWhitelist: false,
-        isPrivateServer: false,
-        serverReputation: 'unknown',
-        expectedBotThreshold: 0.3, // Default 30% threshold
-        contextFactors: [],
-        adjustments: {
-            noIdentifiers: 0,
-            localhost: 0,
-            suspiciousNames: 0,
-            highPing: 0,
-            duplicateNames: 0
-        }
-    };
+function getServerOutputFile(cfxcode) {
+    const extension = options.formats.length === 1 ? options.formats[0] : 'json';
+    return path.join(options.outputDir, `${cfxcode.replace(/[^a-zA-Z0-9_-]/g, '_')}.${extension}`);
+}
+
+/**
+ * Post a finished scan to the configured webhooks and report what was sent
+ * @param {Object} results - The results object
+ * @param {Object} [deduper] - Alert deduper kept across the cycles of a watch
+ */
+async function notifyWebhooks(results, deduper) {
+    if (!options.alerts) return;
     
-    // Check if it's a development/test server
-    if (serverInfo.hostname) {
-        const hostname = serverInfo.hostname.toLowerCase();
-        if (hostname.includes('test') || hostname.includes('dev') || hostname.includes('development') || 
-            hostname.includes('debug') || hostname.includes('staging')) {
-            context.isDevelopmentServer = true;
-            context.isTestServer = true;
-            context.expectedBotThreshold = 0.8; // 80% threshold for test servers
-            context.adjustments.noIdentifiers = -20; // Reduce penalty for no identifiers
-            context.adjustments.localhost = -30; // Reduce penalty for localhost
-            context.contextFactors.push('Development/Test server detected');
-        }
+    try {
+        const outcomes = await sendAlerts(results, {
+            config: CONFIG,
+            deduper,
+            log: (message) => {
+                if (options.verbose) console.log(message);
+            }
+        });
+        outcomes.forEach(outcome => {
+            if (outcome.status === 'sent') {
+                console.log(`🔔 Alert sent to ${outcome.webhook} (${outcome.type})`);
+                if (outcome.error) console.error(`⚠️  ${outcome.error}`);
+            } else if (outcome.status === 'failed') {
+                console.error(`⚠️  Alert to ${outcome.webhook} failed: ${outcome.error}`);
+            } else if (outcome.status === 'duplicate' && options.verbose) {
+                console.log(`🔕 Alert to ${outcome.webhook} skipped: already sent for this verdict`);
+            }
+        });
+    } catch (error) {
+        console.error(`Error sending alerts: ${error.message}`);
     }
-    
-    // Check server type
-    if (serverInfo.gametype) {
-        const gameType = serverInfo.gametype.toLowerCase();
-        if (gameType.includes('roleplay') || gameType.includes('rp')) {
-            context.isRoleplayServer = true;
-            context.expectedBotThreshold = 0.2; // 20% threshold for RP servers
-            context.adjustments.suspiciousNames = 10; // Increase penalty for suspicious names
-            context.contextFactors.push('Roleplay server detected');
-        } else if (gameType.includes('freeroam') || gameType.includes('free roam')) {
-            context.isFreeroamServer = true;
-            context.expectedBotThreshold = 0.4; // 40% threshold for freeroam
-            context.contextFactors.push('Freeroam server detected');
+}
+
+/**
+ * Print the server details once the payload is loaded
+ * @param {Object} server - results.server
+ */
+function printServerInfo(server) {
+    console.log(`🏷️  Server: ${server.name}`);
+    console.log(`📦 Resources: ${server.resourceCount}`);
+    console.log(`👥 Players: ${server.currentPlayers}/${server.maxPlayers}`);
+    console.log(`🎮 Game Type: ${server.gameType}`);
+    console.log(`🗺️  Map: ${server.mapName}`);
+    
+    if (options.verbose) {
+        console.log(`📝 Description: ${server.description}`);
+        console.log(`🔧 Version: ${server.version}`);
+        console.log(`👤 Owner: ${server.ownerName}`);
+        console.log(`🔒 Private: ${server.isPrivate ? 'Yes' : 'No'}`);
+        if (server.tags.length > 0) {
+            console.log(`🏷️  Tags: ${server.tags.join(', ')}`);
         }
     }
-    
-    // Check for whitelist indicators
-    if (serverInfo.vars) {
-        if (serverInfo.vars.sv_whitelist === 'true' || serverInfo.vars.whitelist === 'true') {
-            context.hasWhitelist = true;
-            context.expectedBotThreshold = 0.15; // 15% threshold for whitelisted servers
-            context.adjustments.noIdentifiers = 15; // Increase penalty for no identifiers
-            context.contextFactors.push('Whitelisted server detected');
-        }
-        
-        if (serverInfo.vars.sv_password || serverInfo.vars.password) {
-            context.isPrivateServer = true;
-            context.expectedBotThreshold = 0.25; // 25% threshold for private servers
-            context.contextFactors.push('Private server detected');
+}
+
+/**
+ * Print the heuristic analysis summary and server context
+ * @param {Object} analysis - Payload of the scanner's analysis event
+ */
+function printAnalysis(analysis) {
+    const { serverContext } = analysis;
+    
+    console.log(`✅ Found ${analysis.totalPlayers} players on server\n`);
+    console.log(`🎮 Found ${analysis.steamPlayers} Steam players to check`);
+    console.log(`🔍 Analyzed ${analysis.totalPlayers} total players for bot detection`);
+    
+    // Display server context information
+    if (serverContext.contextFactors.length > 0) {
+        console.log(`\n📋 SERVER CONTEXT ANALYSIS`);
+        console.log(`=========================`);
+        serverContext.contextFactors.forEach(factor => {
+            console.log(`  • ${factor}`);
+        });
+        console.log(`  • Bot Detection Threshold: ${Math.round(serverContext.expectedBotThreshold * 100)}%`);
+        if (serverContext.isDevelopmentServer) {
+            console.log(`  • Development Server Mode: More lenient detection`);
         }
+        console.log();
     }
     
-    // Check server privacy
-    if (serverInfo.private === true) {
-        context.isPrivateServer = true;
-        context.expectedBotThreshold = 0.25;
-        context.contextFactors.push('Private server confirmed');
-    }
-    
-    // Analyze player count context
-    const totalPlayers = players.length;
-    const maxPlayers = serverInfo.sv_maxclients || serverInfo.svMaxclients || 32;
-    const playerRatio = totalPlayers / maxPlayers;
-    
-    // Store total players in context for validation
-    context.totalPlayers = totalPlayers;
-    
-    if (totalPlayers <= 5) {
-        context.isLowPopulation = true;
-        context.expectedBotThreshold = 0.6; // 60% threshold for low population
-        context.adjustments.noIdentifiers = -15; // Reduce penalty for no identifiers
-        context.contextFactors.push('Low population server');
-    } else if (playerRatio < 0.1) {
-        context.expectedBotThreshold = 0.5; // 50% threshold for very low activity
-        context.contextFactors.push('Very low activity server');
+    const cohort = serverContext.discordAccounts && serverContext.discordAccounts.cohort;
+    if (cohort) {
+        console.log(`👥 Discord cohort: ${cohort.accounts} of ${serverContext.discordAccounts.linked} linked Discord accounts were created between ${cohort.start.slice(0, 10)} and ${cohort.end.slice(0, 10)}\n`);
     }
     
-    // Check server tags for additional context
-    if (serverInfo.vars && serverInfo.vars.tags) {
-        const tags = serverInfo.vars.tags.toLowerCase();
-        if (tags.includes('whitelist')) {
-            context.hasWhitelist = true;
-            context.expectedBotThreshold = Math.min(context.expectedBotThreshold, 0.15);
+    const pings = serverContext.pingDistribution;
+    if (pings && pings.available && pings.anomalousPlayers > 0) {
+        console.log(`📶 PING DISTRIBUTION`);
+        console.log(`===================`);
+        console.log(`  • Median ${pings.median}ms, 10th-90th percentile ${pings.p10}-${pings.p90}ms`);
+        if (pings.zeroPingFlagged) {
+            console.log(`  • ${pings.zeroPing} players report 0ms`);
         }
-        if (tags.includes('test') || tags.includes('dev')) {
-            context.isTestServer = true;
-            context.expectedBotThreshold = Math.max(context.expectedBotThreshold, 0.7);
-        }
-        if (tags.includes('roleplay') || tags.includes('rp')) {
-            context.isRoleplayServer = true;
-            context.expectedBotThreshold = Math.min(context.expectedBotThreshold, 0.2);
-        }
-    }
-    
-    // Check server owner reputation (basic analysis)
-    if (serverInfo.ownerName) {
-        const ownerName = serverInfo.ownerName.toLowerCase();
-        if (ownerName.includes('admin') || ownerName.includes('mod') || ownerName.includes('staff')) {
-            context.serverReputation = 'staff';
-            context.expectedBotThreshold = Math.min(context.expectedBotThreshold, 0.2);
-            context.contextFactors.push('Staff-owned server');
-        } else if (ownerName.includes('test') || ownerName.includes('dev')) {
-            context.serverReputation = 'development';
-            context.expectedBotThreshold = Math.max(context.expectedBotThreshold, 0.6);
-            context.contextFactors.push('Development owner');
+        pings.sharedValues.forEach(value => {
+            console.log(`  • ${value.players} players report exactly ${value.ping}ms`);
+        });
+        if (pings.outliers > 0) {
+            console.log(`  • ${pings.outliers} players far from the median`);
         }
+        console.log();
     }
     
-    // Check server resources for context
-    if (serverInfo.resources && serverInfo.resources.length > 0) {
-        const resourceCount = serverInfo.resources.length;
-        if (resourceCount > 100) {
-            context.contextFactors.push('High resource count - likely established server');
-            context.expectedBotThreshold = Math.min(context.expectedBotThreshold, 0.25);
-        } else if (resourceCount < 20) {
-            context.contextFactors.push('Low resource count - possible test server');
-            context.expectedBotThreshold = Math.max(context.expectedBotThreshold, 0.5);
-        }
-        
-        // Check for specific resource types
-        const resourceNames = serverInfo.resources.map(r => r.toLowerCase()).join(' ');
-        if (resourceNames.includes('whitelist') || resourceNames.includes('permissions')) {
-            context.hasWhitelist = true;
-            context.expectedBotThreshold = Math.min(context.expectedBotThreshold, 0.2);
-        }
-        if (resourceNames.includes('test') || resourceNames.includes('debug')) {
-            context.isTestServer = true;
-            context.expectedBotThreshold = Math.max(context.expectedBotThreshold, 0.6);
+    const nameClusters = serverContext.nameClusters || [];
+    if (nameClusters.length > 0) {
+        console.log(`🧬 NAME CLUSTERS`);
+        console.log(`===============`);
+        nameClusters.slice(0, 5).forEach(cluster => {
+            const sample = cluster.members.slice(0, 3).map(member => member.name).join(', ');
+            console.log(`  • ${cluster.size} players, ${cluster.kind} "${cluster.key}": ${sample}${cluster.size > 3 ? ', ...' : ''}`);
+        });
+        if (nameClusters.length > 5) {
+            console.log(`  • ...and ${nameClusters.length - 5} more clusters`);
         }
+        console.log();
     }
     
-    // Time-based analysis
-    const currentHour = new Date().getHours();
-    if (currentHour >= 2 && currentHour <= 6) {
-        context.contextFactors.push('Off-peak hours (2-6 AM)');
-        context.expectedBotThreshold = Math.max(context.expectedBotThreshold, 0.4);
-    } else if (currentHour >= 18 && currentHour <= 23) {
-        context.contextFactors.push('Peak hours (6-11 PM)');
-        context.expectedBotThreshold = Math.min(context.expectedBotThreshold, 0.25);
+    const idRuns = serverContext.idRuns || [];
+    if (idRuns.length > 0) {
+        console.log(`🔢 SERVER ID RUNS`);
+        console.log(`================`);
+        idRuns.forEach(run => {
+            const traits = run.traits.map(trait => `${trait.description} (${Math.round(trait.share * 100)}%)`).join(', ');
+            console.log(`  • IDs ${run.firstId}-${run.lastId}, ${run.size} players: ${traits}`);
+        });
+        console.log();
     }
     
-    // Final threshold adjustment based on multiple factors
-    if (context.contextFactors.length > 3) {
-        context.expectedBotThreshold = Math.min(context.expectedBotThreshold, 0.3);
+    if (analysis.steamPlayers === 0 && analysis.potentialBots === 0) {
+        console.log('⚠️  No Steam players found on this server');
+    } else if (analysis.steamPlayers > 0) {
+        console.log('🔍 Checking Steam profiles...\n');
     }
-    
-    return context;
 }
 
 /**
- * Analyze Steam profile for bot indicators
- * @param {Object} profile - Steam profile data
- * @returns {Object} - Bot indicators and confidence score
+ * Print the final scan report
+ * @param {Object} results - The results object
  */
-function analyzeSteamProfileForBots(profile) {
-    const indicators = [];
-    let confidence = 0;
-    
-    // Check profile age (very new accounts are suspicious)
-    if (profile.timecreated) {
-        const accountAge = Date.now() / 1000 - profile.timecreated;
-        const daysOld = accountAge / (24 * 60 * 60);
-        
-        if (daysOld < 1) {
-            indicators.push('Account less than 1 day old');
-            confidence += 30;
-        } else if (daysOld < 7) {
-            indicators.push('Account less than 1 week old');
-            confidence += 15;
-        } else if (daysOld < 30) {
-            indicators.push('Account less than 1 month old');
-            confidence += 5;
-        }
+function printResults(results) {
+    const botscore = results.statistics.botScore;
+    const noSteamPlayers = results.statistics.steamPlayers === 0 && botscore === 0;
+    
+    // Display results
+    console.log(`\n\n📊 SCAN RESULTS`);
+    console.log(`================`);
+    console.log(`🏷️  Server: ${results.server.name}`);
+    console.log(`📦 Resources: ${results.server.resourceCount}`);
+    console.log(`👥 Players: ${results.server.currentPlayers}/${results.server.maxPlayers}`);
+    console.log(`🎮 Game Type: ${results.server.gameType}`);
+    console.log(`🗺️  Map: ${results.server.mapName}`);
+    console.log(`⏱️  Scan Duration: ${results.server.duration} seconds`);
+    if (!noSteamPlayers) {
+        console.log(`🔍 Analyzed Players: ${results.statistics.totalAnalyzedPlayers}`);
     }
-    
-    // Check profile privacy (private profiles are suspicious)
-    if (profile.communityvisibilitystate === 1) {
-        indicators.push('Private profile');
-        confidence += 20;
-    } else if (profile.communityvisibilitystate === 2) {
-        indicators.push('Friends-only profile');
-        confidence += 10;
+    console.log(`🎮 Steam Players: ${results.statistics.steamPlayers}`);
+    console.log(`✅ Valid Profiles: ${results.statistics.validProfiles}`);
+    console.log(`❌ Potential Bots: ${botscore}`);
+    if (results.statistics.allowlistedPlayers > 0) {
+        console.log(`📋 Allowlisted Players: ${results.statistics.allowlistedPlayers}`);
+    }
+    console.log(`⚠️  Errors: ${results.statistics.errors}`);
+    if (results.statistics.steamCacheHits + results.statistics.steamCacheMisses > 0) {
+        console.log(`💾 Steam Cache: ${results.statistics.steamCacheHits} hits, ${results.statistics.steamCacheMisses} misses`);
     }
     
-    // Check if profile is online but not playing (suspicious for bots)
-    if (profile.personastate === 1 && !profile.gameextrainfo) {
-        indicators.push('Online but not playing any game');
-        confidence += 15;
+    const countCheck = results.server.playerCountCheck;
+    if (countCheck) {
+        const icon = { consistent: '✅', suspicious: '⚠️ ', spoofed: '🚩', unknown: '❔' }[countCheck.verdict];
+        const padding = countCheck.paddingPercent === null
+            ? 'identifiers hidden'
+            : `${countCheck.verifiedPlayers} verified players, ${countCheck.paddingPercent}% padding`;
+        console.log(`${icon} Player Count: ${countCheck.verdict} (${padding})`);
+        countCheck.evidence.forEach(evidence => console.log(`  • ${evidence}`));
     }
     
-    // Check for default avatar (suspicious)
-    if (profile.avatar && profile.avatar.includes('steamcommunity/public/images/avatars/fe/')) {
-        indicators.push('Default Steam avatar');
-        confidence += 10;
+    if (noSteamPlayers) {
+        console.log(`\n✅ No potential bots detected! (No Steam players to check)`);
+        return;
     }
     
-    // Check for suspicious name patterns
-    if (profile.personaname) {
-        if (isSuspiciousName(profile.personaname)) {
-            indicators.push('Suspicious Steam name');
-            confidence += 20;
+    // Show bot detection breakdown
+    if (Object.keys(results.statistics.botReasons).length > 0) {
+        console.log(`\n🔍 BOT DETECTION BREAKDOWN (Bulletproof Validation)`);
+        console.log(`====================================================`);
+        for (const [reason, count] of Object.entries(results.statistics.botReasons)) {
+            if (count > 0) {
+                const reasonName = reason.replace(/([A-Z])/g, ' $1').toLowerCase().replace(/^./, str => str.toUpperCase());
+                console.log(`  ${reasonName}: ${count}`);
+            }
         }
         
-        // Check for random character patterns
-        if (/^[a-zA-Z0-9]{8,}$/.test(profile.personaname) && !/[aeiou]/i.test(profile.personaname)) {
-            indicators.push('Random character Steam name');
-            confidence += 15;
+        if (results.statistics.botReasons.borderlineCases > 0) {
+            console.log(`\n⚠️  Borderline Cases: ${results.statistics.botReasons.borderlineCases} (require manual review)`);
         }
     }
     
-    // Check for missing profile information
-    if (!profile.realname && !profile.loccountrycode) {
-        indicators.push('Missing profile information');
-        confidence += 10;
-    }
+    // Show validation system info
+    printProfile(detectionProfile);
     
-    // Check for very recent last logoff (could indicate bot behavior)
-    if (profile.lastlogoff) {
-        const timeSinceLogoff = Date.now() / 1000 - profile.lastlogoff;
-        const hoursSinceLogoff = timeSinceLogoff / (60 * 60);
+    if (botscore > 0) {
+        const totalPlayers = results.statistics.totalAnalyzedPlayers || results.statistics.steamPlayers;
+        console.log(`\n🚨 BOT DETECTION ALERT!`);
+        console.log(`=======================`);
+        console.log(`Bot Score: ${botscore}/${totalPlayers} (${results.statistics.botPercentage}%)`);
         
-        if (hoursSinceLogoff < 0.1) { // Less than 6 minutes
-            indicators.push('Very recent logoff (possible bot restart)');
-            confidence += 15;
+        if (options.verbose) {
+            console.log(`\nPotential Bots (Bulletproof Validation):`);
+            results.potentialBots.forEach((bot, index) => {
+                console.log(`  ${index + 1}. ${bot.playerName}`);
+                if (bot.steamHex) {
+                    console.log(`     Steam: ${bot.steamHex}`);
+                }
+                if (bot.steamProfile) {
+                    console.log(`     Steam Profile: ${bot.steamProfile}`);
+                }
+                if (bot.botConfidence) {
+                    console.log(`     Bot Confidence: ${bot.botConfidence}%`);
+                }
+                if (bot.botScore) {
+                    console.log(`     Bot Score: ${bot.botScore}`);
+                }
+                console.log(`     Reason: ${bot.reason}`);
+                if (bot.botReasons && bot.botReasons.length > 0) {
+                    console.log(`     Bot Indicators: ${bot.botReasons.join(', ')}`);
+                }
+                if (bot.humanIndicators && bot.humanIndicators.length > 0) {
+                    console.log(`     Human Indicators: ${bot.humanIndicators.join(', ')}`);
+                }
+                if (bot.validationLayers) {
+                    const passedLayers = Object.entries(bot.validationLayers)
+                        .filter(([key, value]) => value)
+                        .map(([key]) => key.replace('Validation', '').toLowerCase())
+                        .join(', ');
+                    console.log(`     Validation Layers Passed: ${passedLayers || 'None'}`);
+                }
+                if (bot.warnings && bot.warnings.length > 0) {
+                    console.log(`     Warnings: ${bot.warnings.join(', ')}`);
+                }
+            });
         }
+    } else {
+        console.log(`\n✅ No potential bots detected!`);
     }
-    
-    // Check for playing FiveM specifically (good indicator)
-    if (profile.gameextrainfo && profile.gameextrainfo.toLowerCase().includes('fivem')) {
-        confidence -= 10; // Reduce suspicion if playing FiveM
-    }
-    
-    return {
-        indicators,
-        confidence: Math.min(confidence, 100), // Cap at 100
-        isLikelyBot: confidence >= 50
-    };
 }
 
 /**
- * Multi-layer validation system for bulletproof bot detection
- * @param {Object} player - Player data
- * @param {Object} serverContext - Server context
- * @param {Array} allPlayers - All players for cross-reference
- * @returns {Object} - Validation result with confidence levels
+ * Run the scan and render it to the console
  */
-function validatePlayerForBots(player, serverContext, allPlayers) {
-    const validation = {
-        isBot: false,
-        confidence: 0,
-        reasons: [],
-        warnings: [],
-        humanIndicators: [],
-        botIndicators: [],
-        finalScore: 0,
-        validationLayers: {
-            identifierValidation: false,
-            nameValidation: false,
-            connectionValidation: false,
-            behaviorValidation: false,
-            patternValidation: false,
-            contextValidation: false
-        }
-    };
-    
-    // Layer 1: Identifier Validation (Most Important)
-    if (player.identifiers.length === 0) {
-        validation.botIndicators.push('No authentication identifiers');
-        validation.confidence += 30;
-    } else {
-        validation.humanIndicators.push('Has authentication identifiers');
-        validation.validationLayers.identifierValidation = true;
-    }
-    
-    // Layer 2: Name Validation (Conservative)
-    const nameValidation = validatePlayerName(player.name, serverContext);
-    if (nameValidation.isSuspicious) {
-        validation.botIndicators.push(...nameValidation.reasons);
-        validation.confidence += nameValidation.score;
-    } else {
-        validation.humanIndicators.push('Normal name pattern');
-        validation.validationLayers.nameValidation = true;
-    }
-    
-    // Layer 3: Connection Validation
-    const connectionValidation = validateConnection(player, serverContext);
-    if (connectionValidation.isSuspicious) {
-        validation.botIndicators.push(...connectionValidation.reasons);
-        validation.confidence += connectionValidation.score;
-    } else {
-        validation.humanIndicators.push('Normal connection pattern');
-        validation.validationLayers.connectionValidation = true;
-    }
-    
-    // Layer 4: Behavioral Pattern Validation
-    const behaviorValidation = validateBehavior(player, allPlayers, serverContext);
-    if (behaviorValidation.isSuspicious) {
-        validation.botIndicators.push(...behaviorValidation.reasons);
-        validation.confidence += behaviorValidation.score;
-    } else {
-        validation.humanIndicators.push('Normal behavioral pattern');
-        validation.validationLayers.behaviorValidation = true;
-    }
-    
-    // Layer 5: Pattern Validation (Advanced)
-    const patternValidation = validateAdvancedPatterns(player, serverContext);
-    if (patternValidation.isSuspicious) {
-        validation.botIndicators.push(...patternValidation.reasons);
-        validation.confidence += patternValidation.score;
-    } else {
-        validation.humanIndicators.push('Normal pattern characteristics');
-        validation.validationLayers.patternValidation = true;
-    }
-    
-    // Layer 6: Context Validation
-    const contextValidation = validateContext(player, serverContext);
-    if (contextValidation.isSuspicious) {
-        validation.botIndicators.push(...contextValidation.reasons);
-        validation.confidence += contextValidation.score;
-    } else {
-        validation.humanIndicators.push('Contextually normal');
-        validation.validationLayers.contextValidation = true;
-    }
-    
-    // Calculate final score with conservative thresholds
-    validation.finalScore = validation.confidence;
-    
-    // Bulletproof decision logic - require multiple strong indicators
-    const strongIndicators = validation.botIndicators.filter(reason => 
-        reason.includes('No authentication') || 
-        reason.includes('Extremely suspicious') ||
-        reason.includes('Multiple connections from same IP')
-    ).length;
-    
-    const validationLayersPassed = Object.values(validation.validationLayers).filter(Boolean).length;
-    
-    // EXTREMELY CONSERVATIVE: Only flag as bot if:
-    // 1. Multiple strong indicators (3+) AND very high confidence (85+), OR
-    // 2. Extremely high confidence (95+) with multiple failed layers, OR
-    // 3. Perfect confidence (100%) with at least one strong indicator
-    validation.isBot = (
-        (strongIndicators >= 3 && validation.confidence >= 85) ||
-        (validation.confidence >= 95 && validationLayersPassed <= 1) ||
-        (validation.confidence >= 100 && strongIndicators >= 1)
-    ) && !serverContext.isDevelopmentServer; // Never flag in dev mode
-    
-    // Additional safeguards for high-population servers
-    if (serverContext.totalPlayers > 50) {
-        // Require even more evidence on high-population servers
-        validation.isBot = validation.isBot && (
-            strongIndicators >= 4 || 
-            validation.confidence >= 98
-        );
-    }
-    
-    // Extra safeguards for very high population servers
-    if (serverContext.totalPlayers > 100) {
-        // Require overwhelming evidence on very high-population servers
-        validation.isBot = validation.isBot && (
-            strongIndicators >= 5 || 
-            validation.confidence >= 99
-        );
-    }
+async function checkForBots() {
+    const events = new EventEmitter();
     
-    // Additional safeguards for extremely high population servers
-    if (serverContext.totalPlayers > 200) {
-        // Only flag with perfect confidence on extremely high-population servers
-        validation.isBot = validation.isBot && (
-            strongIndicators >= 6 || 
-            validation.confidence >= 100
-        );
-    }
+    events.on('log', (message) => {
+        if (options.verbose) console.log(message);
+    });
+    events.on('server', printServerInfo);
+    events.on('analysis', printAnalysis);
+    events.on('progress', ({ checked, total }) => {
+        if (!options.verbose) {
+            showProgress(checked, total, 'Checking Steam profiles');
+        }
+    });
     
-    // Add warnings for borderline cases
-    if (validation.confidence >= 50 && validation.confidence < 70) {
-        validation.warnings.push('Borderline suspicious - requires manual review');
+    try {
+        console.log(`\n🔍 FiveM Bot Detection Tool v3.0`);
+        console.log(`=====================================`);
+        console.log(`Server CFX Code: ${options.cfxcode}`);
+        if (recording) {
+            console.log(`Replaying scan recorded at: ${new Date(recording.manifest.recordedAt).toLocaleString()}\n`);
+            console.log('📼 Loading recorded server data...');
+        } else {
+            console.log(`Scan started at: ${new Date().toLocaleString()}\n`);
+            console.log('📡 Downloading server data...');
+        }
+        
+        const results = await scanServer(options.cfxcode, {
+            config: CONFIG,
+            record: options.record,
+            replay: recording,
+            refreshCache: options.refresh,
+            events
+        });
+        
+        printResults(results);
+        
+        // Save results if requested
+        if (options.output) {
+            saveReports(results, options.output);
+        } else if (options.formats.length > 0) {
+            saveReports(results, `bot-scan-${results.server.cfxcode.replace(/[^a-zA-Z0-9_-]/g, '_')}.${options.formats[0]}`);
+        }
+        
+        if (options.record) {
+            console.log(`📼 Scan recorded to: ${path.resolve(options.record)}`);
+        }
+        
+        // Replays re-analyse an old scan, they are not new history
+        if (options.history && !recording) {
+            try {
+                const historyFile = appendScanHistory(results, createConfig(CONFIG).HISTORY_DIR);
+                if (options.verbose) console.log(`🗂️  Scan added to history: ${historyFile}`);
+            } catch (error) {
+                console.error(`Error saving scan history: ${error.message}`);
+            }
+        }
+        
+        // Replays must not re-alert about an old scan either
+        if (!recording) {
+            await notifyWebhooks(results);
+        }
+        
+        console.log(`\n✨ Scan completed successfully!`);
+        process.exitCode = getExitCode([{ results }], options);
+        
+    } catch (error) {
+        console.error(`\n❌ Error: ${error.message}`);
+        if (options.verbose) {
+            console.error(error.stack);
+        }
+        process.exit(EXIT_CODES.API_ERROR);
     }
-    
-    return validation;
 }
 
 /**
- * Check if name is whitelisted (legitimate patterns)
+ * Format a ratio from the evaluation report as a percentage
+ * @param {number|null} value - Ratio between 0 and 1
+ * @returns {string} - Percentage, or n/a when undefined
  */
-function isWhitelistedName(name) {
-    if (!name) return false;
-    
-    const whitelistPatterns = [
-        // Common legitimate name patterns
-        /^[A-Za-z]{2,20}$/, // Simple letters only
-        /^[A-Za-z]{2,10}[0-9]{1,4}$/, // Name + numbers
-        /^[A-Za-z]{2,10}_[A-Za-z0-9]{1,10}$/, // Name_identifier
-        /^[A-Za-z]{2,10}\.[A-Za-z]{2,10}$/, // First.Last
-        /^[A-Za-z]{2,10}-[A-Za-z]{2,10}$/, // First-Last
-        /^[A-Za-z]{2,10}\s[A-Za-z]{2,10}$/, // First Last
-        /^[A-Za-z]{1,3}[0-9]{2,4}$/, // Short letters + numbers
-        /^[A-Za-z]{2,15}[0-9]{1,3}$/, // Longer name + few numbers
-        /^[A-Za-z]{3,12}$/, // Medium length names
-        /^[A-Za-z]{2,8}[0-9]{2,6}$/, // Name + reasonable numbers
-        /^[A-Za-z]{1,2}[0-9]{3,8}$/, // Short letters + more numbers
-        /^[A-Za-z]{4,15}$/, // Longer names
-        /^[A-Za-z]{2,10}[_\-\.][A-Za-z0-9]{2,10}$/, // Separated names
-        /^[A-Za-z]{2,8}[0-9]{1,4}[A-Za-z]{0,4}$/, // Mixed patterns
-        /^[A-Za-z]{3,12}[0-9]{1,2}$/, // Name + 1-2 digits
-        /^[A-Za-z]{2,6}[0-9]{2,4}[A-Za-z]{0,3}$/, // Complex but legitimate
-    ];
-    
-    return whitelistPatterns.some(pattern => pattern.test(name));
+function formatRatio(value) {
+    return value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
 }
 
 /**
- * Validate player name with extremely conservative approach
+ * Print how the detection profile decides on a bot
+ * @param {Object} profile - Profile from loadProfile
  */
-function validatePlayerName(name, serverContext) {
-    const result = { isSuspicious: false, reasons: [], score: 0 };
-    
-    if (!name || name.trim().length === 0) {
-        result.isSuspicious = true;
-        result.reasons.push('Empty name');
-        result.score += 40;
-        return result;
+function printProfile(profile) {
+    const { decision } = profile;
+    const confidences = decision.rules.map(rule => rule.minConfidence || 0);
+    const tiers = decision.populationTiers;
+    const title = `🛡️  ${profile.name.toUpperCase()} VALIDATION PROFILE`;
+    
+    console.log(`\n${title}`);
+    console.log('='.repeat(title.length + 1));
+    if (profile.description) console.log(`  ${profile.description}`);
+    console.log(`  • Multi-layer validation (6 layers, plus Discord account age when linked)`);
+    console.log(`  • Bot verdicts need ${Math.min(...confidences)}-${Math.max(...confidences)}% confidence`);
+    if (tiers.length > 0) {
+        const indicators = tiers.map(tier => tier.minStrongIndicators);
+        console.log(`  • Population-based safeguards above ${tiers[0].players} players (${Math.min(...indicators)}-${Math.max(...indicators)} strong indicators required)`);
     }
-    
-    // Check whitelist first - if whitelisted, never flag
-    if (isWhitelistedName(name)) {
-        return result; // Not suspicious
+    if (decision.neverFlagDevelopmentServers) {
+        console.log(`  • Development servers are never flagged`);
     }
-    
-    // Only flag extremely obvious bot patterns
-    if (name.length <= 1) {
-        result.isSuspicious = true;
-        result.reasons.push('Extremely short name');
-        result.score += 35;
-    } else if (/^[0-9]{6,}$/.test(name)) {
-        // Only flag if 6+ consecutive numbers
-        result.isSuspicious = true;
-        result.reasons.push('Long numeric-only name');
-        result.score += 30;
-    } else if (hasExcessiveSpecialChars(name) && name.length > 15) {
-        // Only flag if very long with excessive special chars
-        result.isSuspicious = true;
-        result.reasons.push('Excessive special characters in long name');
-        result.score += 25;
-    } else if (isAdvancedSuspiciousName(name) && name.length > 12) {
-        // Only flag very long suspicious patterns
-        result.isSuspicious = true;
-        result.reasons.push('Extremely suspicious long name pattern');
-        result.score += 35;
-    }
-    
-    return result;
+    console.log(`  • Whitelist for legitimate name patterns`);
+    console.log(`  • Borderline cases (${decision.borderline.min}-${decision.borderline.max}% confidence) left for manual review`);
 }
 
 /**
- * Validate connection patterns (extremely conservative)
+ * Evaluate the detector against a labeled dataset and print the report
  */
-function validateConnection(player, serverContext) {
-    const result = { isSuspicious: false, reasons: [], score: 0 };
+function runEvaluation() {
+    const dataset = options.commandArgs[0];
     
-    // Only flag in very specific circumstances
-    if (player.endpoint.includes('127.0.0.1') || player.endpoint.includes('localhost')) {
-        // Only flag localhost if it's clearly a production server AND has other indicators
-        if (!serverContext.isDevelopmentServer && serverContext.totalPlayers > 20) {
-            result.isSuspicious = true;
-            result.reasons.push('Localhost connection on high-population production server');
-            result.score += 20; // Reduced score
+    try {
+        console.log(`\n📐 FiveM Bot Detection Tool v3.0 - Evaluation`);
+        console.log(`=============================================`);
+        console.log(`Dataset: ${path.resolve(dataset)}`);
+        
+        const report = evaluateDataset(dataset, options.labels, { config: CONFIG });
+        const matrix = report.confusionMatrix;
+        const pad = (value) => String(value).padStart(15);
+        
+        console.log(`Labels: ${report.labels}`);
+        console.log(`Detection Profile: ${report.detectionProfile}`);
+        console.log(`Servers: ${report.servers.length}`);
+        console.log(`Labeled Players: ${report.labeledPlayers} (${report.unlabeledPlayers} unlabeled skipped)`);
+        
+        if (options.verbose) {
+            report.servers.forEach(server => {
+                console.log(`  • ${server.name}: ${server.labeled} labeled, ${server.unlabeled} unlabeled`);
+            });
         }
+        
+        console.log(`\n📊 CONFUSION MATRIX`);
+        console.log(`===================`);
+        console.log(`${''.padEnd(14)}${'Predicted bot'.padStart(15)}${'Predicted human'.padStart(17)}`);
+        console.log(`${'Actual bot'.padEnd(14)}${pad(matrix.truePositives)}${pad(matrix.falseNegatives)}  `);
+        console.log(`${'Actual human'.padEnd(14)}${pad(matrix.falsePositives)}${pad(matrix.trueNegatives)}  `);
+        
+        console.log(`\n🎯 Precision: ${formatRatio(report.precision)}`);
+        console.log(`🔍 Recall: ${formatRatio(report.recall)}`);
+        console.log(`⚖️  F1 Score: ${formatRatio(report.f1)}`);
+        console.log(`✅ Accuracy: ${formatRatio(report.accuracy)}`);
+        
+        for (const type of ['falsePositive', 'falseNegative']) {
+            const players = report.misclassified.filter(entry => entry.type === type);
+            if (players.length === 0) continue;
+            
+            console.log(`\n${type === 'falsePositive' ? '❌ FALSE POSITIVES' : '⚠️  FALSE NEGATIVES'} (${players.length})`);
+            console.log(`=========================`);
+            players.forEach(entry => {
+                console.log(`  • [${entry.entry}] ${entry.playerName} (${entry.labelKey})`);
+                if (entry.verdictReasons.length > 0) {
+                    console.log(`     Verdict: ${entry.verdictReasons.join(', ')}`);
+                }
+                if (entry.botIndicators.length > 0) {
+                    console.log(`     Bot Indicators: ${entry.botIndicators.join(', ')} (confidence ${entry.confidence})`);
+                }
+                if (entry.steamIndicators.length > 0) {
+                    console.log(`     Steam Indicators: ${entry.steamIndicators.join(', ')}`);
+                }
+                if (options.verbose && entry.humanIndicators.length > 0) {
+                    console.log(`     Human Indicators: ${entry.humanIndicators.join(', ')}`);
+                }
+            });
+        }
+        
+        if (options.output) {
+            saveResults(report, options.output);
+        }
+        
+        console.log(`\n✨ Evaluation completed!`);
+    } catch (error) {
+        console.error(`\n❌ Error: ${error.message}`);
+        if (options.verbose) {
+            console.error(error.stack);
+        }
+        process.exit(EXIT_CODES.INVALID_INPUT);
     }
-    
-    // Only flag extremely high ping (5000ms+)
-    if (player.ping > 5000) {
-        result.isSuspicious = true;
-        result.reasons.push('Extremely high ping (>5000ms)');
-        result.score += 20; // Reduced score
-    }
-    
-    return result;
 }
 
 /**
- * Validate behavioral patterns (extremely conservative)
+ * Re-poll the server on a timer and print a rolling session summary
  */
-function validateBehavior(player, allPlayers, serverContext) {
-    const result = { isSuspicious: false, reasons: [], score: 0 };
-    
-    // Only check for duplicate names if there are many instances (5+)
-    const nameCount = allPlayers.filter(p => 
-        p.name && p.name.toLowerCase().trim() === player.name.toLowerCase().trim()
-    ).length;
-    
-    if (nameCount > 5) {
-        result.isSuspicious = true;
-        result.reasons.push('Many duplicate names detected');
-        result.score += 30; // Reduced score
+function runWatch() {
+    let interval;
+    try {
+        interval = parseInterval(options.watch);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(EXIT_CODES.INVALID_INPUT);
     }
     
-    // Only flag if there are many connections from same IP (10+)
-    const endpointIP = player.endpoint.split(':')[0];
-    const sameIPCount = allPlayers.filter(p => 
-        p.endpoint && p.endpoint.split(':')[0] === endpointIP
-    ).length;
-    
-    if (sameIPCount > 10) {
-        result.isSuspicious = true;
-        result.reasons.push('Many connections from same IP');
-        result.score += 40; // Reduced score
-    }
+    const events = new EventEmitter();
+    events.on('log', (message) => {
+        if (options.verbose) console.log(message);
+    });
+    // One deduper for the whole watch, so alerts are not repeated every cycle even without a state file
+    const deduper = createAlertDeduper({
+        stateFile: CONFIG.WEBHOOK_STATE_FILE,
+        windowMs: CONFIG.WEBHOOK_DEDUPE_MINUTES * 60 * 1000
+    });
+    events.on('cycle', (summary, results) => {
+        const time = new Date(summary.time).toLocaleTimeString();
+        const changes = `+${summary.joined.length}/-${summary.left.length}`;
+        const averageSession = summary.averageSessionMinutes === null ? 'n/a' : `${summary.averageSessionMinutes}m`;
+        
+        console.log(`[${time}] #${summary.cycle} 👥 ${summary.online} (${changes}) ❌ ${summary.potentialBots} ⚠️  ${summary.borderlineCases} 🔄 ${(summary.churnRatePerHour * 100).toFixed(1)}%/h ⏱️  ${averageSession} 📌 ${summary.continuouslyOnline} continuous, ${summary.alwaysOnline.length} always online`);
+        
+        if (options.verbose) {
+            if (summary.joined.length > 0) console.log(`     Joined: ${summary.joined.join(', ')}`);
+            if (summary.left.length > 0) console.log(`     Left: ${summary.left.join(', ')}`);
+        }
+        notifyWebhooks(results, deduper);
+    });
+    events.on('cycleError', (error) => {
+        console.error(`[${new Date().toLocaleTimeString()}] ⚠️  Snapshot failed: ${error.message}`);
+    });
     
-    return result;
-}
-
-/**
- * Validate advanced patterns (extremely conservative)
- */
-function validateAdvancedPatterns(player, serverContext) {
-    const result = { isSuspicious: false, reasons: [], score: 0 };
+    console.log(`\n👁️  FiveM Bot Detection Tool v3.0 - Watch Mode`);
+    console.log(`==============================================`);
+    console.log(`Server CFX Code: ${options.cfxcode}`);
+    console.log(`Interval: ${Math.round(interval / 1000)} seconds (Ctrl+C to stop)\n`);
     
-    // Only flag extremely obvious bot patterns (very long, no vowels, no common patterns)
-    if (player.name && 
-        player.name.length > 20 && 
-        /^[a-z0-9]{20,}$/i.test(player.name) && 
-        !/[aeiou]/i.test(player.name) &&
-        !/^[a-z]{2,}[0-9]{2,}/i.test(player.name)) { // Not a common pattern
-        result.isSuspicious = true;
-        result.reasons.push('Extremely suspicious generated pattern');
-        result.score += 25; // Reduced score
-    }
+    const watch = watchServer(options.cfxcode, { config: CONFIG, interval, events });
     
-    return result;
+    process.once('SIGINT', () => {
+        const summary = watch.stop();
+        
+        console.log(`\n\n📊 WATCH SUMMARY`);
+        console.log(`================`);
+        if (summary) {
+            console.log(`🏷️  Server: ${summary.serverName}`);
+            console.log(`📸 Snapshots: ${summary.snapshots} over ${summary.elapsedMinutes} minutes`);
+            console.log(`👥 Average Online: ${summary.averageOnline}`);
+            console.log(`🔄 Joins/Leaves: ${summary.totalJoins}/${summary.totalLeaves} (churn ${(summary.churnRatePerHour * 100).toFixed(1)}%/h)`);
+            console.log(`⏱️  Completed Sessions: ${summary.completedSessions} (avg ${summary.averageSessionMinutes === null ? 'n/a' : `${summary.averageSessionMinutes}m`}, median ${summary.medianSessionMinutes === null ? 'n/a' : `${summary.medianSessionMinutes}m`})`);
+            console.log(`📌 Online Since Start: ${summary.continuouslyOnline}`);
+            
+            if (summary.alwaysOnline.length > 0) {
+                console.log(`\n🚨 ALWAYS ONLINE (${summary.alwaysOnline.length})`);
+                console.log(`=====================`);
+                summary.alwaysOnline.forEach(player => {
+                    console.log(`  • ${player.name} (${player.key}) - ${player.lowerBound ? 'at least ' : ''}${player.onlineMinutes} minutes${player.isPotentialBot ? ', flagged as potential bot' : ''}`);
+                });
+            }
+            
+            if (options.output) {
+                saveResults(summary, options.output);
+            }
+        } else {
+            console.log('No snapshot completed.');
+        }
+        
+        process.exit(EXIT_CODES.CLEAN);
+    });
 }
 
 /**
- * Validate context-specific indicators
+ * Parse a --since/--until date
+ * @param {string|null} value - Date string
+ * @returns {Date|null} - Parsed date
  */
-function validateContext(player, serverContext) {
-    const result = { isSuspicious: false, reasons: [], score: 0 };
-    
-    // In whitelisted servers, no identifiers is extremely suspicious
-    if (serverContext.hasWhitelist && player.identifiers.length === 0) {
-        result.isSuspicious = true;
-        result.reasons.push('No identifiers on whitelisted server');
-        result.score += 40;
+function parseDateOption(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        console.error(`Error: Invalid date "${value}"`);
+        process.exit(EXIT_CODES.INVALID_INPUT);
     }
-    
-    return result;
+    return date;
 }
 
 /**
- * Analyze players for potential bot indicators with server context
- * @param {Array} players - Array of player data
- * @param {Object} serverContext - Server context analysis
- * @returns {Object} - Bot analysis results
+ * Print the trend of a server's recorded scans
  */
-function analyzePlayersForBots(players, serverContext) {
-    const potentialBots = [];
-    const reasons = {
-        noIdentifiers: 0,
-        suspiciousNames: 0,
-        highPing: 0,
-        localhost: 0,
-        duplicateNames: 0,
-        specialCharacters: 0,
-        suspiciousPing: 0,
-        veryShortNames: 0,
-        numericNames: 0,
-        emptyNames: 0,
-        suspiciousEndpoints: 0,
-        borderlineCases: 0
-    };
+function runHistory() {
+    const cfxcode = options.commandArgs[0];
+    const historyDir = createConfig(CONFIG).HISTORY_DIR;
     
-    // Use bulletproof validation for each player
-    for (const player of players) {
-        const validation = validatePlayerForBots(player, serverContext, players);
+    try {
+        const entries = readScanHistory(cfxcode, historyDir, {
+            since: parseDateOption(options.since),
+            until: parseDateOption(options.until)
+        });
+        const trend = buildHistoryTrend(entries, { bucket: options.bucket });
         
-        // Update statistics
-        if (validation.botIndicators.includes('No authentication identifiers')) {
-            reasons.noIdentifiers++;
-        }
-        if (validation.botIndicators.some(r => r.includes('name'))) {
-            reasons.suspiciousNames++;
-        }
-        if (validation.botIndicators.some(r => r.includes('ping'))) {
-            reasons.highPing++;
+        console.log(`\n🗂️  FiveM Bot Detection Tool v3.0 - Scan History`);
+        console.log(`================================================`);
+        console.log(`Server CFX Code: ${cfxcode}`);
+        
+        if (entries.length === 0) {
+            console.log(`\nNo scans recorded for ${cfxcode} in ${historyDir}`);
+            return;
         }
-        if (validation.botIndicators.some(r => r.includes('Localhost'))) {
-            reasons.localhost++;
+        
+        console.log(`Server: ${entries[entries.length - 1].serverName}`);
+        console.log(`Scans: ${trend.scans} (${new Date(trend.first).toLocaleString()} - ${new Date(trend.last).toLocaleString()})\n`);
+        
+        const columns = [
+            ['Period', 24],
+            ['Scans', 7],
+            ['Players', 9],
+            ['Bots', 7],
+            ['Max', 6],
+            ['Bot %', 7],
+            ['Steam', 7],
+            ['Borderline', 11]
+        ];
+        console.log(columns.map(([title, width], index) => index === 0 ? title.padEnd(width) : title.padStart(width)).join(''));
+        console.log('-'.repeat(columns.reduce((sum, [, width]) => sum + width, 0)));
+        
+        trend.periods.forEach((period, index) => {
+            const previous = trend.periods[index - 1];
+            const arrow = !previous ? ' ' : period.botScore > previous.botScore ? '▲' : period.botScore < previous.botScore ? '▼' : ' ';
+            const label = options.bucket === 'scan' ? new Date(period.period).toLocaleString() : period.period;
+            console.log([
+                label.padEnd(24),
+                String(period.scans).padStart(7),
+                String(period.totalPlayers).padStart(9),
+                `${arrow}${period.botScore}`.padStart(7),
+                String(period.maxBotScore).padStart(6),
+                `${period.botPercentage}%`.padStart(7),
+                `${Math.round(period.steamRatio * 100)}%`.padStart(7),
+                String(period.borderlineCases).padStart(11)
+            ].join(''));
+        });
+        
+        if (trend.largestIncrease) {
+            const change = trend.largestIncrease;
+            console.log(`\n📈 Largest increase in flagged bots: ${change.before} → ${change.after} (+${change.delta}) between ${change.from} and ${change.to}`);
         }
-        if (validation.botIndicators.some(r => r.includes('duplicate'))) {
-            reasons.duplicateNames++;
+        if (trend.largestDecrease) {
+            const change = trend.largestDecrease;
+            console.log(`📉 Largest decrease in flagged bots: ${change.before} → ${change.after} (${change.delta}) between ${change.from} and ${change.to}`);
         }
-        if (validation.botIndicators.some(r => r.includes('characters'))) {
-            reasons.specialCharacters++;
+        
+        if (options.output) {
+            saveResults(Object.assign({ cfxcode, entries }, trend), options.output);
         }
-        if (validation.botIndicators.some(r => r.includes('IP'))) {
-            reasons.suspiciousEndpoints++;
+    } catch (error) {
+        console.error(`\n❌ Error: ${error.message}`);
+        process.exit(EXIT_CODES.INVALID_INPUT);
+    }
+}
+
+/**
+ * Scan several servers and print a comparison table
+ */
+async function runMultiScan() {
+    const historyDir = createConfig(CONFIG).HISTORY_DIR;
+    const events = new EventEmitter();
+    const concurrency = options.concurrency > 0 ? options.concurrency : 2;
+    let done = 0;
+    
+    events.on('serverStart', (cfxcode) => {
+        if (options.verbose) console.log(`📡 Scanning ${cfxcode}...`);
+    });
+    events.on('serverComplete', (cfxcode, results) => {
+        done++;
+        console.log(`✅ [${done}/${options.cfxcodes.length}] ${cfxcode} - ${results.server.name}: ${results.statistics.botScore} potential bots (${results.statistics.botPercentage}%)`);
+        
+        if (options.outputDir) {
+            fs.mkdirSync(options.outputDir, { recursive: true });
+            saveReports(results, getServerOutputFile(cfxcode));
         }
-        if (validation.warnings.length > 0) {
-            reasons.borderlineCases++;
+        if (options.history) {
+            try {
+                appendScanHistory(results, historyDir);
+            } catch (error) {
+                console.error(`Error saving scan history: ${error.message}`);
+            }
         }
-        
-        // Only add to potential bots if bulletproof validation confirms
-        if (validation.isBot) {
-            player.isPotentialBot = true;
-            player.botReasons = validation.botIndicators;
-            player.botScore = validation.finalScore;
-            player.validationLayers = validation.validationLayers;
-            player.humanIndicators = validation.humanIndicators;
-            player.warnings = validation.warnings;
-            potentialBots.push(player);
+    });
+    events.on('serverError', (cfxcode, error) => {
+        done++;
+        console.log(`❌ [${done}/${options.cfxcodes.length}] ${cfxcode} - ${error.message}`);
+    });
+    
+    console.log(`\n🔍 FiveM Bot Detection Tool v3.0`);
+    console.log(`=====================================`);
+    console.log(`Servers: ${options.cfxcodes.length} (${concurrency} at a time)`);
+    console.log(`Scan started at: ${new Date().toLocaleString()}\n`);
+    
+    const outcomes = await scanServers(options.cfxcodes, { config: CONFIG, concurrency, refreshCache: options.refresh, events });
+    const comparison = buildComparison(outcomes);
+    
+    console.log(`\n\n📊 SERVER COMPARISON`);
+    console.log(`====================`);
+    console.log(`${'CFX Code'.padEnd(10)}${'Server'.padEnd(32)}${'Players'.padStart(8)}${'Bots'.padStart(7)}${'Bot %'.padStart(7)}  Context`);
+    console.log('-'.repeat(100));
+    comparison.forEach(row => {
+        const name = (row.name || '').replace(/\^\d/g, '').slice(0, 30).padEnd(32);
+        if (row.error) {
+            console.log(`${row.cfxcode.padEnd(10)}${name}${'-'.padStart(8)}${'-'.padStart(7)}${'-'.padStart(7)}  Error: ${row.error}`);
+            return;
         }
+        console.log(`${row.cfxcode.padEnd(10)}${name}${String(row.totalPlayers).padStart(8)}${String(row.botScore).padStart(7)}${`${row.botPercentage}%`.padStart(7)}  ${row.contextFactors.join('; ') || '-'}`);
+    });
+    
+    if (options.output) {
+        saveResults({ scanTime: new Date().toISOString(), servers: comparison }, options.output);
     }
     
-    return {
-        potentialBots,
-        reasons
-    };
+    for (const outcome of outcomes.filter(outcome => outcome.results)) {
+        await notifyWebhooks(outcome.results);
+    }
+    
+    const failed = outcomes.filter(outcome => outcome.error).length;
+    console.log(`\n✨ Scanned ${outcomes.length - failed}/${outcomes.length} servers successfully!`);
+    process.exitCode = getExitCode(outcomes, options);
 }
 
 /**
- * Check if a name is suspicious (common bot patterns)
- * @param {string} name - Player name
- * @returns {boolean} - True if suspicious
+ * Crawl the public server list and print the suspected-inflation leaderboard
  */
-function isSuspiciousName(name) {
-    if (!name || name.length < 2) return true;
+async function runCrawl() {
+    const events = new EventEmitter();
+    const concurrency = options.concurrency > 0 ? options.concurrency : 2;
+    let selected = 0;
+    let done = 0;
+    
+    events.on('log', (message) => {
+        if (options.verbose) console.log(`[LOG] ${message}`);
+    });
+    events.on('list', (servers, chosen) => {
+        selected = chosen.length;
+        console.log(`📋 ${servers.length} servers listed, scanning the top ${chosen.length}`);
+        if (!options.steam) console.log(`⏭️  Steam lookups skipped (use --steam to include them)`);
+        console.log('');
+    });
+    events.on('serverComplete', (cfxcode, results) => {
+        done++;
+        if (options.outputDir) {
+            fs.mkdirSync(options.outputDir, { recursive: true });
+            saveReports(results, getServerOutputFile(cfxcode));
+        }
+        showProgress(done, selected, 'Servers');
+    });
+    events.on('serverError', (cfxcode, error) => {
+        done++;
+        if (options.verbose) console.log(`❌ ${cfxcode} - ${error.message}`);
+        showProgress(done, selected, 'Servers');
+    });
+    
+    console.log(`\n🔍 FiveM Bot Detection Tool v3.0`);
+    console.log(`=====================================`);
+    console.log(`Crawl started at: ${new Date().toLocaleString()}`);
+    if (options.tags.length > 0) console.log(`Tags: ${options.tags.join(', ')}`);
+    if (options.locale) console.log(`Locale: ${options.locale}`);
+    
+    let crawl;
+    try {
+        crawl = await crawlServers({
+            config: CONFIG,
+            top: options.top > 0 ? options.top : 20,
+            tags: options.tags,
+            locale: options.locale,
+            steam: options.steam,
+            concurrency,
+            refreshCache: options.refresh,
+            events
+        });
+    } catch (error) {
+        console.error(`\n❌ Error: ${error.message}`);
+        process.exit(EXIT_CODES.API_ERROR);
+    }
+    
+    console.log(`\n\n🏆 SUSPECTED INFLATION LEADERBOARD`);
+    console.log(`==================================`);
+    console.log(`${'#'.padStart(3)}  ${'CFX Code'.padEnd(10)}${'Server'.padEnd(32)}${'Players'.padStart(8)}${'Bots'.padStart(6)}${'Border'.padStart(8)}${'Suspected'.padStart(11)}`);
+    console.log('-'.repeat(78));
+    crawl.leaderboard.forEach(row => {
+        const name = (row.name || '').replace(/\^\d/g, '').slice(0, 30).padEnd(32);
+        console.log(`${String(row.rank).padStart(3)}  ${row.cfxcode.padEnd(10)}${name}${String(row.totalPlayers).padStart(8)}${String(row.botScore).padStart(6)}${String(row.borderlineCases).padStart(8)}${`${(row.suspectedShare * 100).toFixed(1)}%`.padStart(11)}`);
+    });
+    
+    if (crawl.failures.length > 0) {
+        console.log(`\n⚠️  ${crawl.failures.length} servers could not be scanned:`);
+        crawl.failures.forEach(failure => console.log(`  ${failure.cfxcode}: ${failure.error}`));
+    }
     
-    const suspiciousPatterns = [
-        /^[0-9]+$/, // Only numbers
-        /^[a-zA-Z]{1,2}$/, // Very short names
-        /bot/i, // Contains "bot"
-        /test/i, // Contains "test"
-        /admin/i, // Contains "admin"
-        /player/i, // Contains "player"
-        /user/i, // Contains "user"
-        /guest/i, // Contains "guest"
-        /^[^a-zA-Z0-9\s]+$/, // Only special characters
-        /^.{1,3}$/ // Very short names (1-3 chars)
-    ];
+    if (options.output) {
+        const { outcomes, ...report } = crawl;
+        saveResults(report, options.output);
+    }
     
-    return suspiciousPatterns.some(pattern => pattern.test(name));
+    console.log(`\n✨ Crawled ${crawl.leaderboard.length}/${crawl.selected} servers successfully!`);
+    process.exitCode = getExitCode(crawl.outcomes, options);
 }
 
 /**
- * Check if name has excessive special characters
- * @param {string} name - Player name
- * @returns {boolean} - True if excessive special chars
+ * Validated --port, or the default of the current command
+ * @returns {number} - Port to listen on
  */
-function hasExcessiveSpecialChars(name) {
-    if (!name) return false;
-    
-    const specialCharCount = (name.match(/[^a-zA-Z0-9\s]/g) || []).length;
-    const totalChars = name.length;
-    
-    // More than 50% special characters is suspicious
-    return specialCharCount / totalChars > 0.5;
+function getPort() {
+    const port = options.port === null ? DEFAULT_PORTS[options.command] : options.port;
+    if (!(port >= 0 && port < 65536)) {
+        console.error('Error: --port takes a port number');
+        process.exit(EXIT_CODES.INVALID_INPUT);
+    }
+    return port;
 }
 
 /**
- * Advanced suspicious name detection
- * @param {string} name - Player name
- * @returns {boolean} - True if suspicious
+ * Serve Prometheus metrics for the given servers until interrupted
  */
-function isAdvancedSuspiciousName(name) {
-    if (!name || name.length < 2) return true;
-    
-    // Check for common bot patterns
-    const botPatterns = [
-        /^[a-z]{1,2}[0-9]{4,}$/i, // Short letters + many numbers
-        /^[0-9]{1,2}[a-z]{4,}$/i, // Short numbers + many letters
-        /^[a-z]+[0-9]+[a-z]+[0-9]+$/i, // Alternating pattern
-        /^[a-z]{2,}[0-9]{2,}[a-z]{2,}[0-9]{2,}$/i, // Complex alternating
-        /^[a-z0-9]{8,}$/i, // Long alphanumeric without vowels
-        /^[a-z]{1,3}[0-9]{6,}$/i, // Short letters + many numbers
-        /^[0-9]{6,}[a-z]{1,3}$/i, // Many numbers + short letters
-        /^[a-z]+[0-9]+$/i, // Letters then numbers only
-        /^[0-9]+[a-z]+$/i, // Numbers then letters only
-        /^[a-z]{1,2}[0-9]{1,2}[a-z]{1,2}[0-9]{1,2}$/i, // Short alternating
-        /^[a-z0-9]{10,}$/i, // Very long alphanumeric
-        /^[a-z]{2,}[0-9]{2,}[a-z]{2,}$/i, // Pattern with numbers in middle
-        /^[0-9]{2,}[a-z]{2,}[0-9]{2,}$/i, // Pattern with letters in middle
-        /^[a-z]+[0-9]+[a-z]+$/i, // Letters-numbers-letters
-        /^[0-9]+[a-z]+[0-9]+$/i, // Numbers-letters-numbers
-        /^[a-z]{1,}[0-9]{3,}[a-z]{1,}$/i, // Letters + 3+ numbers + letters
-        /^[0-9]{1,}[a-z]{3,}[0-9]{1,}$/i, // Numbers + 3+ letters + numbers
-        () => /^[a-z0-9]{6,}$/i.test(name) && !/[aeiou]/i.test(name), // Long alphanumeric without vowels
-        /^[a-z]{2,}[0-9]{2,}[a-z]{2,}[0-9]{2,}[a-z]{2,}$/i, // Complex pattern
-        /^[0-9]{2,}[a-z]{2,}[0-9]{2,}[a-z]{2,}[0-9]{2,}$/i, // Complex pattern (numbers first)
-        /^[a-z]+[0-9]+[a-z]+[0-9]+[a-z]+$/i, // 5-part alternating
-        /^[0-9]+[a-z]+[0-9]+[a-z]+[0-9]+$/i, // 5-part alternating (numbers first)
-    ];
+function runMetrics() {
+    let interval;
+    try {
+        interval = parseInterval(options.interval);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(EXIT_CODES.INVALID_INPUT);
+    }
+    const port = getPort();
     
-    // Check for suspicious character patterns (using functions instead of regex with conditions)
-    const suspiciousPatterns = [
-        () => /^[a-z0-9]{8,}$/i.test(name) && !/[aeiou]/i.test(name), // Long without vowels
-        () => /^[a-z0-9]{6,}$/i.test(name) && (name.match(/[0-9]/g) || []).length > 3, // Many numbers
-        () => /^[a-z0-9]{6,}$/i.test(name) && (name.match(/[a-z]/g) || []).length > 3 && (name.match(/[0-9]/g) || []).length > 3, // Many of both
-        () => /^[a-z0-9]{8,}$/i.test(name) && name.length % 2 === 0 && /^[a-z0-9]{2}$/i.test(name.substring(0, 2)), // Even length, starts with 2 chars
-        () => /^[a-z0-9]{10,}$/i.test(name) && name.length % 2 === 0, // Very long even length
-        () => /^[a-z0-9]{12,}$/i.test(name), // Extremely long
-        () => /^[a-z]{1,2}[0-9]{4,}[a-z]{1,2}$/i.test(name), // Short letters + many numbers + short letters
-        () => /^[0-9]{1,2}[a-z]{4,}[0-9]{1,2}$/i.test(name), // Short numbers + many letters + short numbers
-    ];
+    const events = new EventEmitter();
+    events.on('listening', (address) => {
+        console.log(`📈 Serving metrics on http://${options.host || 'localhost'}:${address.port}/metrics (Ctrl+C to stop)\n`);
+    });
+    events.on('scanned', (cfxcode, results) => {
+        console.log(`[${new Date().toLocaleTimeString()}] ✅ ${cfxcode} - ${results.statistics.botScore} potential bots (${results.statistics.botPercentage}%) of ${results.statistics.totalAnalyzedPlayers} players`);
+    });
+    events.on('scanError', (cfxcode, error) => {
+        console.error(`[${new Date().toLocaleTimeString()}] ⚠️  ${cfxcode} - ${error.message}`);
+    });
+    events.on('error', (error) => {
+        console.error(`\n❌ Error: ${error.message}`);
+        process.exit(EXIT_CODES.INVALID_INPUT);
+    });
     
-    // Check for repetitive patterns
-    const repetitivePatterns = [
-        /^(.{2,})\1+$/i, // Repeated substrings
-        /^[a-z]{2}[0-9]{2}[a-z]{2}[0-9]{2}$/i, // 2-2-2-2 pattern
-        /^[0-9]{2}[a-z]{2}[0-9]{2}[a-z]{2}$/i, // 2-2-2-2 pattern (numbers first)
-        /^[a-z]{3}[0-9]{3}[a-z]{3}$/i, // 3-3-3 pattern
-        /^[0-9]{3}[a-z]{3}[0-9]{3}$/i, // 3-3-3 pattern (numbers first)
-    ];
+    console.log(`\n📈 FiveM Bot Detection Tool v3.0 - Metrics Exporter`);
+    console.log(`===================================================`);
+    console.log(`Servers: ${options.commandArgs.join(', ')}`);
+    console.log(`Interval: ${Math.round(interval / 1000)} seconds`);
+    
+    const exporter = startMetricsExporter(options.commandArgs, {
+        config: CONFIG,
+        interval,
+        port,
+        host: options.host || undefined,
+        events
+    });
     
-    // Check all patterns
-    return botPatterns.some(pattern => typeof pattern === 'function' ? pattern() : pattern.test(name)) ||
-           suspiciousPatterns.some(pattern => pattern()) ||
-           repetitivePatterns.some(pattern => pattern.test(name));
+    const shutdown = () => {
+        exporter.stop();
+        process.exit(EXIT_CODES.CLEAN);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
 }
 
 /**
- * Main function to check for bots
+ * Run the HTTP API until interrupted, keeping history and alerts like a CLI scan
  */
-async function checkForBots() {
-    const results = {
-        server: {
-            cfxcode: cfxcode,
-            name: null,
-            resourceCount: 0,
-            maxPlayers: 0,
-            currentPlayers: 0,
-            description: null,
-            version: null,
-            tags: [],
-            gameType: null,
-            mapName: null,
-            ownerName: null,
-            isPrivate: false,
-            scanTime: new Date().toISOString(),
-            duration: 0
-        },
-        statistics: {
-            totalPlayers: 0,
-            steamPlayers: 0,
-            totalAnalyzedPlayers: 0,
-            checkedPlayers: 0,
-            potentialBots: 0,
-            validProfiles: 0,
-            errors: 0,
-            botReasons: {}
-        },
-        players: [],
-        potentialBots: [],
-        errors: []
-    };
-    
-    try {
-        console.log(`\n🔍 FiveM Bot Detection Tool v3.0`);
-        console.log(`=====================================`);
-        console.log(`Server CFX Code: ${cfxcode}`);
-        console.log(`Scan started at: ${new Date().toLocaleString()}\n`);
-        
-        // Download server data
-        console.log('📡 Downloading server data...');
-        const data = await downloadServerData(cfxcode);
-        const players = data.Data.players;
-        const serverInfo = data.Data;
-        totalPlayers = players.length;
-        results.statistics.totalPlayers = totalPlayers;
-        
-        // Extract server information from actual FiveM API structure
-        const serverName = serverInfo.hostname || 'Unknown Server';
-        const resourceCount = serverInfo.resources ? serverInfo.resources.length : 0;
-        const maxPlayers = serverInfo.sv_maxclients || serverInfo.svMaxclients || 'Unknown';
-        const currentPlayers = serverInfo.clients || serverInfo.selfReportedClients || 0;
-        const serverDescription = serverInfo.vars?.sv_projectDesc || 'No description available';
-        const serverVersion = serverInfo.server || 'Unknown version';
-        const serverTags = serverInfo.vars?.tags ? serverInfo.vars.tags.split(',').map(tag => tag.trim()) : [];
-        const gameType = serverInfo.gametype || 'Unknown';
-        const mapName = serverInfo.mapname || 'Unknown';
-        const ownerName = serverInfo.ownerName || 'Unknown';
-        const isPrivate = serverInfo.private || false;
-        
-        // Update results with server info
-        results.server.name = serverName;
-        results.server.resourceCount = resourceCount;
-        results.server.maxPlayers = maxPlayers;
-        results.server.currentPlayers = currentPlayers;
-        results.server.description = serverDescription;
-        results.server.version = serverVersion;
-        results.server.tags = serverTags;
-        results.server.gameType = gameType;
-        results.server.mapName = mapName;
-        results.server.ownerName = ownerName;
-        results.server.isPrivate = isPrivate;
-        
-        console.log(`🏷️  Server: ${serverName}`);
-        console.log(`📦 Resources: ${resourceCount}`);
-        console.log(`👥 Players: ${currentPlayers}/${maxPlayers}`);
-        console.log(`🎮 Game Type: ${gameType}`);
-        console.log(`🗺️  Map: ${mapName}`);
-        
-        if (options.verbose) {
-            console.log(`📝 Description: ${serverDescription}`);
-            console.log(`🔧 Version: ${serverVersion}`);
-            console.log(`👤 Owner: ${ownerName}`);
-            console.log(`🔒 Private: ${isPrivate ? 'Yes' : 'No'}`);
-            if (serverTags.length > 0) {
-                console.log(`🏷️  Tags: ${serverTags.join(', ')}`);
-            }
-        }
-        
-        console.log(`✅ Found ${totalPlayers} players on server\n`);
-        
-        // Extract all player identifiers and analyze for bot detection
-        const steamIdentifiers = [];
-        const allPlayers = [];
-        const playerMap = new Map();
-        
-        for (const item of players) {
-            const playerData = {
-                name: item.name || 'Unknown',
-                identifiers: item.identifiers || [],
-                ping: item.ping || 0,
-                endpoint: item.endpoint || 'Unknown',
-                id: item.id || 0,
-                steamHex: null,
-                steam64Id: null,
-                isPotentialBot: false,
-                botReasons: []
-            };
-            
-            // Check for Steam identifiers
-            for (const identifier of item.identifiers) {
-                if (identifier.startsWith('steam:')) {
-                    const [prefix, steamHex] = identifier.split(':');
-                    const steam64Id = hexToSteam64(steamHex);
-                    playerData.steamHex = steamHex;
-                    playerData.steam64Id = steam64Id;
-                    steamIdentifiers.push(playerData);
-                    playerMap.set(steam64Id, item);
-                    break;
-                }
-            }
-            
-            // Add all players for analysis
-            allPlayers.push(playerData);
-        }
-        
-        // Analyze server context first
-        const serverContext = analyzeServerContext(serverInfo, allPlayers);
-        
-        // Analyze all players for bot detection with context
-        const botAnalysis = analyzePlayersForBots(allPlayers, serverContext);
-        
-        results.statistics.steamPlayers = steamIdentifiers.length;
-        results.statistics.totalAnalyzedPlayers = allPlayers.length;
-        results.statistics.potentialBots = botAnalysis.potentialBots.length;
-        results.statistics.botReasons = botAnalysis.reasons;
-        results.serverContext = serverContext;
-        
-        console.log(`🎮 Found ${steamIdentifiers.length} Steam players to check`);
-        console.log(`🔍 Analyzed ${allPlayers.length} total players for bot detection`);
-        
-        // Display server context information
-        if (serverContext.contextFactors.length > 0) {
-            console.log(`\n📋 SERVER CONTEXT ANALYSIS`);
-            console.log(`=========================`);
-            serverContext.contextFactors.forEach(factor => {
-                console.log(`  • ${factor}`);
-            });
-            console.log(`  • Bot Detection Threshold: ${Math.round(serverContext.expectedBotThreshold * 100)}%`);
-            if (serverContext.isDevelopmentServer) {
-                console.log(`  • Development Server Mode: More lenient detection`);
-            }
-            console.log();
-        }
-        
-        if (steamIdentifiers.length === 0 && botAnalysis.potentialBots.length === 0) {
-            console.log('⚠️  No Steam players found on this server');
-            
-            // Still show results even with no Steam players
-            const endTime = Date.now();
-            const duration = Math.round((endTime - startTime) / 1000);
-            results.server.duration = duration;
-            
-            // Display results
-            console.log(`\n\n📊 SCAN RESULTS`);
-            console.log(`================`);
-            console.log(`🏷️  Server: ${results.server.name}`);
-            console.log(`📦 Resources: ${results.server.resourceCount}`);
-            console.log(`👥 Players: ${results.server.currentPlayers}/${results.server.maxPlayers}`);
-            console.log(`🎮 Game Type: ${results.server.gameType}`);
-            console.log(`🗺️  Map: ${results.server.mapName}`);
-            console.log(`⏱️  Scan Duration: ${duration} seconds`);
-            console.log(`🎮 Steam Players: ${results.statistics.steamPlayers}`);
-            console.log(`✅ Valid Profiles: ${results.statistics.validProfiles}`);
-            console.log(`❌ Potential Bots: ${botscore}`);
-            console.log(`⚠️  Errors: ${results.statistics.errors}`);
-            
-            console.log(`\n✅ No potential bots detected! (No Steam players to check)`);
-            
-            // Save results if requested
-            if (options.output) {
-                saveResults(results, options.output);
-            }
-            
-            // Clean up
-            if (fs.existsSync('response.json')) {
-                fs.unlinkSync('response.json');
-            }
-            
-            console.log(`\n✨ Scan completed successfully!`);
-            return;
-        }
-        
-        // Check Steam profiles if any exist
-        if (steamIdentifiers.length > 0) {
-            console.log('🔍 Checking Steam profiles...\n');
-            
-            for (let i = 0; i < steamIdentifiers.length; i++) {
-                const player = steamIdentifiers[i];
-                checkedPlayers++;
-                
-                if (!options.verbose) {
-                    showProgress(i + 1, steamIdentifiers.length, 'Checking Steam profiles');
-                }
-                
-                try {
-                    const profile = await getSteamProfile(player.steam64Id, CONFIG.API_KEY);
-                    
-                    const playerData = {
-                        steamHex: player.steamHex,
-                        steam64Id: player.steam64Id,
-                        playerName: player.name,
-                        identifiers: player.identifiers,
-                        steamProfile: profile,
-                        isPotentialBot: !profile || player.isPotentialBot,
-                        botReasons: player.botReasons
-                    };
-                    
-                    results.players.push(playerData);
-                    
-                    if (profile) {
-                        results.statistics.validProfiles++;
-                        
-                        // Check Steam profile for bot indicators
-                        if (profile.botIndicators && profile.botIndicators.isLikelyBot) {
-                            botscore++;
-                            results.statistics.potentialBots++;
-                            results.potentialBots.push({
-                                steamHex: player.steamHex,
-                                steam64Id: player.steam64Id,
-                                playerName: player.name,
-                                reason: 'Steam profile bot indicators detected',
-                                steamProfile: profile.personaname,
-                                botConfidence: profile.botIndicators.confidence,
-                                additionalReasons: [
-                                    ...player.botReasons,
-                                    ...profile.botIndicators.indicators
-                                ]
-                            });
-                            
-                            if (options.verbose) {
-                                console.log(`❌ ${player.name} (${player.steamHex}) - Steam bot detected: ${profile.personaname} (${profile.botIndicators.confidence}% confidence)`);
-                            }
-                        } else {
-                            if (options.verbose) {
-                                console.log(`✅ ${player.name} (${player.steamHex}) - Valid profile: ${profile.personaname}`);
-                            }
-                        }
-                    } else {
-                        botscore++;
-                        results.statistics.potentialBots++;
-                        results.potentialBots.push({
-                            steamHex: player.steamHex,
-                            steam64Id: player.steam64Id,
-                            playerName: player.name,
-                            reason: 'No valid Steam profile found',
-                            additionalReasons: player.botReasons
-                        });
-                        
-                        if (options.verbose) {
-                            console.log(`❌ ${player.name} (${player.steamHex}) - Potential bot (no valid Steam profile)`);
-                        }
-                    }
-                    
-                    // Rate limiting
-                    if (i < steamIdentifiers.length - 1) {
-                        await sleep(CONFIG.RATE_LIMIT_DELAY);
-                    }
-                    
-                } catch (error) {
-                    results.statistics.errors++;
-                    results.errors.push({
-                        steamHex: player.steamHex,
-                        steam64Id: player.steam64Id,
-                        playerName: player.name,
-                        error: error.message
-                    });
-                    
-                    if (options.verbose) {
-                        console.log(`⚠️  Error checking ${player.name} (${player.steamHex}): ${error.message}`);
-                    }
-                }
-            }
-        }
-        
-        // Add non-Steam potential bots to results
-        for (const bot of botAnalysis.potentialBots) {
-            if (!bot.steamHex) { // Only add non-Steam bots here
-                results.potentialBots.push({
-                    playerName: bot.name,
-                    reason: 'Non-Steam bot indicators detected',
-                    additionalReasons: bot.botReasons,
-                    ping: bot.ping,
-                    endpoint: bot.endpoint
-                });
-                botscore++;
-            }
-        }
-        
-        // Calculate final statistics
-        const endTime = Date.now();
-        const duration = Math.round((endTime - startTime) / 1000);
-        results.server.duration = duration;
-        
-        // Display results
-        console.log(`\n\n📊 SCAN RESULTS`);
-        console.log(`================`);
-        console.log(`🏷️  Server: ${results.server.name}`);
-        console.log(`📦 Resources: ${results.server.resourceCount}`);
-        console.log(`👥 Players: ${results.server.currentPlayers}/${results.server.maxPlayers}`);
-        console.log(`🎮 Game Type: ${results.server.gameType}`);
-        console.log(`🗺️  Map: ${results.server.mapName}`);
-        console.log(`⏱️  Scan Duration: ${duration} seconds`);
-        console.log(`🔍 Analyzed Players: ${results.statistics.totalAnalyzedPlayers}`);
-        console.log(`🎮 Steam Players: ${results.statistics.steamPlayers}`);
-        console.log(`✅ Valid Profiles: ${results.statistics.validProfiles}`);
-        console.log(`❌ Potential Bots: ${botscore}`);
-        console.log(`⚠️  Errors: ${results.statistics.errors}`);
-        
-        // Show bot detection breakdown
-        if (Object.keys(results.statistics.botReasons).length > 0) {
-            console.log(`\n🔍 BOT DETECTION BREAKDOWN (Bulletproof Validation)`);
-            console.log(`====================================================`);
-            for (const [reason, count] of Object.entries(results.statistics.botReasons)) {
-                if (count > 0) {
-                    const reasonName = reason.replace(/([A-Z])/g, ' $1').toLowerCase().replace(/^./, str => str.toUpperCase());
-                    console.log(`  ${reasonName}: ${count}`);
-                }
-            }
-            
-            if (results.statistics.botReasons.borderlineCases > 0) {
-                console.log(`\n⚠️  Borderline Cases: ${results.statistics.botReasons.borderlineCases} (require manual review)`);
-            }
-        }
-        
-        // Show validation system info
-        console.log(`\n🛡️  ULTRA-CONSERVATIVE VALIDATION SYSTEM`);
-        console.log(`=========================================`);
-        console.log(`  • Multi-layer validation (6 layers)`);
-        console.log(`  • Ultra-conservative thresholds (85-100% confidence required)`);
-        console.log(`  • Population-based safeguards (3-6 strong indicators required)`);
-        console.log(`  • Whitelist for legitimate name patterns`);
-        console.log(`  • Zero false positives guaranteed`);
+function runServe() {
+    const port = getPort();
+    const host = options.host || '127.0.0.1';
+    const historyDir = createConfig(CONFIG).HISTORY_DIR;
+    
+    const events = new EventEmitter();
+    events.on('listening', (address) => {
+        console.log(`🌐 API listening on http://${host}:${address.port} (Ctrl+C to stop)`);
+        console.log(`   POST /scans  GET /scans/:id  GET /servers/:cfxcode/latest\n`);
+    });
+    events.on('scanComplete', async (scan) => {
+        const { results } = scan;
+        console.log(`[${new Date().toLocaleTimeString()}] ✅ ${scan.cfxcode} (${scan.id}) - ${results.statistics.botScore} potential bots (${results.statistics.botPercentage}%)`);
         
-        if (botscore > 0) {
-            const totalPlayers = results.statistics.totalAnalyzedPlayers || results.statistics.steamPlayers;
-            const botPercentage = Math.round((botscore / totalPlayers) * 100);
-            console.log(`\n🚨 BOT DETECTION ALERT!`);
-            console.log(`=======================`);
-            console.log(`Bot Score: ${botscore}/${totalPlayers} (${botPercentage}%)`);
-            
-            if (options.verbose) {
-                console.log(`\nPotential Bots (Bulletproof Validation):`);
-                results.potentialBots.forEach((bot, index) => {
-                    console.log(`  ${index + 1}. ${bot.playerName}`);
-                    if (bot.steamHex) {
-                        console.log(`     Steam: ${bot.steamHex}`);
-                    }
-                    if (bot.steamProfile) {
-                        console.log(`     Steam Profile: ${bot.steamProfile}`);
-                    }
-                    if (bot.botConfidence) {
-                        console.log(`     Bot Confidence: ${bot.botConfidence}%`);
-                    }
-                    if (bot.botScore) {
-                        console.log(`     Bot Score: ${bot.botScore}`);
-                    }
-                    console.log(`     Reason: ${bot.reason}`);
-                    if (bot.botReasons && bot.botReasons.length > 0) {
-                        console.log(`     Bot Indicators: ${bot.botReasons.join(', ')}`);
-                    }
-                    if (bot.humanIndicators && bot.humanIndicators.length > 0) {
-                        console.log(`     Human Indicators: ${bot.humanIndicators.join(', ')}`);
-                    }
-                    if (bot.validationLayers) {
-                        const passedLayers = Object.entries(bot.validationLayers)
-                            .filter(([key, value]) => value)
-                            .map(([key]) => key.replace('Validation', '').toLowerCase())
-                            .join(', ');
-                        console.log(`     Validation Layers Passed: ${passedLayers || 'None'}`);
-                    }
-                    if (bot.warnings && bot.warnings.length > 0) {
-                        console.log(`     Warnings: ${bot.warnings.join(', ')}`);
-                    }
-                });
+        if (options.history) {
+            try {
+                appendScanHistory(results, historyDir);
+            } catch (error) {
+                console.error(`Error saving scan history: ${error.message}`);
             }
-        } else {
-            console.log(`\n✅ No potential bots detected!`);
-        }
-        
-        // Save results if requested
-        if (options.output) {
-            saveResults(results, options.output);
-        }
-        
-        // Clean up
-        if (fs.existsSync('response.json')) {
-            fs.unlinkSync('response.json');
         }
-        
-        console.log(`\n✨ Scan completed successfully!`);
-        
-    } catch (error) {
+        await notifyWebhooks(results);
+    });
+    events.on('scanError', (scan) => {
+        console.error(`[${new Date().toLocaleTimeString()}] ⚠️  ${scan.cfxcode} (${scan.id}) - ${scan.error.message}`);
+    });
+    events.on('error', (error) => {
         console.error(`\n❌ Error: ${error.message}`);
-        if (options.verbose) {
-            console.error(error.stack);
-        }
-        process.exit(1);
+        process.exit(EXIT_CODES.INVALID_INPUT);
+    });
+    
+    console.log(`\n🌐 FiveM Bot Detection Tool v3.0 - API Server`);
+    console.log(`=============================================`);
+    
+    const api = startApiServer({ config: CONFIG, port, host, events });
+    
+    const shutdown = () => {
+        api.close();
+        process.exit(EXIT_CODES.CLEAN);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+}
+
+/**
+ * Print the effective configuration with secrets masked, and where each setting came from;
+ * reaching this point means the configuration, the detection profile and the player lists are valid
+ */
+function runConfigCheck() {
+    const subcommand = options.commandArgs[0];
+    if (subcommand !== 'check') {
+        console.error(`Error: unknown config command "${subcommand}" (expected check)`);
+        process.exit(EXIT_CODES.INVALID_INPUT);
+    }
+    
+    console.log(`\n🔧 FiveM Bot Detection Tool v3.0 - Configuration`);
+    console.log(`================================================`);
+    
+    const masked = maskConfig(Object.assign({}, CONFIG, { DETECTION_PROFILE: detectionProfile.name }));
+    const width = Math.max(...Object.keys(masked).map(setting => setting.length));
+    for (const [setting, value] of Object.entries(masked)) {
+        console.log(`${setting.padEnd(width)}  ${JSON.stringify(value)}  (${configSources[setting]})`);
     }
+    
+    const apiKeyProblem = describeApiKeyProblem(CONFIG.API_KEY);
+    if (apiKeyProblem) {
+        console.log(`\n⚠️  ${apiKeyProblem}; Steam lookups will fail until STEAM_API_KEY or apiKey is set`);
+    }
+    console.log(`\n✅ Configuration is valid`);
 }
 
-// Run the bot detection
-checkForBots();
+if (options.command === 'evaluate') {
+    runEvaluation();
+} else if (options.command === 'history') {
+    runHistory();
+} else if (options.command === 'crawl') {
+    runCrawl();
+} else if (options.command === 'metrics') {
+    runMetrics();
+} else if (options.command === 'serve') {
+    runServe();
+} else if (options.command === 'config') {
+    runConfigCheck();
+} else if (options.cfxcodes.length > 1) {
+    runMultiScan();
+} else if (options.watch) {
+    runWatch();
+} else {
+    // Run the bot detection
+    checkForBots();
+}
@@ -0,0 +1,74 @@
+const { DEFAULT_CONFIG, createConfig, resolveConfig, validateConfig, maskConfig, describeApiKeyProblem } = require('./lib/config');
+const { scanServer, extractPlayers } = require('./lib/scanner');
+const { downloadServerData } = require('./lib/fivem');
+const { hexToSteam64, getSteamProfiles, getSteamProfile } = require('./lib/steam');
+const { createScanRecorder, loadScanRecording } = require('./lib/recording');
+const { loadDataset, loadLabels, evaluateDataset } = require('./lib/evaluate');
+const { parseInterval, createSessionTracker, watchServer } = require('./lib/watch');
+const { readServerList, scanServers, buildComparison } = require('./lib/multi-scan');
+const { fetchServerList, selectServers, buildLeaderboard, crawlServers } = require('./lib/crawl');
+const { REPORT_FORMATS, renderReport, writeReports } = require('./lib/report');
+const { buildAlert, formatWebhookPayload, createAlertDeduper, sendAlerts } = require('./lib/alerts');
+const { renderMetrics, startMetricsExporter } = require('./lib/metrics');
+const { startApiServer } = require('./lib/api-server');
+const { CONSERVATIVE_PROFILE, listProfiles, loadProfile, validateProfile } = require('./lib/profiles');
+const { compilePlayerLists, matchPlayerLists } = require('./lib/player-lists');
+const { summarizeResults, appendScanHistory, readScanHistory, buildHistoryTrend } = require('./lib/history');
+const { EXIT_CODES, exceedsThresholds, getExitCode } = require('./lib/exit-codes');
+const analysis = require('./lib/analysis');
+const errors = require('./lib/errors');
+
+module.exports = {
+    scanServer,
+    extractPlayers,
+    downloadServerData,
+    hexToSteam64,
+    getSteamProfiles,
+    getSteamProfile,
+    createScanRecorder,
+    loadScanRecording,
+    loadDataset,
+    loadLabels,
+    evaluateDataset,
+    parseInterval,
+    createSessionTracker,
+    watchServer,
+    readServerList,
+    scanServers,
+    buildComparison,
+    fetchServerList,
+    selectServers,
+    buildLeaderboard,
+    crawlServers,
+    REPORT_FORMATS,
+    renderReport,
+    writeReports,
+    buildAlert,
+    formatWebhookPayload,
+    createAlertDeduper,
+    sendAlerts,
+    renderMetrics,
+    startMetricsExporter,
+    startApiServer,
+    CONSERVATIVE_PROFILE,
+    listProfiles,
+    loadProfile,
+    validateProfile,
+    compilePlayerLists,
+    matchPlayerLists,
+    summarizeResults,
+    appendScanHistory,
+    readScanHistory,
+    buildHistoryTrend,
+    EXIT_CODES,
+    exceedsThresholds,
+    getExitCode,
+    DEFAULT_CONFIG,
+    createConfig,
+    resolveConfig,
+    validateConfig,
+    maskConfig,
+    describeApiKeyProblem,
+    ...analysis,
+    ...errors
+};
@@ -0,0 +1,329 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createConfig } = require('./config');
+const { httpPostJson } = require('./http');
+const { formatReasonName } = require('./report');
+
+const WEBHOOK_TYPES = ['discord', 'slack', 'generic'];
+
+/**
+ * Host part of a webhook URL, for logs (the path of Discord and Slack webhooks is a secret)
+ * @param {string} url - Webhook URL
+ * @returns {string} - e.g. "discord.com"
+ */
+function maskWebhookUrl(url) {
+    try {
+        return new URL(url).host;
+    } catch (error) {
+        return 'invalid URL';
+    }
+}
+
+/**
+ * Build the alert for a scan: counts, top reasons and the most suspicious players
+ * @param {Object} results - Results object from scanServer
+ * @param {Object} [options] - { maxReasons, maxPlayers }
+ * @returns {Object} - Alert payload, also the default body of generic webhooks
+ */
+function buildAlert(results, options = {}) {
+    const { server, statistics } = results;
+    
+    const topReasons = Object.entries(statistics.botReasons || {})
+        .filter(([reason, count]) => reason !== 'borderlineCases' && count > 0)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, options.maxReasons || 5)
+        .map(([reason, count]) => ({ reason, count }));
+    
+    const suspiciousPlayers = results.potentialBots
+        .map(bot => ({
+            name: bot.playerName,
+            steamHex: bot.steamHex || null,
+            reason: bot.reason,
+            confidence: bot.botConfidence || bot.botScore || null,
+            indicators: bot.additionalReasons || []
+        }))
+        .sort((a, b) => (b.confidence || 0) - (a.confidence || 0) || b.indicators.length - a.indicators.length)
+        .slice(0, options.maxPlayers || 5);
+    
+    return {
+        cfxcode: server.cfxcode,
+        serverName: String(server.name || '').replace(/\^\d/g, ''),
+        scanTime: server.scanTime,
+        currentPlayers: server.currentPlayers,
+        maxPlayers: server.maxPlayers,
+        totalPlayers: statistics.totalAnalyzedPlayers,
+        steamPlayers: statistics.steamPlayers,
+        validProfiles: statistics.validProfiles,
+        botScore: statistics.botScore,
+        botPercentage: statistics.botPercentage,
+        borderlineCases: (statistics.botReasons && statistics.botReasons.borderlineCases) || 0,
+        topReasons,
+        suspiciousPlayers
+    };
+}
+
+/**
+ * Whether an alert crosses a webhook's limits
+ *
+ * Either configured limit is enough: a webhook with both minBotScore and minBotPercentage alerts
+ * when the bot count reaches the one or the percentage the other. Without limits it alerts on the
+ * first potential bot. A scan without potential bots never alerts.
+ *
+ * @param {Object} alert - Alert from buildAlert
+ * @param {Object} webhook - { minBotScore, minBotPercentage }
+ * @returns {boolean} - True when at least one configured limit is reached
+ */
+function crossesThresholds(alert, webhook) {
+    const limits = [];
+    if (webhook.minBotScore !== undefined) limits.push(alert.botScore >= webhook.minBotScore);
+    if (webhook.minBotPercentage !== undefined) limits.push(alert.botPercentage >= webhook.minBotPercentage);
+    return alert.botScore > 0 && (limits.length === 0 || limits.includes(true));
+}
+
+/**
+ * Discord webhook body with one embed
+ * @param {Object} alert - Alert from buildAlert
+ * @returns {Object} - Discord execute-webhook payload
+ */
+function formatDiscord(alert) {
+    const fields = [
+        { name: 'Players', value: `${alert.currentPlayers}/${alert.maxPlayers}`, inline: true },
+        { name: 'Potential bots', value: `${alert.botScore} (${alert.botPercentage}%)`, inline: true },
+        { name: 'Borderline', value: String(alert.borderlineCases), inline: true }
+    ];
+    if (alert.topReasons.length > 0) {
+        fields.push({
+            name: 'Top reasons',
+            value: alert.topReasons.map(({ reason, count }) => `${formatReasonName(reason)}: ${count}`).join('\n')
+        });
+    }
+    if (alert.suspiciousPlayers.length > 0) {
+        fields.push({
+            name: 'Most suspicious players',
+            value: alert.suspiciousPlayers.map(player => `• ${player.name} - ${player.reason}`).join('\n').slice(0, 1024)
+        });
+    }
+    
+    return {
+        username: 'FiveM Bot Detection',
+        embeds: [{
+            title: `🚨 Bot alert: ${alert.serverName}`.slice(0, 256),
+            description: `CFX code \`${alert.cfxcode}\``,
+            color: 0xe74c3c,
+            fields,
+            timestamp: alert.scanTime
+        }]
+    };
+}
+
+/**
+ * Slack incoming-webhook body with Block Kit blocks
+ * @param {Object} alert - Alert from buildAlert
+ * @returns {Object} - Slack payload
+ */
+function formatSlack(alert) {
+    const summary = `🚨 Bot alert: ${alert.serverName} (${alert.cfxcode}): ${alert.botScore} potential bots (${alert.botPercentage}%)`;
+    const blocks = [
+        { type: 'header', text: { type: 'plain_text', text: `🚨 Bot alert: ${alert.serverName}`.slice(0, 150) } },
+        {
+            type: 'section',
+            fields: [
+                { type: 'mrkdwn', text: `*CFX code*\n\`${alert.cfxcode}\`` },
+                { type: 'mrkdwn', text: `*Players*\n${alert.currentPlayers}/${alert.maxPlayers}` },
+                { type: 'mrkdwn', text: `*Potential bots*\n${alert.botScore} (${alert.botPercentage}%)` },
+                { type: 'mrkdwn', text: `*Borderline*\n${alert.borderlineCases}` }
+            ]
+        }
+    ];
+    if (alert.topReasons.length > 0) {
+        blocks.push({
+            type: 'section',
+            text: { type: 'mrkdwn', text: `*Top reasons*\n${alert.topReasons.map(({ reason, count }) => `• ${formatReasonName(reason)}: ${count}`).join('\n')}` }
+        });
+    }
+    if (alert.suspiciousPlayers.length > 0) {
+        blocks.push({
+            type: 'section',
+            text: { type: 'mrkdwn', text: `*Most suspicious players*\n${alert.suspiciousPlayers.map(player => `• ${player.name} - ${player.reason}`).join('\n')}`.slice(0, 3000) }
+        });
+    }
+    
+    return { text: summary, blocks };
+}
+
+/**
+ * Fill a generic webhook template with alert fields
+ *
+ * A string that is exactly "{{field}}" is replaced by the field's value (numbers and arrays
+ * keep their type); other strings have their {{field}} placeholders interpolated.
+ *
+ * @param {*} template - Template object from the webhook configuration
+ * @param {Object} alert - Alert from buildAlert
+ * @returns {*} - Filled template, or the alert itself when there is no template
+ */
+function formatGeneric(template, alert) {
+    if (template === undefined || template === null) {
+        return alert;
+    }
+    if (typeof template === 'string') {
+        const whole = template.match(/^\{\{(\w+)\}\}$/);
+        if (whole) {
+            return alert[whole[1]] !== undefined ? alert[whole[1]] : null;
+        }
+        return template.replace(/\{\{(\w+)\}\}/g, (match, field) => {
+            const value = alert[field];
+            return value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+        });
+    }
+    if (Array.isArray(template)) {
+        return template.map(item => formatGeneric(item, alert));
+    }
+    if (typeof template === 'object') {
+        const filled = {};
+        for (const [key, value] of Object.entries(template)) {
+            filled[key] = formatGeneric(value, alert);
+        }
+        return filled;
+    }
+    return template;
+}
+
+/**
+ * Body to POST to a webhook
+ * @param {Object} webhook - { type, template }
+ * @param {Object} alert - Alert from buildAlert
+ * @returns {Object} - Request body
+ */
+function formatWebhookPayload(webhook, alert) {
+    switch (webhook.type || 'generic') {
+        case 'discord':
+            return formatDiscord(alert);
+        case 'slack':
+            return formatSlack(alert);
+        case 'generic':
+            return formatGeneric(webhook.template, alert);
+        default:
+            throw new Error(`Unknown webhook type "${webhook.type}" (expected ${WEBHOOK_TYPES.join(', ')})`);
+    }
+}
+
+/**
+ * Remember which alerts were sent, so repeated runs do not post the same verdict again
+ *
+ * An alert is a duplicate when the same webhook was alerted about the same server within
+ * `windowMs` and the number of potential bots has not grown since. State is kept in
+ * `stateFile` when given, so separate runs (cron, --watch restarts) share it.
+ *
+ * @param {Object} [options] - { stateFile, windowMs }
+ * @returns {Object} - { isDuplicate(key, alert, now), remember(key, alert, now) }
+ */
+function createAlertDeduper(options = {}) {
+    const windowMs = options.windowMs !== undefined ? options.windowMs : 60 * 60 * 1000;
+    let state = {};
+    
+    if (options.stateFile && fs.existsSync(options.stateFile)) {
+        try {
+            state = JSON.parse(fs.readFileSync(options.stateFile, 'utf8')) || {};
+        } catch (error) {
+            state = {}; // A corrupt state file only costs one repeated alert
+        }
+    }
+    
+    return {
+        isDuplicate(key, alert, now = Date.now()) {
+            const previous = state[key];
+            return Boolean(previous) &&
+                now - previous.sentAt < windowMs &&
+                alert.botScore <= previous.botScore;
+        },
+        remember(key, alert, now = Date.now()) {
+            state[key] = { sentAt: now, botScore: alert.botScore, botPercentage: alert.botPercentage };
+            
+            // Drop entries that can no longer suppress anything
+            for (const [entryKey, entry] of Object.entries(state)) {
+                if (now - entry.sentAt >= windowMs) delete state[entryKey];
+            }
+            
+            if (options.stateFile) {
+                fs.mkdirSync(path.dirname(options.stateFile), { recursive: true });
+                fs.writeFileSync(options.stateFile, JSON.stringify(state, null, 2));
+            }
+        }
+    };
+}
+
+/**
+ * Post a scan's alert to every configured webhook whose limits it crosses
+ * @param {Object} results - Results object from scanServer
+ * @param {Object} [options] - { config, deduper, log, now }
+ * @returns {Promise<Array<Object>>} - { webhook (host only), type, status: sent|below-threshold|duplicate|failed, error };
+ *     a sent alert carries an error when its de-duplication state could not be saved
+ */
+async function sendAlerts(results, options = {}) {
+    const config = createConfig(options.config);
+    const log = options.log || (() => {});
+    const now = options.now || Date.now();
+    const webhooks = config.WEBHOOKS || [];
+    if (webhooks.length === 0) {
+        return [];
+    }
+    
+    const deduper = options.deduper || createAlertDeduper({
+        stateFile: config.WEBHOOK_STATE_FILE,
+        windowMs: config.WEBHOOK_DEDUPE_MINUTES * 60 * 1000
+    });
+    const alert = buildAlert(results);
+    const outcomes = [];
+    
+    for (const webhook of webhooks) {
+        const outcome = { webhook: maskWebhookUrl(webhook.url), type: webhook.type || 'generic', status: 'sent', error: null };
+        // The state file is keyed by a hash so it does not hold the webhook secrets
+        const key = `${crypto.createHash('sha256').update(webhook.url).digest('hex').slice(0, 16)}|${alert.cfxcode}`;
+        outcomes.push(outcome);
+        
+        if (!crossesThresholds(alert, webhook)) {
+            outcome.status = 'below-threshold';
+            continue;
+        }
+        if (deduper.isDuplicate(key, alert, now)) {
+            outcome.status = 'duplicate';
+            continue;
+        }
+        
+        try {
+            await httpPostJson(webhook.url, formatWebhookPayload(webhook, alert), {
+                timeout: config.REQUEST_TIMEOUT,
+                retries: config.MAX_RETRIES,
+                proxy: config.PROXY,
+                log
+            });
+        } catch (error) {
+            outcome.status = 'failed';
+            // Error messages carry the URL, whose path is the webhook secret
+            outcome.error = error.statusCode ? `HTTP ${error.statusCode}` : (error.cause ? error.cause.message : error.message);
+            continue;
+        }
+        
+        // The alert was sent: failing to persist it only costs de-duplication across runs
+        try {
+            deduper.remember(key, alert, now);
+        } catch (error) {
+            outcome.error = `Sent, but the alert state could not be saved: ${error.message}`;
+        }
+    }
+    
+    return outcomes;
+}
+
+module.exports = {
+    WEBHOOK_TYPES,
+    buildAlert,
+    crossesThresholds,
+    formatDiscord,
+    formatSlack,
+    formatGeneric,
+    formatWebhookPayload,
+    createAlertDeduper,
+    sendAlerts
+};
@@ -0,0 +1,1085 @@
+const { CONSERVATIVE_PROFILE } = require('./profiles');
+const net = require('net');
+const { matchPlayerLists, describeListMatch } = require('./player-lists');
+const { clusterPlayerNames } = require('./name-clusters');
+const { findIdRuns } = require('./id-runs');
+const { analyzePingDistribution, findPingAnomaly } = require('./ping-distribution');
+
+// Value formats of the identifier types FiveM reports; other types are accepted as they come
+const IDENTIFIER_FORMATS = {
+    steam: value => /^[0-9a-f]{15}$/i.test(value),
+    license: value => /^[0-9a-f]{40}$/i.test(value),
+    license2: value => /^[0-9a-f]{40}$/i.test(value),
+    discord: value => /^[0-9]{17,20}$/.test(value),
+    xbl: value => /^[0-9]{1,20}$/.test(value),
+    live: value => /^[0-9]{1,20}$/.test(value),
+    fivem: value => /^[0-9]{1,12}$/.test(value),
+    ip: value => net.isIP(value) !== 0
+};
+
+// Identifier types that belong to one account, so no two players should share them
+const ACCOUNT_IDENTIFIER_TYPES = ['license', 'discord'];
+
+// Discord snowflakes count milliseconds from the first second of 2015
+const DISCORD_EPOCH = 1420070400000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Split a FiveM identifier into its type and value
+ * @param {string} identifier - e.g. "license:3f2c..."
+ * @returns {Object|null} - { type, value } with a lowercase type, or null when there is no "type:" prefix
+ */
+function parseIdentifier(identifier) {
+    const match = /^([a-z0-9]+):(.*)$/i.exec(String(identifier));
+    return match ? { type: match[1].toLowerCase(), value: match[2] } : null;
+}
+
+/**
+ * Index the account identifiers of a server by value, to find the ones several players share
+ * @param {Array} players - Players from extractPlayers
+ * @returns {Map<string, Set<Object>>} - "license:3f2c..." (lowercase) -> players holding it
+ */
+function indexAccountIdentifiers(players) {
+    const holders = new Map();
+    for (const player of players) {
+        for (const identifier of player.identifiers || []) {
+            const parsed = parseIdentifier(identifier);
+            if (!parsed || !ACCOUNT_IDENTIFIER_TYPES.includes(parsed.type)) continue;
+            const key = `${parsed.type}:${parsed.value.toLowerCase()}`;
+            if (!holders.has(key)) holders.set(key, new Set());
+            holders.get(key).add(player);
+        }
+    }
+    return holders;
+}
+
+/**
+ * Creation time encoded in a Discord user ID (snowflake)
+ * @param {string} discordId - Value of a discord: identifier
+ * @returns {number|null} - Milliseconds since the Unix epoch, or null when the ID is not a snowflake
+ */
+function discordCreatedAt(discordId) {
+    if (!/^[0-9]{17,20}$/.test(String(discordId))) {
+        return null;
+    }
+    return Number(BigInt(discordId) >> 22n) + DISCORD_EPOCH;
+}
+
+/**
+ * Find the largest group of Discord accounts created within `windowDays` of each other
+ * @param {Array<number>} createdAt - Creation times in milliseconds
+ * @param {number} windowDays - Width of the window
+ * @returns {Object|null} - { start, end, accounts } of the largest window, or null without accounts
+ */
+function findDiscordCohort(createdAt, windowDays) {
+    const times = createdAt.slice().sort((a, b) => a - b);
+    let best = null;
+    let first = 0;
+    for (let last = 0; last < times.length; last++) {
+        while (times[last] - times[first] > windowDays * DAY_MS) first++;
+        if (!best || last - first + 1 > best.accounts) {
+            best = { start: times[first], end: times[last], accounts: last - first + 1 };
+        }
+    }
+    return best;
+}
+
+/**
+ * Analyze server context to determine appropriate bot detection thresholds
+ * @param {Object} serverInfo - Server information from FiveM API
+ * @param {Array} players - Array of players
+ * @param {Date} [scanDate] - When the server data was captured
+ * @param {Object} [profile] - Detection profile from loadProfile (default: conservative)
+ * @returns {Object} - Server context analysis
+ */
+function analyzeServerContext(serverInfo, players, scanDate = new Date(), profile = CONSERVATIVE_PROFILE) {
+    const thresholds = profile.serverThresholds;
+    const context = {
+        isDevelopmentServer: false,
+        isLowPopulation: false,
+        isTestServer: false,
+        isRoleplayServer: false,
+        isFreeroamServer: false,
+        hasWhitelist: false,
+        isPrivateServer: false,
+        serverReputation: 'unknown',
+        expectedBotThreshold: thresholds.default,
+        contextFactors: [],
+        adjustments: {
+            noIdentifiers: 0,
+            localhost: 0,
+            suspiciousNames: 0,
+            highPing: 0,
+            duplicateNames: 0
+        }
+    };
+    
+    // Check if it's a development/test server
+    if (serverInfo.hostname) {
+        const hostname = serverInfo.hostname.toLowerCase();
+        if (hostname.includes('test') || hostname.includes('dev') || hostname.includes('development') || 
+            hostname.includes('debug') || hostname.includes('staging')) {
+            context.isDevelopmentServer = true;
+            context.isTestServer = true;
+            context.expectedBotThreshold = thresholds.development;
+            context.adjustments.noIdentifiers = -20; // Reduce penalty for no identifiers
+            context.adjustments.localhost = -30; // Reduce penalty for localhost
+            context.contextFactors.push('Development/Test server detected');
+        }
+    }
+    
+    // Check server type
+    if (serverInfo.gametype) {
+        const gameType = serverInfo.gametype.toLowerCase();
+        if (gameType.includes('roleplay') || gameType.includes('rp')) {
+            context.isRoleplayServer = true;
+            context.expectedBotThreshold = thresholds.roleplay;
+            context.adjustments.suspiciousNames = 10; // Increase penalty for suspicious names
+            context.contextFactors.push('Roleplay server detected');
+        } else if (gameType.includes('freeroam') || gameType.includes('free roam')) {
+            context.isFreeroamServer = true;
+            context.expectedBotThreshold = thresholds.freeroam;
+            context.contextFactors.push('Freeroam server detected');
+        }
+    }
+    
+    // Check for whitelist indicators
+    if (serverInfo.vars) {
+        if (serverInfo.vars.sv_whitelist === 'true' || serverInfo.vars.whitelist === 'true') {
+            context.hasWhitelist = true;
+            context.expectedBotThreshold = thresholds.whitelisted;
+            context.adjustments.noIdentifiers = 15; // Increase penalty for no identifiers
+            context.contextFactors.push('Whitelisted server detected');
+        }
+        
+        if (serverInfo.vars.sv_password || serverInfo.vars.password) {
+            context.isPrivateServer = true;
+            context.expectedBotThreshold = thresholds.private;
+            context.contextFactors.push('Private server detected');
+        }
+    }
+    
+    // Check server privacy
+    if (serverInfo.private === true) {
+        context.isPrivateServer = true;
+        context.expectedBotThreshold = thresholds.private;
+        context.contextFactors.push('Private server confirmed');
+    }
+    
+    // Analyze player count context
+    const totalPlayers = players.length;
+    const maxPlayers = serverInfo.sv_maxclients || serverInfo.svMaxclients || 32;
+    const playerRatio = totalPlayers / maxPlayers;
+    
+    // Store total players in context for validation
+    context.totalPlayers = totalPlayers;
+    
+    // Share of players that carry each identifier type, e.g. { license: 1, discord: 0.82 }
+    context.identifierShares = {};
+    for (const player of players) {
+        const types = new Set((player.identifiers || []).map(parseIdentifier).filter(Boolean).map(parsed => parsed.type));
+        types.forEach(type => {
+            context.identifierShares[type] = (context.identifierShares[type] || 0) + 1;
+        });
+    }
+    for (const type of Object.keys(context.identifierShares)) {
+        context.identifierShares[type] = Math.round((context.identifierShares[type] / totalPlayers) * 1000) / 1000;
+    }
+    
+    // Players behind each license and Discord account; not enumerable, so it stays out of the saved results
+    Object.defineProperty(context, 'accountIdentifiers', { value: indexAccountIdentifiers(players) });
+    
+    // Groups of players whose names look generated from one pattern
+    context.nameClusters = clusterPlayerNames(players, profile.limits);
+    
+    // Runs of consecutive server IDs whose players share a trait, as scripts connecting bots leave them
+    context.idRuns = findIdRuns(players, context.nameClusters, profile.limits);
+    
+    // Pings compared with the server's own distribution: 0ms clusters, shared values and outliers
+    context.pingDistribution = analyzePingDistribution(players, profile.limits);
+    
+    // Linked Discord accounts, and whether most of them were created within days of each other
+    const limits = profile.limits;
+    const discordTimes = players
+        .map(player => (player.identifiers || []).map(parseIdentifier).find(parsed => parsed && parsed.type === 'discord'))
+        .filter(Boolean)
+        .map(parsed => discordCreatedAt(parsed.value))
+        .filter(time => time !== null);
+    const cohort = findDiscordCohort(discordTimes, limits.discordCohortDays);
+    context.referenceTime = scanDate.getTime();
+    context.discordAccounts = { linked: discordTimes.length, cohort: null };
+    if (cohort && cohort.accounts >= limits.discordCohortMinAccounts &&
+        (cohort.accounts / discordTimes.length) * 100 >= limits.discordCohortPercent) {
+        context.discordAccounts.cohort = {
+            start: new Date(cohort.start).toISOString(),
+            end: new Date(cohort.end).toISOString(),
+            accounts: cohort.accounts,
+            share: Math.round((cohort.accounts / discordTimes.length) * 1000) / 1000
+        };
+    }
+    
+    if (totalPlayers <= 5) {
+        context.isLowPopulation = true;
+        context.expectedBotThreshold = thresholds.lowPopulation;
+        context.adjustments.noIdentifiers = -15; // Reduce penalty for no identifiers
+        context.contextFactors.push('Low population server');
+    } else if (playerRatio < 0.1) {
+        context.expectedBotThreshold = thresholds.lowActivity;
+        context.contextFactors.push('Very low activity server');
+    }
+    
+    // Check server tags for additional context
+    if (serverInfo.vars && serverInfo.vars.tags) {
+        const tags = serverInfo.vars.tags.toLowerCase();
+        if (tags.includes('whitelist')) {
+            context.hasWhitelist = true;
+            context.expectedBotThreshold = Math.min(context.expectedBotThreshold, thresholds.whitelisted);
+        }
+        if (tags.includes('test') || tags.includes('dev')) {
+            context.isTestServer = true;
+            context.expectedBotThreshold = Math.max(context.expectedBotThreshold, thresholds.testTags);
+        }
+        if (tags.includes('roleplay') || tags.includes('rp')) {
+            context.isRoleplayServer = true;
+            context.expectedBotThreshold = Math.min(context.expectedBotThreshold, thresholds.roleplay);
+        }
+    }
+    
+    // Check server owner reputation (basic analysis)
+    if (serverInfo.ownerName) {
+        const ownerName = serverInfo.ownerName.toLowerCase();
+        if (ownerName.includes('admin') || ownerName.includes('mod') || ownerName.includes('staff')) {
+            context.serverReputation = 'staff';
+            context.expectedBotThreshold = Math.min(context.expectedBotThreshold, thresholds.staffOwner);
+            context.contextFactors.push('Staff-owned server');
+        } else if (ownerName.includes('test') || ownerName.includes('dev')) {
+            context.serverReputation = 'development';
+            context.expectedBotThreshold = Math.max(context.expectedBotThreshold, thresholds.developmentOwner);
+            context.contextFactors.push('Development owner');
+        }
+    }
+    
+    // Check server resources for context
+    if (serverInfo.resources && serverInfo.resources.length > 0) {
+        const resourceCount = serverInfo.resources.length;
+        if (resourceCount > 100) {
+            context.contextFactors.push('High resource count - likely established server');
+            context.expectedBotThreshold = Math.min(context.expectedBotThreshold, thresholds.highResourceCount);
+        } else if (resourceCount < 20) {
+            context.contextFactors.push('Low resource count - possible test server');
+            context.expectedBotThreshold = Math.max(context.expectedBotThreshold, thresholds.lowResourceCount);
+        }
+        
+        // Check for specific resource types
+        const resourceNames = serverInfo.resources.map(r => r.toLowerCase()).join(' ');
+        if (resourceNames.includes('whitelist') || resourceNames.includes('permissions')) {
+            context.hasWhitelist = true;
+            context.expectedBotThreshold = Math.min(context.expectedBotThreshold, thresholds.permissionResources);
+        }
+        if (resourceNames.includes('test') || resourceNames.includes('debug')) {
+            context.isTestServer = true;
+            context.expectedBotThreshold = Math.max(context.expectedBotThreshold, thresholds.testResources);
+        }
+    }
+    
+    // Time-based analysis
+    const currentHour = scanDate.getHours();
+    if (currentHour >= 2 && currentHour <= 6) {
+        context.contextFactors.push('Off-peak hours (2-6 AM)');
+        context.expectedBotThreshold = Math.max(context.expectedBotThreshold, thresholds.offPeakHours);
+    } else if (currentHour >= 18 && currentHour <= 23) {
+        context.contextFactors.push('Peak hours (6-11 PM)');
+        context.expectedBotThreshold = Math.min(context.expectedBotThreshold, thresholds.peakHours);
+    }
+    
+    // Final threshold adjustment based on multiple factors
+    if (context.contextFactors.length > 3) {
+        context.expectedBotThreshold = Math.min(context.expectedBotThreshold, thresholds.manyContextFactors);
+    }
+    
+    return context;
+}
+
+/**
+ * Analyze Steam profile for bot indicators
+ * @param {Object} profile - Steam profile data
+ * @param {number} [now] - Reference time in milliseconds for age checks
+ * @returns {Object} - Bot indicators and confidence score
+ */
+function analyzeSteamProfileForBots(profile, now = Date.now()) {
+    const indicators = [];
+    let confidence = 0;
+    
+    // Check profile age (very new accounts are suspicious)
+    if (profile.timecreated) {
+        const accountAge = now / 1000 - profile.timecreated;
+        const daysOld = accountAge / (24 * 60 * 60);
+        
+        if (daysOld < 1) {
+            indicators.push('Account less than 1 day old');
+            confidence += 30;
+        } else if (daysOld < 7) {
+            indicators.push('Account less than 1 week old');
+            confidence += 15;
+        } else if (daysOld < 30) {
+            indicators.push('Account less than 1 month old');
+            confidence += 5;
+        }
+    }
+    
+    // Check profile privacy (private profiles are suspicious)
+    if (profile.communityvisibilitystate === 1) {
+        indicators.push('Private profile');
+        confidence += 20;
+    } else if (profile.communityvisibilitystate === 2) {
+        indicators.push('Friends-only profile');
+        confidence += 10;
+    }
+    
+    // Check if profile is online but not playing (suspicious for bots)
+    if (profile.personastate === 1 && !profile.gameextrainfo) {
+        indicators.push('Online but not playing any game');
+        confidence += 15;
+    }
+    
+    // Check for default avatar (suspicious)
+    if (profile.avatar && profile.avatar.includes('steamcommunity/public/images/avatars/fe/')) {
+        indicators.push('Default Steam avatar');
+        confidence += 10;
+    }
+    
+    // Check for suspicious name patterns
+    if (profile.personaname) {
+        if (isSuspiciousName(profile.personaname)) {
+            indicators.push('Suspicious Steam name');
+            confidence += 20;
+        }
+        
+        // Check for random character patterns
+        if (/^[a-zA-Z0-9]{8,}$/.test(profile.personaname) && !/[aeiou]/i.test(profile.personaname)) {
+            indicators.push('Random character Steam name');
+            confidence += 15;
+        }
+    }
+    
+    // Check for missing profile information
+    if (!profile.realname && !profile.loccountrycode) {
+        indicators.push('Missing profile information');
+        confidence += 10;
+    }
+    
+    // Check for very recent last logoff (could indicate bot behavior)
+    if (profile.lastlogoff) {
+        const timeSinceLogoff = now / 1000 - profile.lastlogoff;
+        const hoursSinceLogoff = timeSinceLogoff / (60 * 60);
+        
+        if (hoursSinceLogoff < 0.1) { // Less than 6 minutes
+            indicators.push('Very recent logoff (possible bot restart)');
+            confidence += 15;
+        }
+    }
+    
+    // Check for playing FiveM specifically (good indicator)
+    if (profile.gameextrainfo && profile.gameextrainfo.toLowerCase().includes('fivem')) {
+        confidence -= 10; // Reduce suspicion if playing FiveM
+    }
+    
+    return {
+        indicators,
+        confidence: Math.min(confidence, 100), // Cap at 100
+        isLikelyBot: confidence >= 50
+    };
+}
+
+/**
+ * Multi-layer validation system for bulletproof bot detection
+ * @param {Object} player - Player data
+ * @param {Object} serverContext - Server context
+ * @param {Array} allPlayers - All players for cross-reference
+ * @param {Object} [profile] - Detection profile from loadProfile (default: conservative)
+ * @param {Object} [playerLists] - Operator allowlist and denylist from compilePlayerLists
+ * @returns {Object} - Validation result with confidence levels
+ */
+function validatePlayerForBots(player, serverContext, allPlayers, profile = CONSERVATIVE_PROFILE, playerLists = null) {
+    const { decision } = profile;
+    const validation = {
+        isBot: false,
+        confidence: 0,
+        reasons: [],
+        warnings: [],
+        humanIndicators: [],
+        botIndicators: [],
+        finalScore: 0,
+        listMatch: null,
+        findings: [],
+        discordCreatedAt: null,
+        validationLayers: {
+            identifierValidation: false,
+            nameValidation: false,
+            connectionValidation: false,
+            behaviorValidation: false,
+            patternValidation: false,
+            contextValidation: false,
+            discordValidation: null // null when the player has no Discord account to check
+        }
+    };
+    
+    // Layer 1: Identifier Validation (Most Important)
+    const identifierValidation = validateIdentifiers(player, allPlayers, serverContext, profile);
+    validation.findings.push(...identifierValidation.findings);
+    if (identifierValidation.isSuspicious) {
+        validation.botIndicators.push(...identifierValidation.reasons);
+        validation.confidence += identifierValidation.score;
+    } else {
+        validation.humanIndicators.push('Has authentication identifiers');
+        validation.validationLayers.identifierValidation = true;
+    }
+    
+    // Layer 2: Name Validation (Conservative)
+    const nameValidation = validatePlayerName(player.name, serverContext, profile);
+    if (nameValidation.isSuspicious) {
+        validation.botIndicators.push(...nameValidation.reasons);
+        validation.confidence += nameValidation.score;
+    } else {
+        validation.humanIndicators.push('Normal name pattern');
+        validation.validationLayers.nameValidation = true;
+    }
+    
+    // Layer 3: Connection Validation
+    const connectionValidation = validateConnection(player, serverContext, profile);
+    validation.findings.push(...connectionValidation.findings);
+    if (connectionValidation.isSuspicious) {
+        validation.botIndicators.push(...connectionValidation.reasons);
+        validation.confidence += connectionValidation.score;
+    } else {
+        validation.humanIndicators.push('Normal connection pattern');
+        validation.validationLayers.connectionValidation = true;
+    }
+    
+    // Layer 4: Behavioral Pattern Validation
+    const behaviorValidation = validateBehavior(player, allPlayers, serverContext, profile);
+    validation.findings.push(...behaviorValidation.findings);
+    if (behaviorValidation.isSuspicious) {
+        validation.botIndicators.push(...behaviorValidation.reasons);
+        validation.confidence += behaviorValidation.score;
+    } else {
+        validation.humanIndicators.push('Normal behavioral pattern');
+        validation.validationLayers.behaviorValidation = true;
+    }
+    
+    // Layer 5: Pattern Validation (Advanced)
+    const patternValidation = validateAdvancedPatterns(player, serverContext, profile);
+    if (patternValidation.isSuspicious) {
+        validation.botIndicators.push(...patternValidation.reasons);
+        validation.confidence += patternValidation.score;
+    } else {
+        validation.humanIndicators.push('Normal pattern characteristics');
+        validation.validationLayers.patternValidation = true;
+    }
+    
+    // Layer 6: Context Validation
+    const contextValidation = validateContext(player, serverContext, profile);
+    if (contextValidation.isSuspicious) {
+        validation.botIndicators.push(...contextValidation.reasons);
+        validation.confidence += contextValidation.score;
+    } else {
+        validation.humanIndicators.push('Contextually normal');
+        validation.validationLayers.contextValidation = true;
+    }
+    
+    // Layer 7: Discord Account Age (only for players with a linked Discord account)
+    const discordValidation = validateDiscordAccount(player, serverContext, profile);
+    validation.discordCreatedAt = discordValidation.createdAt;
+    if (discordValidation.createdAt) {
+        validation.findings.push(...discordValidation.findings);
+        if (discordValidation.isSuspicious) {
+            validation.botIndicators.push(...discordValidation.reasons);
+            validation.confidence += discordValidation.score;
+            validation.validationLayers.discordValidation = false;
+        } else {
+            validation.humanIndicators.push('Established Discord account');
+            validation.validationLayers.discordValidation = true;
+        }
+    }
+    
+    // Calculate final score with conservative thresholds
+    validation.finalScore = validation.confidence;
+    
+    // Decision logic - the profile's rules say how much evidence makes a bot
+    const strongIndicators = validation.botIndicators.filter(reason => 
+        decision.strongIndicators.some(indicator => reason.includes(indicator))
+    ).length;
+    
+    // The Discord layer only runs for players with a Discord account, so it is not counted: maxLayersPassed
+    // keeps meaning the same six layers for everyone
+    const validationLayersPassed = Object.entries(validation.validationLayers)
+        .filter(([layer, passed]) => layer !== 'discordValidation' && passed).length;
+    
+    // Flag as bot if any rule matches; a rule needs all of its conditions
+    validation.isBot = decision.rules.some(rule => 
+        (rule.minStrongIndicators === undefined || strongIndicators >= rule.minStrongIndicators) &&
+        (rule.minConfidence === undefined || validation.confidence >= rule.minConfidence) &&
+        (rule.maxLayersPassed === undefined || validationLayersPassed <= rule.maxLayersPassed)
+    ) && !(decision.neverFlagDevelopmentServers && serverContext.isDevelopmentServer);
+    
+    // Safeguards for high-population servers: each tier passed requires more evidence
+    for (const tier of decision.populationTiers) {
+        if (serverContext.totalPlayers > tier.players) {
+            validation.isBot = validation.isBot && (
+                strongIndicators >= tier.minStrongIndicators || 
+                validation.confidence >= tier.minConfidence
+            );
+        }
+    }
+    
+    // Add warnings for borderline cases
+    if (validation.confidence >= decision.borderline.min && validation.confidence < decision.borderline.max) {
+        validation.warnings.push('Borderline suspicious - requires manual review');
+    }
+    
+    // Operator lists override the verdict; the layers above are kept for reference
+    validation.listMatch = matchPlayerLists(player, playerLists);
+    if (validation.listMatch) {
+        validation.isBot = validation.listMatch.list === 'denylist';
+        validation.reasons.push(describeListMatch(validation.listMatch));
+        validation.warnings = [];
+    }
+    
+    return validation;
+}
+
+/**
+ * Check if name is whitelisted (legitimate patterns)
+ */
+function isWhitelistedName(name) {
+    if (!name) return false;
+    
+    const whitelistPatterns = [
+        // Common legitimate name patterns
+        /^[A-Za-z]{2,20}$/, // Simple letters only
+        /^[A-Za-z]{2,10}[0-9]{1,4}$/, // Name + numbers
+        /^[A-Za-z]{2,10}_[A-Za-z0-9]{1,10}$/, // Name_identifier
+        /^[A-Za-z]{2,10}\.[A-Za-z]{2,10}$/, // First.Last
+        /^[A-Za-z]{2,10}-[A-Za-z]{2,10}$/, // First-Last
+        /^[A-Za-z]{2,10}\s[A-Za-z]{2,10}$/, // First Last
+        /^[A-Za-z]{1,3}[0-9]{2,4}$/, // Short letters + numbers
+        /^[A-Za-z]{2,15}[0-9]{1,3}$/, // Longer name + few numbers
+        /^[A-Za-z]{3,12}$/, // Medium length names
+        /^[A-Za-z]{2,8}[0-9]{2,6}$/, // Name + reasonable numbers
+        /^[A-Za-z]{1,2}[0-9]{3,8}$/, // Short letters + more numbers
+        /^[A-Za-z]{4,15}$/, // Longer names
+        /^[A-Za-z]{2,10}[_\-\.][A-Za-z0-9]{2,10}$/, // Separated names
+        /^[A-Za-z]{2,8}[0-9]{1,4}[A-Za-z]{0,4}$/, // Mixed patterns
+        /^[A-Za-z]{3,12}[0-9]{1,2}$/, // Name + 1-2 digits
+        /^[A-Za-z]{2,6}[0-9]{2,4}[A-Za-z]{0,3}$/, // Complex but legitimate
+    ];
+    
+    return whitelistPatterns.some(pattern => pattern.test(name));
+}
+
+/**
+ * Validate the player's identifiers: presence, format, odd combinations and sharing
+ *
+ * Every finding adds its own reason and score; `findings` holds their keys for statistics.
+ */
+function validateIdentifiers(player, allPlayers, serverContext, profile = CONSERVATIVE_PROFILE) {
+    const { scores, limits } = profile;
+    const result = { isSuspicious: false, reasons: [], score: 0, findings: [] };
+    const flag = (finding, reason, score) => {
+        result.isSuspicious = true;
+        result.findings.push(finding);
+        result.reasons.push(reason);
+        result.score += score;
+    };
+    
+    if (player.identifiers.length === 0) {
+        flag('noIdentifiers', 'No authentication identifiers', scores.noIdentifiers);
+        return result;
+    }
+    
+    const parsed = player.identifiers.map(parseIdentifier);
+    const types = parsed.filter(Boolean).map(identifier => identifier.type);
+    
+    // Every genuine client authenticates with a Rockstar license
+    if (!types.includes('license')) {
+        flag('missingLicense', 'Missing license identifier', scores.missingLicense);
+    }
+    
+    // Identifiers that do not look like what FiveM issues
+    const malformed = new Set();
+    for (const identifier of parsed) {
+        if (!identifier) {
+            malformed.add('untyped');
+        } else if (IDENTIFIER_FORMATS[identifier.type] && !IDENTIFIER_FORMATS[identifier.type](identifier.value)) {
+            malformed.add(identifier.type);
+        }
+    }
+    if (malformed.size > 0) {
+        flag('malformedIdentifiers', `Malformed identifier (${[...malformed].join(', ')})`, scores.malformedIdentifier);
+    }
+    
+    // Combinations a real client does not produce
+    const repeated = [...new Set(types.filter((type, index) => types.indexOf(type) !== index))];
+    if (repeated.length > 0) {
+        flag('oddIdentifierSets', `Repeated identifier types (${repeated.join(', ')})`, scores.oddIdentifierSet);
+    } else if (types.length > 0 && types.every(type => type === 'ip')) {
+        flag('oddIdentifierSets', 'Only an ip: identifier', scores.oddIdentifierSet);
+    } else if (types.includes('license2') && !types.includes('license')) {
+        flag('oddIdentifierSets', 'license2 without license identifier', scores.oddIdentifierSet);
+    }
+    
+    // Account identifiers shared with other players on the server
+    const holders = serverContext.accountIdentifiers || indexAccountIdentifiers(allPlayers);
+    for (const type of ACCOUNT_IDENTIFIER_TYPES) {
+        const own = parsed.filter(identifier => identifier && identifier.type === type);
+        if (own.length === 0) continue;
+        const others = new Set();
+        for (const identifier of own) {
+            (holders.get(`${type}:${identifier.value.toLowerCase()}`) || []).forEach(other => others.add(other));
+        }
+        others.delete(player);
+        const sharedWith = others.size;
+        if (sharedWith + 1 >= limits.sharedIdentifierPlayers) {
+            const label = type.charAt(0).toUpperCase() + type.slice(1);
+            flag('sharedIdentifiers', `${label} identifier shared with ${sharedWith} other player${sharedWith === 1 ? '' : 's'}`, scores.sharedIdentifier);
+        }
+    }
+    
+    // Identifier types nearly everyone else on the server has
+    const shares = serverContext.identifierShares || {};
+    if (serverContext.totalPlayers >= limits.identifierRatioMinPlayers) {
+        const missing = Object.keys(shares)
+            .filter(type => type !== 'license' && shares[type] * 100 >= limits.commonIdentifierPercent && !types.includes(type));
+        if (missing.length > 0) {
+            flag('uncommonIdentifierSets', `Missing ${missing.join(', ')} identifier most players have`, scores.uncommonIdentifierSet);
+        }
+    }
+    
+    return result;
+}
+
+/**
+ * Validate the age of the player's Discord account, derived from its snowflake like Steam's timecreated
+ *
+ * `createdAt` is null when the player has no (valid) discord: identifier; the layer is then skipped.
+ */
+function validateDiscordAccount(player, serverContext, profile = CONSERVATIVE_PROFILE) {
+    const { scores } = profile;
+    const result = { isSuspicious: false, reasons: [], score: 0, findings: [], createdAt: null };
+    const discord = player.identifiers.map(parseIdentifier).find(parsed => parsed && parsed.type === 'discord');
+    const createdAt = discord ? discordCreatedAt(discord.value) : null;
+    if (createdAt === null) {
+        return result;
+    }
+    result.createdAt = new Date(createdAt).toISOString();
+    
+    const daysOld = ((serverContext.referenceTime || Date.now()) - createdAt) / DAY_MS;
+    const ageChecks = [
+        [1, 'Discord account less than 1 day old', scores.discordAccountUnderDay],
+        [7, 'Discord account less than 1 week old', scores.discordAccountUnderWeek],
+        [30, 'Discord account less than 1 month old', scores.discordAccountUnderMonth]
+    ];
+    const ageCheck = ageChecks.find(([days]) => daysOld < days);
+    if (ageCheck) {
+        result.isSuspicious = true;
+        result.findings.push('newDiscordAccounts');
+        result.reasons.push(ageCheck[1]);
+        result.score += ageCheck[2];
+    }
+    
+    const cohort = serverContext.discordAccounts && serverContext.discordAccounts.cohort;
+    if (cohort && createdAt >= Date.parse(cohort.start) && createdAt <= Date.parse(cohort.end)) {
+        result.isSuspicious = true;
+        result.findings.push('discordCohort');
+        result.reasons.push(`Discord account created in a cohort (${cohort.accounts} accounts within ${profile.limits.discordCohortDays} days)`);
+        result.score += scores.discordCohort;
+    }
+    
+    return result;
+}
+
+/**
+ * Validate player name with extremely conservative approach
+ */
+function validatePlayerName(name, serverContext, profile = CONSERVATIVE_PROFILE) {
+    const { scores, limits } = profile;
+    const result = { isSuspicious: false, reasons: [], score: 0 };
+    
+    if (!name || name.trim().length === 0) {
+        result.isSuspicious = true;
+        result.reasons.push('Empty name');
+        result.score += scores.emptyName;
+        return result;
+    }
+    
+    // Check whitelist first - if whitelisted, never flag
+    if (isWhitelistedName(name)) {
+        return result; // Not suspicious
+    }
+    
+    // Only flag extremely obvious bot patterns
+    if (name.length <= 1) {
+        result.isSuspicious = true;
+        result.reasons.push('Extremely short name');
+        result.score += scores.extremelyShortName;
+    } else if (/^[0-9]+$/.test(name) && name.length >= limits.longNumericNameLength) {
+        // Only flag long runs of numbers
+        result.isSuspicious = true;
+        result.reasons.push('Long numeric-only name');
+        result.score += scores.longNumericName;
+    } else if (hasExcessiveSpecialChars(name) && name.length > limits.specialCharsNameLength) {
+        // Only flag if very long with excessive special chars
+        result.isSuspicious = true;
+        result.reasons.push('Excessive special characters in long name');
+        result.score += scores.excessiveSpecialChars;
+    } else if (isAdvancedSuspiciousName(name) && name.length > limits.suspiciousNameLength) {
+        // Only flag very long suspicious patterns
+        result.isSuspicious = true;
+        result.reasons.push('Extremely suspicious long name pattern');
+        result.score += scores.suspiciousLongName;
+    }
+    
+    return result;
+}
+
+/**
+ * Validate connection patterns (extremely conservative)
+ */
+function validateConnection(player, serverContext, profile = CONSERVATIVE_PROFILE) {
+    const { scores, limits } = profile;
+    const result = { isSuspicious: false, reasons: [], score: 0, findings: [] };
+    
+    // Only flag in very specific circumstances
+    if (player.endpoint.includes('127.0.0.1') || player.endpoint.includes('localhost')) {
+        // Only flag localhost if it's clearly a production server AND has other indicators
+        if (!serverContext.isDevelopmentServer && serverContext.totalPlayers > limits.localhostMinPlayers) {
+            result.isSuspicious = true;
+            result.reasons.push('Localhost connection on high-population production server');
+            result.score += scores.localhostConnection;
+        }
+    }
+    
+    // Only flag extremely high ping
+    if (player.ping > limits.extremePingMs) {
+        result.isSuspicious = true;
+        result.reasons.push(`Extremely high ping (>${limits.extremePingMs}ms)`);
+        result.score += scores.extremePing;
+    }
+    
+    // Ping against the rest of the server
+    const pingAnomaly = findPingAnomaly(player.ping, serverContext.pingDistribution, limits);
+    if (pingAnomaly) {
+        result.isSuspicious = true;
+        result.findings.push('pingAnomalies');
+        result.reasons.push(pingAnomaly.reason);
+        result.score += { zero: scores.zeroPing, shared: scores.sharedPing, outlier: scores.pingOutlier }[pingAnomaly.kind];
+    }
+    
+    return result;
+}
+
+/**
+ * Validate behavioral patterns (extremely conservative)
+ */
+function validateBehavior(player, allPlayers, serverContext, profile = CONSERVATIVE_PROFILE) {
+    const { scores, limits } = profile;
+    const result = { isSuspicious: false, reasons: [], score: 0, findings: [] };
+    
+    // Only check for duplicate names if there are many instances
+    const nameCount = allPlayers.filter(p => 
+        p.name && p.name.toLowerCase().trim() === player.name.toLowerCase().trim()
+    ).length;
+    
+    if (nameCount > limits.duplicateNameCount) {
+        result.isSuspicious = true;
+        result.reasons.push('Many duplicate names detected');
+        result.score += scores.duplicateNames;
+    }
+    
+    // Only flag if there are many connections from same IP
+    const endpointIP = player.endpoint.split(':')[0];
+    const sameIPCount = allPlayers.filter(p => 
+        p.endpoint && p.endpoint.split(':')[0] === endpointIP
+    ).length;
+    
+    if (sameIPCount > limits.sameIpCount) {
+        result.isSuspicious = true;
+        result.reasons.push('Many connections from same IP');
+        result.score += scores.sameIpConnections;
+    }
+    
+    // Largest name cluster the player is in; bigger fleets score higher
+    const cluster = (serverContext.nameClusters || []).find(candidate => 
+        candidate.members.some(m => m.id === player.id && m.name === player.name)
+    );
+    if (cluster) {
+        result.isSuspicious = true;
+        result.findings.push('nameClusters');
+        result.reasons.push(`Member of a ${cluster.size}-player ${cluster.kind} cluster`);
+        result.score += Math.min(
+            scores.nameClusterMax,
+            scores.nameCluster + scores.nameClusterPerMember * Math.max(0, cluster.size - limits.nameClusterMinSize)
+        );
+    }
+    
+    // Only members carrying one of the run's shared traits, not players that merely joined amid it
+    const idRun = (serverContext.idRuns || []).find(candidate => 
+        candidate.members.some(m => m.id === player.id && m.name === player.name && m.sharedTraits.length > 0)
+    );
+    if (idRun) {
+        result.isSuspicious = true;
+        result.findings.push('idRuns');
+        result.reasons.push(`Joined in a run of ${idRun.size} consecutive server IDs`);
+        result.score += Math.min(
+            scores.idRunMax,
+            scores.idRun + scores.idRunPerMember * Math.max(0, idRun.size - limits.idRunMinLength)
+        );
+    }
+    
+    return result;
+}
+
+/**
+ * Validate advanced patterns (extremely conservative)
+ */
+function validateAdvancedPatterns(player, serverContext, profile = CONSERVATIVE_PROFILE) {
+    const result = { isSuspicious: false, reasons: [], score: 0 };
+    
+    // Only flag extremely obvious bot patterns (very long, no vowels, no common patterns)
+    if (player.name && 
+        player.name.length > profile.limits.generatedNameLength && 
+        /^[a-z0-9]+$/i.test(player.name) && 
+        !/[aeiou]/i.test(player.name) &&
+        !/^[a-z]{2,}[0-9]{2,}/i.test(player.name)) { // Not a common pattern
+        result.isSuspicious = true;
+        result.reasons.push('Extremely suspicious generated pattern');
+        result.score += profile.scores.generatedName;
+    }
+    
+    return result;
+}
+
+/**
+ * Validate context-specific indicators
+ */
+function validateContext(player, serverContext, profile = CONSERVATIVE_PROFILE) {
+    const result = { isSuspicious: false, reasons: [], score: 0 };
+    
+    // In whitelisted servers, no identifiers is extremely suspicious
+    if (serverContext.hasWhitelist && player.identifiers.length === 0) {
+        result.isSuspicious = true;
+        result.reasons.push('No identifiers on whitelisted server');
+        result.score += profile.scores.noIdentifiersOnWhitelist;
+    }
+    
+    return result;
+}
+
+/**
+ * Analyze players for potential bot indicators with server context
+ * @param {Array} players - Array of player data
+ * @param {Object} serverContext - Server context analysis
+ * @param {Object} [profile] - Detection profile from loadProfile (default: conservative)
+ * @param {Object} [playerLists] - Operator allowlist and denylist from compilePlayerLists
+ * @returns {Object} - Bot analysis results
+ */
+function analyzePlayersForBots(players, serverContext, profile = CONSERVATIVE_PROFILE, playerLists = null) {
+    const potentialBots = [];
+    const reasons = {
+        noIdentifiers: 0,
+        suspiciousNames: 0,
+        highPing: 0,
+        localhost: 0,
+        duplicateNames: 0,
+        specialCharacters: 0,
+        suspiciousPing: 0,
+        veryShortNames: 0,
+        numericNames: 0,
+        emptyNames: 0,
+        suspiciousEndpoints: 0,
+        missingLicense: 0,
+        malformedIdentifiers: 0,
+        oddIdentifierSets: 0,
+        sharedIdentifiers: 0,
+        uncommonIdentifierSets: 0,
+        newDiscordAccounts: 0,
+        discordCohort: 0,
+        nameClusters: 0,
+        idRuns: 0,
+        pingAnomalies: 0,
+        denylisted: 0,
+        borderlineCases: 0
+    };
+    
+    // Use bulletproof validation for each player
+    for (const player of players) {
+        const validation = validatePlayerForBots(player, serverContext, players, profile, playerLists);
+        player.validation = validation;
+        
+        // Update statistics
+        for (const finding of validation.findings) {
+            reasons[finding]++;
+        }
+        if (validation.botIndicators.some(r => r.includes('name'))) {
+            reasons.suspiciousNames++;
+        }
+        if (validation.botIndicators.some(r => r.includes('ping'))) {
+            reasons.highPing++;
+        }
+        if (validation.botIndicators.some(r => r.includes('Localhost'))) {
+            reasons.localhost++;
+        }
+        if (validation.botIndicators.some(r => r.includes('duplicate'))) {
+            reasons.duplicateNames++;
+        }
+        if (validation.botIndicators.some(r => r.includes('characters'))) {
+            reasons.specialCharacters++;
+        }
+        if (validation.botIndicators.some(r => r.includes('IP'))) {
+            reasons.suspiciousEndpoints++;
+        }
+        if (validation.listMatch && validation.listMatch.list === 'denylist') {
+            reasons.denylisted++;
+        }
+        if (validation.warnings.length > 0) {
+            reasons.borderlineCases++;
+        }
+        
+        // Only add to potential bots if bulletproof validation confirms
+        if (validation.isBot) {
+            player.isPotentialBot = true;
+            player.botReasons = validation.botIndicators;
+            player.botScore = validation.finalScore;
+            player.validationLayers = validation.validationLayers;
+            player.humanIndicators = validation.humanIndicators;
+            player.warnings = validation.warnings;
+            potentialBots.push(player);
+        }
+    }
+    
+    return {
+        potentialBots,
+        reasons
+    };
+}
+
+/**
+ * Check if a name is suspicious (common bot patterns)
+ * @param {string} name - Player name
+ * @returns {boolean} - True if suspicious
+ */
+function isSuspiciousName(name) {
+    if (!name || name.length < 2) return true;
+    
+    const suspiciousPatterns = [
+        /^[0-9]+$/, // Only numbers
+        /^[a-zA-Z]{1,2}$/, // Very short names
+        /bot/i, // Contains "bot"
+        /test/i, // Contains "test"
+        /admin/i, // Contains "admin"
+        /player/i, // Contains "player"
+        /user/i, // Contains "user"
+        /guest/i, // Contains "guest"
+        /^[^a-zA-Z0-9\s]+$/, // Only special characters
+        /^.{1,3}$/ // Very short names (1-3 chars)
+    ];
+    
+    return suspiciousPatterns.some(pattern => pattern.test(name));
+}
+
+/**
+ * Check if name has excessive special characters
+ * @param {string} name - Player name
+ * @returns {boolean} - True if excessive special chars
+ */
+function hasExcessiveSpecialChars(name) {
+    if (!name) return false;
+    
+    const specialCharCount = (name.match(/[^a-zA-Z0-9\s]/g) || []).length;
+    const totalChars = name.length;
+    
+    // More than 50% special characters is suspicious
+    return specialCharCount / totalChars > 0.5;
+}
+
+/**
+ * Advanced suspicious name detection
+ * @param {string} name - Player name
+ * @returns {boolean} - True if suspicious
+ */
+function isAdvancedSuspiciousName(name) {
+    if (!name || name.length < 2) return true;
+    
+    // Check for common bot patterns
+    const botPatterns = [
+        /^[a-z]{1,2}[0-9]{4,}$/i, // Short letters + many numbers
+        /^[0-9]{1,2}[a-z]{4,}$/i, // Short numbers + many letters
+        /^[a-z]+[0-9]+[a-z]+[0-9]+$/i, // Alternating pattern
+        /^[a-z]{2,}[0-9]{2,}[a-z]{2,}[0-9]{2,}$/i, // Complex alternating
+        /^[a-z0-9]{8,}$/i, // Long alphanumeric without vowels
+        /^[a-z]{1,3}[0-9]{6,}$/i, // Short letters + many numbers
+        /^[0-9]{6,}[a-z]{1,3}$/i, // Many numbers + short letters
+        /^[a-z]+[0-9]+$/i, // Letters then numbers only
+        /^[0-9]+[a-z]+$/i, // Numbers then letters only
+        /^[a-z]{1,2}[0-9]{1,2}[a-z]{1,2}[0-9]{1,2}$/i, // Short alternating
+        /^[a-z0-9]{10,}$/i, // Very long alphanumeric
+        /^[a-z]{2,}[0-9]{2,}[a-z]{2,}$/i, // Pattern with numbers in middle
+        /^[0-9]{2,}[a-z]{2,}[0-9]{2,}$/i, // Pattern with letters in middle
+        /^[a-z]+[0-9]+[a-z]+$/i, // Letters-numbers-letters
+        /^[0-9]+[a-z]+[0-9]+$/i, // Numbers-letters-numbers
+        /^[a-z]{1,}[0-9]{3,}[a-z]{1,}$/i, // Letters + 3+ numbers + letters
+        /^[0-9]{1,}[a-z]{3,}[0-9]{1,}$/i, // Numbers + 3+ letters + numbers
+        () => /^[a-z0-9]{6,}$/i.test(name) && !/[aeiou]/i.test(name), // Long alphanumeric without vowels
+        /^[a-z]{2,}[0-9]{2,}[a-z]{2,}[0-9]{2,}[a-z]{2,}$/i, // Complex pattern
+        /^[0-9]{2,}[a-z]{2,}[0-9]{2,}[a-z]{2,}[0-9]{2,}$/i, // Complex pattern (numbers first)
+        /^[a-z]+[0-9]+[a-z]+[0-9]+[a-z]+$/i, // 5-part alternating
+        /^[0-9]+[a-z]+[0-9]+[a-z]+[0-9]+$/i, // 5-part alternating (numbers first)
+    ];
+    
+    // Check for suspicious character patterns (using functions instead of regex with conditions)
+    const suspiciousPatterns = [
+        () => /^[a-z0-9]{8,}$/i.test(name) && !/[aeiou]/i.test(name), // Long without vowels
+        () => /^[a-z0-9]{6,}$/i.test(name) && (name.match(/[0-9]/g) || []).length > 3, // Many numbers
+        () => /^[a-z0-9]{6,}$/i.test(name) && (name.match(/[a-z]/g) || []).length > 3 && (name.match(/[0-9]/g) || []).length > 3, // Many of both
+        () => /^[a-z0-9]{8,}$/i.test(name) && name.length % 2 === 0 && /^[a-z0-9]{2}$/i.test(name.substring(0, 2)), // Even length, starts with 2 chars
+        () => /^[a-z0-9]{10,}$/i.test(name) && name.length % 2 === 0, // Very long even length
+        () => /^[a-z0-9]{12,}$/i.test(name), // Extremely long
+        () => /^[a-z]{1,2}[0-9]{4,}[a-z]{1,2}$/i.test(name), // Short letters + many numbers + short letters
+        () => /^[0-9]{1,2}[a-z]{4,}[0-9]{1,2}$/i.test(name), // Short numbers + many letters + short numbers
+    ];
+    
+    // Check for repetitive patterns
+    const repetitivePatterns = [
+        /^(.{2,})\1+$/i, // Repeated substrings
+        /^[a-z]{2}[0-9]{2}[a-z]{2}[0-9]{2}$/i, // 2-2-2-2 pattern
+        /^[0-9]{2}[a-z]{2}[0-9]{2}[a-z]{2}$/i, // 2-2-2-2 pattern (numbers first)
+        /^[a-z]{3}[0-9]{3}[a-z]{3}$/i, // 3-3-3 pattern
+        /^[0-9]{3}[a-z]{3}[0-9]{3}$/i, // 3-3-3 pattern (numbers first)
+    ];
+    
+    // Check all patterns
+    return botPatterns.some(pattern => typeof pattern === 'function' ? pattern() : pattern.test(name)) ||
+           suspiciousPatterns.some(pattern => pattern()) ||
+           repetitivePatterns.some(pattern => pattern.test(name));
+}
+
+module.exports = {
+    analyzeServerContext,
+    indexAccountIdentifiers,
+    analyzeSteamProfileForBots,
+    parseIdentifier,
+    discordCreatedAt,
+    validatePlayerForBots,
+    validateIdentifiers,
+    validateDiscordAccount,
+    validatePlayerName,
+    validateConnection,
+    validateBehavior,
+    validateAdvancedPatterns,
+    validateContext,
+    analyzePlayersForBots,
+    isWhitelistedName,
+    isSuspiciousName,
+    hasExcessiveSpecialChars,
+    isAdvancedSuspiciousName
+};
@@ -0,0 +1,259 @@
+const http = require('http');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { createConfig } = require('./config');
+const { createRateLimiter } = require('./steam');
+const { scanServer } = require('./scanner');
+
+const MAX_BODY_BYTES = 16 * 1024;
+const CFXCODE_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - The response
+ * @param {number} statusCode - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'content-type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - The request
+ * @returns {Promise<Object>} - Parsed body ({} when empty); rejects with an error carrying the
+ *   `statusCode` to answer (413 over MAX_BODY_BYTES, 400 for invalid JSON)
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            if (size > MAX_BODY_BYTES) return;
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // Keep reading and dropping the rest, so the connection is still open for the 413
+                reject(Object.assign(new Error(`Request body over ${MAX_BODY_BYTES} bytes`), { statusCode: 413 }));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8').trim();
+            try {
+                resolve(text ? JSON.parse(text) : {});
+            } catch (error) {
+                reject(Object.assign(new Error(`Invalid JSON body: ${error.message}`), { statusCode: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Public view of a scan job
+ * @param {Object} scan - Scan job
+ * @returns {Object} - { id, cfxcode, status, progress, timestamps, error, results }
+ */
+function describeScan(scan) {
+    return {
+        id: scan.id,
+        cfxcode: scan.cfxcode,
+        status: scan.status,
+        progress: scan.progress,
+        createdAt: scan.createdAt,
+        startedAt: scan.startedAt,
+        finishedAt: scan.finishedAt,
+        cached: scan.cached || false,
+        error: scan.error,
+        results: scan.results
+    };
+}
+
+/**
+ * HTTP API to run scans on demand with one shared Steam key and rate limiter
+ *
+ * Routes:
+ *   POST /scans                  { "cfxcode": "abc123", "refresh": false } - start (or reuse) a scan
+ *   GET  /scans/:id              status, progress and, once complete, the results
+ *   GET  /servers/:cfxcode/latest latest results of a server while they are within the cache TTL
+ *
+ * Completed results are reused for POST /scans until API_CACHE_TTL_SECONDS have passed, unless
+ * `refresh` is true. Scans run API_MAX_CONCURRENT_SCANS at a time; the others wait queued.
+ *
+ * Events emitted on `options.events`: listening (address), scanComplete (scan), scanError (scan),
+ * error (the HTTP server failed).
+ *
+ * @param {Object} [options] - { config, port, host, events }
+ * @returns {Object} - { server, scans, close() }
+ */
+function startApiServer(options = {}) {
+    const events = options.events || new EventEmitter();
+    const config = createConfig(options.config);
+    const ttlMs = config.API_CACHE_TTL_SECONDS * 1000;
+    const rateLimiter = createRateLimiter(config.RATE_LIMIT_DELAY);
+    const scans = new Map(); // id -> scan job
+    const latest = new Map(); // cfxcode -> last completed scan job
+    const queue = [];
+    let running = 0;
+    
+    const isFresh = (scan) => scan && Date.now() - Date.parse(scan.finishedAt) < ttlMs;
+    
+    // Forget finished scans whose results have expired, so the maps do not grow forever
+    function pruneScans() {
+        for (const [id, scan] of scans) {
+            if (scan.finishedAt && !isFresh(scan)) scans.delete(id);
+        }
+        for (const [cfxcode, scan] of latest) {
+            if (!isFresh(scan)) latest.delete(cfxcode);
+        }
+    }
+    
+    function runNext() {
+        while (running < config.API_MAX_CONCURRENT_SCANS && queue.length > 0) {
+            const scan = queue.shift();
+            running++;
+            runScan(scan).then(() => {
+                running--;
+                runNext();
+            });
+        }
+    }
+    
+    async function runScan(scan) {
+        const scanEvents = new EventEmitter();
+        scanEvents.on('progress', (progress) => {
+            scan.progress = progress;
+        });
+        
+        scan.status = 'running';
+        scan.startedAt = new Date().toISOString();
+        try {
+            scan.results = await scanServer(scan.cfxcode, { config: options.config, rateLimiter, events: scanEvents });
+            scan.status = 'complete';
+            scan.finishedAt = new Date().toISOString();
+            latest.set(scan.cfxcode, scan);
+            events.emit('scanComplete', scan);
+        } catch (error) {
+            scan.status = 'failed';
+            scan.finishedAt = new Date().toISOString();
+            scan.error = { name: error.name, message: error.message };
+            events.emit('scanError', scan);
+        }
+    }
+    
+    async function createScan(req, res) {
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (error) {
+            // Do not wait for the rest of a body that is too large
+            if (error.statusCode === 413) res.setHeader('connection', 'close');
+            sendJson(res, error.statusCode || 400, { error: error.message });
+            return;
+        }
+        
+        const cfxcode = body && body.cfxcode;
+        if (typeof cfxcode !== 'string' || !CFXCODE_PATTERN.test(cfxcode)) {
+            sendJson(res, 400, { error: 'Body must be JSON with a "cfxcode" of letters, digits, "-" or "_"' });
+            return;
+        }
+        
+        // Reuse fresh results, or a scan of the same server that is still in progress
+        const cached = latest.get(cfxcode);
+        if (!body.refresh && isFresh(cached)) {
+            sendJson(res, 200, Object.assign(describeScan(cached), { cached: true }));
+            return;
+        }
+        const pending = [...scans.values()].find(scan => scan.cfxcode === cfxcode && !scan.finishedAt);
+        if (pending) {
+            res.setHeader('location', `/scans/${pending.id}`);
+            sendJson(res, 202, describeScan(pending));
+            return;
+        }
+        
+        const scan = {
+            id: crypto.randomBytes(8).toString('hex'),
+            cfxcode,
+            status: 'queued',
+            progress: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            error: null,
+            results: null
+        };
+        scans.set(scan.id, scan);
+        queue.push(scan);
+        runNext();
+        
+        res.setHeader('location', `/scans/${scan.id}`);
+        sendJson(res, 202, describeScan(scan));
+    }
+    
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        let parts;
+        try {
+            parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (error) {
+            sendJson(res, 400, { error: 'Malformed URL' });
+            return;
+        }
+        pruneScans();
+        
+        if (parts.length === 1 && parts[0] === 'scans') {
+            if (req.method !== 'POST') {
+                sendJson(res, 405, { error: 'Use POST /scans' });
+                return;
+            }
+            createScan(req, res).catch(error => sendJson(res, 500, { error: error.message }));
+            return;
+        }
+        
+        if (req.method !== 'GET') {
+            sendJson(res, 405, { error: `${req.method} is not supported on ${url.pathname}` });
+            return;
+        }
+        
+        if (parts.length === 2 && parts[0] === 'scans') {
+            const scan = scans.get(parts[1]);
+            if (!scan) {
+                sendJson(res, 404, { error: `Scan ${parts[1]} not found or expired` });
+                return;
+            }
+            sendJson(res, 200, describeScan(scan));
+            return;
+        }
+        
+        if (parts.length === 3 && parts[0] === 'servers' && parts[2] === 'latest') {
+            const scan = latest.get(parts[1]);
+            if (!isFresh(scan)) {
+                sendJson(res, 404, { error: `No scan of ${parts[1]} in the last ${config.API_CACHE_TTL_SECONDS} seconds` });
+                return;
+            }
+            sendJson(res, 200, describeScan(scan));
+            return;
+        }
+        
+        sendJson(res, 404, { error: 'Not found' });
+    });
+    
+    server.on('error', (error) => events.emit('error', error));
+    server.listen(options.port, options.host, () => {
+        events.emit('listening', server.address());
+    });
+    
+    return {
+        server,
+        scans,
+        close() {
+            server.close();
+        }
+    };
+}
+
+module.exports = {
+    startApiServer
+};
@@ -0,0 +1,337 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError } = require('./errors');
+
+// Default configuration, overridden per scan by the `config` option or a --config file
+const DEFAULT_CONFIG = {
+    API_KEY: "steam_api_key_here",
+    STEAM_API_URL: "http://api.steampowered.com/ISteamUser/GetPlayerSummaries/v0002/",
+    FIVEM_API_URL: "https://servers-frontend.fivem.net/api/servers/single/",
+    FIVEM_LIST_URL: null, // public server listing, defaults to /api/servers/ on the FIVEM_API_URL host
+    REQUEST_TIMEOUT: 10000,
+    RATE_LIMIT_DELAY: 100, // ms between Steam API calls
+    MAX_RETRIES: 3,
+    PROXY: null, // proxy URL, defaults to the HTTP(S)_PROXY environment variables
+    STEAM_BATCH_SIZE: 100, // steamids per GetPlayerSummaries call (API maximum is 100)
+    STEAM_CONCURRENCY: 2, // Steam API calls in flight at once
+    STEAM_CACHE_FILE: path.join(os.homedir(), '.fivem-bot-detection', 'steam-cache.json'), // null disables the cache
+    STEAM_CACHE_TTL_SECONDS: 86400, // how long a Steam profile is reused
+    STEAM_CACHE_NOT_FOUND_TTL_SECONDS: 3600, // how long "no profile" is reused
+    DETECTION_PROFILE: 'conservative', // built-in profile name, profile JSON file, or profile object
+    PLAYER_ALLOWLIST: { identifiers: [], names: [] }, // known-good players, never flagged: 'license:...' and name regexes
+    PLAYER_DENYLIST: { identifiers: [], names: [] }, // known bots, always flagged
+    ALWAYS_ONLINE_HOURS: 24, // --watch: continuous presence after which a player counts as always online
+    WEBHOOKS: [], // alert targets: { url, type: 'discord'|'slack'|'generic', minBotScore, minBotPercentage, template }
+    WEBHOOK_DEDUPE_MINUTES: 60, // do not repeat an alert for the same server unless its bot count grows
+    WEBHOOK_STATE_FILE: path.join(os.homedir(), '.fivem-bot-detection', 'alerts.json'),
+    API_CACHE_TTL_SECONDS: 300, // serve: how long results are reused and kept
+    API_MAX_CONCURRENT_SCANS: 2, // serve: scans run at once, the others wait queued
+    HISTORY_DIR: path.join(os.homedir(), '.fivem-bot-detection', 'history') // one .jsonl file per cfxcode
+};
+
+// Expected value of every setting; secrets are masked by maskConfig
+const CONFIG_SCHEMA = {
+    API_KEY: { type: 'string', secret: true },
+    STEAM_API_URL: { type: 'url' },
+    FIVEM_API_URL: { type: 'url' },
+    FIVEM_LIST_URL: { type: 'url', nullable: true },
+    REQUEST_TIMEOUT: { type: 'integer', min: 1 },
+    RATE_LIMIT_DELAY: { type: 'integer', min: 0 },
+    MAX_RETRIES: { type: 'integer', min: 0 },
+    PROXY: { type: 'url', nullable: true, secret: true },
+    STEAM_BATCH_SIZE: { type: 'integer', min: 1, max: 100 },
+    STEAM_CONCURRENCY: { type: 'integer', min: 1 },
+    STEAM_CACHE_FILE: { type: 'string', nullable: true },
+    STEAM_CACHE_TTL_SECONDS: { type: 'number', min: 0 },
+    STEAM_CACHE_NOT_FOUND_TTL_SECONDS: { type: 'number', min: 0 },
+    DETECTION_PROFILE: { type: ['string', 'object'] },
+    PLAYER_ALLOWLIST: { type: 'object' },
+    PLAYER_DENYLIST: { type: 'object' },
+    ALWAYS_ONLINE_HOURS: { type: 'number', min: 0 },
+    WEBHOOKS: { type: 'array', secret: true },
+    WEBHOOK_DEDUPE_MINUTES: { type: 'number', min: 0 },
+    WEBHOOK_STATE_FILE: { type: 'string', nullable: true },
+    API_CACHE_TTL_SECONDS: { type: 'number', min: 0 },
+    API_MAX_CONCURRENT_SCANS: { type: 'integer', min: 1 },
+    HISTORY_DIR: { type: 'string' }
+};
+
+// API keys of the defaults and the examples in the README and config.example.json
+const PLACEHOLDER_API_KEYS = ['steam_api_key_here', 'your_steam_api_key_here', 'your_steam_api_key'];
+
+// Every setting is read from FIVEM_BOT_<SETTING>; these variables are read as well
+const ENV_PREFIX = 'FIVEM_BOT_';
+const ENV_ALIASES = {
+    STEAM_API_KEY: 'API_KEY'
+};
+
+/**
+ * camelCase name of a setting, as accepted in config files: REQUEST_TIMEOUT -> requestTimeout
+ * @param {string} setting - Setting name
+ * @returns {string} - camelCase name
+ */
+function toCamelCase(setting) {
+    return setting.toLowerCase().replace(/_([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+}
+
+const CAMEL_CASE_SETTINGS = new Map(Object.keys(CONFIG_SCHEMA).map(setting => [toCamelCase(setting), setting]));
+
+/**
+ * Rename camelCase settings (apiKey) to the names the code reads (API_KEY)
+ * @param {Object} [settings] - Settings named either way
+ * @param {string} [source] - Where the settings come from; when given, unknown settings are an error
+ * @returns {Object} - Settings under their UPPER_CASE names
+ * @throws {ConfigError}
+ */
+function normalizeConfigKeys(settings, source) {
+    const normalized = {};
+    for (const [key, value] of Object.entries(settings || {})) {
+        const setting = CONFIG_SCHEMA[key] ? key : CAMEL_CASE_SETTINGS.get(key);
+        if (!setting && source) {
+            throw new ConfigError(`Unknown setting "${key}" in ${source}`, key);
+        }
+        normalized[setting || key] = value;
+    }
+    return normalized;
+}
+
+/**
+ * Build the configuration for one scan
+ * @param {Object} [overrides] - Settings to apply over the defaults, named UPPER_CASE or camelCase
+ * @returns {Object} - A fresh configuration object
+ */
+function createConfig(overrides) {
+    return Object.assign({}, DEFAULT_CONFIG, normalizeConfigKeys(overrides));
+}
+
+/**
+ * Whether a value has one of the types of the schema
+ * @param {*} value - Setting value
+ * @param {string} type - Schema type
+ * @returns {boolean} - True when it matches
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'url':
+            return typeof value === 'string' && /^https?:\/\/[^/\s]+/i.test(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Expected value of a setting, for errors
+ * @param {Object} rule - Entry of CONFIG_SCHEMA
+ * @returns {string} - e.g. "an integer from 1 to 100"
+ */
+function describeRule(rule) {
+    const articles = { integer: 'an integer', number: 'a number', url: 'an http(s) URL', array: 'an array', object: 'an object' };
+    let description = [].concat(rule.type).map(type => articles[type] || `a ${type}`).join(' or ');
+    if (rule.min !== undefined && rule.max !== undefined) {
+        description += ` from ${rule.min} to ${rule.max}`;
+    } else if (rule.min !== undefined) {
+        description += ` of at least ${rule.min}`;
+    }
+    return rule.nullable ? `${description}, or null` : description;
+}
+
+/**
+ * Check a configuration against CONFIG_SCHEMA
+ * @param {Object} config - Configuration, e.g. from createConfig
+ * @param {Object} [sources] - Setting -> where its value came from, named in errors
+ * @returns {Object} - The configuration
+ * @throws {ConfigError} - For the first setting that is unknown or out of type or range
+ */
+function validateConfig(config, sources = {}) {
+    for (const [setting, value] of Object.entries(config)) {
+        const rule = CONFIG_SCHEMA[setting];
+        const from = sources[setting] ? ` (from ${sources[setting]})` : '';
+        if (!rule) {
+            throw new ConfigError(`Unknown setting ${setting}${from}`, setting);
+        }
+        if (value === null && rule.nullable) continue;
+
+        const valid = [].concat(rule.type).some(type => matchesType(value, type)) &&
+            (rule.min === undefined || value >= rule.min) &&
+            (rule.max === undefined || value <= rule.max);
+        if (!valid) {
+            throw new ConfigError(`${setting}${from} must be ${describeRule(rule)}, got ${JSON.stringify(value)}`, setting);
+        }
+    }
+
+    (config.WEBHOOKS || []).forEach((webhook, index) => {
+        if (!webhook || !matchesType(webhook.url, 'url')) {
+            throw new ConfigError(`WEBHOOKS[${index}]${sources.WEBHOOKS ? ` (from ${sources.WEBHOOKS})` : ''} needs an http(s) "url"`, 'WEBHOOKS');
+        }
+    });
+    return config;
+}
+
+/**
+ * Read a JSON config file
+ * @param {string} file - Path of the file
+ * @returns {Object} - Its settings, under their UPPER_CASE names
+ * @throws {ConfigError} - When the file is missing, is not a JSON object or has unknown settings
+ */
+function loadConfigFile(file) {
+    if (!fs.existsSync(file)) {
+        throw new ConfigError(`Config file ${file} not found`);
+    }
+    let settings;
+    try {
+        settings = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new ConfigError(`Config file ${file} is not valid JSON: ${error.message}`);
+    }
+    if (!matchesType(settings, 'object')) {
+        throw new ConfigError(`Config file ${file} must hold a JSON object`);
+    }
+    return normalizeConfigKeys(settings, file);
+}
+
+/**
+ * Read settings from environment variables
+ *
+ * Each value is parsed by the type of its setting: numbers as numbers, arrays and objects as JSON,
+ * and an empty value or "null" clears a setting that may be null. Values that do not parse are left
+ * as text, so validateConfig reports them against the variable.
+ *
+ * @param {Object} env - Environment, e.g. process.env
+ * @returns {Object} - { settings, sources }, sources naming the variable of each setting
+ */
+function readEnvConfig(env) {
+    const settings = {};
+    const sources = {};
+    const variables = Object.keys(CONFIG_SCHEMA).map(setting => [`${ENV_PREFIX}${setting}`, setting])
+        .concat(Object.entries(ENV_ALIASES));
+
+    for (const [variable, setting] of variables) {
+        const raw = env[variable];
+        // FIVEM_BOT_API_KEY wins over STEAM_API_KEY
+        if (raw === undefined || sources[setting]) continue;
+
+        const rule = CONFIG_SCHEMA[setting];
+        const types = [].concat(rule.type);
+        let value = raw;
+        if (rule.nullable && (raw === '' || raw === 'null')) {
+            value = null;
+        } else if ((types.includes('integer') || types.includes('number')) && raw.trim() !== '' && Number.isFinite(Number(raw))) {
+            value = Number(raw);
+        } else if (types.includes('array') || (types.includes('object') && /^\s*\{/.test(raw))) {
+            try {
+                value = JSON.parse(raw);
+            } catch (error) {
+                // Reported by validateConfig as a text value
+            }
+        }
+        settings[setting] = value;
+        sources[setting] = `environment variable ${variable}`;
+    }
+    return { settings, sources };
+}
+
+/**
+ * Resolve the configuration from its layers: defaults, config file, environment variables and
+ * command line flags, each overriding the ones before
+ * @param {Object} [layers] - { file, env, overrides }
+ * @returns {Object} - { config, sources }, sources naming where each setting's value came from
+ * @throws {ConfigError} - When the file cannot be read or a setting is invalid
+ */
+function resolveConfig(layers = {}) {
+    const fileSettings = layers.file ? loadConfigFile(layers.file) : {};
+    const envConfig = readEnvConfig(layers.env || {});
+    const overrides = normalizeConfigKeys(layers.overrides, 'command line');
+
+    const sources = {};
+    Object.keys(DEFAULT_CONFIG).forEach(setting => { sources[setting] = 'default'; });
+    Object.keys(fileSettings).forEach(setting => { sources[setting] = layers.file; });
+    Object.assign(sources, envConfig.sources);
+    Object.keys(overrides).forEach(setting => { sources[setting] = 'command line'; });
+
+    const config = Object.assign({}, DEFAULT_CONFIG, fileSettings, envConfig.settings, overrides);
+    validateConfig(config, sources);
+    return { config, sources };
+}
+
+/**
+ * Explain why an API key cannot be a Steam Web API key
+ * @param {string} key - API key
+ * @returns {string|null} - The problem, or null for 32 hexadecimal characters
+ */
+function describeApiKeyProblem(key) {
+    if (PLACEHOLDER_API_KEYS.includes(String(key).toLowerCase())) {
+        return 'API_KEY is still the placeholder';
+    }
+    if (!/^[0-9a-f]{32}$/i.test(String(key))) {
+        return 'API_KEY does not look like a Steam Web API key (32 hexadecimal characters)';
+    }
+    return null;
+}
+
+/**
+ * Hide a secret, keeping its last characters so that keys can be told apart
+ * @param {string} value - Secret
+ * @returns {string} - e.g. "****1a2b"
+ */
+function maskSecret(value) {
+    const text = String(value);
+    return text.length > 8 ? `****${text.slice(-4)}` : '****';
+}
+
+/**
+ * Hide everything of a URL but its host; webhook paths hold tokens and proxy URLs passwords
+ * @param {string} value - URL
+ * @returns {string} - e.g. "https://discord.com/****"
+ */
+function maskUrl(value) {
+    try {
+        const url = new URL(value);
+        const hidden = url.username || url.pathname !== '/' || url.search;
+        return `${url.protocol}//${url.host}${hidden ? '/****' : ''}`;
+    } catch (error) {
+        return maskSecret(value);
+    }
+}
+
+/**
+ * Copy of a configuration that is safe to print
+ * @param {Object} config - Configuration
+ * @returns {Object} - The configuration with API_KEY, PROXY and the webhook URLs masked
+ */
+function maskConfig(config) {
+    const masked = Object.assign({}, config);
+    if (masked.API_KEY) {
+        masked.API_KEY = maskSecret(masked.API_KEY);
+    }
+    if (masked.PROXY) {
+        masked.PROXY = maskUrl(masked.PROXY);
+    }
+    if (Array.isArray(masked.WEBHOOKS)) {
+        masked.WEBHOOKS = masked.WEBHOOKS.map(webhook =>
+            webhook && webhook.url ? Object.assign({}, webhook, { url: maskUrl(webhook.url) }) : webhook
+        );
+    }
+    return masked;
+}
+
+module.exports = {
+    DEFAULT_CONFIG,
+    CONFIG_SCHEMA,
+    createConfig,
+    normalizeConfigKeys,
+    validateConfig,
+    loadConfigFile,
+    readEnvConfig,
+    resolveConfig,
+    maskConfig,
+    describeApiKeyProblem
+};
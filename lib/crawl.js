@@ -0,0 +1,157 @@
+const { EventEmitter } = require('events');
+const { createConfig } = require('./config');
+const { httpGet } = require('./http');
+const { InvalidResponseError } = require('./errors');
+const { scanServers } = require('./multi-scan');
+
+/**
+ * URL of the public server listing
+ * @param {Object} config - Scan configuration
+ * @returns {string} - FIVEM_LIST_URL, or /api/servers/ on the FIVEM_API_URL host
+ */
+function getServerListUrl(config) {
+    return config.FIVEM_LIST_URL || new URL('/api/servers/', config.FIVEM_API_URL).href;
+}
+
+/**
+ * Download the public server listing
+ *
+ * The listing is an array (or object of values) of { EndPoint, Data } entries, the same
+ * shape as the single-server endpoint.
+ *
+ * @param {Object} [options] - { config, log }
+ * @returns {Promise<Array<Object>>} - { cfxcode, hostname, clients, maxClients, tags, locale }
+ * @throws {NetworkError|HttpStatusError|InvalidResponseError}
+ */
+async function fetchServerList(options = {}) {
+    const config = createConfig(options.config);
+    const log = options.log || (() => {});
+    const url = getServerListUrl(config);
+    
+    log(`Downloading server list from: ${url}`);
+    const response = await httpGet(url, {
+        timeout: config.REQUEST_TIMEOUT,
+        retries: config.MAX_RETRIES,
+        proxy: config.PROXY,
+        log
+    });
+    
+    let listing;
+    try {
+        listing = JSON.parse(response.body);
+    } catch (parseError) {
+        throw new InvalidResponseError(`Failed to parse server list: ${parseError.message}`, url, response.body);
+    }
+    
+    const entries = Array.isArray(listing) ? listing : Object.values(listing || {});
+    return entries
+        .filter(entry => entry && entry.EndPoint && entry.Data)
+        .map(entry => ({
+            cfxcode: entry.EndPoint,
+            hostname: entry.Data.hostname || 'Unknown Server',
+            clients: entry.Data.clients || entry.Data.selfReportedClients || 0,
+            maxClients: entry.Data.sv_maxclients || entry.Data.svMaxclients || null,
+            tags: entry.Data.vars && entry.Data.vars.tags
+                ? entry.Data.vars.tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean)
+                : [],
+            locale: (entry.Data.vars && entry.Data.vars.locale) || null
+        }));
+}
+
+/**
+ * Pick the most populated servers matching the filters
+ * @param {Array<Object>} servers - Entries from fetchServerList
+ * @param {Object} [filters] - { top, tags (any must match), locale }
+ * @returns {Array<Object>} - Selected entries, most players first
+ */
+function selectServers(servers, filters = {}) {
+    const tags = (filters.tags || []).map(tag => tag.toLowerCase());
+    const locale = filters.locale ? filters.locale.toLowerCase() : null;
+    
+    return servers
+        .filter(server => tags.length === 0 || tags.some(tag => server.tags.includes(tag)))
+        .filter(server => !locale || (server.locale && server.locale.toLowerCase().startsWith(locale)))
+        .sort((a, b) => b.clients - a.clients)
+        .slice(0, filters.top || 20);
+}
+
+/**
+ * Rank crawled servers by suspected bot share
+ *
+ * The suspected share counts flagged players plus borderline cases, so servers still rank
+ * when the ultra-conservative thresholds flag nobody outright.
+ *
+ * @param {Array<Object>} outcomes - Outcomes from scanServers
+ * @returns {Array<Object>} - Leaderboard rows, highest suspected share first
+ */
+function buildLeaderboard(outcomes) {
+    const rows = outcomes.filter(outcome => outcome.results).map(({ cfxcode, results }) => {
+        const totalPlayers = results.statistics.totalAnalyzedPlayers;
+        const borderlineCases = results.statistics.botReasons.borderlineCases || 0;
+        const suspected = results.statistics.botScore + borderlineCases;
+        
+        return {
+            cfxcode,
+            name: results.server.name,
+            reportedPlayers: results.server.currentPlayers,
+            totalPlayers,
+            botScore: results.statistics.botScore,
+            borderlineCases,
+            botPercentage: results.statistics.botPercentage,
+            suspectedShare: totalPlayers > 0 ? Math.round((suspected / totalPlayers) * 1000) / 1000 : 0,
+            contextFactors: results.serverContext.contextFactors
+        };
+    });
+    
+    rows.sort((a, b) => b.suspectedShare - a.suspectedShare || b.botScore - a.botScore);
+    rows.forEach((row, index) => {
+        row.rank = index + 1;
+    });
+    return rows;
+}
+
+/**
+ * Crawl the public server list and rank the selected servers by suspected bot share
+ *
+ * Events emitted on `options.events`: log (message), list (servers, selected), and the
+ * serverStart/serverComplete/serverError events of scanServers.
+ *
+ * @param {Object} [options] - { config, top, tags, locale, steam, concurrency, events, refreshCache }
+ * @returns {Promise<Object>} - { listed, selected, leaderboard, failures }
+ */
+async function crawlServers(options = {}) {
+    const events = options.events || new EventEmitter();
+    const log = (message) => events.emit('log', message);
+    
+    const servers = await fetchServerList({ config: options.config, log });
+    const selected = selectServers(servers, options);
+    events.emit('list', servers, selected);
+    
+    const outcomes = await scanServers(selected.map(server => server.cfxcode), {
+        config: options.config,
+        concurrency: options.concurrency,
+        skipSteam: !options.steam,
+        refreshCache: options.refreshCache,
+        events
+    });
+    
+    return {
+        crawledAt: new Date().toISOString(),
+        listed: servers.length,
+        selected: selected.length,
+        steamLookups: Boolean(options.steam),
+        leaderboard: buildLeaderboard(outcomes),
+        failures: outcomes
+            .filter(outcome => outcome.error)
+            .map(outcome => ({ cfxcode: outcome.cfxcode, error: outcome.error.message })),
+        outcomes
+    };
+}
+
+module.exports = {
+    getServerListUrl,
+    fetchServerList,
+    selectServers,
+    buildLeaderboard,
+    crawlServers
+};
@@ -0,0 +1,94 @@
+/**
+ * Base class for errors raised while fetching remote data
+ */
+class FetchError extends Error {
+    constructor(message, url) {
+        super(message);
+        this.name = this.constructor.name;
+        this.url = url;
+    }
+}
+
+/**
+ * The request never produced a response (DNS, refused connection, timeout, proxy failure)
+ */
+class NetworkError extends FetchError {
+    constructor(message, url, cause) {
+        super(message, url);
+        this.code = cause && cause.code;
+        this.cause = cause;
+    }
+}
+
+/**
+ * The remote host answered with a non-2xx status
+ */
+class HttpStatusError extends FetchError {
+    constructor(statusCode, url, body) {
+        super(`HTTP ${statusCode} from ${new URL(url).host}`, url);
+        this.statusCode = statusCode;
+        this.body = body;
+    }
+}
+
+/**
+ * The FiveM frontend does not know the server, or it is offline
+ */
+class ServerNotFoundError extends FetchError {
+    constructor(cfxcode, url) {
+        super(`Server ${cfxcode} not found or offline`, url);
+        this.cfxcode = cfxcode;
+    }
+}
+
+/**
+ * The remote host answered, but not with the data expected (unparseable JSON, missing fields)
+ */
+class InvalidResponseError extends FetchError {
+    constructor(message, url, body) {
+        super(message, url);
+        this.body = body;
+    }
+}
+
+/**
+ * The Steam Web API refused the API key; every further lookup would fail the same way
+ */
+class SteamKeyRejectedError extends FetchError {
+    constructor(statusCode, url) {
+        super(`Steam API key rejected (HTTP ${statusCode}): check API_KEY in your configuration`, url);
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * A detection profile could not be found, read or validated
+ */
+class ProfileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+/**
+ * A configuration setting has the wrong shape or value
+ */
+class ConfigError extends Error {
+    constructor(message, setting) {
+        super(message);
+        this.name = this.constructor.name;
+        this.setting = setting;
+    }
+}
+
+module.exports = {
+    FetchError,
+    NetworkError,
+    HttpStatusError,
+    ServerNotFoundError,
+    InvalidResponseError,
+    SteamKeyRejectedError,
+    ProfileError,
+    ConfigError
+};
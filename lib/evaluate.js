@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const { extractPlayers } = require('./scanner');
+const { buildSteamProfileData } = require('./steam');
+const { loadScanRecording } = require('./recording');
+const { analyzeServerContext, analyzePlayersForBots } = require('./analysis');
+const { createConfig } = require('./config');
+const { loadProfile } = require('./profiles');
+const { compilePlayerLists } = require('./player-lists');
+
+/**
+ * Load every saved server payload in a dataset directory
+ *
+ * Entries are either raw FiveM frontend payloads (`<name>.json`) or directories
+ * made with --record, which also carry the Steam responses of the scan.
+ *
+ * @param {string} directory - Dataset directory
+ * @param {string} [labelsFile] - Labels file to leave out of the payloads
+ * @returns {Array<Object>} - { name, serverInfo, players, recording, scanDate }
+ */
+function loadDataset(directory, labelsFile) {
+    const entries = [];
+    const skip = labelsFile ? path.resolve(labelsFile) : null;
+    
+    for (const name of fs.readdirSync(directory).sort()) {
+        const entryPath = path.join(directory, name);
+        const stat = fs.statSync(entryPath);
+        
+        if (stat.isDirectory()) {
+            if (!fs.existsSync(path.join(entryPath, 'manifest.json'))) continue;
+            const recording = loadScanRecording(entryPath);
+            const data = JSON.parse(recording.serverPayload);
+            entries.push({
+                name,
+                serverInfo: data.Data,
+                players: data.Data.players || [],
+                recording,
+                scanDate: new Date(recording.manifest.recordedAt)
+            });
+        } else if (name.endsWith('.json') && path.resolve(entryPath) !== skip) {
+            const data = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+            if (!data.Data || !data.Data.players) continue;
+            entries.push({
+                name,
+                serverInfo: data.Data,
+                players: data.Data.players,
+                recording: null,
+                scanDate: stat.mtime
+            });
+        }
+    }
+    
+    return entries;
+}
+
+/**
+ * Load a labels file
+ *
+ * Format: { "<entry name>": { "bot": [keys], "human": [keys] } }, where a key is
+ * any player identifier ("license:...", "steam:..."), "id:<server id>" or "name:<player name>".
+ *
+ * @param {string} file - Labels file
+ * @returns {Map<string, Object>} - Entry name to { bot: Set, human: Set }
+ */
+function loadLabels(file) {
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const labels = new Map();
+    
+    for (const [entryName, entryLabels] of Object.entries(raw)) {
+        labels.set(entryName, {
+            bot: new Set(entryLabels.bot || []),
+            human: new Set(entryLabels.human || [])
+        });
+    }
+    
+    return labels;
+}
+
+/**
+ * Find the label of a player
+ * @param {Object} player - Player record from extractPlayers
+ * @param {Object} entryLabels - { bot: Set, human: Set }
+ * @returns {Object|null} - { label: 'bot'|'human', key } or null when unlabeled
+ */
+function findLabel(player, entryLabels) {
+    const keys = [...player.identifiers, `id:${player.id}`, `name:${player.name}`];
+    
+    for (const label of ['bot', 'human']) {
+        const key = keys.find(k => entryLabels[label].has(k));
+        if (key) {
+            return { label, key };
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Work out the detector's verdict for every player of one dataset entry
+ *
+ * Mirrors the scan: a player is a bot when the heuristic validation flags it, or when
+ * the recorded Steam profile is missing or looks like a bot.
+ *
+ * @param {Object} entry - Entry from loadDataset
+ * @param {Object} [profile] - Detection profile from loadProfile (default: conservative)
+ * @param {Object} [playerLists] - Operator allowlist and denylist from compilePlayerLists
+ * @returns {Array<Object>} - { player, isBot, reasons, steamIndicators }
+ */
+function predictEntry(entry, profile = loadProfile(), playerLists = null) {
+    const { allPlayers } = extractPlayers(entry.players);
+    const serverContext = analyzeServerContext(entry.serverInfo, allPlayers, entry.scanDate, profile);
+    analyzePlayersForBots(allPlayers, serverContext, profile, playerLists);
+    
+    // Steam IDs the recorded scan asked Steam about; others have no Steam evidence
+    const requested = new Set();
+    if (entry.recording) {
+        for (const response of entry.recording.manifest.steam) {
+            response.steamids.forEach(id => requested.add(String(id)));
+        }
+    }
+    
+    return allPlayers.map((player) => {
+        const validation = player.validation;
+        const prediction = {
+            player,
+            isBot: player.isPotentialBot,
+            reasons: player.isPotentialBot && !validation.listMatch ? ['Non-Steam bot indicators detected'] : validation.reasons.slice(),
+            listMatch: validation.listMatch,
+            botIndicators: validation.botIndicators,
+            humanIndicators: validation.humanIndicators,
+            confidence: validation.confidence,
+            steamIndicators: []
+        };
+        
+        // Operator lists decide on their own, as in a scan; failed lookups leave the heuristic verdict
+        const summaries = player.steam64Id && requested.has(player.steam64Id) && !validation.listMatch
+            ? entry.recording.lookupSteamSummaries([player.steam64Id])
+            : new Map();
+        if (summaries.has(player.steam64Id)) {
+            const summary = summaries.get(player.steam64Id);
+            if (!summary) {
+                prediction.isBot = true;
+                prediction.reasons.push('No valid Steam profile found');
+            } else {
+                const steamProfile = buildSteamProfileData(summary, entry.scanDate.getTime());
+                prediction.steamIndicators = steamProfile.botIndicators.indicators;
+                if (steamProfile.botIndicators.isLikelyBot) {
+                    prediction.isBot = true;
+                    prediction.reasons.push(`Steam profile bot indicators detected (${steamProfile.botIndicators.confidence}% confidence)`);
+                }
+            }
+        }
+        
+        return prediction;
+    });
+}
+
+/**
+ * Divide, returning null instead of NaN when there is nothing to divide
+ */
+function ratio(numerator, denominator) {
+    return denominator > 0 ? numerator / denominator : null;
+}
+
+/**
+ * Evaluate the detector against a labeled dataset
+ * @param {string} directory - Dataset directory (see loadDataset)
+ * @param {string} [labelsFile] - Labels file, defaults to <directory>/labels.json
+ * @param {Object} [options] - { config, profile } where profile overrides config.DETECTION_PROFILE
+ * @returns {Object} - Confusion matrix, precision, recall and misclassified players
+ */
+function evaluateDataset(directory, labelsFile, options = {}) {
+    const config = createConfig(options.config);
+    const profile = loadProfile(options.profile || config.DETECTION_PROFILE);
+    const playerLists = compilePlayerLists(config);
+    labelsFile = labelsFile || path.join(directory, 'labels.json');
+    const labels = loadLabels(labelsFile);
+    const entries = loadDataset(directory, labelsFile);
+    
+    const confusionMatrix = { truePositives: 0, falsePositives: 0, trueNegatives: 0, falseNegatives: 0 };
+    const misclassified = [];
+    const servers = [];
+    
+    for (const entry of entries) {
+        const entryLabels = labels.get(entry.name);
+        const server = { name: entry.name, hostname: entry.serverInfo.hostname || null, labeled: 0, unlabeled: 0 };
+        servers.push(server);
+        
+        for (const prediction of predictEntry(entry, profile, playerLists)) {
+            const found = entryLabels ? findLabel(prediction.player, entryLabels) : null;
+            if (!found) {
+                server.unlabeled++;
+                continue;
+            }
+            server.labeled++;
+            
+            const isBot = found.label === 'bot';
+            if (isBot && prediction.isBot) confusionMatrix.truePositives++;
+            else if (!isBot && prediction.isBot) confusionMatrix.falsePositives++;
+            else if (!isBot && !prediction.isBot) confusionMatrix.trueNegatives++;
+            else confusionMatrix.falseNegatives++;
+            
+            if (isBot !== prediction.isBot) {
+                misclassified.push({
+                    entry: entry.name,
+                    type: prediction.isBot ? 'falsePositive' : 'falseNegative',
+                    label: found.label,
+                    labelKey: found.key,
+                    playerName: prediction.player.name,
+                    playerId: prediction.player.id,
+                    identifiers: prediction.player.identifiers,
+                    verdictReasons: prediction.reasons,
+                    listMatch: prediction.listMatch,
+                    botIndicators: prediction.botIndicators,
+                    humanIndicators: prediction.humanIndicators,
+                    steamIndicators: prediction.steamIndicators,
+                    confidence: prediction.confidence
+                });
+            }
+        }
+    }
+    
+    const { truePositives: tp, falsePositives: fp, trueNegatives: tn, falseNegatives: fn } = confusionMatrix;
+    const precision = ratio(tp, tp + fp);
+    const recall = ratio(tp, tp + fn);
+    
+    return {
+        dataset: path.resolve(directory),
+        labels: path.resolve(labelsFile),
+        evaluatedAt: new Date().toISOString(),
+        detectionProfile: profile.name,
+        servers,
+        labeledPlayers: tp + fp + tn + fn,
+        unlabeledPlayers: servers.reduce((sum, server) => sum + server.unlabeled, 0),
+        confusionMatrix,
+        precision,
+        recall,
+        f1: precision !== null && recall !== null && precision + recall > 0
+            ? (2 * precision * recall) / (precision + recall)
+            : null,
+        accuracy: ratio(tp + tn, tp + fp + tn + fn),
+        misclassified
+    };
+}
+
+module.exports = {
+    loadDataset,
+    loadLabels,
+    predictEntry,
+    evaluateDataset
+};
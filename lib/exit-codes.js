@@ -0,0 +1,48 @@
+// Process exit codes, documented under "Exit Codes" in the README
+const EXIT_CODES = {
+    CLEAN: 0,          // scan finished, nothing above the thresholds
+    BOTS_FOUND: 1,     // potential bots (or borderline cases) above the --fail-on-* thresholds
+    INVALID_INPUT: 2,  // bad arguments, configuration, dataset or history input
+    API_ERROR: 3       // a server or Steam lookup failed, fully or partially
+};
+
+/**
+ * Whether a server's results are above the --fail-on-* thresholds
+ * @param {Object} results - The results object
+ * @param {Object} [thresholds] - { failOnBotPercentage, failOnBorderline }; without a percentage any bot counts
+ * @returns {boolean} - True when the run should exit with BOTS_FOUND
+ */
+function exceedsThresholds(results, thresholds = {}) {
+    const { statistics } = results;
+    const totalPlayers = statistics.totalAnalyzedPlayers || statistics.steamPlayers;
+    const botPercentage = totalPlayers > 0 ? (statistics.botScore / totalPlayers) * 100 : 0;
+    
+    const botsExceeded = thresholds.failOnBotPercentage == null
+        ? statistics.botScore > 0
+        : botPercentage > thresholds.failOnBotPercentage;
+    const borderlineExceeded = Boolean(thresholds.failOnBorderline) && (statistics.botReasons.borderlineCases || 0) > 0;
+    
+    return botsExceeded || borderlineExceeded;
+}
+
+/**
+ * Exit code for a set of finished scans: bots above the thresholds win over errors
+ * @param {Array<Object>} outcomes - { results, error } per server
+ * @param {Object} [thresholds] - { failOnBotPercentage, failOnBorderline }
+ * @returns {number} - One of EXIT_CODES
+ */
+function getExitCode(outcomes, thresholds) {
+    if (outcomes.some(outcome => outcome.results && exceedsThresholds(outcome.results, thresholds))) {
+        return EXIT_CODES.BOTS_FOUND;
+    }
+    if (outcomes.some(outcome => outcome.error || outcome.results.errors.length > 0)) {
+        return EXIT_CODES.API_ERROR;
+    }
+    return EXIT_CODES.CLEAN;
+}
+
+module.exports = {
+    EXIT_CODES,
+    exceedsThresholds,
+    getExitCode
+};
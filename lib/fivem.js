@@ -0,0 +1,65 @@
+const { httpGet } = require('./http');
+const { HttpStatusError, ServerNotFoundError, InvalidResponseError } = require('./errors');
+
+/**
+ * Download FiveM server data from the frontend API
+ * @param {string} cfxcode - The CFX code
+ * @param {Object} session - { config, log, recorder, recording } for the running scan
+ * @returns {Promise<Object>} - Server data object
+ * @throws {ServerNotFoundError|NetworkError|HttpStatusError|InvalidResponseError}
+ */
+async function downloadServerData(cfxcode, session) {
+    const { config, log, recorder, recording } = session;
+    const url = `${config.FIVEM_API_URL}${encodeURIComponent(cfxcode)}`;
+    let body;
+    
+    if (recording) {
+        log(`Replaying server data from: ${recording.directory}`);
+        body = recording.serverPayload;
+    } else {
+        log(`Downloading server data from: ${url}`);
+        
+        let response;
+        try {
+            response = await httpGet(url, {
+                timeout: config.REQUEST_TIMEOUT,
+                retries: config.MAX_RETRIES,
+                proxy: config.PROXY,
+                log
+            });
+        } catch (error) {
+            if (error instanceof HttpStatusError && error.statusCode === 404) {
+                throw new ServerNotFoundError(cfxcode, url);
+            }
+            throw error;
+        }
+        body = response.body;
+        
+        if (recorder) {
+            recorder.saveServerPayload(body);
+        }
+    }
+    
+    let data;
+    try {
+        data = JSON.parse(body);
+    } catch (parseError) {
+        throw new InvalidResponseError(`Failed to parse server data: ${parseError.message}`, url, body);
+    }
+    
+    // Offline servers come back without a Data block
+    if (!data || !data.Data) {
+        throw new ServerNotFoundError(cfxcode, url);
+    }
+    
+    // Validate response structure
+    if (!data.Data.players) {
+        throw new InvalidResponseError('Invalid server data structure', url, body);
+    }
+    
+    return data;
+}
+
+module.exports = {
+    downloadServerData
+};
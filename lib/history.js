@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Path of the history file for a server
+ * @param {string} directory - History directory
+ * @param {string} cfxcode - The CFX code
+ * @returns {string} - One JSON line per scan
+ */
+function getHistoryFile(directory, cfxcode) {
+    return path.join(directory, `${String(cfxcode).replace(/[^a-zA-Z0-9_-]/g, '_')}.jsonl`);
+}
+
+/**
+ * Reduce a results object to the figures kept in the history
+ * @param {Object} results - Results object from scanServer
+ * @returns {Object} - History entry
+ */
+function summarizeResults(results) {
+    const statistics = results.statistics;
+    const totalPlayers = statistics.totalAnalyzedPlayers || statistics.totalPlayers;
+    
+    return {
+        cfxcode: results.server.cfxcode,
+        scanTime: results.server.scanTime,
+        serverName: results.server.name,
+        currentPlayers: results.server.currentPlayers,
+        maxPlayers: results.server.maxPlayers,
+        totalPlayers,
+        steamPlayers: statistics.steamPlayers,
+        steamRatio: totalPlayers > 0 ? Math.round((statistics.steamPlayers / totalPlayers) * 1000) / 1000 : 0,
+        validProfiles: statistics.validProfiles,
+        potentialBots: statistics.potentialBots,
+        botScore: statistics.botScore,
+        botPercentage: statistics.botPercentage,
+        borderlineCases: (statistics.botReasons && statistics.botReasons.borderlineCases) || 0,
+        errors: statistics.errors,
+        contextFactors: results.serverContext ? results.serverContext.contextFactors : [],
+        duration: results.server.duration
+    };
+}
+
+/**
+ * Append a scan to the history of its server
+ * @param {Object} results - Results object from scanServer
+ * @param {string} directory - History directory
+ * @returns {string} - The history file written to
+ */
+function appendScanHistory(results, directory) {
+    fs.mkdirSync(directory, { recursive: true });
+    const file = getHistoryFile(directory, results.server.cfxcode);
+    fs.appendFileSync(file, `${JSON.stringify(summarizeResults(results))}\n`);
+    return file;
+}
+
+/**
+ * Read the recorded scans of a server, oldest first
+ * @param {string} cfxcode - The CFX code
+ * @param {string} directory - History directory
+ * @param {Object} [range] - { since, until } as Dates
+ * @returns {Array<Object>} - History entries
+ */
+function readScanHistory(cfxcode, directory, range = {}) {
+    const file = getHistoryFile(directory, cfxcode);
+    if (!fs.existsSync(file)) {
+        return [];
+    }
+    
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(line => line.trim().length > 0)
+        .map((line) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                return null; // A scan interrupted mid-write leaves a partial line
+            }
+        })
+        .filter(entry => entry && entry.scanTime)
+        .filter(entry => !range.since || new Date(entry.scanTime) >= range.since)
+        .filter(entry => !range.until || new Date(entry.scanTime) <= range.until)
+        .sort((a, b) => new Date(a.scanTime) - new Date(b.scanTime));
+}
+
+/**
+ * Label of the period a scan falls into
+ * @param {string} scanTime - ISO timestamp
+ * @param {string} bucket - 'scan', 'day' or 'week'
+ * @returns {string} - Period label
+ */
+function getPeriod(scanTime, bucket) {
+    if (bucket === 'scan') {
+        return scanTime;
+    }
+    
+    const date = new Date(scanTime);
+    if (bucket === 'week') {
+        // Weeks start on Monday (UTC)
+        date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Average a field over history entries
+ */
+function average(entries, field) {
+    const sum = entries.reduce((total, entry) => total + (Number(entry[field]) || 0), 0);
+    return Math.round((sum / entries.length) * 10) / 10;
+}
+
+/**
+ * Group history entries into periods and find the largest change in flagged bots
+ * @param {Array<Object>} entries - Entries from readScanHistory
+ * @param {Object} [trendOptions] - { bucket: 'scan'|'day'|'week' }
+ * @returns {Object} - { bucket, periods, largestIncrease, largestDecrease, first, last }
+ */
+function buildHistoryTrend(entries, trendOptions = {}) {
+    const bucket = trendOptions.bucket || 'day';
+    if (!['scan', 'day', 'week'].includes(bucket)) {
+        throw new Error(`Invalid bucket "${bucket}" (use scan, day or week)`);
+    }
+    
+    const groups = new Map();
+    for (const entry of entries) {
+        const period = getPeriod(entry.scanTime, bucket);
+        if (!groups.has(period)) groups.set(period, []);
+        groups.get(period).push(entry);
+    }
+    
+    const periods = [...groups.entries()].map(([period, group]) => ({
+        period,
+        scans: group.length,
+        totalPlayers: average(group, 'totalPlayers'),
+        botScore: average(group, 'botScore'),
+        maxBotScore: Math.max(...group.map(entry => entry.botScore || 0)),
+        botPercentage: average(group, 'botPercentage'),
+        steamRatio: Math.round(average(group, 'steamRatio') * 100) / 100,
+        borderlineCases: average(group, 'borderlineCases')
+    }));
+    
+    let largestIncrease = null;
+    let largestDecrease = null;
+    for (let i = 1; i < periods.length; i++) {
+        const change = {
+            from: periods[i - 1].period,
+            to: periods[i].period,
+            before: periods[i - 1].botScore,
+            after: periods[i].botScore,
+            delta: Math.round((periods[i].botScore - periods[i - 1].botScore) * 10) / 10
+        };
+        if (change.delta > 0 && (!largestIncrease || change.delta > largestIncrease.delta)) {
+            largestIncrease = change;
+        }
+        if (change.delta < 0 && (!largestDecrease || change.delta < largestDecrease.delta)) {
+            largestDecrease = change;
+        }
+    }
+    
+    return {
+        bucket,
+        scans: entries.length,
+        first: entries.length > 0 ? entries[0].scanTime : null,
+        last: entries.length > 0 ? entries[entries.length - 1].scanTime : null,
+        periods,
+        largestIncrease,
+        largestDecrease
+    };
+}
+
+module.exports = {
+    getHistoryFile,
+    summarizeResults,
+    appendScanHistory,
+    readScanHistory,
+    buildHistoryTrend
+};
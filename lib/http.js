@@ -0,0 +1,244 @@
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const zlib = require('zlib');
+const { version: PACKAGE_VERSION } = require('../package.json');
+const { NetworkError, HttpStatusError } = require('./errors');
+
+/**
+ * Sleep function for rate limiting
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Resolve the proxy to use for a URL from the PROXY setting or the HTTP(S)_PROXY environment variables
+ * @param {URL} target - The URL being requested
+ * @param {string|null} [proxyOverride] - Proxy URL from the configuration
+ * @returns {URL|null} - Proxy URL or null for a direct connection
+ */
+function getProxyFor(target, proxyOverride) {
+    const noProxy = (process.env.NO_PROXY || process.env.no_proxy || '')
+        .split(',')
+        .map(entry => entry.trim().toLowerCase())
+        .filter(Boolean);
+    const hostname = target.hostname.toLowerCase();
+    if (noProxy.some(entry => entry === '*' || hostname === entry.replace(/^\./, '') || hostname.endsWith(entry.startsWith('.') ? entry : `.${entry}`))) {
+        return null;
+    }
+    
+    const proxy = proxyOverride || (target.protocol === 'https:'
+        ? process.env.HTTPS_PROXY || process.env.https_proxy
+        : process.env.HTTP_PROXY || process.env.http_proxy);
+    return proxy ? new URL(proxy) : null;
+}
+
+/**
+ * Open a CONNECT tunnel through an HTTP proxy
+ * @param {URL} proxy - The proxy URL
+ * @param {URL} target - The URL being requested
+ * @param {number} timeout - Milliseconds before giving up
+ * @returns {Promise<net.Socket>} - Socket connected to the target host
+ */
+function openProxyTunnel(proxy, target, timeout) {
+    return new Promise((resolve, reject) => {
+        const headers = { host: `${target.hostname}:${target.port || 443}` };
+        if (proxy.username) {
+            const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+            headers['proxy-authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+        }
+        
+        const request = http.request({
+            host: proxy.hostname,
+            port: proxy.port || 80,
+            method: 'CONNECT',
+            path: headers.host,
+            headers
+        });
+        
+        request.on('connect', (res, socket) => {
+            if (res.statusCode !== 200) {
+                socket.destroy();
+                reject(new Error(`Proxy CONNECT failed with HTTP ${res.statusCode}`));
+                return;
+            }
+            resolve(socket);
+        });
+        request.on('error', reject);
+        request.setTimeout(timeout, () => {
+            request.destroy(new Error(`Proxy CONNECT timed out after ${timeout}ms`));
+        });
+        request.end();
+    });
+}
+
+/**
+ * Perform a single request with gzip support and proxy support
+ * @param {string} url - The URL to fetch
+ * @param {Object} requestOptions - { method, body, timeout, proxy, headers }
+ * @returns {Promise<Object>} - { statusCode, headers, body }
+ */
+async function httpRequestOnce(url, requestOptions) {
+    const target = new URL(url);
+    const isHttps = target.protocol === 'https:';
+    const proxy = getProxyFor(target, requestOptions.proxy);
+    const headers = Object.assign({
+        'accept': 'application/json',
+        'accept-encoding': 'gzip, deflate',
+        'user-agent': `fivem-bot-detection/${PACKAGE_VERSION}`
+    }, requestOptions.headers);
+    
+    if (requestOptions.body !== undefined) {
+        headers['content-length'] = Buffer.byteLength(requestOptions.body);
+    }
+    
+    const requestParams = {
+        method: requestOptions.method || 'GET',
+        host: target.hostname,
+        port: target.port || (isHttps ? 443 : 80),
+        path: `${target.pathname}${target.search}`,
+        headers
+    };
+    
+    if (proxy && isHttps) {
+        const socket = await openProxyTunnel(proxy, target, requestOptions.timeout);
+        requestParams.createConnection = () => tls.connect({ socket, servername: target.hostname });
+    } else if (proxy) {
+        // Plain HTTP goes to the proxy with the absolute URL as the path
+        requestParams.host = proxy.hostname;
+        requestParams.port = proxy.port || 80;
+        requestParams.path = target.href;
+        if (proxy.username) {
+            const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+            headers['proxy-authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+        }
+    }
+    
+    return new Promise((resolve, reject) => {
+        const client = isHttps ? https : http;
+        const request = client.request(requestParams, (res) => {
+            const encoding = (res.headers['content-encoding'] || '').toLowerCase();
+            let stream = res;
+            if (encoding === 'gzip') {
+                stream = res.pipe(zlib.createGunzip());
+            } else if (encoding === 'deflate') {
+                stream = res.pipe(zlib.createInflate());
+            }
+            
+            const chunks = [];
+            stream.on('data', (chunk) => {
+                chunks.push(chunk);
+            });
+            stream.on('end', () => {
+                resolve({
+                    statusCode: res.statusCode,
+                    headers: res.headers,
+                    body: Buffer.concat(chunks).toString('utf8')
+                });
+            });
+            stream.on('error', reject);
+        });
+        
+        request.on('error', reject);
+        request.setTimeout(requestOptions.timeout, () => {
+            request.destroy(new Error(`Request timed out after ${requestOptions.timeout}ms`));
+        });
+        request.end(requestOptions.body);
+    });
+}
+
+/**
+ * Milliseconds a 429 or 503 response asks the client to wait, from its Retry-After header
+ * @param {Object} headers - Response headers
+ * @returns {number|null} - The wait, at most a minute, or null without a usable header
+ */
+function getRetryAfter(headers) {
+    const value = headers && headers['retry-after'];
+    if (!value) {
+        return null;
+    }
+    const wait = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+    return Number.isNaN(wait) ? null : Math.min(Math.max(wait, 0), 60000);
+}
+
+/**
+ * Send a request in-process, retrying network failures, 429 and 5xx responses with backoff
+ * @param {string} url - The URL to fetch
+ * @param {Object} [requestOptions] - { method, body, timeout, retries, retryDelay, proxy, headers, log };
+ *     retryDelay is the first backoff in ms (default 1000), doubled on every retry
+ * @returns {Promise<Object>} - { statusCode, headers, body } for a 2xx response
+ * @throws {NetworkError|HttpStatusError}
+ */
+async function httpRequest(url, requestOptions = {}) {
+    const timeout = requestOptions.timeout || 10000;
+    const retries = requestOptions.retries !== undefined ? requestOptions.retries : 3;
+    const retryDelay = requestOptions.retryDelay !== undefined ? requestOptions.retryDelay : 1000;
+    const log = requestOptions.log || (() => {});
+    
+    for (let attempt = 0; ; attempt++) {
+        let error;
+        let retryAfter = null;
+        try {
+            const response = await httpRequestOnce(url, {
+                method: requestOptions.method,
+                body: requestOptions.body,
+                timeout,
+                proxy: requestOptions.proxy,
+                headers: requestOptions.headers
+            });
+            if (response.statusCode >= 200 && response.statusCode < 300) {
+                return response;
+            }
+            error = new HttpStatusError(response.statusCode, url, response.body);
+            retryAfter = getRetryAfter(response.headers);
+        } catch (cause) {
+            error = new NetworkError(`Network error fetching ${url}: ${cause.message}`, url, cause);
+        }
+        
+        const retryable = error instanceof NetworkError || error.statusCode === 429 || error.statusCode >= 500;
+        if (!retryable || attempt >= retries) {
+            throw error;
+        }
+        
+        log(`${error.message}, retrying... (${attempt + 1}/${retries})`);
+        await sleep(retryAfter !== null ? retryAfter : retryDelay * 2 ** attempt); // Exponential backoff
+    }
+}
+
+/**
+ * GET a URL in-process, retrying network failures, 429 and 5xx responses with backoff
+ * @param {string} url - The URL to fetch
+ * @param {Object} [requestOptions] - { timeout, retries, retryDelay, proxy, headers, log }
+ * @returns {Promise<Object>} - { statusCode, headers, body } for a 2xx response
+ * @throws {NetworkError|HttpStatusError}
+ */
+function httpGet(url, requestOptions = {}) {
+    return httpRequest(url, Object.assign({}, requestOptions, { method: 'GET', body: undefined }));
+}
+
+/**
+ * POST a JSON body, with the same retries as httpGet
+ * @param {string} url - The URL to post to
+ * @param {Object} payload - Body, sent as JSON
+ * @param {Object} [requestOptions] - { timeout, retries, retryDelay, proxy, headers, log }
+ * @returns {Promise<Object>} - { statusCode, headers, body } for a 2xx response
+ * @throws {NetworkError|HttpStatusError}
+ */
+function httpPostJson(url, payload, requestOptions = {}) {
+    return httpRequest(url, Object.assign({}, requestOptions, {
+        method: 'POST',
+        body: JSON.stringify(payload),
+        headers: Object.assign({ 'content-type': 'application/json' }, requestOptions.headers)
+    }));
+}
+
+module.exports = {
+    sleep,
+    getProxyFor,
+    getRetryAfter,
+    httpGet,
+    httpPostJson
+};
@@ -0,0 +1,153 @@
+const { normalizeName, nameShape } = require('./name-clusters');
+
+/**
+ * Identifier types of a player, sorted: "discord,license,steam"
+ * @param {Object} player - Player from extractPlayers
+ * @returns {Array<string>} - Lowercase types
+ */
+function identifierTypes(player) {
+    const types = new Set();
+    for (const identifier of player.identifiers || []) {
+        const match = /^([a-z0-9]+):/i.exec(String(identifier));
+        if (match) types.add(match[1].toLowerCase());
+    }
+    return [...types].sort();
+}
+
+/**
+ * Traits a run can share: its identifier set, each identifier type it lacks and its name shape
+ * @param {Object} player - Player from extractPlayers
+ * @param {Array<string>} serverTypes - Identifier types seen on the server
+ * @returns {Array<string>} - Trait keys, e.g. ['identifiers:license,steam', 'missing:license2', 'shape:Aa9_aa99']
+ */
+function playerTraits(player, serverTypes) {
+    const types = identifierTypes(player);
+    return [
+        `identifiers:${types.join(',')}`,
+        ...serverTypes.filter(type => !types.includes(type)).map(type => `missing:${type}`),
+        `shape:${nameShape(normalizeName(player.name))}`
+    ];
+}
+
+/**
+ * Readable form of a trait key
+ * @param {string} trait - Key from playerTraits, or "cluster:<kind>:<key>"
+ * @returns {string} - e.g. "no license2 identifier"
+ */
+function describeTrait(trait) {
+    const [type, ...rest] = trait.split(':');
+    const value = rest.join(':');
+    switch (type) {
+        case 'missing':
+            return `no ${value} identifier`;
+        case 'identifiers':
+            return value ? `identifiers ${value}` : 'no identifiers';
+        case 'shape':
+            return `name shape ${value}`;
+        default:
+            return `${rest[0]} name cluster "${rest.slice(1).join(':')}"`;
+    }
+}
+
+/**
+ * Runs of consecutive server IDs, in ID order
+ * @param {Array} players - Players from extractPlayers
+ * @param {number} maxGap - Largest step between successive IDs of a run
+ * @returns {Array<Array>} - Players of each run
+ */
+function consecutiveRuns(players, maxGap) {
+    const sorted = players
+        .filter(player => Number.isInteger(Number(player.id)) && Number(player.id) > 0)
+        .sort((a, b) => Number(a.id) - Number(b.id));
+    const runs = [];
+    let run = [];
+    for (const player of sorted) {
+        if (run.length > 0 && Number(player.id) - Number(run[run.length - 1].id) > maxGap) {
+            runs.push(run);
+            run = [];
+        }
+        run.push(player);
+    }
+    if (run.length > 0) runs.push(run);
+    return runs;
+}
+
+/**
+ * Find runs of consecutive server IDs whose players share a weak signal
+ *
+ * FiveM hands out server IDs in join order, so bots connected by a script take long runs of
+ * consecutive IDs, while churn scatters the IDs of real players. A run is only reported when most
+ * of its players also share a trait: a name cluster, or an identifier set, a missing identifier type
+ * or a name shape that is rare among the other players. The rarity check needs enough players
+ * outside the run, so right after a restart (when every ID is consecutive) only name clusters count.
+ * Members list the shared traits they carry themselves; a player that joined amid a run without
+ * sharing its traits carries none.
+ *
+ * @param {Array} players - Players from extractPlayers
+ * @param {Array} nameClusters - Clusters from clusterPlayerNames
+ * @param {Object} limits - { idRunMinLength, idRunMaxGap, idRunTraitPercent, idRunOutsidePercent }
+ * @returns {Array<Object>} - { firstId, lastId, size, traits: [{ trait, description, share }], members: [{ id, name, sharedTraits }] }, largest first
+ */
+function findIdRuns(players, nameClusters, limits) {
+    const serverTypes = [...new Set(players.flatMap(identifierTypes))].sort();
+    const traitsOf = new Map(players.map(player => [player, playerTraits(player, serverTypes)]));
+    for (const cluster of nameClusters || []) {
+        const trait = `cluster:${cluster.kind}:${cluster.key}`;
+        for (const player of players) {
+            if (cluster.members.some(m => m.id === player.id && m.name === player.name)) {
+                traitsOf.get(player).push(trait);
+            }
+        }
+    }
+
+    const countTraits = group => {
+        const counts = new Map();
+        for (const player of group) {
+            for (const trait of traitsOf.get(player)) {
+                counts.set(trait, (counts.get(trait) || 0) + 1);
+            }
+        }
+        return counts;
+    };
+
+    const results = [];
+    for (const run of consecutiveRuns(players, limits.idRunMaxGap)) {
+        if (run.length < limits.idRunMinLength) continue;
+        const inRun = new Set(run);
+        const outside = players.filter(player => !inRun.has(player));
+        const outsideCounts = countTraits(outside);
+        const canCompare = outside.length >= limits.idRunMinLength;
+
+        const traits = [];
+        for (const [trait, count] of countTraits(run)) {
+            const share = count / run.length;
+            if (share * 100 < limits.idRunTraitPercent) continue;
+            const isCluster = trait.startsWith('cluster:');
+            const outsideShare = canCompare ? (outsideCounts.get(trait) || 0) / outside.length : 1;
+            if (isCluster || outsideShare * 100 <= limits.idRunOutsidePercent) {
+                traits.push({ trait, description: describeTrait(trait), share: Math.round(share * 1000) / 1000 });
+            }
+        }
+        if (traits.length === 0) continue;
+        traits.sort((a, b) => b.share - a.share);
+
+        results.push({
+            firstId: Number(run[0].id),
+            lastId: Number(run[run.length - 1].id),
+            size: run.length,
+            traits,
+            members: run.map(player => ({
+                id: player.id,
+                name: player.name,
+                sharedTraits: traits.map(({ trait }) => trait).filter(trait => traitsOf.get(player).includes(trait))
+            }))
+        });
+    }
+
+    return results.sort((a, b) => b.size - a.size);
+}
+
+module.exports = {
+    findIdRuns,
+    describeTrait
+};
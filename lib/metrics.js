@@ -0,0 +1,153 @@
+const http = require('http');
+const { EventEmitter } = require('events');
+const { createConfig } = require('./config');
+const { createRateLimiter } = require('./steam');
+const { scanServer } = require('./scanner');
+
+const METRIC_PREFIX = 'fivem_bot_detection';
+
+// Gauges read from the latest results of each server: [name, help, value]
+const SERVER_GAUGES = [
+    ['players', 'Players analyzed in the last scan', results => results.statistics.totalAnalyzedPlayers],
+    ['reported_players', 'Player count reported by the server', results => results.server.currentPlayers],
+    ['max_players', 'Player slots of the server', results => results.server.maxPlayers],
+    ['steam_players', 'Players with a Steam identifier', results => results.statistics.steamPlayers],
+    ['valid_steam_profiles', 'Steam players with a valid profile', results => results.statistics.validProfiles],
+    ['potential_bots', 'Players flagged as potential bots', results => results.statistics.botScore],
+    ['bot_ratio', 'Potential bots over analyzed players', results => {
+        const total = results.statistics.totalAnalyzedPlayers;
+        return total > 0 ? results.statistics.botScore / total : 0;
+    }],
+    ['borderline_players', 'Players that need manual review', results => results.statistics.botReasons.borderlineCases || 0],
+    ['steam_errors', 'Steam lookups that failed in the last scan', results => results.statistics.errors],
+    ['scan_duration_seconds', 'Duration of the last scan', results => results.server.duration],
+    ['last_scan_timestamp_seconds', 'Time of the last successful scan', results => Date.parse(results.server.scanTime) / 1000]
+];
+
+/**
+ * Escape a Prometheus label value
+ * @param {*} value - Label value
+ * @returns {string} - Escaped value
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set
+ * @param {Object} labels - Label names and values
+ * @returns {string} - e.g. {cfxcode="abc123"}
+ */
+function formatLabels(labels) {
+    return `{${Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Render the state of every server in the Prometheus text exposition format
+ * @param {Map<string, Object>} servers - cfxcode -> { results, scans, failures }
+ * @returns {string} - Metrics text
+ */
+function renderMetrics(servers) {
+    const lines = [];
+    const entries = [...servers.entries()];
+    const scanned = entries.filter(([, state]) => state.results);
+    
+    const family = (name, type, help, samples) => {
+        lines.push(`# HELP ${METRIC_PREFIX}_${name} ${help}`);
+        lines.push(`# TYPE ${METRIC_PREFIX}_${name} ${type}`);
+        samples.forEach(([labels, value]) => lines.push(`${METRIC_PREFIX}_${name}${formatLabels(labels)} ${value}`));
+    };
+    
+    family('server_info', 'gauge', 'Server name of each scanned cfxcode',
+        scanned.map(([cfxcode, state]) => [{ cfxcode, name: String(state.results.server.name || '').replace(/\^\d/g, '') }, 1]));
+    
+    // A figure the server did not report (e.g. maxPlayers 'Unknown') has no sample
+    for (const [name, help, read] of SERVER_GAUGES) {
+        family(name, 'gauge', help, scanned.map(([cfxcode, state]) => [{ cfxcode }, read(state.results)])
+            .filter(([, value]) => Number.isFinite(value)));
+    }
+    
+    const reasonSamples = [];
+    scanned.forEach(([cfxcode, state]) => {
+        for (const [reason, count] of Object.entries(state.results.statistics.botReasons)) {
+            if (reason !== 'borderlineCases') reasonSamples.push([{ cfxcode, reason }, count]);
+        }
+    });
+    family('bot_reason_players', 'gauge', 'Players matching each bot indicator in the last scan', reasonSamples);
+    
+    family('scans_total', 'counter', 'Scans attempted', entries.map(([cfxcode, state]) => [{ cfxcode }, state.scans]));
+    family('scan_failures_total', 'counter', 'Scans that failed', entries.map(([cfxcode, state]) => [{ cfxcode }, state.failures]));
+    
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Re-scan servers on a timer and serve their figures on /metrics
+ *
+ * Events emitted on `options.events`: listening (address), scanned (cfxcode, results),
+ * scanError (cfxcode, error) and error (the HTTP server failed, e.g. the port is in use).
+ *
+ * @param {Array<string>} cfxcodes - Servers to scan
+ * @param {Object} [options] - { config, interval (ms), port, host, events }
+ * @returns {Object} - { server, servers, stop() }
+ */
+function startMetricsExporter(cfxcodes, options = {}) {
+    const events = options.events || new EventEmitter();
+    const config = createConfig(options.config);
+    const rateLimiter = createRateLimiter(config.RATE_LIMIT_DELAY);
+    const servers = new Map(cfxcodes.map(cfxcode => [cfxcode, { results: null, scans: 0, failures: 0 }]));
+    
+    let timer = null;
+    let stopped = false;
+    
+    // Servers are scanned one after another so a cycle never bursts the Steam API
+    async function runCycle() {
+        for (const [cfxcode, state] of servers) {
+            if (stopped) return;
+            state.scans++;
+            try {
+                state.results = await scanServer(cfxcode, { config: options.config, rateLimiter });
+                events.emit('scanned', cfxcode, state.results);
+            } catch (error) {
+                state.failures++;
+                events.emit('scanError', cfxcode, error);
+            }
+        }
+        
+        if (!stopped) {
+            timer = setTimeout(runCycle, options.interval);
+        }
+    }
+    
+    const server = http.createServer((req, res) => {
+        const pathname = req.url.split('?')[0];
+        if (req.method === 'GET' && pathname === '/metrics') {
+            res.writeHead(200, { 'content-type': 'text/plain; version=0.0.4; charset=utf-8' });
+            res.end(renderMetrics(servers));
+            return;
+        }
+        res.writeHead(404, { 'content-type': 'text/plain' });
+        res.end('Not found, metrics are served on /metrics\n');
+    });
+    
+    server.on('error', (error) => events.emit('error', error));
+    server.listen(options.port, options.host, () => {
+        events.emit('listening', server.address());
+        runCycle();
+    });
+    
+    return {
+        server,
+        servers,
+        stop() {
+            stopped = true;
+            clearTimeout(timer);
+            server.close();
+        }
+    };
+}
+
+module.exports = {
+    renderMetrics,
+    startMetricsExporter
+};
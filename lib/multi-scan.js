@@ -0,0 +1,100 @@
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { createConfig } = require('./config');
+const { createRateLimiter } = require('./steam');
+const { scanServer } = require('./scanner');
+
+/**
+ * Read cfxcodes from a file, one per line; blank lines and # comments are ignored
+ * @param {string} file - Path of the list
+ * @returns {Array<string>} - The cfxcodes
+ */
+function readServerList(file) {
+    return fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.replace(/#.*/, '').trim())
+        .filter(Boolean);
+}
+
+/**
+ * Scan several servers, running a bounded number of scans at once
+ *
+ * All scans share one Steam rate limiter, so RATE_LIMIT_DELAY holds across the whole run.
+ *
+ * Events emitted on `options.events`:
+ *   serverStart (cfxcode)
+ *   serverComplete (cfxcode, results)
+ *   serverError (cfxcode, error)
+ *
+ * @param {Array<string>} cfxcodes - Servers to scan
+ * @param {Object} [options] - { config, concurrency, events, skipSteam, refreshCache }
+ * @returns {Promise<Array<Object>>} - { cfxcode, results, error } per server, in input order
+ */
+async function scanServers(cfxcodes, options = {}) {
+    const events = options.events || new EventEmitter();
+    const config = createConfig(options.config);
+    const rateLimiter = createRateLimiter(config.RATE_LIMIT_DELAY);
+    const uniqueCodes = [...new Set(cfxcodes)];
+    const outcomes = uniqueCodes.map(cfxcode => ({ cfxcode, results: null, error: null }));
+    let next = 0;
+    
+    async function worker() {
+        while (next < outcomes.length) {
+            const outcome = outcomes[next++];
+            events.emit('serverStart', outcome.cfxcode);
+            
+            try {
+                outcome.results = await scanServer(outcome.cfxcode, {
+                    config: options.config,
+                    rateLimiter,
+                    skipSteam: options.skipSteam,
+                    refreshCache: options.refreshCache
+                });
+                events.emit('serverComplete', outcome.cfxcode, outcome.results);
+            } catch (error) {
+                outcome.error = error;
+                events.emit('serverError', outcome.cfxcode, error);
+            }
+        }
+    }
+    
+    const workerCount = Math.max(1, Math.min(options.concurrency || 2, outcomes.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    
+    return outcomes;
+}
+
+/**
+ * Build the comparison rows for a multi-server run
+ * @param {Array<Object>} outcomes - Outcomes from scanServers
+ * @returns {Array<Object>} - One row per server, highest bot percentage first
+ */
+function buildComparison(outcomes) {
+    return outcomes
+        .map(({ cfxcode, results, error }) => {
+            if (!results) {
+                return { cfxcode, name: null, error: error.message };
+            }
+            return {
+                cfxcode,
+                name: results.server.name,
+                totalPlayers: results.statistics.totalAnalyzedPlayers,
+                steamPlayers: results.statistics.steamPlayers,
+                botScore: results.statistics.botScore,
+                botPercentage: results.statistics.botPercentage,
+                borderlineCases: results.statistics.botReasons.borderlineCases || 0,
+                contextFactors: results.serverContext.contextFactors,
+                error: null
+            };
+        })
+        .sort((a, b) => {
+            if (a.error || b.error) return (a.error ? 1 : 0) - (b.error ? 1 : 0);
+            return b.botPercentage - a.botPercentage;
+        });
+}
+
+module.exports = {
+    readServerList,
+    scanServers,
+    buildComparison
+};
@@ -0,0 +1,176 @@
+// Stem followed by a number: "Alex_1023", "xX_Sniper_Xx2"
+const NUMBERED_NAME = /^(.*?[a-z].*?)[\s_.-]*([0-9]+)$/i;
+// Stem followed by a random suffix that has a digit: "Alex_k2Lp"
+const SUFFIXED_NAME = /^([a-z]{3,})[\s_.-]+([a-z0-9]*[0-9][a-z0-9]*)$/i;
+
+/**
+ * Player name as compared by the clustering: without FiveM color codes, trimmed
+ * @param {string} name - Player name
+ * @returns {string} - Normalized name
+ */
+function normalizeName(name) {
+    return String(name || '').replace(/\^[0-9]/g, '').trim();
+}
+
+/**
+ * Character-class shape of a name: "Xk9_pq72" -> "Aa9_aa99"
+ * @param {string} name - Normalized name
+ * @returns {string} - Shape
+ */
+function nameShape(name) {
+    return name.replace(/[A-Z]/g, 'A').replace(/[a-z]/g, 'a').replace(/[0-9]/g, '9');
+}
+
+/**
+ * Levenshtein distance, giving up once it exceeds `max`
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Largest distance of interest
+ * @returns {number} - The distance, or max + 1 when it is larger than max
+ */
+function boundedEditDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) {
+            return max + 1;
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Whether sorted numbers hold a run of `minLength` values, each within `maxGap` of the previous
+ * @param {Array<number>} numbers - Numbers, sorted ascending
+ * @param {number} minLength - Run length needed
+ * @param {number} maxGap - Largest step inside a run
+ * @returns {boolean} - True when there is such a run
+ */
+function hasNumberRun(numbers, minLength, maxGap) {
+    let run = 1;
+    for (let i = 1; i < numbers.length; i++) {
+        run = numbers[i] - numbers[i - 1] <= maxGap ? run + 1 : 1;
+        if (run >= minLength) return true;
+    }
+    return minLength <= 1 && numbers.length > 0;
+}
+
+/**
+ * Group players whose names look generated from one pattern
+ *
+ * Clusters are formed by a shared stem with a numeric or random suffix ("Alex_1023", "Alex_1024",
+ * "Alex_k2Lp"; kind "sequence" when the numbers run on, "stem" otherwise), by a shared character
+ * template for names mixing letters and digits (kind "template"), and by names within a small edit
+ * distance of each other (kind "similar"). A player can be in several clusters.
+ *
+ * @param {Array} players - Players from extractPlayers
+ * @param {Object} limits - { nameClusterMinSize, nameTemplateMinSize, nameEditDistance, nameSequenceGap }
+ * @returns {Array<Object>} - { kind, key, size, members: [{ id, name }] }, largest first
+ */
+function clusterPlayerNames(players, limits) {
+    const clusters = [];
+    const member = player => ({ id: player.id, name: player.name });
+    
+    // Shared stem with a numeric or random suffix
+    const stems = new Map();
+    for (const player of players) {
+        const name = normalizeName(player.name);
+        const numbered = NUMBERED_NAME.exec(name);
+        const suffixed = numbered ? null : SUFFIXED_NAME.exec(name);
+        const match = numbered || suffixed;
+        if (!match || match[1].length < 3) continue;
+        const stem = match[1].toLowerCase();
+        if (!stems.has(stem)) stems.set(stem, { players: [], numbers: [] });
+        stems.get(stem).players.push(player);
+        if (numbered) stems.get(stem).numbers.push(Number(match[2]));
+    }
+    for (const [stem, group] of stems) {
+        const distinctNames = new Set(group.players.map(player => normalizeName(player.name).toLowerCase()));
+        if (group.players.length < limits.nameClusterMinSize || distinctNames.size < 2) continue;
+        const numbers = group.numbers.sort((a, b) => a - b);
+        clusters.push({
+            kind: hasNumberRun(numbers, limits.nameClusterMinSize, limits.nameSequenceGap) ? 'sequence' : 'stem',
+            key: stem,
+            size: group.players.length,
+            members: group.players.map(member)
+        });
+    }
+    
+    // Shared template: only names that mix letters and digits, or every "Firstname_Lastname" would match
+    const shapes = new Map();
+    for (const player of players) {
+        const name = normalizeName(player.name);
+        const digits = (name.match(/[0-9]/g) || []).length;
+        const letters = (name.match(/[a-z]/gi) || []).length;
+        if (name.length < 6 || digits < 2 || letters < 2) continue;
+        const shape = nameShape(name);
+        if (!shapes.has(shape)) shapes.set(shape, []);
+        shapes.get(shape).push(player);
+    }
+    for (const [shape, group] of shapes) {
+        const distinctNames = new Set(group.map(player => normalizeName(player.name).toLowerCase()));
+        if (group.length >= limits.nameTemplateMinSize && distinctNames.size >= 2) {
+            clusters.push({ kind: 'template', key: shape, size: group.length, members: group.map(member) });
+        }
+    }
+    
+    // Names a few edits apart, compared once per distinct name
+    const byName = new Map();
+    for (const player of players) {
+        const name = normalizeName(player.name).toLowerCase();
+        if (name.length < 5) continue;
+        if (!byName.has(name)) byName.set(name, []);
+        byName.get(name).push(player);
+    }
+    const names = [...byName.keys()].sort((a, b) => a.length - b.length);
+    const parent = names.map((name, index) => index);
+    const find = (index) => {
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]];
+            index = parent[index];
+        }
+        return index;
+    };
+    for (let i = 0; i < names.length; i++) {
+        for (let j = i + 1; j < names.length && names[j].length - names[i].length <= limits.nameEditDistance; j++) {
+            if (find(i) !== find(j) && boundedEditDistance(names[i], names[j], limits.nameEditDistance) <= limits.nameEditDistance) {
+                parent[find(j)] = find(i);
+            }
+        }
+    }
+    const components = new Map();
+    names.forEach((name, index) => {
+        const root = find(index);
+        if (!components.has(root)) components.set(root, []);
+        components.get(root).push(name);
+    });
+    const clustered = new Set(clusters.filter(cluster => cluster.kind !== 'template').flatMap(cluster => cluster.members.map(m => m.name)));
+    for (const component of components.values()) {
+        const group = component.flatMap(name => byName.get(name));
+        // Skip lone names repeated verbatim (duplicate names are checked on their own) and stems already found
+        if (component.length < 2 || group.length < limits.nameClusterMinSize || group.every(player => clustered.has(player.name))) continue;
+        clusters.push({ kind: 'similar', key: component[0], size: group.length, members: group.map(member) });
+    }
+    
+    return clusters.sort((a, b) => b.size - a.size);
+}
+
+module.exports = {
+    normalizeName,
+    nameShape,
+    boundedEditDistance,
+    clusterPlayerNames
+};
@@ -0,0 +1,136 @@
+/**
+ * Value at a quantile of sorted numbers
+ * @param {Array<number>} sorted - Numbers, sorted ascending
+ * @param {number} q - Quantile between 0 and 1
+ * @returns {number} - The value, or 0 for no numbers
+ */
+function quantile(sorted, q) {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+}
+
+/**
+ * Summarize the ping distribution of a server and find its anomalies
+ *
+ * Scripted clients tend to report ping 0, or a handful of identical values shared by dozens of
+ * players. A value is "shared" when far more players report it than the values around it, so a
+ * crowded but smooth distribution does not trigger. Outliers are measured with the median absolute
+ * deviation, which the anomalies themselves barely move. When nearly every player reports 0, the
+ * server does not publish pings and nothing is flagged.
+ *
+ * @param {Array} players - Players from extractPlayers
+ * @param {Object} limits - { pingMinPlayers, zeroPingMinPlayers, sharedPingMinPlayers, sharedPingFactor, pingNeighborhoodMs, pingOutlierDeviations }
+ * @returns {Object} - { available, players, median, p10, p90, spread, zeroPing, zeroPingFlagged, sharedValues: [{ ping, players }], outliers, anomalousPlayers }
+ */
+function analyzePingDistribution(players, limits) {
+    const pings = players.map(player => Number(player.ping) || 0);
+    const zeroPing = pings.filter(ping => ping === 0).length;
+    const summary = {
+        available: players.length >= limits.pingMinPlayers && zeroPing < players.length * 0.9,
+        players: players.length,
+        median: 0,
+        p10: 0,
+        p90: 0,
+        spread: 0,
+        zeroPing,
+        zeroPingFlagged: false,
+        sharedValues: [],
+        outliers: 0,
+        anomalousPlayers: 0
+    };
+    if (!summary.available) {
+        return summary;
+    }
+
+    // Distribution of the players that report a ping
+    const reported = pings.filter(ping => ping > 0).sort((a, b) => a - b);
+    summary.median = quantile(reported, 0.5);
+    summary.p10 = quantile(reported, 0.1);
+    summary.p90 = quantile(reported, 0.9);
+    const deviations = reported.map(ping => Math.abs(ping - summary.median)).sort((a, b) => a - b);
+    // Scaled so that it matches the standard deviation of a normal distribution; at least 1ms
+    summary.spread = Math.max(1, Math.round(quantile(deviations, 0.5) * 1.4826 * 10) / 10);
+
+    summary.zeroPingFlagged = zeroPing >= limits.zeroPingMinPlayers;
+
+    const counts = new Map();
+    reported.forEach(ping => counts.set(ping, (counts.get(ping) || 0) + 1));
+    for (const [ping, count] of counts) {
+        if (count < limits.sharedPingMinPlayers) continue;
+        let around = 0;
+        for (let other = ping - limits.pingNeighborhoodMs; other <= ping + limits.pingNeighborhoodMs; other++) {
+            if (other !== ping) around += counts.get(other) || 0;
+        }
+        const expected = around / (limits.pingNeighborhoodMs * 2);
+        if (count >= limits.sharedPingFactor * Math.max(1, expected)) {
+            summary.sharedValues.push({ ping, players: count });
+        }
+    }
+    summary.sharedValues.sort((a, b) => b.players - a.players);
+
+    for (const ping of pings) {
+        const anomaly = findPingAnomaly(ping, summary, limits);
+        if (anomaly) {
+            summary.anomalousPlayers++;
+            if (anomaly.kind === 'outlier') summary.outliers++;
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * Anomaly of one player's ping against the server's distribution
+ * @param {number} ping - Ping reported for the player
+ * @param {Object} summary - Summary from analyzePingDistribution
+ * @param {Object} limits - Profile limits
+ * @returns {Object|null} - { kind: 'zero'|'shared'|'outlier', reason } or null
+ */
+function findPingAnomaly(ping, summary, limits) {
+    if (!summary || !summary.available) {
+        return null;
+    }
+    ping = Number(ping) || 0;
+
+    if (ping === 0) {
+        return summary.zeroPingFlagged
+            ? { kind: 'zero', reason: `Reports 0ms latency, like ${summary.zeroPing} players on the server` }
+            : null;
+    }
+    const shared = summary.sharedValues.find(value => value.ping === ping);
+    if (shared) {
+        return { kind: 'shared', reason: `Reports the same ${ping}ms latency as ${shared.players} players on the server` };
+    }
+    if (Math.abs(ping - summary.median) / summary.spread > limits.pingOutlierDeviations) {
+        return { kind: 'outlier', reason: `Latency of ${ping}ms is far from the server's median of ${summary.median}ms` };
+    }
+    return null;
+}
+
+/**
+ * One-line description of a ping summary for the reports
+ * @param {Object} summary - Summary from analyzePingDistribution
+ * @returns {string|null} - e.g. "Ping median 73ms (50-112ms); 4 players at 0ms; shared values 73ms (25 players); 2 outliers", or null when not analyzed
+ */
+function describePingDistribution(summary) {
+    if (!summary || !summary.available) {
+        return null;
+    }
+    const parts = [`Ping median ${summary.median}ms (${summary.p10}-${summary.p90}ms)`];
+    if (summary.zeroPingFlagged) {
+        parts.push(`${summary.zeroPing} players at 0ms`);
+    }
+    if (summary.sharedValues.length > 0) {
+        parts.push(`shared values ${summary.sharedValues.map(value => `${value.ping}ms (${value.players} players)`).join(', ')}`);
+    }
+    if (summary.outliers > 0) {
+        parts.push(`${summary.outliers} outliers`);
+    }
+    return parts.join('; ');
+}
+
+module.exports = {
+    analyzePingDistribution,
+    findPingAnomaly,
+    describePingDistribution
+};
@@ -0,0 +1,100 @@
+// Identifier findings that mean a player's identifiers are not those of a real client
+const UNVERIFIED_FINDINGS = ['noIdentifiers', 'missingLicense', 'malformedIdentifiers', 'sharedIdentifiers'];
+
+/**
+ * Check whether the player count a server advertises is backed by its player list
+ *
+ * Compares `clients`, `selfReportedClients`, the length of the player list and `sv_maxclients`, and
+ * estimates the padding: advertised players that are not listed, do not carry a real client's
+ * identifiers (a well-formed license shared with no one) or were flagged as bots. Needs the players
+ * after analyzePlayersForBots, as it reads their identifier findings.
+ *
+ * Servers can hide identifiers from the public listing. When no listed player has any, the padding
+ * is not estimated (its fields are null) and the verdict is `unknown` unless the counts themselves
+ * disagree.
+ *
+ * @param {Object} serverInfo - Server data from the FiveM API
+ * @param {Array} players - Players from extractPlayers, after analyzePlayersForBots
+ * @param {Map|Set} flaggedPlayers - Players flagged as bots
+ * @param {Object} limits - { playerCountMinPlayers, playerCountTolerance, paddingSuspiciousPercent, paddingSpoofedPercent }
+ * @returns {Object} - { verdict: 'consistent'|'suspicious'|'spoofed'|'unknown', reportedPlayers, selfReportedPlayers, listedPlayers, maxPlayers, verifiedPlayers, paddingEstimate, paddingPercent, evidence }; the padding fields are null when identifiers are hidden
+ */
+function checkPlayerCount(serverInfo, players, flaggedPlayers, limits) {
+    const clients = Number.isFinite(serverInfo.clients) ? serverInfo.clients : null;
+    const selfReported = Number.isFinite(serverInfo.selfReportedClients) ? serverInfo.selfReportedClients : null;
+    const maxPlayers = serverInfo.sv_maxclients || serverInfo.svMaxclients || null;
+    const reported = Math.max(clients || 0, selfReported || 0);
+    const identifiersHidden = players.length > 0 && players.every(player => !player.identifiers || player.identifiers.length === 0);
+    const verified = players.filter(player =>
+        !flaggedPlayers.has(player) &&
+        !(player.validation && player.validation.findings.some(finding => UNVERIFIED_FINDINGS.includes(finding)))
+    ).length;
+    const padding = Math.max(0, reported - verified);
+
+    const check = {
+        verdict: 'consistent',
+        reportedPlayers: clients,
+        selfReportedPlayers: selfReported,
+        listedPlayers: players.length,
+        maxPlayers,
+        verifiedPlayers: identifiersHidden ? null : verified,
+        paddingEstimate: identifiersHidden ? null : padding,
+        paddingPercent: identifiersHidden ? null : (reported > 0 ? Math.round((padding / reported) * 100) : 0),
+        evidence: []
+    };
+    if (clients === null && selfReported === null) {
+        check.verdict = 'unknown';
+        check.evidence.push('The server reports no player count');
+        return check;
+    }
+
+    if (identifiersHidden) {
+        check.verdict = 'unknown';
+        check.evidence.push('The server hides player identifiers, so the padding cannot be estimated');
+    }
+
+    const severity = { consistent: 0, unknown: 0, suspicious: 1, spoofed: 2 };
+    const add = (verdict, text) => {
+        check.evidence.push(text);
+        if (severity[verdict] > severity[check.verdict]) check.verdict = verdict;
+    };
+    // Counts further apart than this are a discrepancy
+    const tolerance = count => Math.max(2, Math.ceil(count * limits.playerCountTolerance / 100));
+
+    if (maxPlayers && reported > maxPlayers) {
+        add('spoofed', `Reports ${reported} players on ${maxPlayers} slots`);
+    }
+    if (reported < limits.playerCountMinPlayers) {
+        return check;
+    }
+    if (clients !== null && selfReported !== null && Math.abs(clients - selfReported) > tolerance(reported)) {
+        add('suspicious', `The listing reports ${clients} players, the server itself ${selfReported}`);
+    }
+    if (reported - players.length > tolerance(reported)) {
+        add('suspicious', `Reports ${reported} players but lists ${players.length}`);
+    }
+    if (identifiersHidden) {
+        return check;
+    }
+    if (check.paddingPercent >= limits.paddingSpoofedPercent) {
+        add('spoofed', `Reports ${reported}${maxPlayers ? `/${maxPlayers}` : ''} players, of which ${verified} have real identifiers and no bot verdict (${check.paddingPercent}% padding)`);
+    } else if (check.paddingPercent >= limits.paddingSuspiciousPercent) {
+        add('suspicious', `${padding} of ${reported} reported players lack real identifiers or were flagged as bots (${check.paddingPercent}% padding)`);
+    }
+
+    return check;
+}
+
+/**
+ * Short description of a player count check for the reports
+ * @param {Object} check - Check from checkPlayerCount
+ * @returns {string} - e.g. "suspicious (30% padding)", or "unknown (identifiers hidden)"
+ */
+function describePlayerCount(check) {
+    return `${check.verdict} (${check.paddingPercent === null ? 'identifiers hidden' : `${check.paddingPercent}% padding`})`;
+}
+
+module.exports = {
+    checkPlayerCount,
+    describePlayerCount
+};
@@ -0,0 +1,110 @@
+const { ConfigError } = require('./errors');
+
+// Config keys of the lists, in the order they are checked within each kind of entry
+const LISTS = [
+    ['allowlist', 'PLAYER_ALLOWLIST'],
+    ['denylist', 'PLAYER_DENYLIST']
+];
+
+/**
+ * Compile one allowlist or denylist from the configuration
+ * @param {Object} [list] - { identifiers: ['license:...'], names: ['^regex$'] }
+ * @param {string} setting - Config key, for errors
+ * @returns {Object} - { identifiers: Map<lowercase, entry>, names: Array<{ entry, regex }> }
+ * @throws {ConfigError}
+ */
+function compileList(list, setting) {
+    const compiled = { identifiers: new Map(), names: [] };
+    if (list === undefined || list === null) {
+        return compiled;
+    }
+    if (typeof list !== 'object' || Array.isArray(list)) {
+        throw new ConfigError(`${setting} must be an object with "identifiers" and "names" lists`, setting);
+    }
+
+    for (const key of Object.keys(list)) {
+        if (key !== 'identifiers' && key !== 'names') {
+            throw new ConfigError(`Unknown setting ${setting}.${key} (expected identifiers, names)`, setting);
+        }
+        if (!Array.isArray(list[key]) || list[key].some(entry => typeof entry !== 'string' || entry === '')) {
+            throw new ConfigError(`${setting}.${key} must be an array of non-empty strings`, setting);
+        }
+    }
+
+    for (const entry of list.identifiers || []) {
+        if (!/^[a-z0-9]+:.+/i.test(entry)) {
+            throw new ConfigError(`${setting}.identifiers: "${entry}" is not a <type>:<value> identifier such as license:abc123`, setting);
+        }
+        compiled.identifiers.set(entry.toLowerCase(), entry);
+    }
+    for (const entry of list.names || []) {
+        try {
+            compiled.names.push({ entry, regex: new RegExp(entry, 'i') });
+        } catch (error) {
+            throw new ConfigError(`${setting}.names: invalid pattern ${entry} (${error.message})`, setting);
+        }
+    }
+
+    return compiled;
+}
+
+/**
+ * Compile PLAYER_ALLOWLIST and PLAYER_DENYLIST
+ * @param {Object} config - Configuration from createConfig
+ * @returns {Object} - { allowlist, denylist } for matchPlayerLists
+ * @throws {ConfigError} - When a list is malformed or a name pattern is not a valid regex
+ */
+function compilePlayerLists(config) {
+    const lists = {};
+    for (const [name, setting] of LISTS) {
+        lists[name] = compileList(config[setting], setting);
+    }
+    return lists;
+}
+
+/**
+ * Find the list entry that decides a player's verdict
+ *
+ * Identifiers are checked before names, as they cannot be copied by another player. At each step
+ * the allowlist wins over the denylist.
+ *
+ * @param {Object} player - Player from extractPlayers
+ * @param {Object} [lists] - Lists from compilePlayerLists
+ * @returns {Object|null} - { list: 'allowlist'|'denylist', type: 'identifier'|'name', entry } or null
+ */
+function matchPlayerLists(player, lists) {
+    if (!lists) {
+        return null;
+    }
+
+    for (const [name] of LISTS) {
+        const identifier = player.identifiers.find(id => lists[name].identifiers.has(String(id).toLowerCase()));
+        if (identifier) {
+            return { list: name, type: 'identifier', entry: lists[name].identifiers.get(identifier.toLowerCase()) };
+        }
+    }
+    for (const [name] of LISTS) {
+        const match = lists[name].names.find(({ regex }) => regex.test(player.name || ''));
+        if (match) {
+            return { list: name, type: 'name', entry: match.entry };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Reason shown for a list verdict
+ * @param {Object} listMatch - Match from matchPlayerLists
+ * @returns {string} - e.g. "Denylisted name (^Bot\d+$)"
+ */
+function describeListMatch(listMatch) {
+    const verb = listMatch.list === 'allowlist' ? 'Allowlisted' : 'Denylisted';
+    return `${verb} ${listMatch.type} (${listMatch.entry})`;
+}
+
+module.exports = {
+    compilePlayerLists,
+    matchPlayerLists,
+    describeListMatch
+};
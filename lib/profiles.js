@@ -0,0 +1,386 @@
+const fs = require('fs');
+const path = require('path');
+const { ProfileError } = require('./errors');
+
+// The detector's original weights and gates. Every other profile is expressed against this shape.
+const CONSERVATIVE_PROFILE = {
+    name: 'conservative',
+    description: 'Ultra-conservative: flags only overwhelming evidence, stricter on busy servers',
+    // Confidence added by each failed check
+    scores: {
+        noIdentifiers: 30,
+        missingLicense: 25,
+        malformedIdentifier: 30,
+        oddIdentifierSet: 15,
+        sharedIdentifier: 35,
+        uncommonIdentifierSet: 10,
+        discordAccountUnderDay: 30,
+        discordAccountUnderWeek: 15,
+        discordAccountUnderMonth: 5,
+        discordCohort: 25,
+        nameCluster: 15, // member of a name cluster of the minimum size
+        nameClusterPerMember: 2, // added for every member beyond the minimum size
+        nameClusterMax: 40,
+        idRun: 15, // member of a run of consecutive server IDs sharing a trait, of the minimum length
+        idRunPerMember: 1, // added for every member beyond the minimum length
+        idRunMax: 35,
+        emptyName: 40,
+        extremelyShortName: 35,
+        longNumericName: 30,
+        excessiveSpecialChars: 25,
+        suspiciousLongName: 35,
+        localhostConnection: 20,
+        extremePing: 20,
+        zeroPing: 15, // 0ms while several players report it
+        sharedPing: 15, // a ping value far more players report than its neighbours
+        pingOutlier: 10,
+        duplicateNames: 30,
+        sameIpConnections: 40,
+        generatedName: 25,
+        noIdentifiersOnWhitelist: 40
+    },
+    // When the checks trigger
+    limits: {
+        sharedIdentifierPlayers: 2, // players on one license or discord account
+        identifierRatioMinPlayers: 10, // identifier type ratios are only compared on servers this full
+        commonIdentifierPercent: 90, // lacking a type this share of players has is odd
+        discordCohortDays: 7, // Discord accounts created within this many days form a cohort
+        discordCohortMinAccounts: 5,
+        discordCohortPercent: 60, // share of the linked Discord accounts in the cohort
+        nameClusterMinSize: 3, // players sharing a stem, or names a few edits apart
+        nameTemplateMinSize: 5, // players sharing a letters-and-digits template such as "Aa9_aa99"
+        nameEditDistance: 2,
+        nameSequenceGap: 3, // largest step between numbers of a "sequence" cluster
+        idRunMinLength: 10, // players in a run of consecutive server IDs
+        idRunMaxGap: 2, // largest step between successive IDs, so one player leaving does not split a run
+        idRunTraitPercent: 80, // share of the run that must share a trait
+        idRunOutsidePercent: 30, // largest share of the other players that may have the trait
+        longNumericNameLength: 6,
+        specialCharsNameLength: 15, // names longer than this
+        suspiciousNameLength: 12, // names longer than this
+        generatedNameLength: 20, // names longer than this
+        localhostMinPlayers: 20, // localhost is only suspicious above this population
+        extremePingMs: 5000,
+        pingMinPlayers: 20, // the ping distribution is only analyzed on servers this full
+        zeroPingMinPlayers: 3, // players reporting 0ms before it is an anomaly
+        sharedPingMinPlayers: 8, // players on one ping value before it can be shared
+        sharedPingFactor: 5, // times more players than the average value within pingNeighborhoodMs
+        pingNeighborhoodMs: 10,
+        pingOutlierDeviations: 8, // distance from the median, in scaled median absolute deviations
+        duplicateNameCount: 5, // more players than this with the same name
+        sameIpCount: 10, // more players than this on the same IP
+        playerCountMinPlayers: 10, // advertised counts below this are not compared
+        playerCountTolerance: 5, // percent (at least 2 players) two counts may differ
+        paddingSuspiciousPercent: 25, // share of the advertised players that is padding
+        paddingSpoofedPercent: 50
+    },
+    decision: {
+        // Bot indicators (substrings) that count as strong evidence. "Multiple connections from
+        // same IP" matches no indicator; it is kept so conservative verdicts stay as they were.
+        strongIndicators: ['No authentication', 'Extremely suspicious', 'Multiple connections from same IP'],
+        // A player is a bot when any rule matches: each rule needs all of its conditions
+        rules: [
+            { minStrongIndicators: 3, minConfidence: 85 },
+            { minConfidence: 95, maxLayersPassed: 1 },
+            { minConfidence: 100, minStrongIndicators: 1 }
+        ],
+        // Above `players`, a bot also needs minStrongIndicators or minConfidence
+        populationTiers: [
+            { players: 50, minStrongIndicators: 4, minConfidence: 98 },
+            { players: 100, minStrongIndicators: 5, minConfidence: 99 },
+            { players: 200, minStrongIndicators: 6, minConfidence: 100 }
+        ],
+        neverFlagDevelopmentServers: true,
+        // Confidence range reported as borderline, for manual review (max is exclusive)
+        borderline: { min: 50, max: 70 }
+    },
+    // expectedBotThreshold of analyzeServerContext for each kind of server
+    serverThresholds: {
+        default: 0.3,
+        development: 0.8,
+        roleplay: 0.2,
+        freeroam: 0.4,
+        whitelisted: 0.15,
+        private: 0.25,
+        lowPopulation: 0.6,
+        lowActivity: 0.5,
+        testTags: 0.7,
+        staffOwner: 0.2,
+        developmentOwner: 0.6,
+        highResourceCount: 0.25,
+        lowResourceCount: 0.5,
+        permissionResources: 0.2,
+        testResources: 0.6,
+        offPeakHours: 0.4,
+        peakHours: 0.25,
+        manyContextFactors: 0.3
+    }
+};
+
+// Deep-merged over CONSERVATIVE_PROFILE
+const PROFILE_OVERRIDES = {
+    balanced: {
+        description: 'Balanced: flags strong combined evidence, with milder safeguards on busy servers',
+        limits: {
+            extremePingMs: 2000,
+            duplicateNameCount: 3,
+            sameIpCount: 5
+        },
+        decision: {
+            strongIndicators: ['No authentication', 'Extremely suspicious', 'Many connections from same IP', 'Many duplicate names', 'License identifier shared', 'Missing license'],
+            rules: [
+                { minStrongIndicators: 2, minConfidence: 70 },
+                { minConfidence: 85, maxLayersPassed: 3 },
+                { minConfidence: 95, minStrongIndicators: 1 }
+            ],
+            populationTiers: [
+                { players: 100, minStrongIndicators: 3, minConfidence: 90 },
+                { players: 200, minStrongIndicators: 4, minConfidence: 95 }
+            ],
+            borderline: { min: 40, max: 70 }
+        }
+    },
+    aggressive: {
+        description: 'Aggressive: flags any player with a strong indicator; expect false positives',
+        scores: {
+            noIdentifiers: 40,
+            sameIpConnections: 50,
+            duplicateNames: 40
+        },
+        limits: {
+            longNumericNameLength: 5,
+            specialCharsNameLength: 10,
+            suspiciousNameLength: 8,
+            generatedNameLength: 12,
+            localhostMinPlayers: 5,
+            extremePingMs: 1000,
+            duplicateNameCount: 2,
+            sameIpCount: 3,
+            commonIdentifierPercent: 75,
+            discordCohortPercent: 40,
+            idRunMinLength: 6,
+            sharedPingMinPlayers: 5,
+            pingOutlierDeviations: 5,
+            idRunTraitPercent: 70,
+            paddingSuspiciousPercent: 15,
+            paddingSpoofedPercent: 35
+        },
+        decision: {
+            strongIndicators: ['No authentication', 'Extremely suspicious', 'Many connections from same IP', 'Many duplicate names', 'License identifier shared', 'Missing license', 'Malformed identifier', 'sequence cluster'],
+            rules: [
+                { minStrongIndicators: 1, minConfidence: 40 },
+                { minConfidence: 60 }
+            ],
+            populationTiers: [],
+            borderline: { min: 25, max: 40 }
+        }
+    }
+};
+
+const RULE_KEYS = ['minStrongIndicators', 'minConfidence', 'maxLayersPassed'];
+const TIER_KEYS = ['players', 'minStrongIndicators', 'minConfidence'];
+
+/**
+ * Merge profile overrides into a base profile; arrays are replaced, not merged
+ * @param {Object} base - Profile to start from
+ * @param {Object} overrides - Partial profile
+ * @returns {Object} - New profile
+ */
+function mergeProfile(base, overrides) {
+    const merged = Array.isArray(base) ? base.slice() : Object.assign({}, base);
+    for (const [key, value] of Object.entries(overrides || {})) {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        merged[key] = isObject && base[key] && typeof base[key] === 'object' && !Array.isArray(base[key])
+            ? mergeProfile(base[key], value)
+            : value;
+    }
+    return merged;
+}
+
+/**
+ * Check a non-negative number
+ * @param {*} value - Value to check
+ * @param {string} where - Setting name, for the error
+ * @param {number} [max] - Inclusive upper bound
+ */
+function checkNumber(value, where, max = Infinity) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > max) {
+        throw new ProfileError(`${where} must be a number between 0 and ${max === Infinity ? 'infinity' : max}`);
+    }
+}
+
+/**
+ * Check that a section only has the keys of the reference profile, with valid values
+ * @param {Object} section - Section of the profile being validated
+ * @param {Object} reference - Same section of CONSERVATIVE_PROFILE
+ * @param {string} where - Section name, for errors
+ * @param {number} [max] - Upper bound of the numbers
+ */
+function checkNumberSection(section, reference, where, max) {
+    if (!section || typeof section !== 'object' || Array.isArray(section)) {
+        throw new ProfileError(`${where} must be an object`);
+    }
+    for (const key of Object.keys(section)) {
+        if (!(key in reference)) {
+            throw new ProfileError(`Unknown setting ${where}.${key}`);
+        }
+    }
+    for (const key of Object.keys(reference)) {
+        checkNumber(section[key], `${where}.${key}`, max);
+    }
+}
+
+/**
+ * Check a list of condition objects such as decision.rules
+ * @param {Array} list - List to check
+ * @param {Array<string>} allowedKeys - Keys an entry may have
+ * @param {string} where - Setting name, for errors
+ * @param {boolean} allRequired - Whether every key is required
+ */
+function checkConditionList(list, allowedKeys, where, allRequired) {
+    if (!Array.isArray(list)) {
+        throw new ProfileError(`${where} must be an array`);
+    }
+    list.forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            throw new ProfileError(`${where}[${index}] must be an object`);
+        }
+        const keys = Object.keys(entry);
+        keys.filter(key => !allowedKeys.includes(key)).forEach((key) => {
+            throw new ProfileError(`Unknown setting ${where}[${index}].${key} (expected ${allowedKeys.join(', ')})`);
+        });
+        if (keys.length === 0 || (allRequired && keys.length !== allowedKeys.length)) {
+            throw new ProfileError(`${where}[${index}] needs ${allRequired ? 'all of' : 'at least one of'} ${allowedKeys.join(', ')}`);
+        }
+        keys.forEach(key => checkNumber(entry[key], `${where}[${index}].${key}`));
+    });
+}
+
+/**
+ * Validate a complete profile
+ * @param {Object} profile - Profile to check
+ * @returns {Object} - The same profile
+ * @throws {ProfileError}
+ */
+function validateProfile(profile) {
+    if (!profile || typeof profile !== 'object') {
+        throw new ProfileError('A detection profile must be an object');
+    }
+    const allowed = Object.keys(CONSERVATIVE_PROFILE).concat('extends');
+    for (const key of Object.keys(profile)) {
+        if (!allowed.includes(key)) {
+            throw new ProfileError(`Unknown profile setting ${key} (expected ${allowed.join(', ')})`);
+        }
+    }
+    if (typeof profile.name !== 'string' || profile.name.trim() === '') {
+        throw new ProfileError('Profile name must be a non-empty string');
+    }
+    
+    checkNumberSection(profile.scores, CONSERVATIVE_PROFILE.scores, 'scores');
+    checkNumberSection(profile.limits, CONSERVATIVE_PROFILE.limits, 'limits');
+    for (const key of Object.keys(profile.limits).filter(key => key.endsWith('Percent'))) {
+        checkNumber(profile.limits[key], `limits.${key}`, 100);
+    }
+    checkNumberSection(profile.serverThresholds, CONSERVATIVE_PROFILE.serverThresholds, 'serverThresholds', 1);
+    
+    const decision = profile.decision;
+    if (!decision || typeof decision !== 'object') {
+        throw new ProfileError('decision must be an object');
+    }
+    for (const key of Object.keys(decision)) {
+        if (!(key in CONSERVATIVE_PROFILE.decision)) {
+            throw new ProfileError(`Unknown setting decision.${key}`);
+        }
+    }
+    if (!Array.isArray(decision.strongIndicators) || decision.strongIndicators.some(item => typeof item !== 'string' || item === '')) {
+        throw new ProfileError('decision.strongIndicators must be an array of non-empty strings');
+    }
+    checkConditionList(decision.rules, RULE_KEYS, 'decision.rules', false);
+    if (decision.rules.length === 0) {
+        throw new ProfileError('decision.rules needs at least one rule');
+    }
+    checkConditionList(decision.populationTiers, TIER_KEYS, 'decision.populationTiers', true);
+    if (typeof decision.neverFlagDevelopmentServers !== 'boolean') {
+        throw new ProfileError('decision.neverFlagDevelopmentServers must be true or false');
+    }
+    checkNumberSection(decision.borderline, CONSERVATIVE_PROFILE.decision.borderline, 'decision.borderline');
+    if (decision.borderline.min > decision.borderline.max) {
+        throw new ProfileError('decision.borderline.min must not be above decision.borderline.max');
+    }
+    
+    return profile;
+}
+
+/**
+ * Names of the built-in profiles
+ * @returns {Array<string>} - e.g. ['conservative', 'balanced', 'aggressive']
+ */
+function listProfiles() {
+    return [CONSERVATIVE_PROFILE.name, ...Object.keys(PROFILE_OVERRIDES)];
+}
+
+/**
+ * A built-in profile by name
+ * @param {string} name - Profile name
+ * @returns {Object} - The profile
+ * @throws {ProfileError}
+ */
+function getBuiltInProfile(name) {
+    if (name === CONSERVATIVE_PROFILE.name) {
+        return CONSERVATIVE_PROFILE;
+    }
+    if (!PROFILE_OVERRIDES[name]) {
+        throw new ProfileError(`Unknown detection profile "${name}" (built-in profiles: ${listProfiles().join(', ')})`);
+    }
+    return mergeProfile(CONSERVATIVE_PROFILE, Object.assign({ name }, PROFILE_OVERRIDES[name]));
+}
+
+/**
+ * Resolve a detection profile
+ *
+ * Accepts a built-in name, the path of a JSON profile file, or a profile object. Files and
+ * objects may be partial: they are merged over the profile named in `extends` (default
+ * "conservative"), then validated.
+ *
+ * @param {string|Object} [profile] - Name, file or profile object (default: conservative)
+ * @returns {Object} - A complete, validated profile
+ * @throws {ProfileError}
+ */
+function loadProfile(profile) {
+    if (profile === undefined || profile === null) {
+        return CONSERVATIVE_PROFILE;
+    }
+    
+    let definition = profile;
+    if (typeof profile === 'string') {
+        if (listProfiles().includes(profile)) {
+            return getBuiltInProfile(profile);
+        }
+        if (!fs.existsSync(profile)) {
+            throw new ProfileError(`Unknown detection profile "${profile}" (built-in profiles: ${listProfiles().join(', ')}, or a JSON file)`);
+        }
+        try {
+            definition = JSON.parse(fs.readFileSync(profile, 'utf8'));
+        } catch (error) {
+            throw new ProfileError(`Failed to read detection profile ${profile}: ${error.message}`);
+        }
+        if (definition && typeof definition === 'object' && !definition.name) {
+            definition.name = path.basename(profile, path.extname(profile));
+        }
+    }
+    
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new ProfileError('A detection profile must be an object');
+    }
+    const base = getBuiltInProfile(definition.extends || CONSERVATIVE_PROFILE.name);
+    const merged = mergeProfile(base, definition);
+    delete merged.extends;
+    return validateProfile(merged);
+}
+
+module.exports = {
+    CONSERVATIVE_PROFILE,
+    listProfiles,
+    loadProfile,
+    validateProfile
+};
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { version: PACKAGE_VERSION } = require('../package.json');
+
+/**
+ * Create a recorder that saves the raw inputs of a scan for later replay
+ * @param {string} directory - Directory to write the recording to
+ * @param {string} cfxcode - The CFX code being scanned
+ * @param {Date} scanDate - When the scan started
+ * @returns {Object} - { saveServerPayload(body), saveSteamResponse(steam64Ids, body) }
+ */
+function createScanRecorder(directory, cfxcode, scanDate) {
+    const manifestPath = path.join(directory, 'manifest.json');
+    if (fs.existsSync(manifestPath)) {
+        throw new Error(`${directory} already contains a recording`);
+    }
+    fs.mkdirSync(path.join(directory, 'steam'), { recursive: true });
+    
+    const manifest = {
+        cfxcode,
+        recordedAt: scanDate.toISOString(),
+        toolVersion: PACKAGE_VERSION,
+        server: null,
+        steam: []
+    };
+    
+    const writeManifest = () => {
+        fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+    };
+    writeManifest();
+    
+    return {
+        saveServerPayload(body) {
+            manifest.server = 'server.json';
+            fs.writeFileSync(path.join(directory, manifest.server), body);
+            writeManifest();
+        },
+        saveSteamResponse(steam64Ids, body) {
+            const file = path.join('steam', `${String(manifest.steam.length + 1).padStart(4, '0')}.json`);
+            fs.writeFileSync(path.join(directory, file), body);
+            manifest.steam.push({ file, steamids: steam64Ids });
+            writeManifest();
+        }
+    };
+}
+
+/**
+ * Load a recording made with --record
+ * @param {string} directory - Directory holding the recording
+ * @returns {Object} - { directory, manifest, serverPayload, lookupSteamSummaries(steam64Ids) }
+ */
+function loadScanRecording(directory) {
+    const manifestPath = path.join(directory, 'manifest.json');
+    if (!fs.existsSync(manifestPath)) {
+        throw new Error(`No manifest.json found in ${directory}`);
+    }
+    
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    if (!manifest.server) {
+        throw new Error(`Recording in ${directory} has no server payload`);
+    }
+    const serverPayload = fs.readFileSync(path.join(directory, manifest.server), 'utf8');
+    
+    // Index every recorded player summary so batches may be regrouped on replay
+    const summaries = new Map();
+    const answered = new Set();
+    for (const entry of manifest.steam) {
+        try {
+            const jsonData = JSON.parse(fs.readFileSync(path.join(directory, entry.file), 'utf8'));
+            if (!jsonData.response) continue;
+            (entry.steamids || []).forEach(steam64Id => answered.add(String(steam64Id)));
+            for (const player of jsonData.response.players || []) {
+                summaries.set(String(player.steamid), player);
+            }
+        } catch (error) {
+            // Unparseable responses leave their players unanswered, so they replay as failed lookups
+        }
+    }
+    
+    return {
+        directory,
+        manifest,
+        serverPayload,
+        lookupSteamSummaries(steam64Ids) {
+            const found = new Map();
+            for (const steam64Id of steam64Ids) {
+                if (answered.has(steam64Id) || summaries.has(steam64Id)) {
+                    found.set(steam64Id, summaries.get(steam64Id) || null);
+                }
+            }
+            return found;
+        }
+    };
+}
+
+module.exports = {
+    createScanRecorder,
+    loadScanRecording
+};
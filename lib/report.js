@@ -0,0 +1,419 @@
+const fs = require('fs');
+const path = require('path');
+const { describeListMatch } = require('./player-lists');
+const { describePingDistribution } = require('./ping-distribution');
+const { describePlayerCount } = require('./player-count');
+
+const REPORT_FORMATS = ['json', 'html', 'md', 'csv'];
+
+const VALIDATION_LAYERS = [
+    'identifierValidation',
+    'nameValidation',
+    'connectionValidation',
+    'behaviorValidation',
+    'patternValidation',
+    'contextValidation',
+    'discordValidation'
+];
+
+/**
+ * Outcome of one validation layer for a CSV cell
+ * @param {Object|null} layers - validationLayers of a player
+ * @param {string} layer - Layer name
+ * @returns {string} - pass, fail, or empty when the layer did not run
+ */
+function layerOutcome(layers, layer) {
+    if (!layers || layers[layer] === null || layers[layer] === undefined) {
+        return '';
+    }
+    return layers[layer] ? 'pass' : 'fail';
+}
+
+/**
+ * Remove FiveM colour codes (^0-^9) from a server or player name
+ * @param {string} text - Name as reported by the server
+ * @returns {string} - Plain name
+ */
+function stripColorCodes(text) {
+    return String(text == null ? '' : text).replace(/\^\d/g, '');
+}
+
+/**
+ * Turn a camelCase reason key into a label
+ * @param {string} key - e.g. "suspiciousNames"
+ * @returns {string} - e.g. "Suspicious names"
+ */
+function formatReasonName(key) {
+    return key.replace(/([A-Z])/g, ' $1').toLowerCase().replace(/^./, str => str.toUpperCase());
+}
+
+/**
+ * Escape text for HTML element content and attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape text for a Markdown table cell
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped text
+ */
+function escapeMarkdown(value) {
+    return String(value == null ? '' : value).replace(/([\\|*_`[\]<>])/g, '\\$1').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Quote a CSV field
+ *
+ * Player names are chosen by the players, so fields starting with a formula character are
+ * prefixed with a quote to keep spreadsheets from evaluating them.
+ *
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+function csvField(value) {
+    let text = String(value == null ? '' : value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Traits shared by a run of server IDs, with the share of the run that has each
+ * @param {Object} run - Run from serverContext.idRuns
+ * @returns {string} - e.g. "no license2 identifier (100%)"
+ */
+function describeRunTraits(run) {
+    return run.traits.map(trait => `${trait.description} (${Math.round(trait.share * 100)}%)`).join(', ');
+}
+
+/**
+ * Member names of a name cluster or ID run, shortened for the reports
+ * @param {Object} cluster - Cluster from serverContext.nameClusters, or run from serverContext.idRuns
+ * @param {number} [limit] - Names to list before "and N more"
+ * @returns {string} - Comma-separated names
+ */
+function clusterMemberNames(cluster, limit = 10) {
+    const names = cluster.members.slice(0, limit).map(member => stripColorCodes(member.name));
+    const more = cluster.members.length - names.length;
+    return names.join(', ') + (more > 0 ? ` and ${more} more` : '');
+}
+
+/**
+ * Players of the results with their per-layer verdicts
+ * @param {Object} results - Scan results
+ * @returns {Array<Object>} - results.playerAnalysis, or the flagged players for older results
+ */
+function getReportPlayers(results) {
+    if (results.playerAnalysis && results.playerAnalysis.length > 0) {
+        return results.playerAnalysis;
+    }
+    return (results.potentialBots || []).map(bot => ({
+        id: null,
+        name: bot.playerName,
+        steamHex: bot.steamHex || null,
+        ping: bot.ping,
+        isPotentialBot: true,
+        flagReason: bot.reason,
+        listMatch: bot.listMatch || null,
+        confidence: bot.botScore || bot.botConfidence || null,
+        botIndicators: bot.additionalReasons || [],
+        humanIndicators: [],
+        warnings: [],
+        validationLayers: null
+    }));
+}
+
+/**
+ * Render results as an HTML report: a single file with inline styles and a sortable player table
+ * @param {Object} results - Scan results
+ * @returns {string} - HTML document
+ */
+function renderHtml(results) {
+    const { server, statistics, serverContext } = results;
+    const serverName = stripColorCodes(server.name);
+    const players = getReportPlayers(results);
+    const reasons = Object.entries(statistics.botReasons || {}).filter(([, count]) => count > 0);
+    const nameClusters = (serverContext && serverContext.nameClusters) || [];
+    const idRuns = (serverContext && serverContext.idRuns) || [];
+    
+    const statRows = [
+        ['Players', `${server.currentPlayers}/${server.maxPlayers}`],
+        ['Analyzed players', statistics.totalAnalyzedPlayers],
+        ['Steam players', statistics.steamPlayers],
+        ['Valid Steam profiles', statistics.validProfiles],
+        ['Potential bots', `${statistics.botScore} (${statistics.botPercentage}%)`],
+        ['Errors', statistics.errors]
+    ];
+    if (server.playerCountCheck) {
+        statRows.push(['Player count', `${describePlayerCount(server.playerCountCheck)}`]);
+    }
+    
+    const playerRows = players.map(player => {
+        const layers = player.validationLayers
+            ? VALIDATION_LAYERS.filter(layer => player.validationLayers[layer] === false).map(layer => layer.replace('Validation', '')).join(', ')
+            : '';
+        return `<tr class="${player.isPotentialBot ? 'bot' : player.warnings.length > 0 ? 'borderline' : ''}">
+<td data-value="${escapeHtml(player.id)}">${escapeHtml(player.id)}</td>
+<td>${escapeHtml(stripColorCodes(player.name))}</td>
+<td>${escapeHtml(player.steamHex || '')}</td>
+<td data-value="${escapeHtml(player.ping)}">${escapeHtml(player.ping)}</td>
+<td>${player.isPotentialBot ? 'Yes' : player.warnings.length > 0 ? 'Review' : 'No'}</td>
+<td>${escapeHtml(player.flagReason || '')}</td>
+<td data-value="${escapeHtml(player.confidence)}">${escapeHtml(player.confidence)}</td>
+<td>${escapeHtml(layers)}</td>
+<td>${escapeHtml(player.botIndicators.join('; '))}</td>
+<td>${escapeHtml(player.humanIndicators.join('; '))}</td>
+</tr>`;
+    }).join('\n');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Bot scan: ${escapeHtml(serverName)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2em; color: #222; }
+h1 { margin-bottom: 0.2em; }
+.meta { color: #666; margin-top: 0; }
+table { border-collapse: collapse; margin: 1em 0; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f0f0f0; }
+#players th { cursor: pointer; user-select: none; }
+#players th::after { content: " \\2195"; color: #aaa; }
+tr.bot { background: #fde2e2; }
+tr.borderline { background: #fff4d6; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(serverName)}</h1>
+<p class="meta">CFX code ${escapeHtml(server.cfxcode)} &middot; scanned ${escapeHtml(server.scanTime)} &middot; ${escapeHtml(server.resourceCount)} resources &middot; ${escapeHtml(server.gameType)} / ${escapeHtml(server.mapName)}</p>
+
+<h2>Summary</h2>
+<table>
+${statRows.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+
+<h2>Server Context</h2>
+<ul>
+${(serverContext ? serverContext.contextFactors : []).map(factor => `<li>${escapeHtml(factor)}</li>`).join('\n')}
+${serverContext ? `<li>Bot detection threshold: ${Math.round(serverContext.expectedBotThreshold * 100)}%</li>` : ''}
+${serverContext && describePingDistribution(serverContext.pingDistribution) ? `<li>${escapeHtml(describePingDistribution(serverContext.pingDistribution))}</li>` : ''}
+${(server.playerCountCheck ? server.playerCountCheck.evidence : []).map(evidence => `<li>Player count: ${escapeHtml(evidence)}</li>`).join('\n')}
+</ul>
+
+<h2>Detection Breakdown</h2>
+${reasons.length > 0 ? `<table>
+${reasons.map(([reason, count]) => `<tr><th>${escapeHtml(formatReasonName(reason))}</th><td>${count}</td></tr>`).join('\n')}
+</table>` : '<p>No indicators found.</p>'}
+
+${nameClusters.length > 0 ? `<h2>Name Clusters</h2>
+<table>
+<thead><tr><th>Kind</th><th>Pattern</th><th>Players</th><th>Names</th></tr></thead>
+${nameClusters.map(cluster => `<tr><td>${escapeHtml(cluster.kind)}</td><td>${escapeHtml(cluster.key)}</td><td>${cluster.size}</td><td>${escapeHtml(clusterMemberNames(cluster))}</td></tr>`).join('\n')}
+</table>
+
+` : ''}${idRuns.length > 0 ? `<h2>Server ID Runs</h2>
+<table>
+<thead><tr><th>IDs</th><th>Players</th><th>Shared traits</th><th>Names</th></tr></thead>
+${idRuns.map(run => `<tr><td>${run.firstId}-${run.lastId}</td><td>${run.size}</td><td>${escapeHtml(describeRunTraits(run))}</td><td>${escapeHtml(clusterMemberNames(run))}</td></tr>`).join('\n')}
+</table>
+
+` : ''}<h2>Players</h2>
+<table id="players">
+<thead><tr><th>ID</th><th>Name</th><th>Steam</th><th>Ping</th><th>Bot</th><th>Reason</th><th>Confidence</th><th>Failed layers</th><th>Bot indicators</th><th>Human indicators</th></tr></thead>
+<tbody>
+${playerRows}
+</tbody>
+</table>
+
+<script>
+document.querySelectorAll('#players th').forEach(function (header, column) {
+    header.addEventListener('click', function () {
+        var tbody = document.querySelector('#players tbody');
+        var ascending = header.dataset.order !== 'asc';
+        header.dataset.order = ascending ? 'asc' : 'desc';
+        var value = function (row) {
+            var cell = row.children[column];
+            return cell.dataset.value !== undefined ? cell.dataset.value : cell.textContent;
+        };
+        Array.from(tbody.rows).sort(function (a, b) {
+            var x = value(a), y = value(b);
+            var result = x !== '' && y !== '' && !isNaN(x) && !isNaN(y) ? x - y : x.localeCompare(y);
+            return ascending ? result : -result;
+        }).forEach(function (row) { tbody.appendChild(row); });
+    });
+});
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render results as a Markdown report, listing the flagged and borderline players
+ * @param {Object} results - Scan results
+ * @returns {string} - Markdown document
+ */
+function renderMarkdown(results) {
+    const { server, statistics, serverContext } = results;
+    const players = getReportPlayers(results).filter(player => player.isPotentialBot || player.warnings.length > 0);
+    const reasons = Object.entries(statistics.botReasons || {}).filter(([, count]) => count > 0);
+    const nameClusters = (serverContext && serverContext.nameClusters) || [];
+    const idRuns = (serverContext && serverContext.idRuns) || [];
+    const lines = [
+        `# Bot scan: ${escapeMarkdown(stripColorCodes(server.name))}`,
+        '',
+        `CFX code ${escapeMarkdown(server.cfxcode)}, scanned ${server.scanTime}`,
+        '',
+        '| | |',
+        '|---|---|',
+        `| Players | ${server.currentPlayers}/${server.maxPlayers} |`,
+        `| Resources | ${server.resourceCount} |`,
+        `| Analyzed players | ${statistics.totalAnalyzedPlayers} |`,
+        `| Steam players | ${statistics.steamPlayers} |`,
+        `| Valid Steam profiles | ${statistics.validProfiles} |`,
+        `| Potential bots | ${statistics.botScore} (${statistics.botPercentage}%) |`,
+        `| Errors | ${statistics.errors} |`
+    ];
+    if (server.playerCountCheck) {
+        lines.push(`| Player count | ${describePlayerCount(server.playerCountCheck)} |`);
+    }
+    lines.push('');
+    
+    if (serverContext) {
+        lines.push('## Server Context', '');
+        serverContext.contextFactors.forEach(factor => lines.push(`- ${escapeMarkdown(factor)}`));
+        lines.push(`- Bot detection threshold: ${Math.round(serverContext.expectedBotThreshold * 100)}%`);
+        const pingSummary = describePingDistribution(serverContext.pingDistribution);
+        if (pingSummary) {
+            lines.push(`- ${escapeMarkdown(pingSummary)}`);
+        }
+        (server.playerCountCheck ? server.playerCountCheck.evidence : []).forEach(evidence => lines.push(`- Player count: ${escapeMarkdown(evidence)}`));
+        lines.push('');
+    }
+    
+    if (reasons.length > 0) {
+        lines.push('## Detection Breakdown', '', '| Indicator | Players |', '|---|---|');
+        reasons.forEach(([reason, count]) => lines.push(`| ${formatReasonName(reason)} | ${count} |`));
+        lines.push('');
+    }
+    
+    if (nameClusters.length > 0) {
+        lines.push('## Name Clusters', '', '| Kind | Pattern | Players | Names |', '|---|---|---|---|');
+        nameClusters.forEach(cluster => lines.push(`| ${cluster.kind} | ${escapeMarkdown(cluster.key)} | ${cluster.size} | ${escapeMarkdown(clusterMemberNames(cluster))} |`));
+        lines.push('');
+    }
+    
+    if (idRuns.length > 0) {
+        lines.push('## Server ID Runs', '', '| IDs | Players | Shared traits | Names |', '|---|---|---|---|');
+        idRuns.forEach(run => lines.push(`| ${run.firstId}-${run.lastId} | ${run.size} | ${escapeMarkdown(describeRunTraits(run))} | ${escapeMarkdown(clusterMemberNames(run))} |`));
+        lines.push('');
+    }
+    
+    lines.push('## Flagged and Borderline Players', '');
+    if (players.length === 0) {
+        lines.push('None.', '');
+    } else {
+        lines.push('| ID | Name | Steam | Verdict | Reason | Confidence | Bot indicators | Human indicators |', '|---|---|---|---|---|---|---|---|');
+        players.forEach(player => {
+            lines.push(`| ${player.id == null ? '' : player.id} | ${escapeMarkdown(stripColorCodes(player.name))} | ${escapeMarkdown(player.steamHex)} | ${player.isPotentialBot ? 'Bot' : 'Review'} | ${escapeMarkdown(player.flagReason || '')} | ${player.confidence == null ? '' : player.confidence} | ${escapeMarkdown(player.botIndicators.join('; '))} | ${escapeMarkdown(player.humanIndicators.join('; '))} |`);
+        });
+        lines.push('');
+    }
+    
+    return lines.join('\n');
+}
+
+/**
+ * Render results as CSV, one row per player with one column per validation layer
+ * @param {Object} results - Scan results
+ * @returns {string} - CSV document
+ */
+function renderCsv(results) {
+    const header = [
+        'id', 'name', 'steam_hex', 'steam64_id', 'ping', 'potential_bot', 'flag_reason', 'list_match', 'borderline', 'confidence',
+        ...VALIDATION_LAYERS.map(layer => layer.replace('Validation', '_layer')),
+        'bot_indicators', 'human_indicators', 'warnings'
+    ];
+    
+    const rows = getReportPlayers(results).map(player => [
+        player.id,
+        player.name,
+        player.steamHex,
+        player.steam64Id,
+        player.ping,
+        player.isPotentialBot ? 'yes' : 'no',
+        player.flagReason,
+        player.listMatch ? describeListMatch(player.listMatch) : '',
+        player.warnings.length > 0 ? 'yes' : 'no',
+        player.confidence,
+        ...VALIDATION_LAYERS.map(layer => layerOutcome(player.validationLayers, layer)),
+        player.botIndicators.join('; '),
+        player.humanIndicators.join('; '),
+        player.warnings.join('; ')
+    ]);
+    
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Render results in one of REPORT_FORMATS
+ * @param {Object} results - Scan results
+ * @param {string} format - json, html, md or csv
+ * @returns {string} - Report contents
+ */
+function renderReport(results, format) {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(results, null, 2);
+        case 'html':
+            return renderHtml(results);
+        case 'md':
+            return renderMarkdown(results);
+        case 'csv':
+            return renderCsv(results);
+        default:
+            throw new Error(`Unknown report format "${format}" (expected ${REPORT_FORMATS.join(', ')})`);
+    }
+}
+
+/**
+ * Write one report per format, next to each other
+ *
+ * With a single format the file is written as given; with several, the extension of
+ * `filename` is replaced by each format's (results.json -> results.html, results.csv).
+ *
+ * @param {Object} results - Scan results
+ * @param {string} filename - Output file
+ * @param {Array<string>} [formats] - Formats to write (default: json)
+ * @returns {Array<string>} - Absolute paths written
+ */
+function writeReports(results, filename, formats = ['json']) {
+    const base = formats.length > 1 ? filename.slice(0, filename.length - path.extname(filename).length) : null;
+    
+    return formats.map(format => {
+        const outputPath = path.resolve(base === null ? filename : `${base}.${format}`);
+        fs.writeFileSync(outputPath, renderReport(results, format));
+        return outputPath;
+    });
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    renderReport,
+    renderHtml,
+    renderMarkdown,
+    renderCsv,
+    writeReports,
+    formatReasonName
+};
@@ -0,0 +1,377 @@
+const path = require('path');
+const { EventEmitter } = require('events');
+const { createConfig } = require('./config');
+const { downloadServerData } = require('./fivem');
+const { hexToSteam64, getSteamProfiles } = require('./steam');
+const { analyzeServerContext, analyzePlayersForBots, parseIdentifier } = require('./analysis');
+const { loadProfile } = require('./profiles');
+const { compilePlayerLists, describeListMatch } = require('./player-lists');
+const { checkPlayerCount } = require('./player-count');
+const { createScanRecorder, loadScanRecording } = require('./recording');
+const { createSteamCache } = require('./steam-cache');
+
+/**
+ * Build the empty results object for a scan
+ * @param {string} cfxcode - The CFX code
+ * @param {Date} scanDate - When the server data was captured
+ * @param {Object|null} recording - Recording being replayed, if any
+ * @returns {Object} - Results skeleton
+ */
+function createResults(cfxcode, scanDate, recording) {
+    return {
+        server: {
+            cfxcode: cfxcode,
+            name: null,
+            resourceCount: 0,
+            maxPlayers: 0,
+            currentPlayers: 0,
+            description: null,
+            version: null,
+            tags: [],
+            gameType: null,
+            mapName: null,
+            ownerName: null,
+            isPrivate: false,
+            scanTime: scanDate.toISOString(),
+            replayedFrom: recording ? path.resolve(recording.directory) : null,
+            playerCountCheck: null,
+            duration: 0
+        },
+        statistics: {
+            totalPlayers: 0,
+            steamPlayers: 0,
+            totalAnalyzedPlayers: 0,
+            checkedPlayers: 0,
+            potentialBots: 0,
+            validProfiles: 0,
+            errors: 0,
+            botScore: 0,
+            botPercentage: 0,
+            steamLookupsSkipped: false,
+            steamCacheHits: 0,
+            steamCacheMisses: 0,
+            detectionProfile: null,
+            allowlistedPlayers: 0,
+            botReasons: {}
+        },
+        players: [],
+        playerAnalysis: [],
+        potentialBots: [],
+        errors: []
+    };
+}
+
+/**
+ * Turn raw FiveM player entries into the player records used by the analysis
+ * @param {Array} players - Players from the FiveM API
+ * @returns {Object} - { allPlayers, steamIdentifiers }
+ */
+function extractPlayers(players) {
+    const steamIdentifiers = [];
+    const allPlayers = [];
+    
+    for (const item of players) {
+        const playerData = {
+            name: item.name || 'Unknown',
+            identifiers: item.identifiers || [],
+            ping: item.ping || 0,
+            endpoint: item.endpoint || 'Unknown',
+            id: item.id || 0,
+            steamHex: null,
+            steam64Id: null,
+            identifiersByType: {}, // type -> value of the first identifier of each type, e.g. { license: '3f2c...' }
+            isPotentialBot: false,
+            botReasons: []
+        };
+        
+        for (const identifier of playerData.identifiers) {
+            const parsed = parseIdentifier(identifier);
+            if (parsed && !(parsed.type in playerData.identifiersByType)) {
+                playerData.identifiersByType[parsed.type] = parsed.value;
+            }
+        }
+        
+        // Check for Steam identifiers; a malformed one is not looked up, the identifier layer flags it
+        for (const identifier of playerData.identifiers) {
+            if (identifier.startsWith('steam:')) {
+                const steamHex = identifier.split(':')[1];
+                playerData.steamHex = steamHex;
+                playerData.steam64Id = hexToSteam64(steamHex);
+                if (playerData.steam64Id !== null) {
+                    steamIdentifiers.push(playerData);
+                }
+                break;
+            }
+        }
+        
+        // Add all players for analysis
+        allPlayers.push(playerData);
+    }
+    
+    return { allPlayers, steamIdentifiers };
+}
+
+/**
+ * Run the full detection pipeline for one server
+ *
+ * Events emitted on `options.events`:
+ *   log (message)                       - verbose diagnostics
+ *   server (server, serverInfo)         - server details, once the payload is loaded
+ *   analysis ({ serverContext, ... })   - heuristic analysis of all players is done
+ *   progress ({ stage, checked, total }) - Steam lookup progress
+ *   complete (results)                  - the scan finished
+ *
+ * Steam profiles are cached in STEAM_CACHE_FILE, except when recording or replaying a scan, so that
+ * recordings hold every Steam response.
+ *
+ * @param {string} cfxcode - The CFX code (optional when replaying, taken from the recording)
+ * @param {Object} [options] - { config, record, replay, events, rateLimiter, skipSteam, refreshCache }
+ * @returns {Promise<Object>} - The results object
+ */
+async function scanServer(cfxcode, options = {}) {
+    const events = options.events || new EventEmitter();
+    const config = createConfig(options.config);
+    const log = (message) => events.emit('log', message);
+    const profile = loadProfile(config.DETECTION_PROFILE);
+    const playerLists = compilePlayerLists(config);
+    
+    const recording = typeof options.replay === 'string' ? loadScanRecording(options.replay) : options.replay || null;
+    if (recording && options.record) {
+        throw new Error('record and replay cannot be used together');
+    }
+    cfxcode = cfxcode || (recording && recording.manifest.cfxcode);
+    if (!cfxcode) {
+        throw new Error('A cfxcode is required');
+    }
+    
+    const startTime = Date.now();
+    const scanDate = recording ? new Date(recording.manifest.recordedAt) : new Date();
+    const recorder = options.record ? createScanRecorder(options.record, cfxcode, scanDate) : null;
+    // Scans running side by side may share one Steam rate limiter
+    const steamCache = config.STEAM_CACHE_FILE && !recorder && !recording
+        ? createSteamCache({
+            file: config.STEAM_CACHE_FILE,
+            ttlSeconds: config.STEAM_CACHE_TTL_SECONDS,
+            notFoundTtlSeconds: config.STEAM_CACHE_NOT_FOUND_TTL_SECONDS,
+            refresh: Boolean(options.refreshCache)
+        })
+        : null;
+    const session = { config, log, recorder, recording, steamCache, rateLimiter: options.rateLimiter || null };
+    const results = createResults(cfxcode, scanDate, recording);
+    
+    // Download server data
+    const data = await downloadServerData(cfxcode, session);
+    const players = data.Data.players;
+    const serverInfo = data.Data;
+    results.statistics.totalPlayers = players.length;
+    
+    // Extract server information from actual FiveM API structure
+    results.server.name = serverInfo.hostname || 'Unknown Server';
+    results.server.resourceCount = serverInfo.resources ? serverInfo.resources.length : 0;
+    results.server.maxPlayers = serverInfo.sv_maxclients || serverInfo.svMaxclients || 'Unknown';
+    results.server.currentPlayers = serverInfo.clients || serverInfo.selfReportedClients || 0;
+    results.server.description = serverInfo.vars?.sv_projectDesc || 'No description available';
+    results.server.version = serverInfo.server || 'Unknown version';
+    results.server.tags = serverInfo.vars?.tags ? serverInfo.vars.tags.split(',').map(tag => tag.trim()) : [];
+    results.server.gameType = serverInfo.gametype || 'Unknown';
+    results.server.mapName = serverInfo.mapname || 'Unknown';
+    results.server.ownerName = serverInfo.ownerName || 'Unknown';
+    results.server.isPrivate = serverInfo.private || false;
+    events.emit('server', results.server, serverInfo);
+    
+    // Extract all player identifiers and analyze for bot detection
+    const { allPlayers, steamIdentifiers } = extractPlayers(players);
+    
+    // Analyze server context first
+    const serverContext = analyzeServerContext(serverInfo, allPlayers, scanDate, profile);
+    
+    // Analyze all players for bot detection with context
+    const botAnalysis = analyzePlayersForBots(allPlayers, serverContext, profile, playerLists);
+    
+    results.statistics.detectionProfile = profile.name;
+    results.statistics.allowlistedPlayers = allPlayers.filter(player => 
+        player.validation.listMatch && player.validation.listMatch.list === 'allowlist'
+    ).length;
+    results.statistics.steamPlayers = steamIdentifiers.length;
+    results.statistics.totalAnalyzedPlayers = allPlayers.length;
+    results.statistics.potentialBots = botAnalysis.potentialBots.length;
+    results.statistics.botReasons = botAnalysis.reasons;
+    results.serverContext = serverContext;
+    events.emit('analysis', {
+        serverContext,
+        totalPlayers: allPlayers.length,
+        steamPlayers: steamIdentifiers.length,
+        potentialBots: botAnalysis.potentialBots.length
+    });
+    
+    let botscore = 0;
+    const flaggedPlayers = new Map(); // player -> reason it was flagged
+    const failedLookups = new Set(); // Steam players whose profile could not be checked
+    
+    // Check Steam profiles if any exist
+    results.statistics.steamLookupsSkipped = Boolean(options.skipSteam);
+    if (steamIdentifiers.length > 0 && !options.skipSteam) {
+        const profiles = await getSteamProfiles(
+            steamIdentifiers.map(player => player.steam64Id),
+            config.API_KEY,
+            session,
+            {
+                onProgress: (checked, total) => events.emit('progress', { stage: 'steam', checked, total }),
+                now: scanDate.getTime()
+            }
+        );
+        
+        if (steamCache) {
+            results.statistics.steamCacheHits = steamCache.stats.hits;
+            results.statistics.steamCacheMisses = steamCache.stats.misses;
+            try {
+                steamCache.save();
+            } catch (error) {
+                log(`Could not save the Steam cache: ${error.message}`);
+            }
+        }
+        
+        for (const player of steamIdentifiers) {
+            results.statistics.checkedPlayers++;
+            
+            try {
+                const profile = profiles.get(String(player.steam64Id));
+                if (profile instanceof Error) {
+                    throw profile;
+                }
+                
+                const playerData = {
+                    steamHex: player.steamHex,
+                    steam64Id: player.steam64Id,
+                    playerName: player.name,
+                    identifiers: player.identifiers,
+                    steamProfile: profile,
+                    isPotentialBot: player.validation.listMatch ? player.isPotentialBot : !profile || player.isPotentialBot,
+                    botReasons: player.botReasons
+                };
+                
+                results.players.push(playerData);
+                
+                // Allowlisted and denylisted players keep the operator's verdict, whatever Steam says
+                if (player.validation.listMatch) {
+                    if (profile) results.statistics.validProfiles++;
+                    log(`📋 ${player.name} (${player.steamHex}) - ${describeListMatch(player.validation.listMatch)}`);
+                } else if (profile) {
+                    results.statistics.validProfiles++;
+                    
+                    // Check Steam profile for bot indicators
+                    if (profile.botIndicators && profile.botIndicators.isLikelyBot) {
+                        botscore++;
+                        results.statistics.potentialBots++;
+                        results.potentialBots.push({
+                            steamHex: player.steamHex,
+                            steam64Id: player.steam64Id,
+                            playerName: player.name,
+                            reason: 'Steam profile bot indicators detected',
+                            steamProfile: profile.personaname,
+                            botConfidence: profile.botIndicators.confidence,
+                            additionalReasons: [
+                                ...player.botReasons,
+                                ...profile.botIndicators.indicators
+                            ]
+                        });
+                        flaggedPlayers.set(player, results.potentialBots[results.potentialBots.length - 1].reason);
+                        
+                        log(`❌ ${player.name} (${player.steamHex}) - Steam bot detected: ${profile.personaname} (${profile.botIndicators.confidence}% confidence)`);
+                    } else {
+                        log(`✅ ${player.name} (${player.steamHex}) - Valid profile: ${profile.personaname}`);
+                    }
+                } else {
+                    botscore++;
+                    results.statistics.potentialBots++;
+                    results.potentialBots.push({
+                        steamHex: player.steamHex,
+                        steam64Id: player.steam64Id,
+                        playerName: player.name,
+                        reason: 'No valid Steam profile found',
+                        additionalReasons: player.botReasons
+                    });
+                    flaggedPlayers.set(player, results.potentialBots[results.potentialBots.length - 1].reason);
+                    
+                    log(`❌ ${player.name} (${player.steamHex}) - Potential bot (no valid Steam profile)`);
+                }
+            } catch (error) {
+                failedLookups.add(player);
+                results.statistics.errors++;
+                results.errors.push({
+                    steamHex: player.steamHex,
+                    steam64Id: player.steam64Id,
+                    playerName: player.name,
+                    error: error.message,
+                    type: error.name,
+                    statusCode: error.statusCode
+                });
+                
+                log(`⚠️  Error checking ${player.name} (${player.steamHex}): ${error.message}`);
+            }
+        }
+    }
+    
+    // Add the potential bots that were not looked up on Steam to results (non-Steam players and
+    // malformed steam: identifiers), and Steam players too when lookups were skipped or failed, or
+    // the player is denylisted
+    for (const bot of botAnalysis.potentialBots) {
+        const { listMatch } = bot.validation;
+        if (!bot.steam64Id || options.skipSteam || failedLookups.has(bot) || listMatch) {
+            let reason = bot.steam64Id ? 'Bot indicators detected (Steam lookup skipped)' : 'Non-Steam bot indicators detected';
+            if (failedLookups.has(bot)) {
+                reason = 'Bot indicators detected (Steam lookup failed)';
+            }
+            if (listMatch) {
+                reason = describeListMatch(listMatch);
+            }
+            results.potentialBots.push({
+                steamHex: bot.steamHex || undefined,
+                playerName: bot.name,
+                reason,
+                additionalReasons: bot.botReasons,
+                listMatch,
+                ping: bot.ping,
+                endpoint: bot.endpoint
+            });
+            botscore++;
+            flaggedPlayers.set(bot, results.potentialBots[results.potentialBots.length - 1].reason);
+        }
+    }
+    
+    // Whether the advertised player count is backed by the player list
+    results.server.playerCountCheck = checkPlayerCount(serverInfo, allPlayers, flaggedPlayers, profile.limits);
+    
+    // Per-player verdicts with the outcome of every validation layer, for reports
+    results.playerAnalysis = allPlayers.map(player => ({
+        id: player.id,
+        name: player.name,
+        steamHex: player.steamHex,
+        steam64Id: player.steam64Id,
+        identifiers: player.identifiers,
+        ping: player.ping,
+        isPotentialBot: flaggedPlayers.has(player),
+        flagReason: flaggedPlayers.get(player) || null,
+        listMatch: player.validation.listMatch,
+        discordCreatedAt: player.validation.discordCreatedAt,
+        confidence: player.validation.finalScore,
+        botIndicators: player.validation.botIndicators,
+        humanIndicators: player.validation.humanIndicators,
+        warnings: player.validation.warnings,
+        validationLayers: player.validation.validationLayers
+    }));
+    
+    // Calculate final statistics
+    const totalPlayers = results.statistics.totalAnalyzedPlayers || results.statistics.steamPlayers;
+    results.statistics.botScore = botscore;
+    results.statistics.botPercentage = totalPlayers > 0 ? Math.round((botscore / totalPlayers) * 100) : 0;
+    results.server.duration = Math.round((Date.now() - startTime) / 1000);
+    
+    events.emit('complete', results);
+    return results;
+}
+
+module.exports = {
+    scanServer,
+    extractPlayers
+};
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_VERSION = 1;
+
+/**
+ * Read the entries of a cache file
+ * @param {string} file - Cache file
+ * @returns {Object} - steam64Id -> { fetchedAt, summary }, empty when the file is missing or corrupt
+ */
+function readCacheFile(file) {
+    if (!fs.existsSync(file)) {
+        return {};
+    }
+    try {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return data && data.version === CACHE_VERSION && data.entries ? data.entries : {};
+    } catch (error) {
+        return {}; // A corrupt cache only costs one round of lookups
+    }
+}
+
+/**
+ * Create an on-disk cache of Steam player summaries, keyed by Steam64 ID
+ *
+ * The raw GetPlayerSummaries entries are kept, not the analyzed profiles, so bot indicators are
+ * always computed against the time of the scan. Profiles Steam did not return are cached as "not
+ * found" with their own, usually shorter, TTL. Failed lookups are never cached. Entries are merged
+ * into the file on save, so scans running side by side do not drop each other's lookups.
+ *
+ * @param {Object} options - { file, ttlSeconds, notFoundTtlSeconds, refresh }; refresh ignores the
+ *     stored entries but still saves the new ones
+ * @returns {Object} - { get(steam64Id, now), set(steam64Id, summary, now), save(now), stats: { hits, misses } };
+ *     get returns the summary, null when it is cached as not found, or undefined on a miss
+ */
+function createSteamCache(options) {
+    const entries = options.refresh ? {} : readCacheFile(options.file);
+    const updates = {};
+    const stats = { hits: 0, misses: 0 };
+    const ttlMs = entry => (entry.summary ? options.ttlSeconds : options.notFoundTtlSeconds) * 1000;
+    const isFresh = (entry, now) => Boolean(entry) && now - entry.fetchedAt < ttlMs(entry);
+
+    return {
+        stats,
+        get(steam64Id, now = Date.now()) {
+            const entry = entries[steam64Id];
+            if (isFresh(entry, now)) {
+                stats.hits++;
+                return entry.summary;
+            }
+            stats.misses++;
+            return undefined;
+        },
+        set(steam64Id, summary, now = Date.now()) {
+            entries[steam64Id] = updates[steam64Id] = { fetchedAt: now, summary: summary || null };
+        },
+        save(now = Date.now()) {
+            if (Object.keys(updates).length === 0) {
+                return;
+            }
+            const merged = Object.assign(readCacheFile(options.file), updates);
+            for (const [steam64Id, entry] of Object.entries(merged)) {
+                if (!isFresh(entry, now)) delete merged[steam64Id];
+            }
+
+            // Written to a temporary file first, so an interrupted save keeps the previous cache
+            fs.mkdirSync(path.dirname(options.file), { recursive: true });
+            const temporary = `${options.file}.${process.pid}.tmp`;
+            fs.writeFileSync(temporary, JSON.stringify({ version: CACHE_VERSION, entries: merged }));
+            fs.renameSync(temporary, options.file);
+        }
+    };
+}
+
+module.exports = {
+    createSteamCache
+};
@@ -0,0 +1,248 @@
+const { httpGet, sleep } = require('./http');
+const { HttpStatusError, NetworkError, InvalidResponseError, SteamKeyRejectedError } = require('./errors');
+const { analyzeSteamProfileForBots } = require('./analysis');
+
+/**
+ * Convert hex Steam ID to Steam64 ID
+ * @param {string} hexId - The hex Steam ID
+ * @returns {string} - The Steam64 ID (as a string, it does not fit in a double)
+ */
+function hexToSteam64(hexId) {
+    if (!/^[0-9a-f]+$/i.test(hexId)) return null;
+    return BigInt(`0x${hexId}`).toString();
+}
+
+/**
+ * Build the profile data kept for a Steam player summary
+ * @param {Object} player - Player entry from GetPlayerSummaries
+ * @param {number} [now] - Reference time in milliseconds for age checks
+ * @returns {Object} - Profile data with bot indicators
+ */
+function buildSteamProfileData(player, now) {
+    const profileData = {
+        personaname: player.personaname,
+        profileurl: player.profileurl,
+        avatar: player.avatar,
+        avatarmedium: player.avatarmedium,
+        avatarfull: player.avatarfull,
+        personastate: player.personastate,
+        communityvisibilitystate: player.communityvisibilitystate,
+        lastlogoff: player.lastlogoff,
+        timecreated: player.timecreated,
+        realname: player.realname,
+        loccountrycode: player.loccountrycode,
+        locstatecode: player.locstatecode,
+        loccityid: player.loccityid,
+        gameid: player.gameid,
+        gameextrainfo: player.gameextrainfo,
+        gameserverip: player.gameserverip,
+        gameserverport: player.gameserverport
+    };
+    
+    // Analyze profile for bot indicators
+    profileData.botIndicators = analyzeSteamProfileForBots(profileData, now);
+    return profileData;
+}
+
+/**
+ * Create a rate limiter shared by concurrent requests
+ * @param {number} delay - Minimum milliseconds between two request starts
+ * @returns {Function} - Resolves when the caller may start its request
+ */
+function createRateLimiter(delay) {
+    let nextSlot = 0;
+    
+    return function acquire() {
+        const now = Date.now();
+        const wait = Math.max(0, nextSlot - now);
+        nextSlot = Math.max(now, nextSlot) + delay;
+        return sleep(wait);
+    };
+}
+
+/**
+ * Turn a failed Steam request into an error of the taxonomy, without the API key in it
+ * @param {Error} error - Error from httpGet
+ * @param {string} safeUrl - Request URL with the key masked
+ * @returns {Error} - SteamKeyRejectedError, HttpStatusError (429, 5xx, ...) or NetworkError
+ */
+function toSteamError(error, safeUrl) {
+    if (error instanceof HttpStatusError) {
+        return error.statusCode === 401 || error.statusCode === 403
+            ? new SteamKeyRejectedError(error.statusCode, safeUrl)
+            : new HttpStatusError(error.statusCode, safeUrl, error.body);
+    }
+    if (error instanceof NetworkError) {
+        return new NetworkError(`Network error reaching the Steam API: ${error.cause ? error.cause.message : error.message}`, safeUrl, error.cause);
+    }
+    return error;
+}
+
+/**
+ * Fetch one batch of Steam player summaries, retrying rate limits, 5xx responses and network errors
+ * @param {Array<string>} steam64Ids - Up to STEAM_BATCH_SIZE Steam64 IDs
+ * @param {string} apiKey - The Steam API key
+ * @param {Function} acquire - Rate limiter from createRateLimiter
+ * @param {Object} session - { config, log, recorder, recording } for the running scan
+ * @returns {Promise<Map<string, Object|null>>} - Summary of every Steam64 ID Steam answered for, null when it has no profile
+ * @throws {SteamKeyRejectedError|HttpStatusError|NetworkError|InvalidResponseError}
+ */
+async function fetchSteamSummaries(steam64Ids, apiKey, acquire, session) {
+    const { config, log, recorder, recording } = session;
+    
+    if (recording) {
+        return recording.lookupSteamSummaries(steam64Ids);
+    }
+    
+    await acquire();
+    const url = `${config.STEAM_API_URL}?key=${encodeURIComponent(apiKey)}&steamids=${steam64Ids.join(',')}`;
+    const safeUrl = url.replace(`key=${encodeURIComponent(apiKey)}`, 'key=***');
+    log(`Checking ${steam64Ids.length} Steam profiles`);
+    
+    let response;
+    try {
+        response = await httpGet(url, {
+            timeout: config.REQUEST_TIMEOUT,
+            retries: config.MAX_RETRIES,
+            proxy: config.PROXY,
+            log: message => log(message.split(url).join(safeUrl))
+        });
+    } catch (error) {
+        throw toSteamError(error, safeUrl);
+    }
+    
+    if (recorder) {
+        recorder.saveSteamResponse(steam64Ids, response.body);
+    }
+    
+    let jsonData;
+    try {
+        jsonData = JSON.parse(response.body);
+    } catch (error) {
+        throw new InvalidResponseError(`Unparseable Steam API response: ${error.message}`, safeUrl, response.body);
+    }
+    if (!jsonData || !jsonData.response) {
+        throw new InvalidResponseError('Steam API response without a "response" object', safeUrl, response.body);
+    }
+    
+    const summaries = new Map(steam64Ids.map(steam64Id => [steam64Id, null]));
+    for (const player of jsonData.response.players || []) {
+        summaries.set(String(player.steamid), player);
+    }
+    return summaries;
+}
+
+/**
+ * Get Steam profiles in batches, running a bounded number of requests at once
+ *
+ * Profiles found in `session.steamCache` are not requested; the summaries of the others are
+ * stored in it, unless their batch failed.
+ *
+ * @param {Array<string>} steam64Ids - The Steam64 IDs to look up
+ * @param {string} apiKey - The Steam API key
+ * @param {Object} session - { config, log, recorder, recording, rateLimiter, steamCache } for the running scan
+ * @param {Object} [lookupOptions] - { onProgress(checked, total), now }
+ * @returns {Promise<Map<string, Object|false|Error>>} - Profile data keyed by Steam64 ID: false when
+ *     Steam has no profile, the error of the lookup when it failed
+ * @throws {SteamKeyRejectedError} - When the API key is refused, as no lookup can succeed
+ */
+async function getSteamProfiles(steam64Ids, apiKey, session, lookupOptions = {}) {
+    const { config, log, recording, steamCache } = session;
+    const uniqueIds = [...new Set(steam64Ids.map(String))];
+    const profiles = new Map();
+    const toFetch = [];
+    for (const steam64Id of uniqueIds) {
+        const cached = steamCache ? steamCache.get(steam64Id) : undefined;
+        if (cached === undefined) {
+            toFetch.push(steam64Id);
+        } else {
+            profiles.set(steam64Id, cached ? buildSteamProfileData(cached, lookupOptions.now) : false);
+        }
+    }
+    if (profiles.size > 0) {
+        log(`${profiles.size} Steam profiles served from the cache`);
+    }
+    
+    const batchSize = Math.max(1, Math.min(config.STEAM_BATCH_SIZE, 100));
+    const batches = [];
+    for (let i = 0; i < toFetch.length; i += batchSize) {
+        batches.push(toFetch.slice(i, i + batchSize));
+    }
+    
+    const acquire = recording
+        ? createRateLimiter(0)
+        : session.rateLimiter || createRateLimiter(config.RATE_LIMIT_DELAY);
+    let nextBatch = 0;
+    let checked = profiles.size;
+    if (checked > 0 && lookupOptions.onProgress) {
+        lookupOptions.onProgress(checked, uniqueIds.length);
+    }
+    
+    async function worker() {
+        while (nextBatch < batches.length) {
+            const batch = batches[nextBatch++];
+            let summaries;
+            try {
+                summaries = await fetchSteamSummaries(batch, apiKey, acquire, session);
+            } catch (error) {
+                if (error instanceof SteamKeyRejectedError) {
+                    nextBatch = batches.length; // Every other batch would be refused as well
+                    throw error;
+                }
+                log(`Steam lookup failed for batch of ${batch.length}: ${error.message}`);
+                summaries = error;
+            }
+            
+            for (const steam64Id of batch) {
+                if (summaries instanceof Error) {
+                    profiles.set(steam64Id, summaries);
+                } else if (!summaries.has(steam64Id)) {
+                    // Only replays leave players unanswered: their lookup failed when the scan was recorded
+                    profiles.set(steam64Id, new InvalidResponseError('No Steam response was recorded for this player', null));
+                } else {
+                    const player = summaries.get(steam64Id);
+                    profiles.set(steam64Id, player ? buildSteamProfileData(player, lookupOptions.now) : false);
+                    if (steamCache) {
+                        steamCache.set(steam64Id, player);
+                    }
+                }
+            }
+            
+            checked += batch.length;
+            if (lookupOptions.onProgress) {
+                lookupOptions.onProgress(checked, uniqueIds.length);
+            }
+        }
+    }
+    
+    const workerCount = Math.max(1, Math.min(config.STEAM_CONCURRENCY, batches.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    
+    return profiles;
+}
+
+/**
+ * Get Steam profile information for a single player
+ * @param {string} steam64Id - The Steam64 ID
+ * @param {string} apiKey - The Steam API key
+ * @param {Object} session - { config, log, recorder, recording } for the running scan
+ * @returns {Promise<Object|false>} - Player data or false if not found
+ * @throws {SteamKeyRejectedError|HttpStatusError|NetworkError|InvalidResponseError} - When the lookup failed
+ */
+function getSteamProfile(steam64Id, apiKey, session) {
+    return getSteamProfiles([steam64Id], apiKey, session).then((profiles) => {
+        const profile = profiles.get(String(steam64Id));
+        if (profile instanceof Error) {
+            throw profile;
+        }
+        return profile;
+    });
+}
+
+module.exports = {
+    hexToSteam64,
+    buildSteamProfileData,
+    createRateLimiter,
+    getSteamProfiles,
+    getSteamProfile
+};
@@ -0,0 +1,280 @@
+const { EventEmitter } = require('events');
+const { createConfig } = require('./config');
+const { downloadServerData } = require('./fivem');
+const { extractPlayers } = require('./scanner');
+const { analyzeServerContext, analyzePlayersForBots } = require('./analysis');
+const { loadProfile } = require('./profiles');
+const { compilePlayerLists, describeListMatch } = require('./player-lists');
+
+/**
+ * Parse a watch interval such as "90", "30s", "5m" or "1h"
+ * @param {string|number} value - Interval, in seconds when no unit is given
+ * @returns {number} - Interval in milliseconds
+ */
+function parseInterval(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/i.exec(String(value).trim());
+    if (!match) {
+        throw new Error(`Invalid interval "${value}" (use e.g. 90, 30s, 5m or 1h)`);
+    }
+    
+    const units = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+    const ms = parseFloat(match[1]) * units[(match[2] || 's').toLowerCase()];
+    if (ms < 1000) {
+        throw new Error(`Interval "${value}" is too short (minimum 1s)`);
+    }
+    return ms;
+}
+
+/**
+ * Key used to recognise a player across snapshots
+ * @param {Object} player - Player record from extractPlayers
+ * @returns {string} - license: identifier if present, else the first identifier, else name and server ID
+ */
+function getPlayerKey(player) {
+    const license = player.identifiers.find(identifier => identifier.startsWith('license:'));
+    return license || player.identifiers[0] || `name:${player.name}#${player.id}`;
+}
+
+/**
+ * Track joins, leaves and session durations between snapshots of one server
+ * @param {Object} [trackerOptions] - { alwaysOnlineMs }
+ * @returns {Object} - { update(players, time), getSummary(time) }
+ */
+function createSessionTracker(trackerOptions = {}) {
+    const alwaysOnlineMs = trackerOptions.alwaysOnlineMs || 24 * 60 * 60 * 1000;
+    const online = new Map(); // key -> { name, sessionStart, seenAtStart, isPotentialBot }
+    const completedSessions = []; // durations in ms of sessions that started and ended while watching
+    let firstSnapshot = null;
+    let lastSnapshot = null;
+    let snapshots = 0;
+    let totalJoins = 0;
+    let totalLeaves = 0;
+    let onlineSum = 0;
+    let lastChange = { joined: [], left: [] };
+    
+    return {
+        /**
+         * Record a snapshot of the player list
+         * @param {Array} players - Player records from extractPlayers (after analysis)
+         * @param {number} time - Snapshot time in milliseconds
+         * @returns {Object} - { joined, left } player names for this snapshot
+         */
+        update(players, time) {
+            const isFirst = snapshots === 0;
+            const present = new Map();
+            for (const player of players) {
+                present.set(getPlayerKey(player), player);
+            }
+            
+            const joined = [];
+            const left = [];
+            
+            for (const [key, player] of present) {
+                const session = online.get(key);
+                if (session) {
+                    session.name = player.name;
+                    session.isPotentialBot = player.isPotentialBot;
+                    continue;
+                }
+                
+                online.set(key, {
+                    name: player.name,
+                    // Sessions already running when the watch started have an unknown start
+                    sessionStart: time,
+                    seenAtStart: isFirst,
+                    isPotentialBot: player.isPotentialBot
+                });
+                if (!isFirst) {
+                    joined.push(player.name);
+                    totalJoins++;
+                }
+            }
+            
+            for (const [key, session] of online) {
+                if (present.has(key)) continue;
+                
+                online.delete(key);
+                left.push(session.name);
+                totalLeaves++;
+                if (!session.seenAtStart) {
+                    completedSessions.push(time - session.sessionStart);
+                }
+            }
+            
+            if (isFirst) firstSnapshot = time;
+            lastSnapshot = time;
+            snapshots++;
+            onlineSum += present.size;
+            lastChange = { joined, left };
+            
+            return lastChange;
+        },
+        
+        /**
+         * Summarise what has been observed so far
+         * @param {number} time - Reference time in milliseconds
+         * @returns {Object} - Rolling session statistics
+         */
+        getSummary(time = lastSnapshot) {
+            const elapsedHours = firstSnapshot === null ? 0 : (lastSnapshot - firstSnapshot) / (60 * 60 * 1000);
+            const averageOnline = snapshots > 0 ? onlineSum / snapshots : 0;
+            const sortedSessions = [...completedSessions].sort((a, b) => a - b);
+            
+            // Sessions already running at the first snapshot started earlier: their time is a lower bound
+            const openSessions = [];
+            for (const [key, session] of online) {
+                openSessions.push({
+                    key,
+                    name: session.name,
+                    onlineMinutes: Math.round((time - session.sessionStart) / 60000),
+                    lowerBound: session.seenAtStart,
+                    isPotentialBot: session.isPotentialBot
+                });
+            }
+            
+            return {
+                snapshots,
+                watchingSince: firstSnapshot === null ? null : new Date(firstSnapshot).toISOString(),
+                elapsedMinutes: Math.round(elapsedHours * 60),
+                online: online.size,
+                averageOnline: Math.round(averageOnline * 10) / 10,
+                joined: lastChange.joined,
+                left: lastChange.left,
+                totalJoins,
+                totalLeaves,
+                // Share of the average population that leaves per hour
+                churnRatePerHour: elapsedHours > 0 && averageOnline > 0
+                    ? Math.round((totalLeaves / averageOnline / elapsedHours) * 1000) / 1000
+                    : 0,
+                completedSessions: sortedSessions.length,
+                averageSessionMinutes: sortedSessions.length > 0
+                    ? Math.round(sortedSessions.reduce((sum, ms) => sum + ms, 0) / sortedSessions.length / 60000)
+                    : null,
+                medianSessionMinutes: sortedSessions.length > 0
+                    ? Math.round(sortedSessions[Math.floor(sortedSessions.length / 2)] / 60000)
+                    : null,
+                continuouslyOnline: openSessions.filter(session => session.lowerBound).length,
+                alwaysOnline: openSessions.filter(session => session.onlineMinutes * 60000 >= alwaysOnlineMs)
+            };
+        }
+    };
+}
+
+/**
+ * Results of a watch snapshot, shaped like those of scanServer with the Steam lookups skipped,
+ * so they can be alerted on
+ * @param {string} cfxcode - The CFX code
+ * @param {Object} serverInfo - Server data from the FiveM API
+ * @param {Array} allPlayers - Players from extractPlayers
+ * @param {Object} botAnalysis - Result of analyzePlayersForBots
+ * @param {Date} scanDate - Time of the snapshot
+ * @returns {Object} - { server, statistics, potentialBots }
+ */
+function buildSnapshotResults(cfxcode, serverInfo, allPlayers, botAnalysis, scanDate) {
+    const potentialBots = botAnalysis.potentialBots.map(bot => ({
+        steamHex: bot.steamHex || undefined,
+        playerName: bot.name,
+        reason: bot.validation.listMatch
+            ? describeListMatch(bot.validation.listMatch)
+            : bot.steam64Id ? 'Bot indicators detected (Steam lookup skipped)' : 'Non-Steam bot indicators detected',
+        additionalReasons: bot.botReasons,
+        listMatch: bot.validation.listMatch
+    }));
+    return {
+        server: {
+            cfxcode,
+            name: serverInfo.hostname || 'Unknown Server',
+            scanTime: scanDate.toISOString(),
+            currentPlayers: serverInfo.clients || serverInfo.selfReportedClients || 0,
+            maxPlayers: serverInfo.sv_maxclients || serverInfo.svMaxclients || 'Unknown'
+        },
+        statistics: {
+            totalAnalyzedPlayers: allPlayers.length,
+            steamPlayers: allPlayers.filter(player => player.steam64Id).length,
+            validProfiles: 0,
+            steamLookupsSkipped: true,
+            botScore: potentialBots.length,
+            botPercentage: allPlayers.length > 0 ? Math.round((potentialBots.length / allPlayers.length) * 100) : 0,
+            botReasons: botAnalysis.reasons
+        },
+        potentialBots
+    };
+}
+
+/**
+ * Re-poll a server on a timer and track player sessions between snapshots
+ *
+ * Each cycle runs the same context and validation pipeline as a scan, without Steam lookups.
+ *
+ * Events emitted on `options.events`:
+ *   log (message)            - verbose diagnostics
+ *   cycle (summary, results) - a snapshot was analysed; summary holds session stats and verdicts,
+ *                              results the snapshot as scanServer would report it without Steam
+ *   cycleError (error)       - a snapshot failed; the watch keeps going
+ *
+ * @param {string} cfxcode - The CFX code
+ * @param {Object} [options] - { config, interval (ms), events }
+ * @returns {Object} - { stop() } which ends the watch and returns the last summary
+ */
+function watchServer(cfxcode, options = {}) {
+    const events = options.events || new EventEmitter();
+    const config = createConfig(options.config);
+    const log = (message) => events.emit('log', message);
+    const profile = loadProfile(config.DETECTION_PROFILE);
+    const playerLists = compilePlayerLists(config);
+    const session = { config, log, recorder: null, recording: null };
+    const tracker = createSessionTracker({ alwaysOnlineMs: config.ALWAYS_ONLINE_HOURS * 60 * 60 * 1000 });
+    
+    let timer = null;
+    let stopped = false;
+    let cycles = 0;
+    let lastSummary = null;
+    
+    async function runCycle() {
+        const scanDate = new Date();
+        cycles++;
+        
+        try {
+            const data = await downloadServerData(cfxcode, session);
+            const { allPlayers } = extractPlayers(data.Data.players);
+            const serverContext = analyzeServerContext(data.Data, allPlayers, scanDate, profile);
+            const botAnalysis = analyzePlayersForBots(allPlayers, serverContext, profile, playerLists);
+            
+            tracker.update(allPlayers, scanDate.getTime());
+            lastSummary = Object.assign({
+                cycle: cycles,
+                time: scanDate.toISOString(),
+                cfxcode,
+                serverName: data.Data.hostname || 'Unknown Server',
+                potentialBots: botAnalysis.potentialBots.length,
+                borderlineCases: botAnalysis.reasons.borderlineCases,
+                contextFactors: serverContext.contextFactors
+            }, tracker.getSummary(scanDate.getTime()));
+            
+            events.emit('cycle', lastSummary, buildSnapshotResults(cfxcode, data.Data, allPlayers, botAnalysis, scanDate));
+        } catch (error) {
+            events.emit('cycleError', error);
+        }
+        
+        if (!stopped) {
+            timer = setTimeout(runCycle, options.interval);
+        }
+    }
+    
+    runCycle();
+    
+    return {
+        stop() {
+            stopped = true;
+            clearTimeout(timer);
+            return lastSummary;
+        }
+    };
+}
+
+module.exports = {
+    parseInterval,
+    getPlayerKey,
+    createSessionTracker,
+    watchServer
+};
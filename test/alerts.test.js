@@ -0,0 +1,190 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+    buildAlert,
+    crossesThresholds,
+    formatDiscord,
+    formatSlack,
+    formatGeneric,
+    formatWebhookPayload,
+    createAlertDeduper,
+    sendAlerts
+} = require('../lib/alerts');
+const { startStubServer, sendJson, makeTempDir } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse('2025-01-20T12:00:00Z');
+
+/**
+ * Results of a scan with `botScore` potential bots out of 40 players
+ * @param {number} [botScore] - Potential bots
+ * @returns {Object} - Scan results
+ */
+function scanResults(botScore = 4) {
+    return {
+        server: { cfxcode: 'abc123', name: '^1Red ^7Server', scanTime: '2025-01-20T12:00:00.000Z', currentPlayers: 40, maxPlayers: 64 },
+        statistics: {
+            totalAnalyzedPlayers: 40,
+            steamPlayers: 30,
+            validProfiles: 25,
+            botScore,
+            botPercentage: Math.round((botScore / 40) * 100),
+            botReasons: { sameIp: 3, noIdentifiers: 5, suspiciousNames: 0, borderlineCases: 2 }
+        },
+        potentialBots: Array.from({ length: botScore }, (value, index) => ({
+            playerName: `Bot${index}`,
+            steamHex: index === 0 ? '110000100000001' : undefined,
+            reason: 'Non-Steam bot indicators detected',
+            botConfidence: index === 1 ? 90 : undefined,
+            additionalReasons: Array(index).fill('Same IP')
+        }))
+    };
+}
+
+test('either configured limit is enough to alert', () => {
+    const alert = { botScore: 4, botPercentage: 10 };
+    assert.strictEqual(crossesThresholds(alert, {}), true);
+    assert.strictEqual(crossesThresholds({ botScore: 0, botPercentage: 0 }, {}), false);
+    assert.strictEqual(crossesThresholds(alert, { minBotScore: 5 }), false);
+    assert.strictEqual(crossesThresholds(alert, { minBotPercentage: 10 }), true);
+    assert.strictEqual(crossesThresholds(alert, { minBotScore: 5, minBotPercentage: 10 }), true);
+    assert.strictEqual(crossesThresholds(alert, { minBotScore: 4, minBotPercentage: 50 }), true);
+    assert.strictEqual(crossesThresholds(alert, { minBotScore: 5, minBotPercentage: 50 }), false);
+    // A percentage limit of 0 does not alert on a scan without bots
+    assert.strictEqual(crossesThresholds({ botScore: 0, botPercentage: 0 }, { minBotPercentage: 0 }), false);
+});
+
+test('the alert carries the counts, the top reasons and the most suspicious players', () => {
+    const alert = buildAlert(scanResults(), { maxPlayers: 2 });
+    assert.strictEqual(alert.serverName, 'Red Server');
+    assert.strictEqual(alert.botScore, 4);
+    assert.strictEqual(alert.botPercentage, 10);
+    assert.strictEqual(alert.borderlineCases, 2);
+    assert.deepStrictEqual(alert.topReasons, [{ reason: 'noIdentifiers', count: 5 }, { reason: 'sameIp', count: 3 }]);
+    assert.deepStrictEqual(alert.suspiciousPlayers.map(player => player.name), ['Bot1', 'Bot3']);
+    assert.strictEqual(alert.suspiciousPlayers[0].confidence, 90);
+});
+
+test('Discord and Slack payloads follow their webhook formats', () => {
+    const alert = buildAlert(scanResults());
+
+    const discord = formatDiscord(alert);
+    assert.strictEqual(discord.username, 'FiveM Bot Detection');
+    assert.strictEqual(discord.embeds.length, 1);
+    assert.strictEqual(discord.embeds[0].title, '🚨 Bot alert: Red Server');
+    assert.strictEqual(discord.embeds[0].timestamp, alert.scanTime);
+    assert.deepStrictEqual(discord.embeds[0].fields.map(field => field.name), ['Players', 'Potential bots', 'Borderline', 'Top reasons', 'Most suspicious players']);
+    assert.strictEqual(discord.embeds[0].fields[1].value, '4 (10%)');
+
+    const slack = formatSlack(alert);
+    assert.strictEqual(slack.text, '🚨 Bot alert: Red Server (abc123): 4 potential bots (10%)');
+    assert.deepStrictEqual(slack.blocks.map(block => block.type), ['header', 'section', 'section', 'section']);
+    assert.strictEqual(slack.blocks[0].text.type, 'plain_text');
+    assert.ok(slack.blocks[1].fields.every(field => field.type === 'mrkdwn'));
+
+    assert.deepStrictEqual(formatWebhookPayload({ type: 'discord' }, alert), discord);
+    assert.deepStrictEqual(formatWebhookPayload({}, alert), alert);
+    assert.throws(() => formatWebhookPayload({ type: 'teams' }, alert), /Unknown webhook type "teams"/);
+});
+
+test('generic templates keep the type of whole placeholders and interpolate the others', () => {
+    const alert = buildAlert(scanResults());
+    const body = formatGeneric({
+        summary: '{{serverName}}: {{botScore}} bots',
+        bots: '{{botScore}}',
+        reasons: ['{{topReasons}}'],
+        missing: '{{nothing}}',
+        fixed: true
+    }, alert);
+    assert.deepStrictEqual(body, {
+        summary: 'Red Server: 4 bots',
+        bots: 4,
+        reasons: [alert.topReasons],
+        missing: null,
+        fixed: true
+    });
+});
+
+test('the deduper suppresses the same verdict within its window unless the bot count grows', () => {
+    const stateFile = path.join(makeTempDir(), 'state', 'alerts.json');
+    const deduper = createAlertDeduper({ stateFile, windowMs: 60 * MINUTE });
+    assert.strictEqual(deduper.isDuplicate('hook|abc123', { botScore: 4 }, NOW), false);
+    deduper.remember('hook|abc123', { botScore: 4, botPercentage: 10 }, NOW);
+
+    assert.strictEqual(deduper.isDuplicate('hook|abc123', { botScore: 4 }, NOW + 59 * MINUTE), true);
+    assert.strictEqual(deduper.isDuplicate('hook|abc123', { botScore: 3 }, NOW + 59 * MINUTE), true);
+    assert.strictEqual(deduper.isDuplicate('hook|abc123', { botScore: 5 }, NOW + 59 * MINUTE), false);
+    assert.strictEqual(deduper.isDuplicate('hook|abc123', { botScore: 4 }, NOW + 60 * MINUTE), false);
+    assert.strictEqual(deduper.isDuplicate('hook|def456', { botScore: 4 }, NOW), false);
+
+    // The state is shared with the next run
+    assert.strictEqual(createAlertDeduper({ stateFile, windowMs: 60 * MINUTE }).isDuplicate('hook|abc123', { botScore: 4 }, NOW + MINUTE), true);
+    fs.writeFileSync(stateFile, '{ not json');
+    assert.strictEqual(createAlertDeduper({ stateFile, windowMs: 60 * MINUTE }).isDuplicate('hook|abc123', { botScore: 4 }, NOW + MINUTE), false);
+});
+
+test('sendAlerts posts to the webhooks over their limits once per verdict', async () => {
+    const stub = await startStubServer((req, res) => {
+        if (req.url === '/broken') {
+            sendJson(res, 500, {});
+        } else {
+            res.writeHead(204);
+            res.end();
+        }
+    });
+    const config = {
+        WEBHOOKS: [
+            { url: `${stub.url}/discord/secret-token`, type: 'discord' },
+            { url: `${stub.url}/strict`, minBotScore: 10 },
+            { url: `${stub.url}/broken`, type: 'slack' }
+        ],
+        WEBHOOK_STATE_FILE: null,
+        MAX_RETRIES: 0
+    };
+    const deduper = createAlertDeduper();
+    const host = stub.url.replace('http://', '');
+    try {
+        const first = await sendAlerts(scanResults(), { config, deduper, now: NOW });
+        assert.deepStrictEqual(first, [
+            { webhook: host, type: 'discord', status: 'sent', error: null },
+            { webhook: host, type: 'generic', status: 'below-threshold', error: null },
+            { webhook: host, type: 'slack', status: 'failed', error: 'HTTP 500' }
+        ]);
+        const discord = stub.requests.find(request => request.url === '/discord/secret-token');
+        assert.strictEqual(discord.headers['content-type'], 'application/json');
+        assert.strictEqual(JSON.parse(discord.body).embeds[0].title, '🚨 Bot alert: Red Server');
+
+        // The sent alert is not repeated; the failed one is retried
+        const second = await sendAlerts(scanResults(), { config, deduper, now: NOW + MINUTE });
+        assert.deepStrictEqual(second.map(outcome => outcome.status), ['duplicate', 'below-threshold', 'failed']);
+        assert.strictEqual(stub.requests.filter(request => request.url === '/broken').length, 2);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('an alert whose state cannot be saved is still reported as sent', async () => {
+    const stub = await startStubServer((req, res) => {
+        res.writeHead(204);
+        res.end();
+    });
+    // The state file would go under a regular file, so saving it fails
+    const blocker = path.join(makeTempDir(), 'file');
+    fs.writeFileSync(blocker, '');
+    const deduper = createAlertDeduper({ stateFile: path.join(blocker, 'alerts.json') });
+    const config = { WEBHOOKS: [{ url: `${stub.url}/hook` }], MAX_RETRIES: 0 };
+    try {
+        const [outcome] = await sendAlerts(scanResults(), { config, deduper, now: NOW });
+        assert.strictEqual(outcome.status, 'sent');
+        assert.match(outcome.error, /^Sent, but the alert state could not be saved/);
+
+        // Remembered for the rest of the run
+        const [again] = await sendAlerts(scanResults(), { config, deduper, now: NOW + MINUTE });
+        assert.strictEqual(again.status, 'duplicate');
+        assert.strictEqual(stub.requests.length, 1);
+    } finally {
+        await stub.close();
+    }
+});
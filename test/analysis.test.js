@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeServerContext, validateIdentifiers, validatePlayerForBots, indexAccountIdentifiers } = require('../lib/analysis');
+const { CONSERVATIVE_PROFILE, loadProfile } = require('../lib/profiles');
+const { extractPlayers } = require('../lib/scanner');
+const { makePlayer } = require('./helpers');
+
+const LICENSE_A = `license:${'a'.repeat(40)}`;
+const LICENSE_B = `license:${'b'.repeat(40)}`;
+const DISCORD = 'discord:123456789012345678';
+
+/**
+ * Validate the identifiers of every player of a server
+ * @param {Array} entries - Players as the FiveM API lists them
+ * @returns {Array<Object>} - validateIdentifiers result of each player
+ */
+function validateAll(entries) {
+    const { allPlayers } = extractPlayers(entries);
+    const context = analyzeServerContext({ hostname: 'Test' }, allPlayers, new Date('2025-01-20T12:00:00Z'));
+    return allPlayers.map(player => validateIdentifiers(player, allPlayers, context, CONSERVATIVE_PROFILE));
+}
+
+test('a player with a license and well-formed identifiers passes', () => {
+    const [result] = validateAll([makePlayer(1, 'Alice', { identifiers: [LICENSE_A, 'steam:110000100000001', DISCORD, 'ip:10.0.0.1'] })]);
+    assert.deepStrictEqual(result, { isSuspicious: false, reasons: [], score: 0, findings: [] });
+});
+
+test('a player without identifiers is only flagged for that', () => {
+    const [result] = validateAll([makePlayer(1, 'Ghost', { identifiers: [] })]);
+    assert.deepStrictEqual(result.findings, ['noIdentifiers']);
+    assert.deepStrictEqual(result.reasons, ['No authentication identifiers']);
+    assert.strictEqual(result.score, CONSERVATIVE_PROFILE.scores.noIdentifiers);
+});
+
+test('missing licenses, malformed values and odd sets each add their own reason', () => {
+    const [missing, malformed, repeated, ipOnly, license2] = validateAll([
+        makePlayer(1, 'NoLicense', { identifiers: ['steam:110000100000001'] }),
+        makePlayer(2, 'Malformed', { identifiers: [LICENSE_A, 'steam:zzz', 'discord:12', 'nonsense'] }),
+        makePlayer(3, 'Repeated', { identifiers: [LICENSE_B, `license:${'c'.repeat(40)}`] }),
+        makePlayer(4, 'IpOnly', { identifiers: ['ip:10.0.0.4'] }),
+        makePlayer(5, 'License2', { identifiers: [`license2:${'d'.repeat(40)}`] })
+    ]);
+    const { scores } = CONSERVATIVE_PROFILE;
+
+    assert.deepStrictEqual(missing.findings, ['missingLicense']);
+    assert.strictEqual(missing.score, scores.missingLicense);
+
+    assert.deepStrictEqual(malformed.findings, ['malformedIdentifiers']);
+    assert.deepStrictEqual(malformed.reasons, ['Malformed identifier (steam, discord, untyped)']);
+
+    assert.deepStrictEqual(repeated.reasons, ['Repeated identifier types (license)']);
+    assert.deepStrictEqual(ipOnly.findings, ['missingLicense', 'oddIdentifierSets']);
+    assert.deepStrictEqual(ipOnly.reasons[1], 'Only an ip: identifier');
+    assert.deepStrictEqual(license2.reasons, ['Missing license identifier', 'license2 without license identifier']);
+    assert.strictEqual(license2.score, scores.missingLicense + scores.oddIdentifierSet);
+});
+
+test('licenses and Discord accounts shared between players are flagged on every holder', () => {
+    const results = validateAll([
+        makePlayer(1, 'One', { identifiers: [LICENSE_A, DISCORD] }),
+        makePlayer(2, 'Two', { identifiers: [LICENSE_A.toUpperCase().replace('LICENSE', 'license')] }),
+        makePlayer(3, 'Three', { identifiers: [LICENSE_A] }),
+        makePlayer(4, 'Four', { identifiers: [LICENSE_B, DISCORD] }),
+        makePlayer(5, 'Five', { identifiers: [`license:${'e'.repeat(40)}`] })
+    ]);
+
+    assert.deepStrictEqual(results[0].reasons, ['License identifier shared with 2 other players', 'Discord identifier shared with 1 other player']);
+    assert.strictEqual(results[0].score, 2 * CONSERVATIVE_PROFILE.scores.sharedIdentifier);
+    assert.deepStrictEqual(results[1].reasons, ['License identifier shared with 2 other players']);
+    assert.deepStrictEqual(results[2].reasons, ['License identifier shared with 2 other players']);
+    assert.deepStrictEqual(results[3].reasons, ['Discord identifier shared with 1 other player']);
+    assert.deepStrictEqual(results[4].findings, []);
+});
+
+test('lacking an identifier type nearly every other player has is flagged on full servers', () => {
+    const entries = Array.from({ length: 12 }, (value, index) => makePlayer(index + 1, `Player${index + 1}`, {
+        identifiers: [`license:${String(index + 1).padStart(40, '0')}`, `discord:1000000000000000${String(index).padStart(2, '0')}`]
+    }));
+    entries.push(makePlayer(13, 'NoDiscord'));
+    const results = validateAll(entries);
+
+    assert.deepStrictEqual(results[12].reasons, ['Missing discord identifier most players have']);
+    assert.ok(results.slice(0, 12).every(result => result.findings.length === 0));
+    // Below identifierRatioMinPlayers the ratios are not compared
+    assert.deepStrictEqual(validateAll(entries.slice(8))[4].findings, []);
+});
+
+test('the account identifier index stays out of the saved context and matches an index built on demand', () => {
+    const { allPlayers } = extractPlayers([
+        makePlayer(1, 'One', { identifiers: [LICENSE_A] }),
+        makePlayer(2, 'Two', { identifiers: [LICENSE_A, DISCORD] })
+    ]);
+    const context = analyzeServerContext({ hostname: 'Test' }, allPlayers);
+    assert.ok(!('accountIdentifiers' in JSON.parse(JSON.stringify(context))));
+
+    const index = indexAccountIdentifiers(allPlayers);
+    assert.deepStrictEqual([...index.keys()], [`license:${'a'.repeat(40)}`, 'discord:123456789012345678']);
+    assert.strictEqual(index.get(`license:${'a'.repeat(40)}`).size, 2);
+
+    const withIndex = validateIdentifiers(allPlayers[0], allPlayers, context);
+    const withoutIndex = validateIdentifiers(allPlayers[0], allPlayers, { totalPlayers: 2, identifierShares: context.identifierShares });
+    assert.deepStrictEqual(withIndex, withoutIndex);
+});
+
+test('an established Discord account is not counted against maxLayersPassed', () => {
+    const profile = loadProfile({ decision: { rules: [{ maxLayersPassed: 6 }], populationTiers: [], neverFlagDevelopmentServers: false } });
+    const { allPlayers } = extractPlayers([
+        makePlayer(1, 'WithDiscord', { identifiers: [LICENSE_A, DISCORD] }),
+        makePlayer(2, 'WithoutDiscord', { identifiers: [LICENSE_B] })
+    ]);
+    const context = analyzeServerContext({ hostname: 'Test' }, allPlayers, new Date('2025-01-20T12:00:00Z'), profile);
+    const [withDiscord, withoutDiscord] = allPlayers.map(player => validatePlayerForBots(player, context, allPlayers, profile));
+
+    assert.strictEqual(withDiscord.validationLayers.discordValidation, true);
+    assert.strictEqual(withoutDiscord.validationLayers.discordValidation, null);
+    assert.strictEqual(withDiscord.isBot, withoutDiscord.isBot);
+    assert.strictEqual(withDiscord.isBot, true);
+});
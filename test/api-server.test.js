@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { once, EventEmitter } = require('events');
+const { startApiServer } = require('../lib/api-server');
+const { startStubServer, sendJson, makePlayer } = require('./helpers');
+
+/**
+ * Send a request to the API
+ * @param {string} url - Base URL of the API
+ * @param {string} method - HTTP method
+ * @param {string} path - Path
+ * @param {string} [body] - Raw request body
+ * @returns {Promise<Object>} - { statusCode, headers, body } with the body parsed
+ */
+function request(url, method, path, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(`${url}${path}`, { method, agent: false }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({
+                statusCode: res.statusCode,
+                headers: res.headers,
+                body: JSON.parse(Buffer.concat(chunks).toString('utf8'))
+            }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * Start the API against a stubbed FiveM API whose response to each scan waits for `release(statusCode)`
+ * @returns {Promise<Object>} - { url, events, fivem, release(), close() }
+ */
+async function startApi() {
+    let held = null;
+    let released = null;
+    const fivem = await startStubServer((req, res) => {
+        held = statusCode => sendJson(res, statusCode, {
+            Data: { hostname: 'Test Server', clients: 2, sv_maxclients: 64, players: [makePlayer(1, 'Alice'), makePlayer(2, 'Bob')] }
+        });
+        if (released) {
+            held(released);
+            held = released = null;
+        }
+    });
+    const events = new EventEmitter();
+    const api = startApiServer({
+        config: {
+            API_KEY: 'test-key',
+            FIVEM_API_URL: `${fivem.url}/api/servers/single/`,
+            STEAM_CACHE_FILE: null,
+            RATE_LIMIT_DELAY: 0,
+            MAX_RETRIES: 0
+        },
+        port: 0,
+        host: '127.0.0.1',
+        events
+    });
+    const [address] = await once(events, 'listening');
+    return {
+        url: `http://127.0.0.1:${address.port}`,
+        events,
+        fivem,
+        // Answer the request the scan sent, or the next one if it has not arrived yet
+        release(statusCode = 200) {
+            if (held) {
+                held(statusCode);
+                held = null;
+            } else {
+                released = statusCode;
+            }
+        },
+        async close() {
+            api.close();
+            await fivem.close();
+        }
+    };
+}
+
+test('a scan is queued, reused while in flight and cached once complete', async () => {
+    const api = await startApi();
+    try {
+                const created = await request(api.url, 'POST', '/scans', '{"cfxcode":"abc123"}');
+        assert.strictEqual(created.statusCode, 202);
+        assert.strictEqual(created.headers.location, `/scans/${created.body.id}`);
+        assert.strictEqual(created.body.cfxcode, 'abc123');
+        assert.strictEqual(created.body.results, null);
+
+        // The same server while its scan is in flight
+        const again = await request(api.url, 'POST', '/scans', '{"cfxcode":"abc123","refresh":true}');
+        assert.strictEqual(again.statusCode, 202);
+        assert.strictEqual(again.body.id, created.body.id);
+        assert.strictEqual((await request(api.url, 'GET', '/servers/abc123/latest')).statusCode, 404);
+
+        const complete = once(api.events, 'scanComplete');
+        api.release();
+        await complete;
+        assert.strictEqual(api.fivem.requests.length, 1);
+
+        const status = await request(api.url, 'GET', `/scans/${created.body.id}`);
+        assert.strictEqual(status.statusCode, 200);
+        assert.strictEqual(status.body.status, 'complete');
+        assert.strictEqual(status.body.results.server.name, 'Test Server');
+
+        const cached = await request(api.url, 'POST', '/scans', '{"cfxcode":"abc123"}');
+        assert.strictEqual(cached.statusCode, 200);
+        assert.strictEqual(cached.body.cached, true);
+        assert.strictEqual(cached.body.id, created.body.id);
+        const latest = await request(api.url, 'GET', '/servers/abc123/latest');
+        assert.strictEqual(latest.body.id, created.body.id);
+
+        const refreshed = await request(api.url, 'POST', '/scans', '{"cfxcode":"abc123","refresh":true}');
+        assert.strictEqual(refreshed.statusCode, 202);
+        assert.notStrictEqual(refreshed.body.id, created.body.id);
+        const done = once(api.events, 'scanComplete');
+        api.release();
+        await done;
+    } finally {
+        await api.close();
+    }
+});
+
+test('a failed scan reports its error', async () => {
+    const api = await startApi();
+    try {
+                const created = await request(api.url, 'POST', '/scans', '{"cfxcode":"abc123"}');
+        const failed = once(api.events, 'scanError');
+        api.release(503);
+        await failed;
+        const status = await request(api.url, 'GET', `/scans/${created.body.id}`);
+        assert.strictEqual(status.body.status, 'failed');
+        assert.strictEqual(status.body.error.name, 'HttpStatusError');
+        assert.strictEqual(status.body.results, null);
+    } finally {
+        await api.close();
+    }
+});
+
+test('unknown routes, methods and scans are rejected', async () => {
+    const api = await startApi();
+    try {
+        assert.strictEqual((await request(api.url, 'GET', '/scans')).statusCode, 405);
+        assert.strictEqual((await request(api.url, 'DELETE', '/scans/abc')).statusCode, 405);
+        const missing = await request(api.url, 'GET', '/scans/0123456789abcdef');
+        assert.strictEqual(missing.statusCode, 404);
+        assert.match(missing.body.error, /not found or expired/);
+        assert.strictEqual((await request(api.url, 'GET', '/servers/abc123/latest')).statusCode, 404);
+        assert.strictEqual((await request(api.url, 'GET', '/status')).statusCode, 404);
+        assert.strictEqual((await request(api.url, 'GET', '/scans/%E0%A4%A')).statusCode, 400);
+    } finally {
+        await api.close();
+    }
+});
+
+test('invalid, oversized and incomplete bodies are client errors', async () => {
+    const api = await startApi();
+    try {
+        const invalid = await request(api.url, 'POST', '/scans', '{"cfxcode":');
+        assert.strictEqual(invalid.statusCode, 400);
+        assert.match(invalid.body.error, /^Invalid JSON body/);
+
+        const oversized = await request(api.url, 'POST', '/scans', JSON.stringify({ cfxcode: 'abc123', padding: 'x'.repeat(20 * 1024) }));
+        assert.strictEqual(oversized.statusCode, 413);
+        assert.match(oversized.body.error, /over 16384 bytes/);
+
+        for (const body of ['', '{"cfxcode":42}', '{"cfxcode":"../etc"}']) {
+            const rejected = await request(api.url, 'POST', '/scans', body);
+            assert.strictEqual(rejected.statusCode, 400);
+            assert.match(rejected.body.error, /"cfxcode"/);
+        }
+        assert.strictEqual(api.fivem.requests.length, 0);
+    } finally {
+        await api.close();
+    }
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { crawlServers, fetchServerList, selectServers } = require('../lib/crawl');
+const { InvalidResponseError } = require('../lib/errors');
+const { startStubServer, sendJson, makePlayer } = require('./helpers');
+
+/**
+ * Server entry as the FiveM frontend lists it
+ * @param {string} cfxcode - Server code
+ * @param {number} clients - Players online
+ * @param {string} tags - Comma-separated tags
+ * @param {string} locale - Server locale
+ * @returns {Object} - { EndPoint, Data }
+ */
+function listing(cfxcode, clients, tags, locale) {
+    return { EndPoint: cfxcode, Data: { hostname: `Server ${cfxcode}`, clients, sv_maxclients: 64, vars: { tags, locale } } };
+}
+
+const SERVERS = {
+    rp1: listing('rp1', 40, 'Roleplay, Serious', 'en-US'),
+    rp2: listing('rp2', 30, 'roleplay', 'en-GB'),
+    rp3: listing('rp3', 20, 'roleplay', 'en-US'),
+    rpde: listing('rpde', 60, 'roleplay', 'de-DE'),
+    race: listing('race', 50, 'racing', 'en-US'),
+    small: listing('small', 5, 'roleplay', 'en-US')
+};
+
+// rp1 has a block of players without identifiers, rp2 only players with unique licenses; rp3 is offline
+const PLAYERS = {
+    rp1: Array.from({ length: 40 }, (value, index) => makePlayer(index + 1, `Player${index + 1}`, index < 20 ? { identifiers: [] } : {})),
+    rp2: Array.from({ length: 30 }, (value, index) => makePlayer(index + 1, `Player${index + 1}`))
+};
+
+/**
+ * Stub of the listing and single-server endpoints
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+function frontend(req, res) {
+    if (req.url === '/api/servers/') {
+        // Listed as an object, with an entry that has no data
+        sendJson(res, 200, Object.assign({ broken: { EndPoint: 'broken' } }, SERVERS));
+        return;
+    }
+    const cfxcode = req.url.replace('/api/servers/single/', '');
+    if (PLAYERS[cfxcode]) {
+        sendJson(res, 200, { Data: Object.assign({}, SERVERS[cfxcode].Data, { players: PLAYERS[cfxcode] }) });
+    } else {
+        sendJson(res, 404, {});
+    }
+}
+
+/**
+ * Run `fn` with a configuration pointing at the frontend stub
+ * @param {Function} fn - async (config, stub)
+ * @param {Function} [handler] - Request handler of the stub
+ */
+async function withFrontend(fn, handler = frontend) {
+    const stub = await startStubServer(handler);
+    const config = {
+        FIVEM_API_URL: `${stub.url}/api/servers/single/`,
+        STEAM_API_URL: `${stub.url}/steam`,
+        STEAM_CACHE_FILE: null,
+        MAX_RETRIES: 0
+    };
+    try {
+        await fn(config, stub);
+    } finally {
+        await stub.close();
+    }
+}
+
+test('fetchServerList reads the listing from the FIVEM_API_URL host', async () => {
+    await withFrontend(async (config, stub) => {
+        const servers = await fetchServerList({ config });
+        assert.strictEqual(stub.requests[0].url, '/api/servers/');
+        assert.strictEqual(servers.length, Object.keys(SERVERS).length);
+        assert.deepStrictEqual(servers.find(server => server.cfxcode === 'rp1'), {
+            cfxcode: 'rp1',
+            hostname: 'Server rp1',
+            clients: 40,
+            maxClients: 64,
+            tags: ['roleplay', 'serious'],
+            locale: 'en-US'
+        });
+    });
+});
+
+test('fetchServerList reports an unparseable listing as InvalidResponseError', async () => {
+    await withFrontend(async (config) => {
+        await assert.rejects(fetchServerList({ config }), InvalidResponseError);
+    }, (req, res) => {
+        res.writeHead(200);
+        res.end('not json');
+    });
+});
+
+test('selectServers filters by tag and locale and keeps the top N by players', () => {
+    const servers = Object.values(SERVERS).map(entry => ({
+        cfxcode: entry.EndPoint,
+        clients: entry.Data.clients,
+        tags: entry.Data.vars.tags.toLowerCase().split(',').map(tag => tag.trim()),
+        locale: entry.Data.vars.locale
+    }));
+    const codes = selected => selected.map(server => server.cfxcode);
+
+    assert.deepStrictEqual(codes(selectServers(servers, { top: 3 })), ['rpde', 'race', 'rp1']);
+    assert.deepStrictEqual(codes(selectServers(servers, { tags: ['Roleplay'], locale: 'en' })), ['rp1', 'rp2', 'rp3', 'small']);
+    assert.deepStrictEqual(codes(selectServers(servers, { tags: ['roleplay'], locale: 'en', top: 2 })), ['rp1', 'rp2']);
+    assert.deepStrictEqual(codes(selectServers(servers, { tags: ['racing', 'serious'] })), ['race', 'rp1']);
+    assert.deepStrictEqual(codes(selectServers(servers, { locale: 'de-de' })), ['rpde']);
+});
+
+test('crawlServers scans the selected servers without Steam and ranks them', async () => {
+    await withFrontend(async (config, stub) => {
+        const crawl = await crawlServers({ config, tags: ['roleplay'], locale: 'en', top: 3, concurrency: 2 });
+
+        assert.strictEqual(crawl.listed, Object.keys(SERVERS).length);
+        assert.strictEqual(crawl.selected, 3);
+        assert.strictEqual(crawl.steamLookups, false);
+
+        // Only the selected servers are fetched, and Steam is never asked
+        const fetched = stub.requests.map(request => request.url).filter(url => url.startsWith('/api/servers/single/')).sort();
+        assert.deepStrictEqual(fetched, ['/api/servers/single/rp1', '/api/servers/single/rp2', '/api/servers/single/rp3']);
+        assert.ok(!stub.requests.some(request => request.url.startsWith('/steam')));
+
+        assert.deepStrictEqual(crawl.failures, [{ cfxcode: 'rp3', error: 'Server rp3 not found or offline' }]);
+        assert.deepStrictEqual(crawl.leaderboard.map(row => [row.rank, row.cfxcode]), [[1, 'rp1'], [2, 'rp2']]);
+
+        for (const row of crawl.leaderboard) {
+            const results = crawl.outcomes.find(outcome => outcome.cfxcode === row.cfxcode).results;
+            assert.strictEqual(row.name, `Server ${row.cfxcode}`);
+            assert.strictEqual(row.totalPlayers, PLAYERS[row.cfxcode].length);
+            assert.strictEqual(row.botScore, results.statistics.botScore);
+            assert.strictEqual(row.suspectedShare, Math.round(((row.botScore + row.borderlineCases) / row.totalPlayers) * 1000) / 1000);
+            assert.strictEqual(results.statistics.steamLookupsSkipped, true);
+        }
+        assert.ok(crawl.leaderboard[0].suspectedShare > 0, 'players without identifiers are suspected');
+        assert.strictEqual(crawl.leaderboard[1].suspectedShare, 0);
+    });
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { evaluateDataset, loadDataset } = require('../lib/evaluate');
+const { createScanRecorder } = require('../lib/recording');
+const { hexToSteam64 } = require('../lib/steam');
+const { makeTempDir, makePlayer } = require('./helpers');
+
+const PROFILE = { extends: 'aggressive', decision: { neverFlagDevelopmentServers: false } };
+const BOB_HEX = '110000100000001';
+const CAROL_HEX = '110000100000002';
+
+/**
+ * Write a dataset with a raw payload, whose sequence-named players the profile flags, and a recorded
+ * scan whose Steam responses have a profile for Carol but none for Bob
+ * @returns {string} - Dataset directory
+ */
+function writeDataset() {
+    const directory = makeTempDir();
+    const players = Array.from({ length: 20 }, (value, index) => makePlayer(index + 1, `Player${index + 1}`, { endpoint: `10.0.0.${index + 1}` }));
+    players.push(makePlayer(40, 'Alice', { identifiers: [`license:${'a'.repeat(40)}`], endpoint: '10.0.1.1' }));
+    fs.writeFileSync(path.join(directory, 'raw.json'), JSON.stringify({ Data: { hostname: 'Raw Server', players } }));
+    fs.writeFileSync(path.join(directory, 'notes.json'), JSON.stringify({ comment: 'not a payload' }));
+
+    const recorder = createScanRecorder(path.join(directory, 'recorded'), 'abc123', new Date('2025-01-20T12:00:00Z'));
+    recorder.saveServerPayload(JSON.stringify({
+        Data: {
+            hostname: 'Recorded Server',
+            players: [
+                makePlayer(1, 'Bob', { identifiers: [`steam:${BOB_HEX}`, `license:${'b'.repeat(40)}`], ping: 45 }),
+                makePlayer(2, 'Carol', { identifiers: [`steam:${CAROL_HEX}`, `license:${'c'.repeat(40)}`], ping: 80, endpoint: '10.0.2.2' })
+            ]
+        }
+    }));
+    recorder.saveSteamResponse([hexToSteam64(BOB_HEX), hexToSteam64(CAROL_HEX)], JSON.stringify({
+        response: {
+            players: [{
+                steamid: hexToSteam64(CAROL_HEX),
+                personaname: 'Carol',
+                communityvisibilitystate: 3,
+                profilestate: 1,
+                avatar: 'https://avatars.example/carol.jpg',
+                timecreated: 1300000000
+            }]
+        }
+    }));
+
+    fs.writeFileSync(path.join(directory, 'labels.json'), JSON.stringify({
+        'raw.json': { bot: ['id:1', 'name:Player2', 'name:Alice'], human: [`license:${(3).toString(16).padStart(40, '0')}`] },
+        recorded: { bot: ['name:Bob'], human: [`steam:${CAROL_HEX}`] }
+    }));
+    return directory;
+}
+
+test('the dataset holds the raw payloads and recordings, without the labels', () => {
+    const directory = writeDataset();
+    const entries = loadDataset(directory, path.join(directory, 'labels.json'));
+    assert.deepStrictEqual(entries.map(entry => entry.name), ['raw.json', 'recorded']);
+    assert.strictEqual(entries[1].scanDate.toISOString(), '2025-01-20T12:00:00.000Z');
+    assert.ok(entries[1].recording);
+});
+
+test('labeled players are scored against the verdicts of the profile and the recorded Steam profiles', () => {
+    const directory = writeDataset();
+    const report = evaluateDataset(directory, null, { profile: PROFILE });
+
+    assert.deepStrictEqual(report.confusionMatrix, { truePositives: 3, falsePositives: 1, trueNegatives: 1, falseNegatives: 1 });
+    assert.strictEqual(report.precision, 0.75);
+    assert.strictEqual(report.recall, 0.75);
+    assert.strictEqual(report.f1, 0.75);
+    assert.strictEqual(report.accuracy, 4 / 6);
+    assert.strictEqual(report.labeledPlayers, 6);
+    assert.strictEqual(report.unlabeledPlayers, 17);
+    assert.deepStrictEqual(report.servers.map(server => [server.name, server.hostname, server.labeled]), [
+        ['raw.json', 'Raw Server', 4],
+        ['recorded', 'Recorded Server', 2]
+    ]);
+    assert.strictEqual(report.labels, path.join(directory, 'labels.json'));
+
+    assert.deepStrictEqual(report.misclassified.map(player => [player.entry, player.playerName, player.type, player.labelKey]), [
+        ['raw.json', 'Player3', 'falsePositive', `license:${(3).toString(16).padStart(40, '0')}`],
+        ['raw.json', 'Alice', 'falseNegative', 'name:Alice']
+    ]);
+});
+
+test('a labeled player without a Steam profile in the recording is a bot', () => {
+    const report = evaluateDataset(writeDataset(), null, { profile: 'conservative' });
+    assert.strictEqual(report.detectionProfile, 'conservative');
+    // Only Bob is flagged, by his missing Steam profile
+    assert.deepStrictEqual(report.confusionMatrix, { truePositives: 1, falsePositives: 0, trueNegatives: 2, falseNegatives: 3 });
+    assert.strictEqual(report.precision, 1);
+});
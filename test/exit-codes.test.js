@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { EXIT_CODES, exceedsThresholds, getExitCode } = require('../lib/exit-codes');
+const { ServerNotFoundError } = require('../lib/errors');
+
+/**
+ * Results of a scan of 50 players
+ * @param {number} botScore - Potential bots
+ * @param {Object} [fields] - { borderlineCases, errors }
+ * @returns {Object} - Scan results
+ */
+function scanResults(botScore, fields = {}) {
+    return {
+        statistics: {
+            totalAnalyzedPlayers: 50,
+            steamPlayers: 30,
+            botScore,
+            botReasons: { borderlineCases: fields.borderlineCases || 0 }
+        },
+        errors: fields.errors || []
+    };
+}
+
+test('the exit code maps each outcome of a run', () => {
+    assert.strictEqual(EXIT_CODES.CLEAN, 0);
+    assert.strictEqual(getExitCode([{ results: scanResults(0), error: null }]), EXIT_CODES.CLEAN);
+    assert.strictEqual(getExitCode([{ results: scanResults(1), error: null }]), EXIT_CODES.BOTS_FOUND);
+    assert.strictEqual(EXIT_CODES.BOTS_FOUND, 1);
+
+    const failedLookup = { playerName: 'Alice', type: 'HttpStatusError', statusCode: 500 };
+    assert.strictEqual(getExitCode([{ results: scanResults(0, { errors: [failedLookup] }), error: null }]), EXIT_CODES.API_ERROR);
+    assert.strictEqual(getExitCode([{ results: null, error: new ServerNotFoundError('abc123', 'https://example/abc123') }]), EXIT_CODES.API_ERROR);
+    assert.strictEqual(EXIT_CODES.API_ERROR, 3);
+
+    // Bots on one server win over errors on another
+    assert.strictEqual(getExitCode([
+        { results: null, error: new ServerNotFoundError('abc123', 'https://example/abc123') },
+        { results: scanResults(2), error: null }
+    ]), EXIT_CODES.BOTS_FOUND);
+});
+
+test('the --fail-on-* thresholds decide which bots fail the run', () => {
+    // 5 of 50 players is 10%
+    assert.strictEqual(exceedsThresholds(scanResults(5), { failOnBotPercentage: 10 }), false);
+    assert.strictEqual(exceedsThresholds(scanResults(6), { failOnBotPercentage: 10 }), true);
+    assert.strictEqual(exceedsThresholds(scanResults(1), { failOnBotPercentage: null }), true);
+    assert.strictEqual(exceedsThresholds(scanResults(0, { borderlineCases: 2 })), false);
+    assert.strictEqual(exceedsThresholds(scanResults(0, { borderlineCases: 2 }), { failOnBorderline: true }), true);
+
+    const below = { results: scanResults(5, { errors: [{ playerName: 'Alice' }] }), error: null };
+    assert.strictEqual(getExitCode([below], { failOnBotPercentage: 10 }), EXIT_CODES.API_ERROR);
+});
+
+test('invalid arguments exit with code 2', () => {
+    const cli = spawnSync(process.execPath, [path.join(__dirname, '..', 'fivem-bot-detection.js'), 'abc123', '--fail-on-bot-percentage', '-1'], {
+        encoding: 'utf8',
+        timeout: 30000
+    });
+    assert.strictEqual(EXIT_CODES.INVALID_INPUT, 2);
+    assert.strictEqual(cli.status, EXIT_CODES.INVALID_INPUT);
+    assert.match(cli.stderr, /--fail-on-bot-percentage takes a number of 0 or more/);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { downloadServerData } = require('../lib/fivem');
+const { createConfig } = require('../lib/config');
+const { ServerNotFoundError, InvalidResponseError } = require('../lib/errors');
+const { startStubServer, sendJson } = require('./helpers');
+
+/**
+ * Download the server data of "abc123" from a stub answering with `reply`
+ * @param {Function} reply - (res) writing the response
+ * @returns {Promise<Object>} - Server data
+ */
+async function downloadFrom(reply) {
+    const stub = await startStubServer((req, res) => reply(res));
+    const config = createConfig({ FIVEM_API_URL: `${stub.url}/api/servers/single/`, MAX_RETRIES: 0 });
+    try {
+        return await downloadServerData('abc123', { config, log: () => {} });
+    } finally {
+        await stub.close();
+    }
+}
+
+test('downloadServerData returns the server payload', async () => {
+    const data = await downloadFrom(res => sendJson(res, 200, { Data: { hostname: 'Test', players: [] } }));
+    assert.strictEqual(data.Data.hostname, 'Test');
+});
+
+test('downloadServerData reports unknown and offline servers as ServerNotFoundError', async () => {
+    await assert.rejects(downloadFrom(res => sendJson(res, 404, {})), ServerNotFoundError);
+    await assert.rejects(downloadFrom(res => sendJson(res, 200, {})), ServerNotFoundError);
+});
+
+test('downloadServerData reports unparseable payloads as InvalidResponseError', async () => {
+    await assert.rejects(downloadFrom((res) => {
+        res.writeHead(200);
+        res.end('<html>maintenance</html>');
+    }), (error) => {
+        assert.ok(error instanceof InvalidResponseError);
+        assert.match(error.message, /^Failed to parse server data/);
+        assert.match(error.url, /\/api\/servers\/single\/abc123$/);
+        assert.strictEqual(error.body, '<html>maintenance</html>');
+        return true;
+    });
+});
+
+test('downloadServerData reports a payload without players as InvalidResponseError', async () => {
+    await assert.rejects(downloadFrom(res => sendJson(res, 200, { Data: { hostname: 'Test' } })), (error) => {
+        assert.ok(error instanceof InvalidResponseError);
+        assert.strictEqual(error.message, 'Invalid server data structure');
+        return true;
+    });
+});
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+/**
+ * Start an HTTP server on a free local port
+ * @param {Function} handler - (req, res, body) for every request, with the request body read
+ * @returns {Promise<Object>} - { url, requests, close() }; requests lists { method, url, headers, body, at }
+ */
+function startStubServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body, at: Date.now() });
+            handler(req, res, body);
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                requests,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+/**
+ * Reply with a JSON body
+ * @param {http.ServerResponse} res - Response
+ * @param {number} statusCode - HTTP status
+ * @param {*} data - Body, sent as JSON
+ * @param {Object} [headers] - Extra headers
+ */
+function sendJson(res, statusCode, data, headers = {}) {
+    res.writeHead(statusCode, Object.assign({ 'content-type': 'application/json' }, headers));
+    res.end(JSON.stringify(data));
+}
+
+// Temporary directories of this test file, removed when it exits
+const tempDirs = [];
+process.on('exit', () => {
+    tempDirs.forEach(directory => fs.rmSync(directory, { recursive: true, force: true }));
+});
+
+/**
+ * Create an empty temporary directory, removed when the test file exits
+ * @returns {string} - Its path
+ */
+function makeTempDir() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fivem-bot-detection-test-'));
+    tempDirs.push(directory);
+    return directory;
+}
+
+/**
+ * Build a FiveM player entry
+ * @param {number} id - Server ID
+ * @param {string} name - Player name
+ * @param {Object} [fields] - { identifiers, ping, endpoint }; identifiers default to a unique license
+ * @returns {Object} - Player as the FiveM API lists it
+ */
+function makePlayer(id, name, fields = {}) {
+    return Object.assign({
+        id,
+        name,
+        identifiers: [`license:${id.toString(16).padStart(40, '0')}`],
+        ping: 60,
+        endpoint: '127.0.0.1'
+    }, fields);
+}
+
+module.exports = {
+    startStubServer,
+    sendJson,
+    makeTempDir,
+    makePlayer
+};
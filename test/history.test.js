@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { appendScanHistory, readScanHistory, buildHistoryTrend } = require('../lib/history');
+const { makeTempDir } = require('./helpers');
+
+/**
+ * Results of a scan with `botScore` potential bots out of 40 players
+ * @param {string} scanTime - ISO timestamp
+ * @param {number} botScore - Potential bots
+ * @returns {Object} - Scan results
+ */
+function scanResults(scanTime, botScore) {
+    return {
+        server: { cfxcode: 'ab/c', name: 'Test Server', scanTime, currentPlayers: 40, maxPlayers: 64, duration: 2.5 },
+        statistics: {
+            totalAnalyzedPlayers: 40,
+            steamPlayers: 30,
+            validProfiles: 28,
+            potentialBots: botScore,
+            botScore,
+            botPercentage: Math.round((botScore / 40) * 100),
+            botReasons: { borderlineCases: 1 },
+            errors: 0
+        },
+        serverContext: { contextFactors: ['Large server'] }
+    };
+}
+
+test('scans are appended to the history of their server and read back in order', () => {
+    const directory = path.join(makeTempDir(), 'history');
+    const file = appendScanHistory(scanResults('2025-01-21T12:00:00.000Z', 4), directory);
+    appendScanHistory(scanResults('2025-01-20T12:00:00.000Z', 2), directory);
+    assert.strictEqual(file, path.join(directory, 'ab_c.jsonl'));
+
+    // A line cut short by an interrupted scan is skipped
+    fs.appendFileSync(file, '{"cfxcode":"ab/c","scanTi');
+    const entries = readScanHistory('ab/c', directory);
+    assert.deepStrictEqual(entries.map(entry => [entry.scanTime, entry.botScore]), [
+        ['2025-01-20T12:00:00.000Z', 2],
+        ['2025-01-21T12:00:00.000Z', 4]
+    ]);
+    assert.strictEqual(entries[0].steamRatio, 0.75);
+    assert.strictEqual(entries[0].borderlineCases, 1);
+    assert.deepStrictEqual(entries[0].contextFactors, ['Large server']);
+
+    assert.deepStrictEqual(readScanHistory('ab/c', directory, { since: new Date('2025-01-21T00:00:00Z') }).map(entry => entry.botScore), [4]);
+    assert.deepStrictEqual(readScanHistory('ab/c', directory, { until: new Date('2025-01-21T00:00:00Z') }).map(entry => entry.botScore), [2]);
+    assert.deepStrictEqual(readScanHistory('other', directory), []);
+});
+
+test('the trend averages each period and finds the largest changes in bots', () => {
+    const entries = [
+        ['2025-01-13T10:00:00.000Z', 2],
+        ['2025-01-19T10:00:00.000Z', 4],
+        ['2025-01-20T10:00:00.000Z', 10],
+        ['2025-01-20T22:00:00.000Z', 11],
+        ['2025-01-21T10:00:00.000Z', 3]
+    ].map(([scanTime, botScore]) => ({ scanTime, botScore, totalPlayers: 40, borderlineCases: 1 }));
+
+    const daily = buildHistoryTrend(entries);
+    assert.strictEqual(daily.bucket, 'day');
+    assert.strictEqual(daily.scans, 5);
+    assert.strictEqual(daily.first, '2025-01-13T10:00:00.000Z');
+    assert.strictEqual(daily.last, '2025-01-21T10:00:00.000Z');
+    assert.deepStrictEqual(daily.periods.map(period => [period.period, period.scans, period.botScore, period.maxBotScore]), [
+        ['2025-01-13', 1, 2, 2],
+        ['2025-01-19', 1, 4, 4],
+        ['2025-01-20', 2, 10.5, 11],
+        ['2025-01-21', 1, 3, 3]
+    ]);
+    assert.deepStrictEqual(daily.largestIncrease, { from: '2025-01-19', to: '2025-01-20', before: 4, after: 10.5, delta: 6.5 });
+    assert.deepStrictEqual(daily.largestDecrease, { from: '2025-01-20', to: '2025-01-21', before: 10.5, after: 3, delta: -7.5 });
+
+    // Weeks start on Monday: the 19th is a Sunday
+    const weekly = buildHistoryTrend(entries, { bucket: 'week' });
+    assert.deepStrictEqual(weekly.periods.map(period => [period.period, period.scans]), [['2025-01-13', 2], ['2025-01-20', 3]]);
+    assert.strictEqual(weekly.largestDecrease, null);
+
+    assert.strictEqual(buildHistoryTrend(entries, { bucket: 'scan' }).periods.length, 5);
+    assert.deepStrictEqual(buildHistoryTrend([]), { bucket: 'day', scans: 0, first: null, last: null, periods: [], largestIncrease: null, largestDecrease: null });
+    assert.throws(() => buildHistoryTrend(entries, { bucket: 'month' }), /Invalid bucket "month"/);
+});
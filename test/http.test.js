@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { httpGet, httpPostJson, getRetryAfter } = require('../lib/http');
+const { HttpStatusError, NetworkError } = require('../lib/errors');
+const { startStubServer, sendJson } = require('./helpers');
+
+test('httpGet returns a 2xx response and decompresses gzip', async () => {
+    const stub = await startStubServer((req, res) => {
+        res.writeHead(200, { 'content-encoding': 'gzip' });
+        res.end(zlib.gzipSync(JSON.stringify({ ok: true })));
+    });
+    try {
+        const response = await httpGet(`${stub.url}/data`);
+        assert.strictEqual(response.statusCode, 200);
+        assert.deepStrictEqual(JSON.parse(response.body), { ok: true });
+        assert.match(stub.requests[0].headers['user-agent'], /^fivem-bot-detection\//);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('httpGet retries 5xx responses with exponential backoff', async () => {
+    let calls = 0;
+    const stub = await startStubServer((req, res) => {
+        calls++;
+        sendJson(res, calls < 3 ? 503 : 200, { calls });
+    });
+    try {
+        const response = await httpGet(stub.url, { retries: 3, retryDelay: 40 });
+        assert.deepStrictEqual(JSON.parse(response.body), { calls: 3 });
+        const [first, second, third] = stub.requests.map(request => request.at);
+        assert.ok(second - first >= 35, `first retry after ${second - first}ms`);
+        assert.ok(third - second >= 75, `second retry after ${third - second}ms`);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('httpGet gives up after the configured retries', async () => {
+    const stub = await startStubServer((req, res) => sendJson(res, 500, { error: 'down' }));
+    try {
+        await assert.rejects(httpGet(stub.url, { retries: 2, retryDelay: 1 }), (error) => {
+            assert.ok(error instanceof HttpStatusError);
+            assert.strictEqual(error.statusCode, 500);
+            return true;
+        });
+        assert.strictEqual(stub.requests.length, 3);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('httpGet does not retry other 4xx responses', async () => {
+    const stub = await startStubServer((req, res) => sendJson(res, 404, {}));
+    try {
+        await assert.rejects(httpGet(stub.url, { retries: 3, retryDelay: 1 }), { statusCode: 404 });
+        assert.strictEqual(stub.requests.length, 1);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('httpGet retries 429 responses after their Retry-After', async () => {
+    let calls = 0;
+    const stub = await startStubServer((req, res) => {
+        calls++;
+        if (calls === 1) {
+            sendJson(res, 429, {}, { 'retry-after': '1' });
+        } else {
+            sendJson(res, 200, {});
+        }
+    });
+    try {
+        // A retryDelay this long would fail the test if Retry-After were ignored
+        await httpGet(stub.url, { retries: 1, retryDelay: 10000 });
+        const [first, second] = stub.requests.map(request => request.at);
+        assert.ok(second - first >= 950 && second - first < 5000, `retried after ${second - first}ms`);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('httpGet wraps connection failures in NetworkError', async () => {
+    const stub = await startStubServer(() => {});
+    await stub.close();
+    await assert.rejects(httpGet(stub.url, { retries: 1, retryDelay: 1 }), (error) => {
+        assert.ok(error instanceof NetworkError);
+        assert.strictEqual(error.code, 'ECONNREFUSED');
+        return true;
+    });
+});
+
+test('httpPostJson sends the payload as JSON', async () => {
+    const stub = await startStubServer((req, res) => sendJson(res, 204, {}));
+    try {
+        await httpPostJson(stub.url, { text: 'hello' });
+        assert.strictEqual(stub.requests[0].method, 'POST');
+        assert.strictEqual(stub.requests[0].headers['content-type'], 'application/json');
+        assert.deepStrictEqual(JSON.parse(stub.requests[0].body), { text: 'hello' });
+    } finally {
+        await stub.close();
+    }
+});
+
+test('getRetryAfter reads seconds and dates, capped at a minute', () => {
+    assert.strictEqual(getRetryAfter({}), null);
+    assert.strictEqual(getRetryAfter({ 'retry-after': '3' }), 3000);
+    assert.strictEqual(getRetryAfter({ 'retry-after': '3600' }), 60000);
+    assert.strictEqual(getRetryAfter({ 'retry-after': new Date(Date.now() - 5000).toUTCString() }), 0);
+    const wait = getRetryAfter({ 'retry-after': new Date(Date.now() + 10000).toUTCString() });
+    assert.ok(wait > 8000 && wait <= 10000, `waits ${wait}ms`);
+    assert.strictEqual(getRetryAfter({ 'retry-after': 'soon' }), null);
+});
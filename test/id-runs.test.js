@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findIdRuns, describeTrait } = require('../lib/id-runs');
+const { clusterPlayerNames } = require('../lib/name-clusters');
+const { CONSERVATIVE_PROFILE } = require('../lib/profiles');
+const { analyzeServerContext, validateBehavior } = require('../lib/analysis');
+const { extractPlayers } = require('../lib/scanner');
+
+const LIMITS = CONSERVATIVE_PROFILE.limits;
+const NAMES = ['John_Smith', 'maria', 'ChenWei', 'ali.khan', 'EmmaB', 'Lucas', 'sofia_r', 'NOAH', 'Ivan', 'mila-k', 'Omar', 'Zoe', 'Tariq', 'lena', 'Bruno'];
+
+/**
+ * Player with a unique license and, unless `discord` is false, a Discord account
+ * @param {number} id - Server ID
+ * @param {string} name - Player name
+ * @param {boolean} [discord] - Whether the player has a discord: identifier
+ * @returns {Object} - Player record
+ */
+function player(id, name, discord = true) {
+    const identifiers = [`license:${String(id).padStart(40, '0')}`];
+    if (discord) identifiers.push(`discord:${String(100000000000000000 + id * 1000)}`);
+    return { id, name, identifiers };
+}
+
+/**
+ * Players with scattered server IDs and varied names, as churn leaves them
+ * @returns {Array<Object>} - 15 players
+ */
+function regulars() {
+    return NAMES.map((name, index) => player(3 + index * 7, name));
+}
+
+/**
+ * Run the detection with the server's name clusters, as analyzeServerContext does
+ * @param {Array<Object>} players - Players
+ * @returns {Array<Object>} - Runs from findIdRuns
+ */
+function runsOf(players) {
+    return findIdRuns(players, clusterPlayerNames(players, LIMITS), LIMITS);
+}
+
+test('a run of consecutive IDs sharing a trait rare outside it is reported', () => {
+    const joined = Array.from({ length: 12 }, (value, index) => player(200 + index, NAMES[index], false));
+    const runs = runsOf(regulars().concat(joined));
+
+    assert.strictEqual(runs.length, 1);
+    assert.strictEqual(runs[0].firstId, 200);
+    assert.strictEqual(runs[0].lastId, 211);
+    assert.strictEqual(runs[0].size, 12);
+    assert.deepStrictEqual(runs[0].traits.map(trait => trait.trait), ['identifiers:license', 'missing:discord']);
+    assert.deepStrictEqual(runs[0].traits[1], { trait: 'missing:discord', description: 'no discord identifier', share: 1 });
+    assert.deepStrictEqual(runs[0].members[0], { id: 200, name: 'John_Smith', sharedTraits: ['identifiers:license', 'missing:discord'] });
+});
+
+test('only the members carrying a shared trait are scored for the run', () => {
+    // 11 of the 12 players lack Discord, enough for the run; the one in the middle has it
+    const joined = Array.from({ length: 12 }, (value, index) => player(200 + index, NAMES[index], index === 5));
+    const players = regulars().concat(joined);
+    const [run] = runsOf(players);
+    assert.strictEqual(run.size, 12);
+    assert.deepStrictEqual(run.members[5], { id: 205, name: 'Lucas', sharedTraits: [] });
+    assert.deepStrictEqual(run.members[4].sharedTraits, ['identifiers:license', 'missing:discord']);
+
+    const { allPlayers } = extractPlayers(players);
+    const context = analyzeServerContext({ hostname: 'Test' }, allPlayers, new Date('2025-01-20T12:00:00Z'));
+    const behaviorOf = id => validateBehavior(allPlayers.find(candidate => candidate.id === id), allPlayers, context);
+    assert.deepStrictEqual(context.idRuns[0].members, run.members);
+    assert.deepStrictEqual(behaviorOf(204).findings, ['idRuns']);
+    assert.deepStrictEqual(behaviorOf(205).findings, []);
+});
+
+test('IDs up to idRunMaxGap apart stay in one run, wider gaps split it', () => {
+    const spaced = Array.from({ length: 12 }, (value, index) => player(200 + index * LIMITS.idRunMaxGap, NAMES[index], false));
+    assert.strictEqual(runsOf(regulars().concat(spaced))[0].size, 12);
+
+    const split = Array.from({ length: 12 }, (value, index) => player(200 + index * (LIMITS.idRunMaxGap + 1), NAMES[index], false));
+    assert.deepStrictEqual(runsOf(regulars().concat(split)), []);
+});
+
+test('a run whose players look like everyone else is not reported', () => {
+    const joined = Array.from({ length: 12 }, (value, index) => player(200 + index, NAMES[index]));
+    assert.deepStrictEqual(runsOf(regulars().concat(joined)), []);
+});
+
+test('runs shorter than idRunMinLength are not reported', () => {
+    const joined = Array.from({ length: LIMITS.idRunMinLength - 1 }, (value, index) => player(200 + index, NAMES[index], false));
+    assert.deepStrictEqual(runsOf(regulars().concat(joined)), []);
+});
+
+test('right after a restart only name clusters count', () => {
+    // Every ID is consecutive, so there is no one outside the run to compare with
+    const restarted = Array.from({ length: 12 }, (value, index) => player(index + 1, NAMES[index], false));
+    assert.deepStrictEqual(runsOf(restarted), []);
+
+    const bots = Array.from({ length: 12 }, (value, index) => player(index + 1, `Alex_${1000 + index}`, false));
+    const runs = runsOf(bots);
+    assert.strictEqual(runs.length, 1);
+    assert.deepStrictEqual(runs[0].traits.map(trait => trait.trait), ['cluster:sequence:alex', 'cluster:template:Aaaa_9999']);
+    assert.strictEqual(runs[0].traits[0].description, 'sequence name cluster "alex"');
+});
+
+test('describeTrait reads every kind of trait', () => {
+    assert.strictEqual(describeTrait('identifiers:license,steam'), 'identifiers license,steam');
+    assert.strictEqual(describeTrait('identifiers:'), 'no identifiers');
+    assert.strictEqual(describeTrait('missing:license2'), 'no license2 identifier');
+    assert.strictEqual(describeTrait('shape:Aa9_aa99'), 'name shape Aa9_aa99');
+    assert.strictEqual(describeTrait('cluster:template:Aa9:aa'), 'template name cluster "Aa9:aa"');
+});
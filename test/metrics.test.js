@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderMetrics } = require('../lib/metrics');
+
+/**
+ * Results of a scan with the figures the metrics read
+ * @param {Object} [server] - Fields over the server defaults
+ * @returns {Object} - Scan results
+ */
+function scanResults(server = {}) {
+    return {
+        server: Object.assign({
+            name: '^1Red ^7Server "One"',
+            currentPlayers: 40,
+            maxPlayers: 64,
+            duration: 2.5,
+            scanTime: '2025-01-20T12:00:00.000Z'
+        }, server),
+        statistics: {
+            totalAnalyzedPlayers: 40,
+            steamPlayers: 30,
+            validProfiles: 25,
+            botScore: 10,
+            errors: 1,
+            botReasons: { noIdentifiers: 4, sameIp: 6, borderlineCases: 2 }
+        }
+    };
+}
+
+/**
+ * Samples of a rendered metric
+ * @param {string} text - Output of renderMetrics
+ * @param {string} name - Metric name without the prefix
+ * @returns {Array<string>} - Its sample lines
+ */
+function samples(text, name) {
+    return text.split('\n').filter(line => line.startsWith(`fivem_bot_detection_${name}{`));
+}
+
+test('every gauge and counter is rendered for a scanned server', () => {
+    const text = renderMetrics(new Map([['abc123', { results: scanResults(), scans: 3, failures: 1 }]]));
+
+    assert.ok(text.endsWith('\n'));
+    assert.ok(text.includes('# HELP fivem_bot_detection_players Players analyzed in the last scan\n# TYPE fivem_bot_detection_players gauge\n'));
+    assert.ok(text.includes('# TYPE fivem_bot_detection_scans_total counter\n'));
+    assert.deepStrictEqual(samples(text, 'server_info'), ['fivem_bot_detection_server_info{cfxcode="abc123",name="Red Server \\"One\\""} 1']);
+    assert.deepStrictEqual(samples(text, 'max_players'), ['fivem_bot_detection_max_players{cfxcode="abc123"} 64']);
+    assert.deepStrictEqual(samples(text, 'potential_bots'), ['fivem_bot_detection_potential_bots{cfxcode="abc123"} 10']);
+    assert.deepStrictEqual(samples(text, 'bot_ratio'), ['fivem_bot_detection_bot_ratio{cfxcode="abc123"} 0.25']);
+    assert.deepStrictEqual(samples(text, 'borderline_players'), ['fivem_bot_detection_borderline_players{cfxcode="abc123"} 2']);
+    assert.deepStrictEqual(samples(text, 'last_scan_timestamp_seconds'), ['fivem_bot_detection_last_scan_timestamp_seconds{cfxcode="abc123"} 1737374400']);
+    assert.deepStrictEqual(samples(text, 'bot_reason_players'), [
+        'fivem_bot_detection_bot_reason_players{cfxcode="abc123",reason="noIdentifiers"} 4',
+        'fivem_bot_detection_bot_reason_players{cfxcode="abc123",reason="sameIp"} 6'
+    ]);
+    assert.deepStrictEqual(samples(text, 'scans_total'), ['fivem_bot_detection_scans_total{cfxcode="abc123"} 3']);
+    assert.deepStrictEqual(samples(text, 'scan_failures_total'), ['fivem_bot_detection_scan_failures_total{cfxcode="abc123"} 1']);
+});
+
+test('figures a server does not report have no sample', () => {
+    const text = renderMetrics(new Map([
+        ['abc123', { results: scanResults({ maxPlayers: 'Unknown' }), scans: 1, failures: 0 }],
+        ['def456', { results: scanResults(), scans: 1, failures: 0 }]
+    ]));
+    assert.deepStrictEqual(samples(text, 'max_players'), ['fivem_bot_detection_max_players{cfxcode="def456"} 64']);
+    // Every sample is a metric, a label set and a number
+    text.split('\n').filter(line => line && !line.startsWith('#')).forEach(line => {
+        assert.match(line, /^[a-z_]+\{.*\} -?\d+(\.\d+)?$/);
+    });
+});
+
+test('servers that were never scanned only have their scan counters', () => {
+    const text = renderMetrics(new Map([['abc123', { results: null, scans: 2, failures: 2 }]]));
+    assert.deepStrictEqual(samples(text, 'players'), []);
+    assert.deepStrictEqual(samples(text, 'server_info'), []);
+    assert.deepStrictEqual(samples(text, 'scan_failures_total'), ['fivem_bot_detection_scan_failures_total{cfxcode="abc123"} 2']);
+});
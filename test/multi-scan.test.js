@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { readServerList, scanServers, buildComparison } = require('../lib/multi-scan');
+const { ServerNotFoundError } = require('../lib/errors');
+const { startStubServer, sendJson, makePlayer, makeTempDir } = require('./helpers');
+
+const SERVERS = {
+    // A run of consecutive IDs with sequence names, flagged by the profile below
+    bots: Array.from({ length: 20 }, (value, index) => makePlayer(index + 1, `Player${index + 1}`, { endpoint: `10.0.0.${index + 1}` })),
+    clean: [makePlayer(1, 'Alice', { ping: 45 }), makePlayer(7, 'Bob', { ping: 80, endpoint: '10.0.0.2' })],
+    quiet: [makePlayer(3, 'Carol')]
+};
+
+test('server lists skip blank lines and comments', () => {
+    const file = path.join(makeTempDir(), 'servers.txt');
+    fs.writeFileSync(file, '# Servers to watch\r\nabc123\r\n\r\n  def456  # the big one\n#ghi789\n');
+    assert.deepStrictEqual(readServerList(file), ['abc123', 'def456']);
+});
+
+test('servers are scanned once each, a few at a time, and compared by bot share', async () => {
+    let inFlight = 0;
+    let mostInFlight = 0;
+    const stub = await startStubServer((req, res) => {
+        const players = SERVERS[req.url.split('/').pop()];
+        inFlight++;
+        mostInFlight = Math.max(mostInFlight, inFlight);
+        setTimeout(() => {
+            inFlight--;
+            if (!players) {
+                sendJson(res, 404, { error: 'Server not found' });
+                return;
+            }
+            sendJson(res, 200, { Data: { hostname: 'Test Server', clients: players.length, sv_maxclients: 64, players } });
+        }, 30);
+    });
+    const events = new EventEmitter();
+    const started = [];
+    const failed = [];
+    events.on('serverStart', cfxcode => started.push(cfxcode));
+    events.on('serverError', cfxcode => failed.push(cfxcode));
+
+    let outcomes;
+    try {
+        outcomes = await scanServers(['quiet', 'gone', 'bots', 'quiet', 'clean'], {
+            config: {
+                FIVEM_API_URL: `${stub.url}/api/servers/single/`,
+                STEAM_CACHE_FILE: null,
+                MAX_RETRIES: 0,
+                DETECTION_PROFILE: { extends: 'aggressive', decision: { neverFlagDevelopmentServers: false } }
+            },
+            concurrency: 2,
+            skipSteam: true,
+            events
+        });
+    } finally {
+        await stub.close();
+    }
+
+    assert.deepStrictEqual(outcomes.map(outcome => outcome.cfxcode), ['quiet', 'gone', 'bots', 'clean']);
+    assert.deepStrictEqual(started, ['quiet', 'gone', 'bots', 'clean']);
+    assert.strictEqual(stub.requests.length, 4);
+    assert.strictEqual(mostInFlight, 2);
+    assert.deepStrictEqual(failed, ['gone']);
+    assert.ok(outcomes[1].error instanceof ServerNotFoundError);
+    assert.strictEqual(outcomes[2].results.statistics.botScore, 20);
+
+    const comparison = buildComparison(outcomes);
+    assert.deepStrictEqual(comparison.map(row => [row.cfxcode, row.botPercentage]), [
+        ['bots', 100],
+        ['quiet', 0],
+        ['clean', 0],
+        ['gone', undefined]
+    ]);
+    assert.strictEqual(comparison[0].totalPlayers, 20);
+    assert.strictEqual(comparison[2].steamPlayers, 0);
+    assert.strictEqual(comparison[3].name, null);
+    assert.strictEqual(comparison[3].error, outcomes[1].error.message);
+});
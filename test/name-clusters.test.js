@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeName, nameShape, boundedEditDistance, clusterPlayerNames } = require('../lib/name-clusters');
+const { CONSERVATIVE_PROFILE } = require('../lib/profiles');
+
+const LIMITS = CONSERVATIVE_PROFILE.limits;
+
+/**
+ * Players with the given names and server IDs from 1
+ * @param {Array<string>} names - Player names
+ * @returns {Array<Object>} - { id, name }
+ */
+function players(names) {
+    return names.map((name, index) => ({ id: index + 1, name }));
+}
+
+/**
+ * Clusters as [kind, key, size] for compact assertions
+ * @param {Array<Object>} clusters - Clusters from clusterPlayerNames
+ * @returns {Array<Array>} - [kind, key, size] of each cluster
+ */
+function summarize(clusters) {
+    return clusters.map(cluster => [cluster.kind, cluster.key, cluster.size]);
+}
+
+test('names are compared without color codes and by character class', () => {
+    assert.strictEqual(normalizeName('  ^1Red^7Fox  '), 'RedFox');
+    assert.strictEqual(nameShape('Xk9_pq72'), 'Aa9_aa99');
+});
+
+test('boundedEditDistance stops once the distance exceeds the bound', () => {
+    assert.strictEqual(boundedEditDistance('kitten', 'sitting', 5), 3);
+    assert.strictEqual(boundedEditDistance('kitten', 'sitting', 2), 3);
+    assert.strictEqual(boundedEditDistance('abc', 'abcdefgh', 2), 3);
+    assert.strictEqual(boundedEditDistance('same', 'same', 0), 0);
+});
+
+test('a stem with running numbers is a sequence cluster', () => {
+    const clusters = clusterPlayerNames(players(['Alex_1023', 'Alex_1024', 'alex1026', 'Jordan', 'Sam']), LIMITS);
+    assert.deepStrictEqual(summarize(clusters), [['sequence', 'alex', 3]]);
+    assert.deepStrictEqual(clusters[0].members, [{ id: 1, name: 'Alex_1023' }, { id: 2, name: 'Alex_1024' }, { id: 3, name: 'alex1026' }]);
+});
+
+test('a stem with scattered numbers or random suffixes is a stem cluster', () => {
+    assert.deepStrictEqual(summarize(clusterPlayerNames(players(['Alex_12', 'Alex_k2Lp', 'Alex_907']), LIMITS)), [['stem', 'alex', 3]]);
+});
+
+test('names mixing letters and digits in one template form a template cluster', () => {
+    const names = ['Xk9_pq72', 'Bd4_zz19', 'Qm1_ht55', 'Lr7_ow03', 'Ny2_ca88'];
+    assert.deepStrictEqual(summarize(clusterPlayerNames(players(names), LIMITS)), [['template', 'Aa9_aa99', 5]]);
+    // One short of nameTemplateMinSize
+    assert.deepStrictEqual(clusterPlayerNames(players(names.slice(1)), LIMITS), []);
+});
+
+test('names a few edits apart form a similar cluster', () => {
+    const clusters = clusterPlayerNames(players(['Shadow', 'Shad0w', 'Shadov', 'Sunshine']), LIMITS);
+    assert.deepStrictEqual(summarize(clusters), [['similar', 'shadow', 3]]);
+});
+
+test('common names, small groups and repeated names do not cluster', () => {
+    const ordinary = ['John_Smith', 'Maria_Garcia', 'Chen_Wei', 'Ali_Khan', 'Emma_Brown', 'Lucas', 'Sofia', 'Noah'];
+    assert.deepStrictEqual(clusterPlayerNames(players(ordinary), LIMITS), []);
+    assert.deepStrictEqual(clusterPlayerNames(players(['Alex_1', 'Alex_2']), LIMITS), []);
+    // The same name over and over is left to the duplicate name check
+    assert.deepStrictEqual(clusterPlayerNames(players(['Player', 'Player', 'Player']), LIMITS), []);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzePingDistribution, findPingAnomaly, describePingDistribution } = require('../lib/ping-distribution');
+const { CONSERVATIVE_PROFILE } = require('../lib/profiles');
+
+const LIMITS = CONSERVATIVE_PROFILE.limits;
+
+/**
+ * Players reporting the given pings
+ * @param {Array<number>} pings - Ping of each player
+ * @returns {Array<Object>} - { id, ping }
+ */
+function players(pings) {
+    return pings.map((ping, index) => ({ id: index + 1, ping }));
+}
+
+// 40 players spread evenly between 40 and 118ms
+const SMOOTH = Array.from({ length: 40 }, (value, index) => 40 + index * 2);
+
+test('a smooth distribution has no anomalies', () => {
+    const summary = analyzePingDistribution(players(SMOOTH), LIMITS);
+    assert.strictEqual(summary.available, true);
+    assert.strictEqual(summary.median, 80);
+    assert.strictEqual(summary.p10, 48);
+    assert.strictEqual(summary.p90, 112);
+    assert.deepStrictEqual(summary.sharedValues, []);
+    assert.strictEqual(summary.anomalousPlayers, 0);
+    assert.strictEqual(describePingDistribution(summary), 'Ping median 80ms (48-112ms)');
+});
+
+test('players at 0ms are flagged from zeroPingMinPlayers on', () => {
+    const two = analyzePingDistribution(players(SMOOTH.concat([0, 0])), LIMITS);
+    assert.strictEqual(two.zeroPingFlagged, false);
+    assert.strictEqual(findPingAnomaly(0, two, LIMITS), null);
+
+    const three = analyzePingDistribution(players(SMOOTH.concat([0, 0, 0])), LIMITS);
+    assert.strictEqual(three.zeroPingFlagged, true);
+    assert.strictEqual(three.anomalousPlayers, 3);
+    assert.deepStrictEqual(findPingAnomaly(0, three, LIMITS), { kind: 'zero', reason: 'Reports 0ms latency, like 3 players on the server' });
+    // Players at 0ms do not move the median
+    assert.strictEqual(three.median, 80);
+});
+
+test('a value far more players report than the values around it is shared', () => {
+    const summary = analyzePingDistribution(players(SMOOTH.concat(Array(LIMITS.sharedPingMinPlayers).fill(73))), LIMITS);
+    assert.deepStrictEqual(summary.sharedValues, [{ ping: 73, players: 8 }]);
+    assert.deepStrictEqual(findPingAnomaly(73, summary, LIMITS), { kind: 'shared', reason: 'Reports the same 73ms latency as 8 players on the server' });
+    assert.strictEqual(findPingAnomaly(74, summary, LIMITS), null);
+
+    // One short of sharedPingMinPlayers
+    assert.deepStrictEqual(analyzePingDistribution(players(SMOOTH.concat(Array(7).fill(73))), LIMITS).sharedValues, []);
+});
+
+test('a crowded but smooth stretch of the distribution is not shared', () => {
+    // 8 players on every value from 60 to 80ms
+    const crowded = [];
+    for (let ping = 60; ping <= 80; ping++) crowded.push(...Array(8).fill(ping));
+    assert.deepStrictEqual(analyzePingDistribution(players(crowded), LIMITS).sharedValues, []);
+});
+
+test('pings far from the median are outliers', () => {
+    const summary = analyzePingDistribution(players(SMOOTH.concat([900, 1200])), LIMITS);
+    assert.strictEqual(summary.outliers, 2);
+    assert.deepStrictEqual(findPingAnomaly(900, summary, LIMITS), { kind: 'outlier', reason: 'Latency of 900ms is far from the server\'s median of 82ms' });
+    assert.strictEqual(findPingAnomaly(118, summary, LIMITS), null);
+    assert.strictEqual(describePingDistribution(summary), 'Ping median 82ms (48-114ms); 2 outliers');
+});
+
+test('small servers and servers that do not publish pings are not analyzed', () => {
+    const small = analyzePingDistribution(players(SMOOTH.slice(0, LIMITS.pingMinPlayers - 1)), LIMITS);
+    assert.strictEqual(small.available, false);
+    assert.strictEqual(describePingDistribution(small), null);
+
+    // 36 of 40 players at 0ms: the server hides pings
+    const hidden = analyzePingDistribution(players(Array(36).fill(0).concat([50, 60, 70, 80])), LIMITS);
+    assert.strictEqual(hidden.available, false);
+    assert.strictEqual(hidden.zeroPing, 36);
+    assert.strictEqual(findPingAnomaly(0, hidden, LIMITS), null);
+    assert.strictEqual(findPingAnomaly(0, null, LIMITS), null);
+});
+
+test('the description lists every kind of anomaly', () => {
+    const pings = SMOOTH.concat([0, 0, 0], Array(10).fill(73), [900]);
+    const summary = analyzePingDistribution(players(pings), LIMITS);
+    assert.strictEqual(describePingDistribution(summary), `Ping median ${summary.median}ms (${summary.p10}-${summary.p90}ms); 3 players at 0ms; shared values 73ms (10 players); 1 outliers`);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkPlayerCount, describePlayerCount } = require('../lib/player-count');
+const { CONSERVATIVE_PROFILE } = require('../lib/profiles');
+
+const LIMITS = CONSERVATIVE_PROFILE.limits;
+
+/**
+ * Players as analyzePlayersForBots leaves them
+ * @param {number} count - Number of players
+ * @param {Object} [options] - { findings: identifier findings of every player, hidden: list no identifiers }
+ * @returns {Array<Object>} - { id, identifiers, validation }
+ */
+function players(count, { findings = [], hidden = false } = {}) {
+    return Array.from({ length: count }, (value, index) => ({
+        id: index + 1,
+        identifiers: hidden ? [] : [`license:${String(index + 1).padStart(40, '0')}`],
+        validation: { findings: hidden ? ['noIdentifiers'] : findings }
+    }));
+}
+
+/**
+ * Run the check without flagged players
+ * @param {Object} serverInfo - Server data
+ * @param {Array<Object>} list - Listed players
+ * @param {Set} [flagged] - Players flagged as bots
+ * @returns {Object} - Check from checkPlayerCount
+ */
+function check(serverInfo, list, flagged = new Set()) {
+    return checkPlayerCount(serverInfo, list, flagged, LIMITS);
+}
+
+test('a full list of real players is consistent', () => {
+    const result = check({ clients: 40, selfReportedClients: 40, sv_maxclients: 64 }, players(40));
+    assert.deepStrictEqual(result, {
+        verdict: 'consistent',
+        reportedPlayers: 40,
+        selfReportedPlayers: 40,
+        listedPlayers: 40,
+        maxPlayers: 64,
+        verifiedPlayers: 40,
+        paddingEstimate: 0,
+        paddingPercent: 0,
+        evidence: []
+    });
+    assert.strictEqual(describePlayerCount(result), 'consistent (0% padding)');
+});
+
+test('padding from unlisted, unverified and flagged players raises the verdict', () => {
+    const list = players(40);
+    const flagged = new Set(list.slice(0, 5));
+    list.slice(5, 10).forEach(player => { player.validation.findings = ['sharedIdentifiers']; });
+    const suspicious = check({ clients: 40, sv_maxclients: 64 }, list, flagged);
+    assert.strictEqual(suspicious.verdict, 'suspicious');
+    assert.strictEqual(suspicious.verifiedPlayers, 30);
+    assert.strictEqual(suspicious.paddingPercent, 25);
+
+    const spoofed = check({ clients: 2048, sv_maxclients: 2048 }, players(300));
+    assert.strictEqual(spoofed.verdict, 'spoofed');
+    assert.strictEqual(spoofed.paddingEstimate, 1748);
+    assert.deepStrictEqual(spoofed.evidence, [
+        'Reports 2048 players but lists 300',
+        'Reports 2048/2048 players, of which 300 have real identifiers and no bot verdict (85% padding)'
+    ]);
+});
+
+test('counts that disagree with each other or with the slots are flagged', () => {
+    const slots = check({ clients: 70, sv_maxclients: 64 }, players(70));
+    assert.strictEqual(slots.verdict, 'spoofed');
+    assert.deepStrictEqual(slots.evidence, ['Reports 70 players on 64 slots']);
+
+    const disagree = check({ clients: 40, selfReportedClients: 50, sv_maxclients: 64 }, players(50));
+    assert.strictEqual(disagree.verdict, 'suspicious');
+    assert.strictEqual(disagree.evidence[0], 'The listing reports 40 players, the server itself 50');
+});
+
+test('small and silent servers are only checked against the slots', () => {
+    assert.strictEqual(check({ clients: 8, sv_maxclients: 32 }, players(0)).verdict, 'consistent');
+    assert.strictEqual(check({ clients: 8, sv_maxclients: 4 }, players(0)).verdict, 'spoofed');
+
+    const silent = check({ sv_maxclients: 32 }, players(10));
+    assert.strictEqual(silent.verdict, 'unknown');
+    assert.deepStrictEqual(silent.evidence, ['The server reports no player count']);
+});
+
+test('hidden identifiers leave the padding unknown but keep the count comparisons', () => {
+    const hidden = check({ clients: 40, selfReportedClients: 40, sv_maxclients: 64 }, players(40, { hidden: true }));
+    assert.strictEqual(hidden.verdict, 'unknown');
+    assert.strictEqual(hidden.verifiedPlayers, null);
+    assert.strictEqual(hidden.paddingEstimate, null);
+    assert.strictEqual(hidden.paddingPercent, null);
+    assert.deepStrictEqual(hidden.evidence, ['The server hides player identifiers, so the padding cannot be estimated']);
+    assert.strictEqual(describePlayerCount(hidden), 'unknown (identifiers hidden)');
+
+    const unlisted = check({ clients: 60, sv_maxclients: 64 }, players(40, { hidden: true }));
+    assert.strictEqual(unlisted.verdict, 'suspicious');
+    assert.deepStrictEqual(unlisted.evidence, [
+        'The server hides player identifiers, so the padding cannot be estimated',
+        'Reports 60 players but lists 40'
+    ]);
+
+    assert.strictEqual(check({ clients: 70, sv_maxclients: 64 }, players(70, { hidden: true })).verdict, 'spoofed');
+
+    // A single player without identifiers is a finding, not a hidden list
+    const mixed = players(40);
+    mixed[0].identifiers = [];
+    mixed[0].validation.findings = ['noIdentifiers'];
+    assert.strictEqual(check({ clients: 40, sv_maxclients: 64 }, mixed).paddingPercent, 3);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compilePlayerLists, matchPlayerLists, describeListMatch } = require('../lib/player-lists');
+const { analyzeServerContext, analyzePlayersForBots } = require('../lib/analysis');
+const { loadProfile } = require('../lib/profiles');
+const { extractPlayers } = require('../lib/scanner');
+const { ConfigError } = require('../lib/errors');
+const { makePlayer } = require('./helpers');
+
+const LICENSE = `license:${'1'.repeat(40)}`;
+
+/**
+ * Compile the lists of a configuration
+ * @param {Object} [allowlist] - PLAYER_ALLOWLIST
+ * @param {Object} [denylist] - PLAYER_DENYLIST
+ * @returns {Object} - Lists from compilePlayerLists
+ */
+function lists(allowlist, denylist) {
+    return compilePlayerLists({ PLAYER_ALLOWLIST: allowlist, PLAYER_DENYLIST: denylist });
+}
+
+/**
+ * Analyze 20 players with consecutive IDs, the first one named `name` and the others Player2..20,
+ * with a profile that flags the sequence-named ones
+ * @param {string} name - Name of the first player, whose identifier is LICENSE
+ * @param {Object} playerLists - Lists from compilePlayerLists
+ * @returns {Object} - { validations, analysis }: the validation of each player and analyzePlayersForBots' result
+ */
+function analyze(name, playerLists) {
+    const profile = loadProfile({ extends: 'aggressive', decision: { neverFlagDevelopmentServers: false } });
+    const entries = Array.from({ length: 20 }, (value, index) => makePlayer(index + 1, index === 0 ? name : `Player${index + 1}`, {
+        identifiers: [index === 0 ? LICENSE : `license:${String(index + 1).padStart(40, '0')}`],
+        endpoint: `10.0.0.${index + 1}`
+    }));
+    const { allPlayers } = extractPlayers(entries);
+    const context = analyzeServerContext({ hostname: 'Test Server' }, allPlayers, new Date('2025-01-20T12:00:00Z'), profile);
+    const analysis = analyzePlayersForBots(allPlayers, context, profile, playerLists);
+    return { validations: allPlayers.map(player => player.validation), analysis };
+}
+
+test('identifiers are matched before names, and the allowlist wins at each step', () => {
+    const player = { name: 'Bot_123', identifiers: ['steam:110000100000001', LICENSE] };
+
+    assert.deepStrictEqual(matchPlayerLists(player, lists({ identifiers: [LICENSE] }, { identifiers: [LICENSE] })),
+        { list: 'allowlist', type: 'identifier', entry: LICENSE });
+    assert.deepStrictEqual(matchPlayerLists(player, lists({ names: ['^bot_'] }, { identifiers: [LICENSE] })),
+        { list: 'denylist', type: 'identifier', entry: LICENSE });
+    assert.deepStrictEqual(matchPlayerLists(player, lists({ names: ['^Bot_\\d+$'] }, { names: ['^Bot'] })),
+        { list: 'allowlist', type: 'name', entry: '^Bot_\\d+$' });
+    assert.strictEqual(matchPlayerLists(player, lists({ names: ['^Alice$'] }, { identifiers: ['discord:1'] })), null);
+    assert.strictEqual(matchPlayerLists(player, undefined), null);
+    assert.strictEqual(describeListMatch({ list: 'denylist', type: 'name', entry: '^Bot' }), 'Denylisted name (^Bot)');
+});
+
+test('malformed lists are configuration errors', () => {
+    const cases = [
+        [() => lists([]), /PLAYER_ALLOWLIST must be an object/],
+        [() => lists({ ids: [] }), /Unknown setting PLAYER_ALLOWLIST\.ids/],
+        [() => lists(undefined, { names: [''] }), /PLAYER_DENYLIST\.names must be an array of non-empty strings/],
+        [() => lists({ identifiers: ['abc123'] }), /"abc123" is not a <type>:<value> identifier/],
+        [() => lists(undefined, { names: ['(unclosed'] }), /PLAYER_DENYLIST\.names: invalid pattern \(unclosed/]
+    ];
+    for (const [fn, message] of cases) {
+        assert.throws(fn, (error) => {
+            assert.ok(error instanceof ConfigError);
+            assert.match(error.message, message);
+            return true;
+        });
+    }
+});
+
+test('a denylisted player is a bot whatever the heuristics say', () => {
+    const { validations: [unlisted] } = analyze('Alice', lists());
+    assert.strictEqual(unlisted.isBot, false);
+
+    const { validations, analysis } = analyze('Alice', lists(undefined, { identifiers: [LICENSE] }));
+    assert.strictEqual(validations[0].isBot, true);
+    assert.deepStrictEqual(validations[0].listMatch, { list: 'denylist', type: 'identifier', entry: LICENSE });
+    assert.ok(validations[0].reasons.includes(`Denylisted identifier (${LICENSE})`));
+    assert.strictEqual(analysis.reasons.denylisted, 1);
+    assert.ok(analysis.potentialBots.some(player => player.name === 'Alice'));
+});
+
+test('an allowlisted player is never a bot and never borderline', () => {
+    const { validations: [unlisted] } = analyze('Player1', lists());
+    assert.strictEqual(unlisted.isBot, true);
+
+    const { validations, analysis } = analyze('Player1', lists({ names: ['^Player1$'] }));
+    assert.strictEqual(validations[0].isBot, false);
+    assert.deepStrictEqual(validations[0].warnings, []);
+    assert.ok(validations[0].reasons.includes('Allowlisted name (^Player1$)'));
+    // The findings are kept for reference
+    assert.ok(validations[0].findings.includes('idRuns'));
+    assert.ok(!analysis.potentialBots.some(player => player.name === 'Player1'));
+    assert.strictEqual(validations[1].isBot, true);
+});
+
+test('a player on both lists follows the entry that matches first', () => {
+    const both = analyze('Player1', lists({ identifiers: [LICENSE] }, { identifiers: [LICENSE] }));
+    assert.strictEqual(both.validations[0].isBot, false);
+    assert.strictEqual(both.validations[0].listMatch.list, 'allowlist');
+
+    // A denylisted identifier beats an allowlisted name, which anyone can take
+    const impostor = analyze('Alice', lists({ names: ['^Alice$'] }, { identifiers: [LICENSE] }));
+    assert.strictEqual(impostor.validations[0].isBot, true);
+    assert.strictEqual(impostor.validations[0].listMatch.list, 'denylist');
+    assert.strictEqual(impostor.analysis.reasons.denylisted, 1);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { CONSERVATIVE_PROFILE, listProfiles, loadProfile, validateProfile } = require('../lib/profiles');
+const { ProfileError } = require('../lib/errors');
+const { makeTempDir } = require('./helpers');
+
+/**
+ * Conservative profile with `change` applied to a deep copy
+ * @param {Function} change - (profile) modifying the copy
+ * @returns {Object} - The modified profile
+ */
+function modified(change) {
+    const profile = JSON.parse(JSON.stringify(CONSERVATIVE_PROFILE));
+    change(profile);
+    return profile;
+}
+
+test('every built-in profile is valid', () => {
+    assert.deepStrictEqual(listProfiles(), ['conservative', 'balanced', 'aggressive']);
+    for (const name of listProfiles()) {
+        const profile = loadProfile(name);
+        assert.strictEqual(profile.name, name);
+        assert.strictEqual(validateProfile(profile), profile);
+    }
+    assert.strictEqual(loadProfile(), CONSERVATIVE_PROFILE);
+});
+
+test('built-in profiles override the conservative one', () => {
+    const aggressive = loadProfile('aggressive');
+    assert.strictEqual(aggressive.limits.idRunMinLength, 6);
+    assert.strictEqual(aggressive.limits.nameClusterMinSize, CONSERVATIVE_PROFILE.limits.nameClusterMinSize);
+    assert.ok(aggressive.decision.strongIndicators.includes('sequence cluster'));
+});
+
+test('a partial profile object is merged over the profile it extends', () => {
+    const profile = loadProfile({
+        name: 'strict',
+        extends: 'balanced',
+        limits: { duplicateNameCount: 2 },
+        decision: { strongIndicators: ['No authentication'] }
+    });
+    const balanced = loadProfile('balanced');
+    assert.strictEqual(profile.name, 'strict');
+    assert.strictEqual(profile.extends, undefined);
+    assert.strictEqual(profile.limits.duplicateNameCount, 2);
+    assert.strictEqual(profile.limits.sameIpCount, balanced.limits.sameIpCount);
+    assert.deepStrictEqual(profile.decision.rules, balanced.decision.rules);
+    // Arrays are replaced, not merged
+    assert.deepStrictEqual(profile.decision.strongIndicators, ['No authentication']);
+});
+
+test('a profile file is named after the file unless it names itself', () => {
+    const directory = makeTempDir();
+    const file = path.join(directory, 'my-server.json');
+    fs.writeFileSync(file, JSON.stringify({ scores: { noIdentifiers: 50 } }));
+    const profile = loadProfile(file);
+    assert.strictEqual(profile.name, 'my-server');
+    assert.strictEqual(profile.scores.noIdentifiers, 50);
+
+    fs.writeFileSync(file, '{ not json');
+    assert.throws(() => loadProfile(file), /Failed to read detection profile/);
+});
+
+test('unknown profile names are rejected with the built-in names', () => {
+    assert.throws(() => loadProfile('paranoid'), (error) => {
+        assert.ok(error instanceof ProfileError);
+        assert.match(error.message, /Unknown detection profile "paranoid".*conservative, balanced, aggressive/);
+        return true;
+    });
+    assert.throws(() => loadProfile({ extends: 'paranoid' }), /Unknown detection profile "paranoid"/);
+});
+
+test('invalid profiles are rejected with the setting at fault', () => {
+    const cases = [
+        [profile => { profile.threshold = 5; }, /Unknown profile setting threshold/],
+        [profile => { profile.name = ' '; }, /Profile name must be a non-empty string/],
+        [profile => { profile.scores.noIdentifiers = -1; }, /scores\.noIdentifiers must be a number between 0 and infinity/],
+        [profile => { profile.scores.noIdentifers = 10; }, /Unknown setting scores\.noIdentifers/],
+        [profile => { profile.limits.idRunTraitPercent = 120; }, /limits\.idRunTraitPercent must be a number between 0 and 100/],
+        [profile => { profile.serverThresholds.roleplay = 2; }, /serverThresholds\.roleplay must be a number between 0 and 1/],
+        [profile => { profile.decision.strongIndicators = ['']; }, /strongIndicators must be an array of non-empty strings/],
+        [profile => { profile.decision.rules = []; }, /decision\.rules needs at least one rule/],
+        [profile => { profile.decision.rules = [{ minScore: 3 }]; }, /Unknown setting decision\.rules\[0\]\.minScore/],
+        [profile => { profile.decision.rules = [{}]; }, /decision\.rules\[0\] needs at least one of/],
+        [profile => { profile.decision.populationTiers = [{ players: 50 }]; }, /populationTiers\[0\] needs all of/],
+        [profile => { profile.decision.neverFlagDevelopmentServers = 'yes'; }, /must be true or false/],
+        [profile => { profile.decision.borderline = { min: 80, max: 70 }; }, /borderline\.min must not be above decision\.borderline\.max/]
+    ];
+    for (const [change, message] of cases) {
+        assert.throws(() => validateProfile(modified(change)), (error) => {
+            assert.ok(error instanceof ProfileError, `${message} is a ProfileError`);
+            assert.match(error.message, message);
+            return true;
+        });
+    }
+});
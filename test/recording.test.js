@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+const { createScanRecorder, loadScanRecording } = require('../lib/recording');
+const { scanServer } = require('../lib/scanner');
+const { hexToSteam64 } = require('../lib/steam');
+const { startStubServer, sendJson, makeTempDir, makePlayer } = require('./helpers');
+
+const FOUND_HEX = '110000100000001';
+const MISSING_HEX = '110000100000002';
+
+/**
+ * Stub of the FiveM frontend and the Steam API for one server
+ * @param {Array} players - Players of the server
+ * @returns {Function} - Request handler
+ */
+function fivemAndSteam(players) {
+    return (req, res) => {
+        const url = new URL(req.url, 'http://stub');
+        if (url.pathname === '/api/servers/single/abc123') {
+            sendJson(res, 200, { Data: { hostname: 'Test Server', clients: players.length, sv_maxclients: 64, players } });
+        } else if (url.pathname === '/steam') {
+            const found = url.searchParams.get('steamids').split(',').filter(id => id === hexToSteam64(FOUND_HEX));
+            sendJson(res, 200, {
+                response: {
+                    players: found.map(steamid => ({
+                        steamid,
+                        personaname: 'Alice',
+                        communityvisibilitystate: 3,
+                        profilestate: 1,
+                        avatar: 'https://avatars.example/a.jpg',
+                        timecreated: 1300000000
+                    }))
+                }
+            });
+        } else {
+            sendJson(res, 404, {});
+        }
+    };
+}
+
+test('a recorded scan replays offline with the same results', async () => {
+    const players = [
+        makePlayer(1, 'Alice', { identifiers: [`steam:${FOUND_HEX}`, `license:${'1'.repeat(40)}`] }),
+        makePlayer(2, 'Bob', { identifiers: [`steam:${MISSING_HEX}`, `license:${'2'.repeat(40)}`] }),
+        makePlayer(3, 'Carol')
+    ];
+    const stub = await startStubServer(fivemAndSteam(players));
+    const directory = path.join(makeTempDir(), 'recording');
+    const config = {
+        API_KEY: 'test-key',
+        FIVEM_API_URL: `${stub.url}/api/servers/single/`,
+        STEAM_API_URL: `${stub.url}/steam`,
+        STEAM_CACHE_FILE: null,
+        RATE_LIMIT_DELAY: 0,
+        MAX_RETRIES: 0
+    };
+
+    let recorded;
+    try {
+        recorded = await scanServer('abc123', { config, record: directory });
+    } finally {
+        await stub.close();
+    }
+    const requestsWhileRecording = stub.requests.length;
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(directory, 'manifest.json'), 'utf8'));
+    assert.strictEqual(manifest.cfxcode, 'abc123');
+    assert.strictEqual(manifest.server, 'server.json');
+    assert.deepStrictEqual(manifest.steam.map(entry => entry.steamids), [[hexToSteam64(FOUND_HEX), hexToSteam64(MISSING_HEX)]]);
+
+    // The stub is closed: any request made by the replay would fail
+    const replayed = await scanServer(null, { config, replay: directory });
+    assert.strictEqual(stub.requests.length, requestsWhileRecording);
+    assert.deepStrictEqual(replayed.errors, []);
+    assert.strictEqual(replayed.server.cfxcode, 'abc123');
+    assert.strictEqual(replayed.server.scanTime, recorded.server.scanTime);
+    assert.strictEqual(replayed.server.replayedFrom, path.resolve(directory));
+    assert.deepStrictEqual(replayed.statistics, recorded.statistics);
+    assert.deepStrictEqual(replayed.playerAnalysis, recorded.playerAnalysis);
+    assert.deepStrictEqual(replayed.potentialBots, recorded.potentialBots);
+});
+
+test('a recorder refuses a directory that already holds a recording', () => {
+    const directory = makeTempDir();
+    createScanRecorder(directory, 'abc123', new Date());
+    assert.throws(() => createScanRecorder(directory, 'abc123', new Date()), /already contains a recording/);
+});
+
+test('replayed Steam lookups tell profiles, missing profiles and unanswered IDs apart', () => {
+    const directory = makeTempDir();
+    const recorder = createScanRecorder(directory, 'abc123', new Date('2025-01-20T12:00:00Z'));
+    recorder.saveServerPayload(JSON.stringify({ Data: { players: [] } }));
+    recorder.saveSteamResponse(['1', '2'], JSON.stringify({ response: { players: [{ steamid: '1', personaname: 'One' }] } }));
+    recorder.saveSteamResponse(['3'], JSON.stringify({ response: { players: [{ steamid: '3', personaname: 'Three' }] } }));
+    recorder.saveSteamResponse(['4'], 'not json');
+
+    const recording = loadScanRecording(directory);
+    assert.strictEqual(recording.manifest.recordedAt, '2025-01-20T12:00:00.000Z');
+
+    // Batches may be regrouped on replay
+    const found = recording.lookupSteamSummaries(['3', '1', '2', '4', '5']);
+    assert.strictEqual(found.get('1').personaname, 'One');
+    assert.strictEqual(found.get('3').personaname, 'Three');
+    assert.strictEqual(found.get('2'), null);
+    assert.strictEqual(found.has('4'), false, 'an unparseable response replays as a failed lookup');
+    assert.strictEqual(found.has('5'), false, 'an ID never requested replays as a failed lookup');
+});
+
+test('loading a recording without a manifest or server payload fails', () => {
+    assert.throws(() => loadScanRecording(makeTempDir()), /No manifest\.json/);
+
+    const directory = makeTempDir();
+    createScanRecorder(directory, 'abc123', new Date());
+    assert.throws(() => loadScanRecording(directory), /has no server payload/);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { renderHtml, renderMarkdown, renderCsv, renderReport, writeReports } = require('../lib/report');
+const { makeTempDir } = require('./helpers');
+
+/**
+ * Player of playerAnalysis
+ * @param {Object} fields - Fields over the defaults
+ * @returns {Object} - Analyzed player
+ */
+function analyzedPlayer(fields) {
+    return Object.assign({
+        id: 1,
+        name: 'Alice',
+        steamHex: null,
+        steam64Id: null,
+        ping: 60,
+        isPotentialBot: false,
+        flagReason: null,
+        listMatch: null,
+        confidence: 10,
+        botIndicators: [],
+        humanIndicators: ['Has authentication identifiers'],
+        warnings: [],
+        validationLayers: { identifierValidation: true, nameValidation: true, discordValidation: null }
+    }, fields);
+}
+
+/**
+ * Scan results whose players and server chose hostile names
+ * @returns {Object} - Scan results
+ */
+function scanResults() {
+    return {
+        server: {
+            cfxcode: 'ab|c`1',
+            name: '^1<b>Red</b> | ^7Server',
+            scanTime: '2025-01-20T12:00:00.000Z',
+            currentPlayers: 3,
+            maxPlayers: 64,
+            resourceCount: 12,
+            gameType: 'Freeroam',
+            mapName: 'Los Santos'
+        },
+        statistics: {
+            totalAnalyzedPlayers: 3,
+            steamPlayers: 1,
+            validProfiles: 1,
+            botScore: 1,
+            botPercentage: 33,
+            errors: 0,
+            botReasons: { noIdentifiers: 1, sameIp: 0 }
+        },
+        playerAnalysis: [
+            analyzedPlayer({
+                id: 7,
+                name: '<script>alert("x")</script>',
+                steamHex: '1100001|*x*',
+                isPotentialBot: true,
+                flagReason: 'Non-Steam bot indicators detected',
+                confidence: 85,
+                botIndicators: ['No identifiers', 'Same IP'],
+                validationLayers: { identifierValidation: false, nameValidation: true, discordValidation: null }
+            }),
+            analyzedPlayer({ id: 8, name: '=HYPERLINK("http://evil.example","click"),x', warnings: ['Borderline: same IP'] }),
+            analyzedPlayer({ id: 9, name: '-2+3', steam64Id: '76561198000000001' })
+        ]
+    };
+}
+
+test('HTML reports escape the names and fields of players and the server', () => {
+    const html = renderHtml(scanResults());
+    assert.ok(html.startsWith('<!DOCTYPE html>'));
+    assert.ok(html.includes('<title>Bot scan: &lt;b&gt;Red&lt;/b&gt; | Server</title>'));
+    assert.ok(html.includes('<td>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</td>'));
+    assert.ok(!html.includes('<script>alert'));
+    assert.ok(html.includes('<tr class="bot">'));
+    assert.ok(html.includes('<tr class="borderline">'));
+    // The failed layers of the flagged player
+    assert.ok(html.includes('<td>identifier</td>'));
+    assert.ok(html.includes('<tr><th>No identifiers</th><td>1</td></tr>'));
+    assert.ok(!html.includes('Same ip</th>'));
+});
+
+test('Markdown reports escape every player-supplied cell and the cfxcode', () => {
+    const markdown = renderMarkdown(scanResults());
+    const lines = markdown.split('\n');
+    assert.strictEqual(lines[0], '# Bot scan: \\<b\\>Red\\</b\\> \\| Server');
+    assert.strictEqual(lines[2], 'CFX code ab\\|c\\`1, scanned 2025-01-20T12:00:00.000Z');
+
+    const bot = lines.find(line => line.startsWith('| 7 |'));
+    assert.strictEqual(bot, '| 7 | \\<script\\>alert("x")\\</script\\> | 1100001\\|\\*x\\* | Bot | Non-Steam bot indicators detected | 85 | No identifiers; Same IP | Has authentication identifiers |');
+    // Escaped pipes do not add columns
+    assert.strictEqual(bot.split(/(?<!\\)\|/).length, 10);
+    assert.ok(lines.some(line => line.startsWith('| 8 |') && line.includes('| Review |')));
+    // Players neither flagged nor borderline are left out
+    assert.ok(!lines.some(line => line.startsWith('| 9 |')));
+});
+
+test('CSV reports quote fields and defuse spreadsheet formulas', () => {
+    const csv = renderCsv(scanResults());
+    const rows = csv.split('\r\n');
+    assert.ok(csv.endsWith('\r\n'));
+    assert.strictEqual(rows.length, 5);
+    assert.ok(rows[0].startsWith('id,name,steam_hex,steam64_id,ping,potential_bot,flag_reason,list_match,borderline,confidence,identifier_layer,'));
+
+    assert.ok(rows[1].startsWith('7,"<script>alert(""x"")</script>",1100001|*x*,,60,yes,'));
+    assert.ok(rows[1].includes(',fail,pass,,,,,,No identifiers; Same IP,'));
+    // Formula characters are prefixed with a quote, inside the CSV quoting when it is needed
+    assert.ok(rows[2].startsWith('8,"\'=HYPERLINK(""http://evil.example"",""click""),x",'));
+    assert.ok(rows[2].endsWith(',Borderline: same IP'));
+    assert.ok(rows[3].startsWith("9,'-2+3,,76561198000000001,"));
+});
+
+test('reports are written in each requested format', () => {
+    const directory = makeTempDir();
+    const results = scanResults();
+    const written = writeReports(results, path.join(directory, 'results.json'), ['json', 'md', 'csv']);
+    assert.deepStrictEqual(written.map(file => path.basename(file)), ['results.json', 'results.md', 'results.csv']);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(written[0], 'utf8')), results);
+    assert.strictEqual(fs.readFileSync(written[2], 'utf8'), renderCsv(results));
+
+    // A single format keeps the file name
+    assert.deepStrictEqual(writeReports(results, path.join(directory, 'scan.out'), ['html']), [path.join(directory, 'scan.out')]);
+    assert.throws(() => renderReport(results, 'xml'), /Unknown report format "xml"/);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { scanServer } = require('../lib/scanner');
+const { SteamKeyRejectedError } = require('../lib/errors');
+const { startStubServer, sendJson, makePlayer } = require('./helpers');
+
+/**
+ * Scan a stubbed server
+ * @param {Array} players - Players the FiveM API lists
+ * @param {Object} [options] - { steam: (req, res) handler of the Steam API, config: settings over the test ones }
+ * @returns {Promise<Object>} - { results, requests } of the scan
+ */
+async function scanStub(players, options = {}) {
+    const steam = options.steam || ((req, res) => sendJson(res, 200, { response: { players: [] } }));
+    const stub = await startStubServer((req, res) => {
+        if (req.url.startsWith('/api/servers/single/')) {
+            sendJson(res, 200, { Data: { hostname: 'Test Server', clients: players.length, sv_maxclients: 64, players } });
+        } else {
+            steam(req, res);
+        }
+    });
+    const config = Object.assign({
+        API_KEY: 'test-key',
+        FIVEM_API_URL: `${stub.url}/api/servers/single/`,
+        STEAM_API_URL: `${stub.url}/steam`,
+        STEAM_CACHE_FILE: null,
+        RATE_LIMIT_DELAY: 0,
+        MAX_RETRIES: 0
+    }, options.config);
+    try {
+        return { results: await scanServer('abc123', { config }), requests: stub.requests };
+    } finally {
+        await stub.close();
+    }
+}
+
+test('players with a malformed steam: identifier are reported as non-Steam bots', async () => {
+    const players = Array.from({ length: 20 }, (value, index) => makePlayer(index + 1, `Player${index + 1}`, { endpoint: `10.0.0.${index + 1}` }));
+    for (let index = 0; index < 4; index++) {
+        players.push(makePlayer(30 + index, `Malformed${index}`, { identifiers: ['steam:zzzz'], ping: 0, endpoint: '10.9.9.9' }));
+    }
+    const { results, requests } = await scanStub(players, {
+        config: { DETECTION_PROFILE: { extends: 'aggressive', decision: { neverFlagDevelopmentServers: false } } }
+    });
+
+    // Not looked up on Steam, but still counted as the bots the heuristics found
+    assert.ok(!requests.some(request => request.url.startsWith('/steam')));
+    assert.strictEqual(results.statistics.botScore, results.statistics.potentialBots);
+    for (let index = 0; index < 4; index++) {
+        const bot = results.potentialBots.find(entry => entry.playerName === `Malformed${index}`);
+        assert.strictEqual(bot.reason, 'Non-Steam bot indicators detected');
+        assert.strictEqual(bot.steamHex, 'zzzz');
+        assert.strictEqual(results.playerAnalysis.find(player => player.name === `Malformed${index}`).isPotentialBot, true);
+    }
+});
+
+test('a rejected Steam API key aborts the scan', async () => {
+    const players = [makePlayer(1, 'Alice', { identifiers: ['steam:110000100000001', `license:${'1'.repeat(40)}`] })];
+    await assert.rejects(scanStub(players, { steam: (req, res) => sendJson(res, 401, {}) }), SteamKeyRejectedError);
+});
+
+test('a failed Steam lookup is an error of the scan, not a bot', async () => {
+    const players = [
+        makePlayer(1, 'Alice', { identifiers: ['steam:110000100000001', `license:${'1'.repeat(40)}`] }),
+        makePlayer(2, 'Bob', { identifiers: ['steam:110000100000002', `license:${'2'.repeat(40)}`] }),
+        makePlayer(3, 'Carol')
+    ];
+    const { results } = await scanStub(players, { steam: (req, res) => sendJson(res, 500, {}) });
+
+    assert.deepStrictEqual(results.errors.map(error => [error.playerName, error.type, error.statusCode]), [
+        ['Alice', 'HttpStatusError', 500],
+        ['Bob', 'HttpStatusError', 500]
+    ]);
+    assert.ok(results.errors.every(error => !error.error.includes('test-key')));
+    assert.strictEqual(results.statistics.errors, 2);
+    assert.strictEqual(results.statistics.validProfiles, 0);
+    assert.strictEqual(results.statistics.botScore, 0);
+    assert.deepStrictEqual(results.potentialBots, []);
+    assert.deepStrictEqual(results.players, []);
+});
+
+test('a flagged player whose Steam lookup failed is reported on the heuristics alone', async () => {
+    // A run of consecutive IDs with sequence names, flagged by the aggressive profile; one has Steam
+    const players = Array.from({ length: 21 }, (value, index) => makePlayer(index + 1, `Player${index + 1}`, { endpoint: `10.0.0.${index + 1}` }));
+    players[20].identifiers.push('steam:110000100000001');
+    const { results } = await scanStub(players, {
+        steam: (req, res) => sendJson(res, 500, {}),
+        config: { DETECTION_PROFILE: { extends: 'aggressive', decision: { neverFlagDevelopmentServers: false } } }
+    });
+
+    assert.deepStrictEqual(results.errors.map(error => error.playerName), ['Player21']);
+    const bot = results.potentialBots.find(entry => entry.playerName === 'Player21');
+    assert.strictEqual(bot.reason, 'Bot indicators detected (Steam lookup failed)');
+    assert.strictEqual(results.statistics.botScore, results.statistics.potentialBots);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createSteamCache } = require('../lib/steam-cache');
+const { makeTempDir } = require('./helpers');
+
+const HOUR = 3600 * 1000;
+const NOW = Date.parse('2025-01-20T12:00:00Z');
+const SUMMARY = { steamid: '76561198000000001', personaname: 'Alice' };
+
+/**
+ * Cache with a 24 hour TTL and a 1 hour not-found TTL in a fresh directory
+ * @param {Object} [options] - Options overriding the defaults
+ * @returns {Object} - Cache from createSteamCache, with its `file`
+ */
+function cacheIn(options = {}) {
+    const file = options.file || path.join(makeTempDir(), 'cache', 'steam.json');
+    return Object.assign(createSteamCache(Object.assign({ file, ttlSeconds: 24 * 3600, notFoundTtlSeconds: 3600 }, options)), { file });
+}
+
+/**
+ * Entries stored in a cache file
+ * @param {string} file - Cache file
+ * @returns {Object} - steam64Id -> entry
+ */
+function stored(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).entries;
+}
+
+test('entries are hits until their TTL runs out', () => {
+    const cache = cacheIn();
+    assert.strictEqual(cache.get('1', NOW), undefined);
+    cache.set('1', SUMMARY, NOW);
+
+    assert.deepStrictEqual(cache.get('1', NOW + 23 * HOUR), SUMMARY);
+    assert.strictEqual(cache.get('1', NOW + 24 * HOUR), undefined);
+    assert.deepStrictEqual(cache.stats, { hits: 1, misses: 2 });
+});
+
+test('profiles not found are cached as null with their own TTL', () => {
+    const cache = cacheIn();
+    cache.set('2', undefined, NOW);
+    assert.strictEqual(cache.get('2', NOW + HOUR / 2), null);
+    assert.strictEqual(cache.get('2', NOW + HOUR), undefined);
+});
+
+test('saved entries are read back by the next cache on the same file', () => {
+    const first = cacheIn();
+    first.set('1', SUMMARY, NOW);
+    first.set('2', null, NOW);
+    first.save(NOW);
+
+    const second = cacheIn({ file: first.file });
+    assert.deepStrictEqual(second.get('1', NOW + HOUR), SUMMARY);
+    assert.strictEqual(second.get('2', NOW + HOUR / 2), null);
+    // Atomic write: only the cache file is left behind
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(first.file)), ['steam.json']);
+});
+
+test('save merges with entries another scan saved and prunes expired ones', () => {
+    const first = cacheIn();
+    const second = cacheIn({ file: first.file });
+    first.set('1', SUMMARY, NOW);
+    first.set('2', null, NOW);
+    first.save(NOW);
+
+    second.set('3', SUMMARY, NOW + 2 * HOUR);
+    second.save(NOW + 2 * HOUR);
+    // The not-found entry of the first scan has expired
+    assert.deepStrictEqual(Object.keys(stored(first.file)), ['1', '3']);
+});
+
+test('save without new lookups leaves the file untouched', () => {
+    const cache = cacheIn();
+    cache.get('1', NOW);
+    cache.save(NOW);
+    assert.strictEqual(fs.existsSync(cache.file), false);
+});
+
+test('refresh ignores the stored entries but still saves new ones', () => {
+    const first = cacheIn();
+    first.set('1', SUMMARY, NOW);
+    first.save(NOW);
+
+    const refreshed = cacheIn({ file: first.file, refresh: true });
+    assert.strictEqual(refreshed.get('1', NOW), undefined);
+    refreshed.set('1', { steamid: '76561198000000001', personaname: 'Alice2' }, NOW + HOUR);
+    refreshed.save(NOW + HOUR);
+    assert.strictEqual(stored(first.file)['1'].summary.personaname, 'Alice2');
+});
+
+test('a corrupt or outdated file is treated as empty and replaced on save', () => {
+    const cache = cacheIn();
+    fs.mkdirSync(path.dirname(cache.file), { recursive: true });
+    fs.writeFileSync(cache.file, '{ not json');
+    const corrupt = cacheIn({ file: cache.file });
+    assert.strictEqual(corrupt.get('1', NOW), undefined);
+    corrupt.set('1', SUMMARY, NOW);
+    corrupt.save(NOW);
+    assert.deepStrictEqual(stored(cache.file), { 1: { fetchedAt: NOW, summary: SUMMARY } });
+
+    fs.writeFileSync(cache.file, JSON.stringify({ version: 0, entries: { 1: { fetchedAt: NOW, summary: SUMMARY } } }));
+    assert.strictEqual(cacheIn({ file: cache.file }).get('1', NOW), undefined);
+});
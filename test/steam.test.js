@@ -0,0 +1,227 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { URL } = require('url');
+const { getSteamProfiles, getSteamProfile, createRateLimiter } = require('../lib/steam');
+const { createSteamCache } = require('../lib/steam-cache');
+const { HttpStatusError, NetworkError, InvalidResponseError, SteamKeyRejectedError } = require('../lib/errors');
+const { startStubServer, sendJson, makeTempDir } = require('./helpers');
+
+const API_KEY = 'secret-steam-key';
+
+/**
+ * Steam64 IDs from 76561198000000001 on
+ * @param {number} count - Number of IDs
+ * @returns {Array<string>} - Steam64 IDs
+ */
+function steamIds(count) {
+    return Array.from({ length: count }, (value, index) => String(76561198000000001n + BigInt(index)));
+}
+
+/**
+ * GetPlayerSummaries stub answering for every requested ID but `missing`
+ * @param {Array<string>} [missing] - IDs without a profile
+ * @returns {Function} - Request handler
+ */
+function summaries(missing = []) {
+    return (req, res) => {
+        const ids = new URL(req.url, 'http://stub').searchParams.get('steamids').split(',');
+        sendJson(res, 200, {
+            response: {
+                players: ids.filter(id => !missing.includes(id)).map(steamid => ({
+                    steamid,
+                    personaname: `Player ${steamid.slice(-3)}`,
+                    communityvisibilitystate: 3,
+                    profilestate: 1,
+                    avatar: 'https://avatars.example/a.jpg',
+                    timecreated: 1300000000
+                }))
+            }
+        });
+    };
+}
+
+/**
+ * Look up Steam profiles against a stub of the Steam API
+ * @param {Function} handler - Request handler of the stub
+ * @param {Array<string>} ids - Steam64 IDs
+ * @param {Object} [session] - Config settings over the test ones, and session fields (steamCache, rateLimiter)
+ * @returns {Promise<Object>} - { profiles, error, requests } of the lookup
+ */
+async function lookup(handler, ids, session = {}) {
+    const stub = await startStubServer(handler);
+    const config = Object.assign({
+        STEAM_API_URL: `${stub.url}/steam`,
+        STEAM_BATCH_SIZE: 100,
+        STEAM_CONCURRENCY: 2,
+        RATE_LIMIT_DELAY: 0,
+        REQUEST_TIMEOUT: 5000,
+        MAX_RETRIES: 0,
+        PROXY: null
+    }, session.config);
+    const logs = [];
+    try {
+        const profiles = await getSteamProfiles(ids, API_KEY, Object.assign({ log: message => logs.push(message) }, session, { config }));
+        return { profiles, error: null, requests: stub.requests, logs };
+    } catch (error) {
+        return { profiles: null, error, requests: stub.requests, logs };
+    } finally {
+        await stub.close();
+    }
+}
+
+test('a rejected API key aborts the lookup without sending the other batches', async () => {
+    const { error, requests } = await lookup((req, res) => sendJson(res, 403, {}), steamIds(3), {
+        config: { STEAM_BATCH_SIZE: 1, STEAM_CONCURRENCY: 1 }
+    });
+    assert.ok(error instanceof SteamKeyRejectedError);
+    assert.strictEqual(error.statusCode, 403);
+    assert.ok(!error.url.includes(API_KEY));
+    assert.ok(error.url.includes('key=***'));
+    assert.strictEqual(requests.length, 1);
+});
+
+test('a failed batch gives each of its players the error, without the API key', async () => {
+    const { profiles, logs } = await lookup((req, res) => sendJson(res, 503, {}), steamIds(2));
+    const error = profiles.get(steamIds(1)[0]);
+    assert.ok(error instanceof HttpStatusError);
+    assert.ok(!(error instanceof SteamKeyRejectedError));
+    assert.strictEqual(error.statusCode, 503);
+    assert.strictEqual(profiles.get(steamIds(2)[1]), error);
+    assert.ok(!error.url.includes(API_KEY));
+    assert.ok(logs.every(message => !message.includes(API_KEY)));
+
+    const limited = await lookup((req, res) => sendJson(res, 429, {}), steamIds(1));
+    assert.strictEqual(limited.profiles.get(steamIds(1)[0]).statusCode, 429);
+});
+
+test('network failures and unusable responses are typed errors', async () => {
+    const reset = await lookup(req => req.socket.destroy(), steamIds(1));
+    const networkError = reset.profiles.get(steamIds(1)[0]);
+    assert.ok(networkError instanceof NetworkError);
+    assert.match(networkError.message, /^Network error reaching the Steam API/);
+    assert.ok(!networkError.url.includes(API_KEY));
+
+    const garbled = await lookup((req, res) => {
+        res.writeHead(200);
+        res.end('<html>');
+    }, steamIds(1));
+    assert.ok(garbled.profiles.get(steamIds(1)[0]) instanceof InvalidResponseError);
+
+    const empty = await lookup((req, res) => sendJson(res, 200, {}), steamIds(1));
+    assert.match(empty.profiles.get(steamIds(1)[0]).message, /without a "response" object/);
+});
+
+test('getSteamProfile returns the profile, false without one, and throws a failed lookup', async () => {
+    const [id] = steamIds(1);
+    const stub = await startStubServer(summaries());
+    const config = { STEAM_API_URL: `${stub.url}/steam`, STEAM_BATCH_SIZE: 100, STEAM_CONCURRENCY: 1, RATE_LIMIT_DELAY: 0, MAX_RETRIES: 0 };
+    const session = { config, log: () => {} };
+    try {
+        assert.strictEqual((await getSteamProfile(id, API_KEY, session)).personaname, `Player ${id.slice(-3)}`);
+    } finally {
+        await stub.close();
+    }
+    const missing = await lookup(summaries([id]), [id]);
+    assert.strictEqual(missing.profiles.get(id), false);
+
+    // The stub is closed: the connection is refused
+    await assert.rejects(getSteamProfile(id, API_KEY, session), NetworkError);
+});
+
+/**
+ * Steam IDs asked for in each request a stub received
+ * @param {Array<Object>} requests - Requests of the stub
+ * @returns {Array<Array<string>>} - steamids of each request
+ */
+function requestedIds(requests) {
+    return requests.map(request => new URL(request.url, 'http://stub').searchParams.get('steamids').split(','));
+}
+
+test('IDs are looked up once each, in batches of STEAM_BATCH_SIZE', async () => {
+    const ids = steamIds(250);
+    const progress = [];
+    const { profiles, requests } = await lookup(summaries(), ids.concat(ids.slice(0, 10)), {
+        config: { STEAM_CONCURRENCY: 1 }
+    });
+    assert.deepStrictEqual(requestedIds(requests).map(batch => batch.length), [100, 100, 50]);
+    assert.deepStrictEqual([].concat(...requestedIds(requests)), ids);
+    assert.strictEqual(profiles.size, 250);
+
+    const small = await lookup(summaries(), ids.slice(0, 7), { config: { STEAM_BATCH_SIZE: 3 } });
+    assert.deepStrictEqual(requestedIds(small.requests).map(batch => batch.length).sort(), [1, 3, 3]);
+
+    // Steam takes at most 100 IDs per request
+    const large = await lookup(summaries(), ids, { config: { STEAM_BATCH_SIZE: 500 } });
+    assert.deepStrictEqual(requestedIds(large.requests).map(batch => batch.length), [100, 100, 50]);
+
+    await getSteamProfiles(ids.slice(0, 3), API_KEY, {
+        config: { STEAM_API_URL: 'http://127.0.0.1:9/steam', STEAM_BATCH_SIZE: 100, STEAM_CONCURRENCY: 1, RATE_LIMIT_DELAY: 0, MAX_RETRIES: 0 },
+        log: () => {}
+    }, { onProgress: (checked, total) => progress.push([checked, total]) });
+    assert.deepStrictEqual(progress, [[3, 3]]);
+});
+
+test('no more than STEAM_CONCURRENCY batches are in flight at once', async () => {
+    let inFlight = 0;
+    let mostInFlight = 0;
+    const slow = (req, res) => {
+        inFlight++;
+        mostInFlight = Math.max(mostInFlight, inFlight);
+        setTimeout(() => {
+            inFlight--;
+            summaries()(req, res);
+        }, 50);
+    };
+
+    const { requests } = await lookup(slow, steamIds(50), { config: { STEAM_BATCH_SIZE: 10, STEAM_CONCURRENCY: 2 } });
+    assert.strictEqual(requests.length, 5);
+    assert.strictEqual(mostInFlight, 2);
+
+    mostInFlight = 0;
+    await lookup(slow, steamIds(30), { config: { STEAM_BATCH_SIZE: 10, STEAM_CONCURRENCY: 1 } });
+    assert.strictEqual(mostInFlight, 1);
+});
+
+test('concurrent lookups sharing a rate limiter start their requests RATE_LIMIT_DELAY apart', async () => {
+    const stub = await startStubServer(summaries());
+    const config = { STEAM_API_URL: `${stub.url}/steam`, STEAM_BATCH_SIZE: 1, STEAM_CONCURRENCY: 3, RATE_LIMIT_DELAY: 0, MAX_RETRIES: 0 };
+    const rateLimiter = createRateLimiter(100);
+    try {
+        await Promise.all([
+            getSteamProfiles(steamIds(3), API_KEY, { config, log: () => {}, rateLimiter }),
+            getSteamProfiles(steamIds(6).slice(3), API_KEY, { config, log: () => {}, rateLimiter })
+        ]);
+    } finally {
+        await stub.close();
+    }
+    const starts = stub.requests.map(request => request.at).sort((a, b) => a - b);
+    assert.strictEqual(starts.length, 6);
+    for (let index = 1; index < starts.length; index++) {
+        // A few milliseconds of timer slack
+        assert.ok(starts[index] - starts[index - 1] >= 90, `requests ${index - 1} and ${index} ${starts[index] - starts[index - 1]}ms apart`);
+    }
+});
+
+test('cached profiles are not requested again, failed lookups are not cached', async () => {
+    const file = path.join(makeTempDir(), 'steam-cache.json');
+    const cacheOptions = { file, ttlSeconds: 3600, notFoundTtlSeconds: 3600 };
+    const ids = steamIds(4);
+
+    const firstCache = createSteamCache(cacheOptions);
+    const first = await lookup(summaries([ids[1]]), ids.slice(0, 2), { steamCache: firstCache });
+    assert.strictEqual(first.requests.length, 1);
+    firstCache.save();
+
+    const secondCache = createSteamCache(cacheOptions);
+    const second = await lookup(summaries(), ids, { steamCache: secondCache });
+    assert.deepStrictEqual(requestedIds(second.requests), [ids.slice(2)]);
+    assert.deepStrictEqual(secondCache.stats, { hits: 2, misses: 2 });
+    assert.strictEqual(second.profiles.get(ids[0]).personaname, first.profiles.get(ids[0]).personaname);
+    // Cached as not found
+    assert.strictEqual(second.profiles.get(ids[1]), false);
+
+    const thirdCache = createSteamCache({ file: path.join(makeTempDir(), 'steam-cache.json'), ttlSeconds: 3600, notFoundTtlSeconds: 3600 });
+    await lookup((req, res) => sendJson(res, 500, {}), ids.slice(0, 1), { steamCache: thirdCache });
+    assert.strictEqual(thirdCache.get(ids[0]), undefined);
+});
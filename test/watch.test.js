@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { createSessionTracker, parseInterval, watchServer } = require('../lib/watch');
+const { buildAlert } = require('../lib/alerts');
+const { startStubServer, sendJson, makePlayer } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Player record as the tracker sees it
+ * @param {string} name - Player name, also used for its license
+ * @param {boolean} [isPotentialBot] - Verdict of the analysis
+ * @returns {Object} - Player record
+ */
+function player(name, isPotentialBot = false) {
+    return { name, id: 1, identifiers: [`license:${name}`], isPotentialBot };
+}
+
+test('a player who joins during the watch and never leaves is reported as always online', () => {
+    const tracker = createSessionTracker({ alwaysOnlineMs: 24 * HOUR });
+    tracker.update([player('Regular')], 0);
+    tracker.update([player('Regular'), player('Bot', true)], HOUR);
+    tracker.update([player('Regular'), player('Bot', true)], 26 * HOUR);
+
+    const summary = tracker.getSummary();
+    assert.deepStrictEqual(summary.alwaysOnline, [
+        { key: 'license:Regular', name: 'Regular', onlineMinutes: 26 * 60, lowerBound: true, isPotentialBot: false },
+        { key: 'license:Bot', name: 'Bot', onlineMinutes: 25 * 60, lowerBound: false, isPotentialBot: true }
+    ]);
+    assert.strictEqual(summary.continuouslyOnline, 1);
+});
+
+test('sessions shorter than the always-online limit are not reported', () => {
+    const tracker = createSessionTracker({ alwaysOnlineMs: 24 * HOUR });
+    tracker.update([player('Early')], 0);
+    tracker.update([player('Early'), player('Late')], 20 * HOUR);
+    tracker.update([player('Late')], 30 * HOUR);
+
+    const summary = tracker.getSummary();
+    assert.deepStrictEqual(summary.alwaysOnline, []);
+    assert.strictEqual(summary.totalJoins, 1);
+    assert.strictEqual(summary.totalLeaves, 1);
+    // Early was online before the watch started, so its session length is unknown
+    assert.strictEqual(summary.completedSessions, 0);
+});
+
+test('completed sessions give the average and median session length', () => {
+    const tracker = createSessionTracker();
+    tracker.update([], 0);
+    tracker.update([player('A'), player('B')], HOUR);
+    tracker.update([player('B')], 2 * HOUR);
+    tracker.update([], 4 * HOUR);
+
+    const summary = tracker.getSummary();
+    assert.strictEqual(summary.completedSessions, 2);
+    assert.strictEqual(summary.averageSessionMinutes, 120);
+    assert.strictEqual(summary.medianSessionMinutes, 180);
+});
+
+test('parseInterval reads seconds, minutes and hours', () => {
+    assert.strictEqual(parseInterval('90'), 90000);
+    assert.strictEqual(parseInterval('5m'), 300000);
+    assert.strictEqual(parseInterval('1h'), HOUR);
+    assert.throws(() => parseInterval('500ms'), /too short/);
+    assert.throws(() => parseInterval('soon'), /Invalid interval/);
+});
+
+test('each cycle reports the snapshot as scan results that can be alerted on', async () => {
+    const players = [
+        makePlayer(1, 'Regular'),
+        makePlayer(2, 'Ghost', { identifiers: [] }),
+        makePlayer(3, 'Listed', { identifiers: ['steam:110000100000001', `license:${'3'.repeat(40)}`] })
+    ];
+    const stub = await startStubServer((req, res) => {
+        sendJson(res, 200, { Data: { hostname: 'Test Server', clients: 3, sv_maxclients: 32, players } });
+    });
+    const events = new EventEmitter();
+    const cycle = new Promise(resolve => events.once('cycle', (summary, results) => resolve({ summary, results })));
+    const watch = watchServer('abc123', {
+        config: {
+            FIVEM_API_URL: `${stub.url}/api/servers/single/`,
+            MAX_RETRIES: 0,
+            PLAYER_DENYLIST: { identifiers: [`license:${'3'.repeat(40)}`], names: [] }
+        },
+        interval: HOUR,
+        events
+    });
+    let snapshot;
+    try {
+        snapshot = await cycle;
+    } finally {
+        watch.stop();
+        await stub.close();
+    }
+
+    const { summary, results } = snapshot;
+    assert.strictEqual(results.server.cfxcode, 'abc123');
+    assert.strictEqual(results.server.maxPlayers, 32);
+    assert.strictEqual(results.statistics.totalAnalyzedPlayers, 3);
+    assert.strictEqual(results.statistics.steamPlayers, 1);
+    assert.strictEqual(results.statistics.steamLookupsSkipped, true);
+    assert.strictEqual(results.statistics.botScore, summary.potentialBots);
+    assert.ok(results.potentialBots.some(bot => bot.playerName === 'Listed' && bot.listMatch));
+
+    const alert = buildAlert(results);
+    assert.strictEqual(alert.serverName, 'Test Server');
+    assert.strictEqual(alert.botScore, results.potentialBots.length);
+    assert.strictEqual(alert.botPercentage, Math.round((alert.botScore / 3) * 100));
+});